@@ -46,5 +46,35 @@ namespace RoutePlanner.API.Controllers
                 return StatusCode(500, new { error = "Routing service unavailable" });
             }
         }
+
+        /// <summary>
+        /// Proxy endpoint for OSRM table requests (duration/distance matrix)
+        /// Used by the frontend route optimizer
+        /// </summary>
+        /// <param name="profile">OSRM routing profile (e.g., "driving")</param>
+        /// <param name="coordinates">Semicolon-separated coordinates in "lon,lat;lon,lat;..." format</param>
+        /// <returns>OSRM table response as JSON</returns>
+        [HttpGet("table/v1/{profile}/{**coordinates}")]
+        public async Task<IActionResult> ProxyTable(string profile, string coordinates)
+        {
+            try
+            {
+                _logger.LogInformation($"OSRM table proxy request: {profile}/{coordinates}");
+
+                // Forward query string parameters (e.g., ?annotations=duration,distance)
+                var queryString = Request.QueryString.HasValue
+                    ? Request.QueryString.Value
+                    : "";
+
+                var response = await _osrmClient.GetTableRaw(coordinates + queryString);
+
+                return Content(response, "application/json");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "OSRM table proxy request failed");
+                return StatusCode(500, new { error = "Routing service unavailable" });
+            }
+        }
     }
 }
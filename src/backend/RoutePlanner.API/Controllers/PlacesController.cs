@@ -267,6 +267,20 @@ namespace RoutePlanner.API.Controllers
             if (place == null)
                 return NotFound();
 
+            // Stops in routes of other users are removed through the route (history, live sync) - not from here
+            var otherUsersRoutes = await _context.RoutePlaces
+                .Where(rp => rp.PlaceId == id && rp.Route != null && rp.Route.UserId != currentUserId)
+                .Select(rp => rp.Route!.Name)
+                .ToListAsync();
+            if (otherUsersRoutes.Count > 0)
+            {
+                return BadRequest(new
+                {
+                    message = "Cannot delete place because it is used in routes of other users",
+                    usedInRoutes = otherUsersRoutes
+                });
+            }
+
             _context.RoutePlaces.RemoveRange(place.RoutePlaces);
             _context.Places.Remove(place);
 
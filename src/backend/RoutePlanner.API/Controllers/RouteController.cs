@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using NetTopologySuite.Geometries;
 using RoutePlanner.API.Data;
 using RoutePlanner.API.DTOs;
 using RoutePlanner.API.Models;
@@ -18,6 +19,11 @@ namespace RoutePlanner.API.Controllers
         private readonly IRouteScheduleService _scheduleService;
         private readonly IRouteLegService _legService;
         private readonly IRouteConflictService _conflictService;
+        private readonly ITimeZoneLookupService _timeZoneLookup;
+        private readonly IRouteHistoryService _historyService;
+        private readonly IRouteShareService _shareService;
+        private readonly IRouteCollaboratorService _collaboratorService;
+        private readonly IRouteSyncService _syncService;
         private readonly ILogger<RoutesController> _logger;
 
         public RoutesController(
@@ -25,12 +31,22 @@ namespace RoutePlanner.API.Controllers
             IRouteScheduleService scheduleService,
             IRouteLegService legService,
             IRouteConflictService conflictService,
+            ITimeZoneLookupService timeZoneLookup,
+            IRouteHistoryService historyService,
+            IRouteShareService shareService,
+            IRouteCollaboratorService collaboratorService,
+            IRouteSyncService syncService,
             ILogger<RoutesController> logger)
         {
             _context = context;
             _scheduleService = scheduleService;
             _legService = legService;
             _conflictService = conflictService;
+            _timeZoneLookup = timeZoneLookup;
+            _historyService = historyService;
+            _shareService = shareService;
+            _collaboratorService = collaboratorService;
+            _syncService = syncService;
             _logger = logger;
         }
 
@@ -47,20 +63,80 @@ namespace RoutePlanner.API.Controllers
             return userId;
         }
 
+        /// <summary>
+        /// Checks the current user's role on a route (owner, editor or viewer)
+        /// Returns null when allowed, 404 without any access and 403 when the role is too low
+        /// </summary>
+        private async Task<ActionResult?> CheckRouteAccess(int routeId, RouteRole requiredRole)
+        {
+            var role = await _collaboratorService.GetRole(routeId, GetCurrentUserId());
+            if (role == null)
+                return NotFound(new { message = "Route not found" });
+
+            if (role < requiredRole)
+            {
+                var message = requiredRole == RouteRole.Owner
+                    ? "Only the owner of the route can do this"
+                    : "You can only view this route";
+                return StatusCode(StatusCodes.Status403Forbidden, new { message });
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Copy of another user's place for the given user, with the same categories and countries
+        /// Added to the context and saved with the caller's changes
+        /// </summary>
+        private async Task<Place> CopyPlaceForUser(Place source, int userId)
+        {
+            var categoryIds = await _context.PlaceCategories
+                .Where(pc => pc.PlaceId == source.Id)
+                .Select(pc => pc.CategoryId)
+                .ToListAsync();
+            var countryIds = await _context.PlaceCountries
+                .Where(pc => pc.PlaceId == source.Id)
+                .Select(pc => pc.CountryId)
+                .ToListAsync();
+
+            var copy = new Place
+            {
+                UserId = userId,
+                Name = source.Name,
+                Location = (Point)source.Location.Copy(),
+                Notes = source.Notes,
+                GooglePlaceId = source.GooglePlaceId,
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow
+            };
+            copy.PlaceCategories = categoryIds.Select(categoryId => new PlaceCategory { Place = copy, CategoryId = categoryId }).ToList();
+            copy.PlaceCountries = countryIds.Select(countryId => new PlaceCountry { Place = copy, CountryId = countryId }).ToList();
+
+            _context.Places.Add(copy);
+            return copy;
+        }
+
         // GET: api/routes - Alle Routen anzeigen
         [HttpGet]
         public async Task<ActionResult<List<RouteListDto>>> GetRoutes()
         {
             var currentUserId = GetCurrentUserId();
+            // Own routes and routes shared with the user
             var routes = await _context.Routes
-                .Where(r => r.UserId == currentUserId)
+                .Where(r => r.UserId == currentUserId || r.Collaborators.Any(c => c.UserId == currentUserId))
                 .Include(r => r.Places)
                 .Select(r => new RouteListDto
                 {
                     Id = r.Id,
                     Name = r.Name,
                     PlaceCount = r.Places.Count,
-                    CreatedAt = r.CreatedAt
+                    CreatedAt = r.CreatedAt,
+                    ParentRouteId = r.ParentRouteId,
+                    Role = r.UserId == currentUserId
+                        ? RouteRole.Owner
+                        : r.Collaborators.First(c => c.UserId == currentUserId).Role,
+                    OwnerName = r.User.UserName ?? r.User.Email,
+                    CollaboratorCount = r.Collaborators.Count
                 })
                 .OrderByDescending(r => r.CreatedAt)
                 .ToListAsync();
@@ -72,9 +148,11 @@ namespace RoutePlanner.API.Controllers
         [HttpGet("{id}")]
         public async Task<ActionResult<RouteDto>> GetRoute(int id)
         {
-            var currentUserId = GetCurrentUserId();
+            var role = await _collaboratorService.GetRole(id, GetCurrentUserId());
+            if (role == null)
+                return NotFound($"Route with ID {id} not found");
+
             var route = await _context.Routes
-                .Where(r => r.UserId == currentUserId)
                 .Include(r => r.Places)
                     .ThenInclude(rp => rp.Place)
                         .ThenInclude(p => p.PlaceCategories)
@@ -83,6 +161,8 @@ namespace RoutePlanner.API.Controllers
                     .ThenInclude(rp => rp.Place)
                         .ThenInclude(p => p.PlaceCountries)
                             .ThenInclude(pc => pc.Country)
+                .Include(r => r.Places)
+                    .ThenInclude(rp => rp.AddedByUser)
                 .FirstOrDefaultAsync(r => r.Id == id);
 
             if (route == null)
@@ -96,6 +176,9 @@ namespace RoutePlanner.API.Controllers
                 CreatedAt = route.CreatedAt,
                 UpdatedAt = route.UpdatedAt,
                 PlaceCount = route.Places.Count,
+                ParentRouteId = route.ParentRouteId,
+                Role = role.Value,
+                Version = route.Version,
                 Places = route.Places
                     .OrderBy(rp => rp.OrderIndex)
                     .Select(rp => new RoutePlaceDto
@@ -107,6 +190,8 @@ namespace RoutePlanner.API.Controllers
                         Notes = rp.Place.Notes,
                         OrderIndex = rp.OrderIndex,
                         GooglePlaceId = rp.Place.GooglePlaceId,
+                        AddedByUserId = rp.AddedByUserId,
+                        AddedByName = rp.AddedByUser != null ? rp.AddedByUser.UserName ?? rp.AddedByUser.Email : null,
                         Categories = rp.Place.PlaceCategories.Select(pc => new CategoryDto
                         {
                             Id = pc.Category.Id,
@@ -154,18 +239,128 @@ namespace RoutePlanner.API.Controllers
                 CreatedAt = route.CreatedAt,
                 UpdatedAt = route.UpdatedAt,
                 Places = new List<RoutePlaceDto>(),
-                PlaceCount = 0
+                PlaceCount = 0,
+                Role = RouteRole.Owner
             };
 
             return CreatedAtAction(nameof(GetRoute), new { id = route.Id }, routeDto);
         }
 
+        // POST: api/routes/{id}/duplicate - Route mit allen Stopps, Zeitplänen und Legs als Variante kopieren
+        [HttpPost("{id}/duplicate")]
+        public async Task<ActionResult<RouteListDto>> DuplicateRoute(int id, DuplicateRouteDto duplicateDto)
+        {
+            var currentUserId = GetCurrentUserId();
+            var source = await _context.Routes
+                .Where(r => r.UserId == currentUserId || r.Collaborators.Any(c => c.UserId == currentUserId))
+                .Include(r => r.Places)
+                    .ThenInclude(rp => rp.Place)
+                .Include(r => r.Legs)
+                .AsNoTracking()
+                .FirstOrDefaultAsync(r => r.Id == id);
+
+            if (source == null)
+                return NotFound("Route not found");
+
+            var variant = new Models.Route
+            {
+                UserId = currentUserId,
+                Name = string.IsNullOrWhiteSpace(duplicateDto.Name) ? $"{source.Name} (variant)" : duplicateDto.Name.Trim(),
+                Description = string.IsNullOrWhiteSpace(duplicateDto.Description) ? source.Description : duplicateDto.Description.Trim(),
+                TimeZoneId = source.TimeZoneId,
+                TimeZoneIsExplicit = source.TimeZoneIsExplicit,
+                StartDateTime = source.StartDateTime,
+                EndDateTime = source.EndDateTime,
+                DefaultArrivalTime = source.DefaultArrivalTime,
+                DefaultDepartureTime = source.DefaultDepartureTime,
+                MaxDrivingMinutesPerDay = source.MaxDrivingMinutesPerDay,
+                MaxDrivingKmPerDay = source.MaxDrivingKmPerDay,
+                LatestArrivalTime = source.LatestArrivalTime,
+                ParentRouteId = source.Id,
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow
+            };
+
+            // Stops with their schedules - legs below reference the copies, so no OSRM call is needed.
+            // Places of other users (duplicating a shared route) are copied into the current user's account
+            var copiesBySourceId = new Dictionary<int, RoutePlace>();
+            foreach (var rp in source.Places.OrderBy(rp => rp.OrderIndex))
+            {
+                var copy = new RoutePlace
+                {
+                    Route = variant,
+                    OrderIndex = rp.OrderIndex,
+                    StopType = rp.StopType,
+                    TimeZoneId = rp.TimeZoneId,
+                    PlannedStart = rp.PlannedStart,
+                    PlannedEnd = rp.PlannedEnd,
+                    StayNights = rp.StayNights,
+                    StayDurationMinutes = rp.StayDurationMinutes,
+                    IsStartLocked = rp.IsStartLocked,
+                    IsEndLocked = rp.IsEndLocked,
+                    AddedByUserId = rp.AddedByUserId
+                };
+                if (rp.Place != null && rp.Place.UserId != currentUserId)
+                    copy.Place = await CopyPlaceForUser(rp.Place, currentUserId);
+                else
+                    copy.PlaceId = rp.PlaceId;
+                variant.Places.Add(copy);
+                copiesBySourceId[rp.Id] = copy;
+            }
+
+            foreach (var leg in source.Legs.OrderBy(l => l.OrderIndex))
+            {
+                if (!copiesBySourceId.TryGetValue(leg.FromRoutePlaceId, out var from) ||
+                    !copiesBySourceId.TryGetValue(leg.ToRoutePlaceId, out var to))
+                {
+                    continue;
+                }
+
+                variant.Legs.Add(new RouteLeg
+                {
+                    Route = variant,
+                    FromRoutePlace = from,
+                    ToRoutePlace = to,
+                    OrderIndex = leg.OrderIndex,
+                    DistanceMeters = leg.DistanceMeters,
+                    DurationSeconds = leg.DurationSeconds,
+                    Geometry = leg.Geometry,
+                    Provider = leg.Provider,
+                    Mode = leg.Mode,
+                    CalculatedAt = leg.CalculatedAt,
+                    PlannedStart = leg.PlannedStart,
+                    PlannedEnd = leg.PlannedEnd
+                });
+            }
+
+            _context.Routes.Add(variant);
+            await _context.SaveChangesAsync();
+            _logger.LogInformation($"Duplicated route {id} as variant {variant.Id} ({variant.Places.Count} stops, {variant.Legs.Count} legs)");
+
+            await _historyService.CaptureSnapshot(variant.Id, $"Duplicated from {source.Name}");
+
+            var routeDto = new RouteListDto
+            {
+                Id = variant.Id,
+                Name = variant.Name,
+                PlaceCount = variant.Places.Count,
+                CreatedAt = variant.CreatedAt,
+                ParentRouteId = variant.ParentRouteId,
+                Role = RouteRole.Owner
+            };
+
+            return CreatedAtAction(nameof(GetRoute), new { id = variant.Id }, routeDto);
+        }
+
         // PUT: api/routes/{id} - Route aktualisieren
         [HttpPut("{id}")]
         public async Task<IActionResult> UpdateRoute(int id, UpdateRouteDto updateDto)
         {
-            var currentUserId = GetCurrentUserId();
-            var route = await _context.Routes.FirstOrDefaultAsync(r => r.Id == id && r.UserId == currentUserId);
+            var denied = await CheckRouteAccess(id, RouteRole.Editor);
+            if (denied != null)
+                return denied;
+
+            var route = await _context.Routes.FirstOrDefaultAsync(r => r.Id == id);
             if (route == null)
                 return NotFound();
 
@@ -174,6 +369,7 @@ namespace RoutePlanner.API.Controllers
             route.UpdatedAt = DateTime.UtcNow;
 
             await _context.SaveChangesAsync();
+            await _syncService.PublishChange(id, RouteChangeKind.Route);
 
             return NoContent();
         }
@@ -182,17 +378,26 @@ namespace RoutePlanner.API.Controllers
         [HttpDelete("{id}")]
         public async Task<IActionResult> DeleteRoute(int id)
         {
-            var currentUserId = GetCurrentUserId();
+            var denied = await CheckRouteAccess(id, RouteRole.Owner);
+            if (denied != null)
+                return denied;
+
             var route = await _context.Routes
-                .Where(r => r.UserId == currentUserId)
                 .Include(r => r.Places)
                 .FirstOrDefaultAsync(r => r.Id == id);
 
             if (route == null)
                 return NotFound();
 
+            // Members are gone with the route - read them first to tell them
+            var memberIds = await _context.RouteCollaborators
+                .Where(c => c.RouteId == id)
+                .Select(c => c.UserId)
+                .ToListAsync();
+
             _context.Routes.Remove(route);
             await _context.SaveChangesAsync();
+            await _syncService.PublishChange(id, RouteChangeKind.Deleted, alsoNotifyUserIds: memberIds.Append(route.UserId));
 
             return NoContent();
         }
@@ -202,33 +407,57 @@ namespace RoutePlanner.API.Controllers
         public async Task<IActionResult> AddPlaceToRoute(int id, AddPlaceToRouteDto addDto)
         {
             var currentUserId = GetCurrentUserId();
+            var denied = await CheckRouteAccess(id, RouteRole.Editor);
+            if (denied != null)
+                return denied;
+
             var route = await _context.Routes
-                .Where(r => r.UserId == currentUserId)
                 .Include(r => r.Places)
                 .FirstOrDefaultAsync(r => r.Id == id);
 
             if (route == null)
                 return NotFound("Route not found");
 
-            var place = await _context.Places.FirstOrDefaultAsync(p => p.Id == addDto.PlaceId && p.UserId == currentUserId);
+            // Eigene Orte oder Orte des Routen-Besitzers (z.B. Rückgängig machen eines Entfernens)
+            var place = await _context.Places.FirstOrDefaultAsync(p => p.Id == addDto.PlaceId && (p.UserId == currentUserId || p.UserId == route.UserId));
             if (place == null)
                 return NotFound("Place not found");
 
+            // Stops belong to the route owner - an editor's place is used from the owner's places or copied
+            // there, so the editor can't rename or delete it in someone else's route
+            if (place.UserId != route.UserId)
+            {
+                var ownersPlace = place.GooglePlaceId != null
+                    ? await _context.Places.FirstOrDefaultAsync(p => p.UserId == route.UserId && p.GooglePlaceId == place.GooglePlaceId)
+                    : null;
+                place = ownersPlace ?? await CopyPlaceForUser(place, route.UserId);
+            }
+
             // Prüfen ob Ort bereits in Route
-            if (route.Places.Any(rp => rp.PlaceId == addDto.PlaceId))
+            if (route.Places.Any(rp => rp.PlaceId == place.Id))
                 return BadRequest("Place already in route");
 
+            await _historyService.EnsureBaselineSnapshot(id);
+
             // OrderIndex bestimmen - use max + 1 to avoid conflicts
             var orderIndex = addDto.OrderIndex ?? (route.Places.Any() ? route.Places.Max(rp => rp.OrderIndex) + 1 : 0);
 
             var routePlace = new RoutePlace
             {
                 RouteId = id,
-                PlaceId = addDto.PlaceId,
-                OrderIndex = orderIndex
+                Place = place,
+                OrderIndex = orderIndex,
+                AddedByUserId = currentUserId
             };
 
+            // Erster Stopp bestimmt die Standard-Zeitzone der Route (außer sie wurde ausdrücklich gewählt)
+            if (!route.Places.Any() && !route.TimeZoneIsExplicit)
+            {
+                route.TimeZoneId = _timeZoneLookup.GetTimeZoneId(place.Location.Y, place.Location.X);
+            }
+
             _context.RoutePlaces.Add(routePlace);
+            route.Version++;
             route.UpdatedAt = DateTime.UtcNow;
             await _context.SaveChangesAsync();
 
@@ -244,25 +473,134 @@ namespace RoutePlanner.API.Controllers
                 // Don't fail the operation if recalculation fails
             }
 
+            await _historyService.CaptureSnapshot(id, $"Added {place.Name}");
+            await _syncService.PublishChange(id, RouteChangeKind.Stops);
+
             return Ok(new { message = "Place added to route successfully" });
         }
 
+        // POST: api/routes/{id}/places/import - Mehrere neue Orte anlegen und an Route anhängen
+        [HttpPost("{id}/places/import")]
+        public async Task<ActionResult<ImportPlacesResultDto>> ImportPlacesToRoute(int id, ImportPlacesToRouteDto importDto)
+        {
+            var currentUserId = GetCurrentUserId();
+            var denied = await CheckRouteAccess(id, RouteRole.Editor);
+            if (denied != null)
+                return denied;
+
+            var route = await _context.Routes
+                .Include(r => r.Places)
+                .FirstOrDefaultAsync(r => r.Id == id);
+
+            if (route == null)
+                return NotFound("Route not found");
+
+            var geometryFactory = new GeometryFactory(new PrecisionModel(), 4326);
+            var nextOrderIndex = route.Places.Any() ? route.Places.Max(rp => rp.OrderIndex) + 1 : 0;
+            var routeWasEmpty = !route.Places.Any();
+            var createdPlaces = new List<Place>();
+
+            await _historyService.EnsureBaselineSnapshot(id);
+
+            // Create all places and route entries in a single transaction
+            await using var transaction = await _context.Database.BeginTransactionAsync();
+
+            foreach (var placeDto in importDto.Places)
+            {
+                if (string.IsNullOrWhiteSpace(placeDto.Name)
+                    || placeDto.Latitude < -90 || placeDto.Latitude > 90
+                    || placeDto.Longitude < -180 || placeDto.Longitude > 180)
+                {
+                    continue;
+                }
+
+                var place = new Place
+                {
+                    UserId = route.UserId, // Stops belong to the route owner, also when an editor imports them
+                    Name = placeDto.Name.Trim(),
+                    Location = geometryFactory.CreatePoint(new Coordinate(placeDto.Longitude, placeDto.Latitude)),
+                    Notes = placeDto.Notes
+                };
+
+                _context.Places.Add(place);
+                _context.RoutePlaces.Add(new RoutePlace
+                {
+                    RouteId = id,
+                    Place = place,
+                    OrderIndex = nextOrderIndex++,
+                    AddedByUserId = currentUserId
+                });
+                createdPlaces.Add(place);
+            }
+
+            if (!createdPlaces.Any())
+                return BadRequest("No valid places to import");
+
+            // Erster Stopp bestimmt die Standard-Zeitzone der Route (außer sie wurde ausdrücklich gewählt)
+            if (routeWasEmpty && !route.TimeZoneIsExplicit)
+            {
+                var firstPlace = createdPlaces[0];
+                route.TimeZoneId = _timeZoneLookup.GetTimeZoneId(firstPlace.Location.Y, firstPlace.Location.X);
+            }
+
+            route.Version++;
+            route.UpdatedAt = DateTime.UtcNow;
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            // Recalculate legs once for the whole import instead of per place
+            try
+            {
+                await _legService.RecalculateLegsFromOsrm(id);
+                _logger.LogInformation($"Auto-recalculated legs after importing {createdPlaces.Count} places into route {id}");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, $"Failed to auto-recalculate legs for route {id}");
+                // Don't fail the operation if recalculation fails
+            }
+
+            await _historyService.CaptureSnapshot(id, $"Imported {createdPlaces.Count} places");
+            await _syncService.PublishChange(id, RouteChangeKind.Stops);
+
+            return Ok(new ImportPlacesResultDto
+            {
+                CreatedCount = createdPlaces.Count,
+                Places = createdPlaces.Select(p => new PlaceDto
+                {
+                    Id = p.Id,
+                    UserId = p.UserId,
+                    Name = p.Name,
+                    Latitude = p.Location.Y,
+                    Longitude = p.Location.X,
+                    Notes = p.Notes,
+                    CreatedAt = p.CreatedAt,
+                    UpdatedAt = p.UpdatedAt
+                }).ToList()
+            });
+        }
+
         // DELETE: api/routes/{id}/places/{placeId} - Ort aus Route entfernen
         [HttpDelete("{id}/places/{placeId}")]
         public async Task<IActionResult> RemovePlaceFromRoute(int id, int placeId)
         {
-            var currentUserId = GetCurrentUserId();
-            // Verify route belongs to user
-            var route = await _context.Routes.FirstOrDefaultAsync(r => r.Id == id && r.UserId == currentUserId);
+            var denied = await CheckRouteAccess(id, RouteRole.Editor);
+            if (denied != null)
+                return denied;
+
+            var route = await _context.Routes.FirstOrDefaultAsync(r => r.Id == id);
             if (route == null)
                 return NotFound("Route not found");
 
             var routePlace = await _context.RoutePlaces
+                .Include(rp => rp.Place)
                 .FirstOrDefaultAsync(rp => rp.RouteId == id && rp.PlaceId == placeId);
 
             if (routePlace == null)
                 return NotFound("Place not found in route");
 
+            await _historyService.EnsureBaselineSnapshot(id);
+
             // Delete all RouteLegs that reference this RoutePlace
             // This is necessary because the foreign key constraint is set to Restrict
             var relatedLegs = await _context.RouteLegs
@@ -276,7 +614,8 @@ namespace RoutePlanner.API.Controllers
 
             _context.RoutePlaces.Remove(routePlace);
 
-            // UpdatedAt der Route aktualisieren
+            // UpdatedAt und Version der Route aktualisieren
+            route.Version++;
             route.UpdatedAt = DateTime.UtcNow;
 
             await _context.SaveChangesAsync();
@@ -293,6 +632,9 @@ namespace RoutePlanner.API.Controllers
                 // Don't fail the operation if recalculation fails
             }
 
+            await _historyService.CaptureSnapshot(id, $"Removed {routePlace.Place?.Name ?? "stop"}");
+            await _syncService.PublishChange(id, RouteChangeKind.Stops);
+
             return NoContent();
         }
 
@@ -300,40 +642,70 @@ namespace RoutePlanner.API.Controllers
         [HttpPut("{id}/places/reorder")]
         public async Task<IActionResult> ReorderPlaces(int id, [FromBody] ReorderPlacesRequest request)
         {
-            var currentUserId = GetCurrentUserId();
+            var denied = await CheckRouteAccess(id, RouteRole.Editor);
+            if (denied != null)
+                return denied;
+
             var route = await _context.Routes
-                .Where(r => r.UserId == currentUserId)
                 .Include(r => r.Places)
                 .FirstOrDefaultAsync(r => r.Id == id);
 
             if (route == null)
                 return NotFound();
 
+            // Optimistic concurrency - the order was based on stops that changed since
+            if (request.ExpectedVersion.HasValue && request.ExpectedVersion.Value != route.Version)
+                return await ReorderConflict(id);
+
             // Support legacy format (simple array) by checking if PlaceIds is provided
             var placeIds = request.PlaceIds ?? new List<int>();
 
+            // Also without ExpectedVersion (undo, adding at a position) the order must list exactly the current stops -
+            // stops missing from it would keep the negative OrderIndex of step 1
+            var currentPlaceIds = route.Places.Select(rp => rp.PlaceId).ToHashSet();
+            if (placeIds.Count != currentPlaceIds.Count || !currentPlaceIds.SetEquals(placeIds))
+                return await ReorderConflict(id);
+
+            await _historyService.EnsureBaselineSnapshot(id);
+
             // Capture old positions before reordering (for detecting which place moved)
             var oldPositions = route.Places.ToDictionary(rp => rp.PlaceId, rp => rp.OrderIndex);
 
-            // Step 1: Set all OrderIndex to negative values to avoid unique constraint conflicts
-            for (int i = 0; i < route.Places.Count; i++)
+            await using (var transaction = await _context.Database.BeginTransactionAsync())
             {
-                route.Places.ElementAt(i).OrderIndex = -(i + 1);
-            }
-            await _context.SaveChangesAsync();
+                // Step 1: Set all OrderIndex to negative values to avoid unique constraint conflicts.
+                // Version is a concurrency token - a reorder saved since loading the route fails here
+                for (int i = 0; i < route.Places.Count; i++)
+                {
+                    route.Places.ElementAt(i).OrderIndex = -(i + 1);
+                }
+                route.Version++;
+                route.UpdatedAt = DateTime.UtcNow;
 
-            // Step 2: Set the new order
-            for (int i = 0; i < placeIds.Count; i++)
-            {
-                var routePlace = route.Places.FirstOrDefault(rp => rp.PlaceId == placeIds[i]);
-                if (routePlace != null)
+                try
                 {
-                    routePlace.OrderIndex = i;
+                    await _context.SaveChangesAsync();
+                }
+                catch (DbUpdateConcurrencyException)
+                {
+                    await transaction.RollbackAsync();
+                    _context.ChangeTracker.Clear();
+                    return await ReorderConflict(id);
                 }
-            }
 
-            route.UpdatedAt = DateTime.UtcNow;
-            await _context.SaveChangesAsync();
+                // Step 2: Set the new order
+                for (int i = 0; i < placeIds.Count; i++)
+                {
+                    var routePlace = route.Places.FirstOrDefault(rp => rp.PlaceId == placeIds[i]);
+                    if (routePlace != null)
+                    {
+                        routePlace.OrderIndex = i;
+                    }
+                }
+
+                await _context.SaveChangesAsync();
+                await transaction.CommitAsync();
+            }
 
             // Detect which place moved (for selective schedule recalculation)
             int? movedPlaceId = null;
@@ -386,16 +758,51 @@ namespace RoutePlanner.API.Controllers
                 }
             }
 
-            return NoContent();
+            await _historyService.CaptureSnapshot(id, "Reordered stops");
+            var version = await _syncService.PublishChange(
+                id,
+                RouteChangeKind.Stops,
+                route.Places.OrderBy(rp => rp.OrderIndex).Select(rp => rp.PlaceId).ToList());
+
+            // The tab that reordered keeps working with the new version, even without the live sync
+            return Ok(new { version });
+        }
+
+        /// <summary>
+        /// 409 for a reorder based on an outdated stop list - with the current version and order for the merge
+        /// </summary>
+        private async Task<ActionResult> ReorderConflict(int routeId)
+        {
+            var version = await _context.Routes
+                .AsNoTracking()
+                .Where(r => r.Id == routeId)
+                .Select(r => r.Version)
+                .FirstOrDefaultAsync();
+
+            var placeIds = await _context.RoutePlaces
+                .AsNoTracking()
+                .Where(rp => rp.RouteId == routeId)
+                .OrderBy(rp => rp.OrderIndex)
+                .Select(rp => rp.PlaceId)
+                .ToListAsync();
+
+            return Conflict(new
+            {
+                message = "The route was changed in the meantime",
+                version,
+                placeIds
+            });
         }
 
         // BONUS: PostGIS Feature - Route-Statistiken
         [HttpGet("{id}/stats")]
         public async Task<ActionResult<object>> GetRouteStats(int id)
         {
-            var currentUserId = GetCurrentUserId();
+            var denied = await CheckRouteAccess(id, RouteRole.Viewer);
+            if (denied != null)
+                return denied;
+
             var route = await _context.Routes
-                .Where(r => r.UserId == currentUserId)
                 .Include(r => r.Places)
                     .ThenInclude(rp => rp.Place)
                 .FirstOrDefaultAsync(r => r.Id == id);
@@ -445,10 +852,10 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound($"Route with ID {id} not found");
+                // Verify the user may view the route
+                var denied = await CheckRouteAccess(id, RouteRole.Viewer);
+                if (denied != null)
+                    return denied;
 
                 var itinerary = await _scheduleService.GetItinerary(id);
                 if (itinerary == null)
@@ -486,12 +893,15 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
+                await _historyService.EnsureBaselineSnapshot(id);
                 await _scheduleService.UpdateRouteScheduleSettings(id, dto);
+                await _historyService.CaptureSnapshot(id, "Changed schedule settings");
+                await _syncService.PublishChange(id, RouteChangeKind.Schedule);
                 return NoContent();
             }
             catch (InvalidOperationException ex)
@@ -510,10 +920,10 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == routeId && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(routeId, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
                 // Check if this would create a conflict (before applying the change)
                 ScheduleChangeConflictDto? conflictCheck = null;
@@ -527,7 +937,10 @@ namespace RoutePlanner.API.Controllers
                 }
 
                 // Update the schedule
+                await _historyService.EnsureBaselineSnapshot(routeId);
                 await _scheduleService.UpdateRoutePlaceSchedule(routeId, routePlaceId, dto);
+                await _historyService.CaptureSnapshot(routeId, "Changed stop times");
+                await _syncService.PublishChange(routeId, RouteChangeKind.Schedule);
 
                 // Return conflict information if any
                 if (conflictCheck != null && conflictCheck.WouldCreateConflict)
@@ -562,10 +975,10 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
                 var result = await _conflictService.CheckScheduleChangeConflict(
                     id,
@@ -589,10 +1002,12 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
+
+                await _historyService.EnsureBaselineSnapshot(id);
 
                 // Apply time-based order
                 await _conflictService.ApplyTimeBasedOrder(id);
@@ -606,6 +1021,9 @@ namespace RoutePlanner.API.Controllers
                     await _scheduleService.RecalculateScheduleAfterReorder(id);
                 }
 
+                await _historyService.CaptureSnapshot(id, "Reordered stops by time");
+                await _syncService.PublishChange(id, RouteChangeKind.Stops);
+
                 return Ok(new { message = "Conflicts resolved by reordering" });
             }
             catch (Exception ex)
@@ -622,15 +1040,20 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
+
+                await _historyService.EnsureBaselineSnapshot(id);
 
                 var result = await _scheduleService.RecalculateScheduleAfterReorder(
                     id,
                     preserveLockedDays);
 
+                await _historyService.CaptureSnapshot(id, "Recalculated schedule");
+                await _syncService.PublishChange(id, RouteChangeKind.Schedule);
+
                 return Ok(result);
             }
             catch (Exception ex)
@@ -647,12 +1070,13 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
                 await _legService.RebuildLegSkeleton(id);
+                await _syncService.PublishChange(id, RouteChangeKind.Legs);
                 return Ok(new { message = $"Successfully rebuilt leg skeleton for route {id}" });
             }
             catch (InvalidOperationException ex)
@@ -671,12 +1095,13 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == routeId && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(routeId, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
                 await _legService.UpdateLegMetrics(routeId, legId, dto.DistanceMeters, dto.DurationSeconds);
+                await _syncService.PublishChange(routeId, RouteChangeKind.Legs);
                 return NoContent();
             }
             catch (InvalidOperationException ex)
@@ -689,18 +1114,48 @@ namespace RoutePlanner.API.Controllers
             }
         }
 
+        // PUT: api/routes/{routeId}/legs/{legId}/mode - Set transport mode (drive, ferry, flight, ...)
+        [HttpPut("{routeId}/legs/{legId}/mode")]
+        public async Task<IActionResult> UpdateLegMode(int routeId, int legId, [FromBody] UpdateLegModeDto dto)
+        {
+            try
+            {
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(routeId, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
+
+                await _historyService.EnsureBaselineSnapshot(routeId);
+                await _legService.UpdateLegMode(routeId, legId, dto.Mode, dto.DistanceMeters, dto.DurationSeconds);
+                await _historyService.CaptureSnapshot(routeId, "Changed transport mode");
+                await _syncService.PublishChange(routeId, RouteChangeKind.Legs);
+                return NoContent();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return NotFound(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                return BadRequest(new { message = "Error updating leg transport mode", error = ex.Message });
+            }
+        }
+
         // PUT: api/routes/{routeId}/legs/{legId}/schedule - Update leg schedule (times)
         [HttpPut("{routeId}/legs/{legId}/schedule")]
         public async Task<IActionResult> UpdateLegSchedule(int routeId, int legId, [FromBody] RouteLegScheduleUpdateDto dto)
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == routeId && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(routeId, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
+                await _historyService.EnsureBaselineSnapshot(routeId);
                 await _legService.UpdateLegSchedule(routeId, legId, dto.PlannedStart, dto.PlannedEnd);
+                await _historyService.CaptureSnapshot(routeId, "Changed leg times");
+                await _syncService.PublishChange(routeId, RouteChangeKind.Legs);
                 return NoContent();
             }
             catch (InvalidOperationException ex)
@@ -719,12 +1174,13 @@ namespace RoutePlanner.API.Controllers
         {
             try
             {
-                var currentUserId = GetCurrentUserId();
-                // Verify route belongs to user
-                if (!await _context.Routes.AnyAsync(r => r.Id == id && r.UserId == currentUserId))
-                    return NotFound(new { message = "Route not found" });
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
 
                 await _legService.RecalculateLegsFromOsrm(id);
+                await _syncService.PublishChange(id, RouteChangeKind.Legs);
                 return Ok(new { message = $"Successfully recalculated legs for route {id}" });
             }
             catch (InvalidOperationException ex)
@@ -736,5 +1192,200 @@ namespace RoutePlanner.API.Controllers
                 return BadRequest(new { message = "Error recalculating legs", error = ex.Message });
             }
         }
+
+        // ===== History Endpoints =====
+
+        // GET: api/routes/{id}/history - Versionen der Route (neueste zuerst)
+        [HttpGet("{id}/history")]
+        public async Task<ActionResult<List<RouteSnapshotListDto>>> GetRouteHistory(int id)
+        {
+            // Verify the user may view the route
+            var denied = await CheckRouteAccess(id, RouteRole.Viewer);
+            if (denied != null)
+                return denied;
+
+            return Ok(await _historyService.GetSnapshots(id));
+        }
+
+        // GET: api/routes/{id}/history/{snapshotId} - Version mit Stopps, Legs und Zeitplan-Einstellungen
+        [HttpGet("{id}/history/{snapshotId}")]
+        public async Task<ActionResult<RouteSnapshotDto>> GetRouteSnapshot(int id, int snapshotId)
+        {
+            // Verify the user may view the route
+            var denied = await CheckRouteAccess(id, RouteRole.Viewer);
+            if (denied != null)
+                return denied;
+
+            var snapshot = await _historyService.GetSnapshot(id, snapshotId);
+            if (snapshot == null)
+                return NotFound(new { message = "Snapshot not found" });
+
+            return Ok(snapshot);
+        }
+
+        // POST: api/routes/{id}/history/{snapshotId}/restore - Version wiederherstellen
+        [HttpPost("{id}/history/{snapshotId}/restore")]
+        public async Task<ActionResult<RestoreRouteSnapshotResultDto>> RestoreRouteSnapshot(int id, int snapshotId)
+        {
+            try
+            {
+                // Verify the user may edit the route
+                var denied = await CheckRouteAccess(id, RouteRole.Editor);
+                if (denied != null)
+                    return denied;
+
+                var snapshot = await _historyService.GetSnapshot(id, snapshotId);
+                if (snapshot == null)
+                    return NotFound(new { message = "Snapshot not found" });
+
+                await _historyService.EnsureBaselineSnapshot(id);
+                var result = await _historyService.RestoreSnapshot(id, snapshotId);
+                await _historyService.CaptureSnapshot(id, $"Restored \"{snapshot.Description}\"");
+                await _syncService.PublishChange(id, RouteChangeKind.Stops);
+
+                return Ok(result);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return NotFound(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                return BadRequest(new { message = "Error restoring route version", error = ex.Message });
+            }
+        }
+
+        // ===== Share Endpoints =====
+
+        // GET: api/routes/{id}/share - Öffentlicher Link der Route und was er ausblendet
+        [HttpGet("{id}/share")]
+        public async Task<ActionResult<RouteShareDto>> GetRouteShare(int id)
+        {
+            // Only the owner may share the route
+            var denied = await CheckRouteAccess(id, RouteRole.Owner);
+            if (denied != null)
+                return denied;
+
+            var share = await _shareService.GetShare(id);
+            if (share == null)
+                return NotFound(new { message = "Route is not shared" });
+
+            return Ok(share);
+        }
+
+        // PUT: api/routes/{id}/share - Route teilen bzw. Einstellungen des Links ändern
+        [HttpPut("{id}/share")]
+        public async Task<ActionResult<RouteShareDto>> SaveRouteShare(int id, [FromBody] UpdateRouteShareDto dto)
+        {
+            try
+            {
+                // Only the owner may share the route
+                var denied = await CheckRouteAccess(id, RouteRole.Owner);
+                if (denied != null)
+                    return denied;
+
+                return Ok(await _shareService.SaveShare(id, dto));
+            }
+            catch (Exception ex)
+            {
+                return BadRequest(new { message = "Error sharing route", error = ex.Message });
+            }
+        }
+
+        // DELETE: api/routes/{id}/share - Link widerrufen
+        [HttpDelete("{id}/share")]
+        public async Task<IActionResult> RevokeRouteShare(int id)
+        {
+            // Only the owner may share the route
+            var denied = await CheckRouteAccess(id, RouteRole.Owner);
+            if (denied != null)
+                return denied;
+
+            if (!await _shareService.RevokeShare(id))
+                return NotFound(new { message = "Route is not shared" });
+
+            return NoContent();
+        }
+
+        // ===== Collaborator Endpoints =====
+
+        // GET: api/routes/{id}/collaborators - Besitzer und Mitglieder der Route mit ihren Rollen
+        [HttpGet("{id}/collaborators")]
+        public async Task<ActionResult<RouteMembersDto>> GetRouteCollaborators(int id)
+        {
+            var denied = await CheckRouteAccess(id, RouteRole.Viewer);
+            if (denied != null)
+                return denied;
+
+            return Ok(await _collaboratorService.GetMembers(id, GetCurrentUserId()));
+        }
+
+        // POST: api/routes/{id}/collaborators - Registrierten Benutzer als Betrachter oder Bearbeiter einladen
+        [HttpPost("{id}/collaborators")]
+        public async Task<ActionResult<RouteCollaboratorDto>> InviteRouteCollaborator(int id, [FromBody] InviteCollaboratorDto dto)
+        {
+            try
+            {
+                var denied = await CheckRouteAccess(id, RouteRole.Owner);
+                if (denied != null)
+                    return denied;
+
+                var collaborator = await _collaboratorService.InviteCollaborator(id, dto.Email, dto.Role);
+                await _syncService.PublishChange(id, RouteChangeKind.Members);
+                return Ok(collaborator);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return NotFound(new { message = ex.Message });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                return BadRequest(new { message = "Error inviting collaborator", error = ex.Message });
+            }
+        }
+
+        // PUT: api/routes/{id}/collaborators/{userId} - Rolle eines Mitglieds ändern
+        [HttpPut("{id}/collaborators/{userId}")]
+        public async Task<ActionResult<RouteCollaboratorDto>> UpdateRouteCollaborator(int id, int userId, [FromBody] UpdateCollaboratorRoleDto dto)
+        {
+            try
+            {
+                var denied = await CheckRouteAccess(id, RouteRole.Owner);
+                if (denied != null)
+                    return denied;
+
+                var collaborator = await _collaboratorService.UpdateRole(id, userId, dto.Role);
+                if (collaborator == null)
+                    return NotFound(new { message = "Collaborator not found" });
+
+                await _syncService.PublishChange(id, RouteChangeKind.Members);
+                return Ok(collaborator);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+        }
+
+        // DELETE: api/routes/{id}/collaborators/{userId} - Mitglied entfernen (oder Route als Mitglied verlassen)
+        [HttpDelete("{id}/collaborators/{userId}")]
+        public async Task<IActionResult> RemoveRouteCollaborator(int id, int userId)
+        {
+            // Members may leave a route themselves, removing others is up to the owner
+            var denied = await CheckRouteAccess(id, userId == GetCurrentUserId() ? RouteRole.Viewer : RouteRole.Owner);
+            if (denied != null)
+                return denied;
+
+            if (!await _collaboratorService.RemoveCollaborator(id, userId))
+                return NotFound(new { message = "Collaborator not found" });
+
+            // The removed user is no member anymore but has to learn about it
+            await _syncService.PublishChange(id, RouteChangeKind.Members, alsoNotifyUserIds: new[] { userId });
+            return NoContent();
+        }
     }
 }
\ No newline at end of file
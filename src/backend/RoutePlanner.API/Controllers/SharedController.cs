@@ -0,0 +1,34 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using RoutePlanner.API.DTOs;
+using RoutePlanner.API.Services;
+
+namespace RoutePlanner.API.Controllers
+{
+    /// <summary>
+    /// Public read-only trips - anyone with a share token can view them without an account
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    [AllowAnonymous]
+    public class SharedController : ControllerBase
+    {
+        private readonly IRouteShareService _shareService;
+
+        public SharedController(IRouteShareService shareService)
+        {
+            _shareService = shareService;
+        }
+
+        // GET: api/shared/{token} - Geteilte Route mit Stopps, Zeitplan und freigegebenen Notizen
+        [HttpGet("{token}")]
+        public async Task<ActionResult<SharedTripDto>> GetSharedTrip(string token)
+        {
+            var trip = await _shareService.GetSharedTrip(token);
+            if (trip == null)
+                return NotFound(new { message = "This link was revoked or doesn't exist" });
+
+            return Ok(trip);
+        }
+    }
+}
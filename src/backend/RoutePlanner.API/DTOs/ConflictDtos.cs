@@ -104,5 +104,12 @@ namespace RoutePlanner.API.DTOs
         public List<int> PlaceIds { get; set; } = new();
         public bool RecalculateSchedule { get; set; } = true;
         public bool PreserveLockedDays { get; set; } = true;
+
+        /// <summary>
+        /// Route version the new order is based on - the reorder is rejected with 409
+        /// when the route changed since (null skips the check, e.g. undo replays).
+        /// PlaceIds that don't match the current stops are rejected with 409 either way
+        /// </summary>
+        public int? ExpectedVersion { get; set; }
     }
 }
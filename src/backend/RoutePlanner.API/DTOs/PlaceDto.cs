@@ -52,6 +52,10 @@ namespace RoutePlanner.API.DTOs
         // User's custom organization
         public List<CategoryDto> Categories { get; set; } = new();
         public List<CountryDto> Countries { get; set; } = new();
+
+        // Who added the stop (shared routes)
+        public int? AddedByUserId { get; set; }
+        public string? AddedByName { get; set; }
     }
 
     public class CreatePlaceDto
@@ -85,12 +89,27 @@ namespace RoutePlanner.API.DTOs
         public List<RoutePlaceDto> Places { get; set; } = new();
         public int PlaceCount { get; set; }
         public double EstimatedDistance { get; set; } // km
+        public int? ParentRouteId { get; set; } // Set for variants (duplicated routes)
+        public RouteRole Role { get; set; } // Role of the current user
+        public int Version { get; set; } // Sent back with reorders (optimistic concurrency)
     }
     public class CreateRouteDto
     {
         public string Name { get; set; } = string.Empty;
         public string? Description { get; set; }
     }
+    /// <summary>
+    /// Duplicate a route as a variant - name defaults to "<parent name> (variant)",
+    /// description to the parent's
+    /// </summary>
+    public class DuplicateRouteDto
+    {
+        [MaxLength(200)]
+        public string? Name { get; set; }
+
+        [MaxLength(1000)]
+        public string? Description { get; set; }
+    }
     public class UpdateRouteDto
     {
         public string Name { get; set; } = string.Empty;
@@ -101,12 +120,37 @@ namespace RoutePlanner.API.DTOs
         public int PlaceId { get; set; }
         public int? OrderIndex { get; set; }
     }
+    /// <summary>
+    /// Bulk import of places (e.g. from GPX/KML) into a route
+    /// </summary>
+    public class ImportPlacesToRouteDto
+    {
+        [Required]
+        [MinLength(1)]
+        public List<CreatePlaceDto> Places { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Result of a bulk place import
+    /// </summary>
+    public class ImportPlacesResultDto
+    {
+        public int CreatedCount { get; set; }
+        public List<PlaceDto> Places { get; set; } = new();
+    }
+
     public class RouteListDto
     {
         public int Id { get; set; }
         public string Name { get; set; } = string.Empty;
         public int PlaceCount { get; set; }
         public DateTime CreatedAt { get; set; }
+        public int? ParentRouteId { get; set; }
+
+        // Sharing: role of the current user, owner for routes shared with them
+        public RouteRole Role { get; set; }
+        public string? OwnerName { get; set; }
+        public int CollaboratorCount { get; set; }
     }
 
     // Category DTOs
@@ -292,7 +336,10 @@ namespace RoutePlanner.API.DTOs
         DateTimeOffset? StartDateTime,
         DateTimeOffset? EndDateTime,
         TimeOnly? DefaultArrivalTime,
-        TimeOnly? DefaultDepartureTime
+        TimeOnly? DefaultDepartureTime,
+        int? MaxDrivingMinutesPerDay,
+        int? MaxDrivingKmPerDay,
+        TimeOnly? LatestArrivalTime
     );
 
     /// <summary>
@@ -304,10 +351,21 @@ namespace RoutePlanner.API.DTOs
         [MaxLength(100)]
         public string TimeZoneId { get; set; } = "Europe/Berlin";
 
+        // Zone was derived (e.g. when the schedule is initialized), not chosen by the user
+        public bool TimeZoneIsDerived { get; set; }
+
         public DateTimeOffset? StartDateTime { get; set; }
         public DateTimeOffset? EndDateTime { get; set; }
         public TimeOnly? DefaultArrivalTime { get; set; }
         public TimeOnly? DefaultDepartureTime { get; set; }
+
+        [Range(1, 24 * 60)]
+        public int? MaxDrivingMinutesPerDay { get; set; }
+
+        [Range(1, 10000)]
+        public int? MaxDrivingKmPerDay { get; set; }
+
+        public TimeOnly? LatestArrivalTime { get; set; }
     }
 
     // ===== RoutePlace/Stop Schedule DTOs =====
@@ -351,7 +409,8 @@ namespace RoutePlanner.API.DTOs
         DateTime CalculatedAt,
         List<List<double>>? GeometryCoordinates, // [[lon, lat], ...] for frontend visualization
         DateTimeOffset? PlannedStart,
-        DateTimeOffset? PlannedEnd
+        DateTimeOffset? PlannedEnd,
+        TransportMode Mode
     );
 
     /// <summary>
@@ -363,6 +422,23 @@ namespace RoutePlanner.API.DTOs
         public DateTimeOffset? PlannedEnd { get; set; }
     }
 
+    /// <summary>
+    /// Change a leg's transport mode - distance/duration are used for non-Drive legs
+    /// (estimated from the straight-line distance when not given)
+    /// </summary>
+    public class UpdateLegModeDto
+    {
+        [Required]
+        [EnumDataType(typeof(TransportMode))]
+        public TransportMode Mode { get; set; }
+
+        [Range(0, int.MaxValue)]
+        public int? DistanceMeters { get; set; }
+
+        [Range(0, int.MaxValue)]
+        public int? DurationSeconds { get; set; }
+    }
+
     /// <summary>
     /// Update leg metrics (distance/time)
     /// </summary>
@@ -415,6 +491,60 @@ namespace RoutePlanner.API.DTOs
 
         // Schedule Data
         public StopType StopType { get; set; }
+        public string? TimeZoneId { get; set; } // Manual override (null = use detected zone)
+        public string DetectedTimeZoneId { get; set; } = string.Empty; // From the stop's coordinates
+        public DateTimeOffset? PlannedStart { get; set; }
+        public DateTimeOffset? PlannedEnd { get; set; }
+        public int? StayNights { get; set; }
+        public int? StayDurationMinutes { get; set; }
+        public bool IsStartLocked { get; set; }
+        public bool IsEndLocked { get; set; }
+
+        // Google opening hours of the place (JSON string, null if unknown)
+        public string? OpeningHours { get; set; }
+    }
+
+    // ===== Route History DTOs =====
+
+    /// <summary>
+    /// Route history entry (without content)
+    /// </summary>
+    public class RouteSnapshotListDto
+    {
+        public int Id { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public string Description { get; set; } = string.Empty;
+        public int StopCount { get; set; }
+    }
+
+    /// <summary>
+    /// Route history entry with the recorded schedule settings, stops and legs
+    /// </summary>
+    public class RouteSnapshotDto : RouteSnapshotListDto
+    {
+        public RouteScheduleSettingsDto? ScheduleSettings { get; set; }
+        public List<RouteSnapshotStopDto> Stops { get; set; } = new();
+        public List<RouteSnapshotLegDto> Legs { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Content of a route snapshot - stored as JSON in RouteSnapshot.Data
+    /// </summary>
+    public class RouteSnapshotContentDto
+    {
+        public RouteScheduleSettingsDto? ScheduleSettings { get; set; }
+        public List<RouteSnapshotStopDto> Stops { get; set; } = new();
+        public List<RouteSnapshotLegDto> Legs { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Stop in a route snapshot (ordered), referencing the place by PlaceId
+    /// </summary>
+    public class RouteSnapshotStopDto
+    {
+        public int PlaceId { get; set; }
+        public string PlaceName { get; set; } = string.Empty;
+        public StopType StopType { get; set; }
         public string? TimeZoneId { get; set; }
         public DateTimeOffset? PlannedStart { get; set; }
         public DateTimeOffset? PlannedEnd { get; set; }
@@ -422,5 +552,150 @@ namespace RoutePlanner.API.DTOs
         public int? StayDurationMinutes { get; set; }
         public bool IsStartLocked { get; set; }
         public bool IsEndLocked { get; set; }
+        public int? AddedByUserId { get; set; } // Null in snapshots recorded before route members
+    }
+
+    /// <summary>
+    /// Leg in a route snapshot, referencing its stops by PlaceId
+    /// Distance/duration are only kept for non-Drive legs - driven legs are routed again on restore
+    /// </summary>
+    public class RouteSnapshotLegDto
+    {
+        public int FromPlaceId { get; set; }
+        public int ToPlaceId { get; set; }
+        public TransportMode Mode { get; set; }
+        public int? DistanceMeters { get; set; }
+        public int? DurationSeconds { get; set; }
+        public DateTimeOffset? PlannedStart { get; set; }
+        public DateTimeOffset? PlannedEnd { get; set; }
+    }
+
+    /// <summary>
+    /// Result of restoring a route snapshot
+    /// </summary>
+    public class RestoreRouteSnapshotResultDto
+    {
+        public int RestoredStopCount { get; set; }
+
+        // Stops whose place was deleted since the snapshot was recorded
+        public List<string> MissingPlaces { get; set; } = new();
+    }
+
+    // ===== Route Sharing DTOs =====
+
+    /// <summary>
+    /// Public read-only link of a route and what it hides
+    /// </summary>
+    public class RouteShareDto
+    {
+        public string Token { get; set; } = string.Empty;
+        public bool HideNotes { get; set; }
+        public bool HideExactTimes { get; set; }
+        public List<int> PrivateNotePlaceIds { get; set; } = new();
+        public DateTime CreatedAt { get; set; }
+    }
+
+    /// <summary>
+    /// Share a route or change what its link hides
+    /// </summary>
+    public class UpdateRouteShareDto
+    {
+        public bool HideNotes { get; set; }
+        public bool HideExactTimes { get; set; }
+        public List<int> PrivateNotePlaceIds { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Trip shown on the public read-only page - itinerary without account data
+    /// With HideExactTimes, stop times are whole days in the route's time zone and legs have no times
+    /// </summary>
+    public class SharedTripDto
+    {
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public bool HideExactTimes { get; set; }
+        public RouteScheduleSettingsDto? ScheduleSettings { get; set; }
+        public List<RoutePlaceWithScheduleDto> Places { get; set; } = new();
+        public List<RouteLegDto> Legs { get; set; } = new();
+
+        // Shared notes by RoutePlace ID
+        public Dictionary<int, string> Notes { get; set; } = new();
+    }
+
+    // ===== Route Collaborator DTOs =====
+
+    /// <summary>
+    /// Member of a route - the owner or an invited collaborator
+    /// </summary>
+    public class RouteCollaboratorDto
+    {
+        public int UserId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? Email { get; set; }
+        public RouteRole Role { get; set; }
+        public DateTime? CreatedAt { get; set; } // When invited (null for the owner)
+    }
+
+    /// <summary>
+    /// Members of a route and the current user's role on it
+    /// </summary>
+    public class RouteMembersDto
+    {
+        public RouteCollaboratorDto Owner { get; set; } = new();
+        public List<RouteCollaboratorDto> Collaborators { get; set; } = new();
+        public int CurrentUserId { get; set; }
+        public RouteRole CurrentUserRole { get; set; }
+    }
+
+    /// <summary>
+    /// Invite a registered user to a route as viewer or editor
+    /// </summary>
+    public class InviteCollaboratorDto
+    {
+        [Required]
+        [EmailAddress]
+        public string Email { get; set; } = string.Empty;
+
+        [EnumDataType(typeof(RouteRole))]
+        public RouteRole Role { get; set; } = RouteRole.Viewer;
+    }
+
+    /// <summary>
+    /// Change the role of a collaborator
+    /// </summary>
+    public class UpdateCollaboratorRoleDto
+    {
+        [Required]
+        [EnumDataType(typeof(RouteRole))]
+        public RouteRole Role { get; set; }
+    }
+
+    // ===== Route Sync DTOs =====
+
+    /// <summary>
+    /// What a pushed route change touched - tells clients what to reload
+    /// </summary>
+    public static class RouteChangeKind
+    {
+        public const string Route = "route";       // Name or description
+        public const string Stops = "stops";       // Stops added, removed, reordered or restored
+        public const string Schedule = "schedule"; // Schedule settings or stop times
+        public const string Legs = "legs";         // Leg modes, metrics or routing
+        public const string Members = "members";   // Collaborators invited, removed or their role changed
+        public const string Deleted = "deleted";   // Route deleted by its owner
+    }
+
+    /// <summary>
+    /// Change of a route pushed to all its members (RouteHub "RouteChanged")
+    /// </summary>
+    public class RouteChangeDto
+    {
+        public int RouteId { get; set; }
+        public string Kind { get; set; } = RouteChangeKind.Route;
+        public int Version { get; set; } // Route version after the change
+        public int ChangedByUserId { get; set; }
+        public string? ChangedBy { get; set; }
+        public string? ConnectionId { get; set; } // Hub connection of the tab that made the change
+        public List<int>? PlaceIds { get; set; } // New order after reorders
     }
 }
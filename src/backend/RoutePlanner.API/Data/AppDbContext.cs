@@ -16,6 +16,9 @@ namespace RoutePlanner.API.Data
         public DbSet<Models.Route> Routes { get; set; }
         public DbSet<RoutePlace> RoutePlaces { get; set; }
         public DbSet<RouteLeg> RouteLegs { get; set; }
+        public DbSet<RouteSnapshot> RouteSnapshots { get; set; }
+        public DbSet<RouteShare> RouteShares { get; set; }
+        public DbSet<RouteCollaborator> RouteCollaborators { get; set; }
 
         // Google Maps Integration
         public DbSet<GooglePlaceData> GooglePlaceData { get; set; }
@@ -157,18 +160,29 @@ namespace RoutePlanner.API.Data
                 entity.Property(e => e.EndDateTime).HasColumnType("timestamptz");
                 entity.Property(e => e.DefaultArrivalTime).HasColumnType("time without time zone");
                 entity.Property(e => e.DefaultDepartureTime).HasColumnType("time without time zone");
+                entity.Property(e => e.LatestArrivalTime).HasColumnType("time without time zone");
 
                 entity.Property(e => e.CreatedAt).IsRequired();
                 entity.Property(e => e.UpdatedAt).IsRequired();
 
+                // Optimistic concurrency of reorders (live sync)
+                entity.Property(e => e.Version).IsRequired().IsConcurrencyToken();
+
                 // Relationship to User
                 entity.HasOne(e => e.User)
                       .WithMany(u => u.Routes)
                       .HasForeignKey(e => e.UserId)
                       .OnDelete(DeleteBehavior.Cascade);
 
+                // Variants keep existing when their parent route is deleted
+                entity.HasOne(e => e.ParentRoute)
+                      .WithMany()
+                      .HasForeignKey(e => e.ParentRouteId)
+                      .OnDelete(DeleteBehavior.SetNull);
+
                 // Index for user queries
                 entity.HasIndex(e => e.UserId);
+                entity.HasIndex(e => e.ParentRouteId);
             });
 
             // RoutePlace Konfiguration
@@ -186,6 +200,11 @@ namespace RoutePlanner.API.Data
                       .HasForeignKey(rp => rp.PlaceId)
                       .OnDelete(DeleteBehavior.Restrict); // Verhindert Löschen von Places, die in Routes verwendet werden
 
+                entity.HasOne(rp => rp.AddedByUser)
+                      .WithMany()
+                      .HasForeignKey(rp => rp.AddedByUserId)
+                      .OnDelete(DeleteBehavior.SetNull);
+
                 // Schedule Properties
                 entity.Property(rp => rp.StopType).IsRequired().HasDefaultValue(StopType.Overnight);
                 entity.Property(rp => rp.TimeZoneId).HasMaxLength(100);
@@ -211,6 +230,7 @@ namespace RoutePlanner.API.Data
                 entity.HasKey(e => e.Id);
 
                 entity.Property(e => e.Provider).HasMaxLength(50).IsRequired();
+                entity.Property(e => e.Mode).IsRequired().HasDefaultValue(TransportMode.Drive);
 
                 // Configure Geometry column for OSRM road-following route
                 entity.Property(e => e.Geometry)
@@ -240,6 +260,68 @@ namespace RoutePlanner.API.Data
                       .OnDelete(DeleteBehavior.Restrict);
             });
 
+            // ===== RouteSnapshot Configuration (route history) =====
+            modelBuilder.Entity<RouteSnapshot>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+
+                entity.Property(e => e.Description).HasMaxLength(200).IsRequired();
+                entity.Property(e => e.Data).HasColumnType("jsonb").IsRequired();
+                entity.Property(e => e.CreatedAt).IsRequired();
+
+                entity.HasOne(e => e.Route)
+                      .WithMany()
+                      .HasForeignKey(e => e.RouteId)
+                      .OnDelete(DeleteBehavior.Cascade);
+
+                // Index for the history of a route (newest first)
+                entity.HasIndex(e => new { e.RouteId, e.CreatedAt });
+            });
+
+            // ===== RouteShare Configuration (public read-only links) =====
+            modelBuilder.Entity<RouteShare>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+
+                entity.Property(e => e.Token).HasMaxLength(64).IsRequired();
+                entity.Property(e => e.HideNotes).HasDefaultValue(false);
+                entity.Property(e => e.HideExactTimes).HasDefaultValue(false);
+                entity.Property(e => e.CreatedAt).IsRequired();
+                entity.Property(e => e.UpdatedAt).IsRequired();
+
+                entity.HasOne(e => e.Route)
+                      .WithMany()
+                      .HasForeignKey(e => e.RouteId)
+                      .OnDelete(DeleteBehavior.Cascade);
+
+                // One link per route, looked up by its token
+                entity.HasIndex(e => e.RouteId).IsUnique();
+                entity.HasIndex(e => e.Token).IsUnique();
+            });
+
+            // ===== RouteCollaborator Configuration (shared editing) =====
+            modelBuilder.Entity<RouteCollaborator>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+
+                entity.Property(e => e.Role).IsRequired().HasDefaultValue(RouteRole.Viewer);
+                entity.Property(e => e.CreatedAt).IsRequired();
+
+                entity.HasOne(e => e.Route)
+                      .WithMany(r => r.Collaborators)
+                      .HasForeignKey(e => e.RouteId)
+                      .OnDelete(DeleteBehavior.Cascade);
+
+                entity.HasOne(e => e.User)
+                      .WithMany()
+                      .HasForeignKey(e => e.UserId)
+                      .OnDelete(DeleteBehavior.Cascade);
+
+                // A user is invited once per route; UserId for "routes shared with me"
+                entity.HasIndex(e => new { e.RouteId, e.UserId }).IsUnique();
+                entity.HasIndex(e => e.UserId);
+            });
+
             // GoogleMapsCache Konfiguration
             modelBuilder.Entity<GoogleMapsCache>(entity =>
             {
@@ -0,0 +1,49 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RoutePlanner.API.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddDailyDrivingLimits : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<TimeOnly>(
+                name: "LatestArrivalTime",
+                table: "Routes",
+                type: "time without time zone",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "MaxDrivingKmPerDay",
+                table: "Routes",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "MaxDrivingMinutesPerDay",
+                table: "Routes",
+                type: "integer",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "LatestArrivalTime",
+                table: "Routes");
+
+            migrationBuilder.DropColumn(
+                name: "MaxDrivingKmPerDay",
+                table: "Routes");
+
+            migrationBuilder.DropColumn(
+                name: "MaxDrivingMinutesPerDay",
+                table: "Routes");
+        }
+    }
+}
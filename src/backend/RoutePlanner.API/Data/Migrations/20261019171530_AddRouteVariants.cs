@@ -0,0 +1,49 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RoutePlanner.API.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddRouteVariants : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "ParentRouteId",
+                table: "Routes",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Routes_ParentRouteId",
+                table: "Routes",
+                column: "ParentRouteId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Routes_Routes_ParentRouteId",
+                table: "Routes",
+                column: "ParentRouteId",
+                principalTable: "Routes",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_Routes_Routes_ParentRouteId",
+                table: "Routes");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Routes_ParentRouteId",
+                table: "Routes");
+
+            migrationBuilder.DropColumn(
+                name: "ParentRouteId",
+                table: "Routes");
+        }
+    }
+}
@@ -0,0 +1,93 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace RoutePlanner.API.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddRouteCollaborators : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "AddedByUserId",
+                table: "RoutePlaces",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateTable(
+                name: "RouteCollaborators",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    RouteId = table.Column<int>(type: "integer", nullable: false),
+                    UserId = table.Column<int>(type: "integer", nullable: false),
+                    Role = table.Column<int>(type: "integer", nullable: false, defaultValue: 0),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_RouteCollaborators", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_RouteCollaborators_Routes_RouteId",
+                        column: x => x.RouteId,
+                        principalTable: "Routes",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                    table.ForeignKey(
+                        name: "FK_RouteCollaborators_Users_UserId",
+                        column: x => x.UserId,
+                        principalTable: "Users",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_RoutePlaces_AddedByUserId",
+                table: "RoutePlaces",
+                column: "AddedByUserId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_RouteCollaborators_RouteId_UserId",
+                table: "RouteCollaborators",
+                columns: new[] { "RouteId", "UserId" },
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_RouteCollaborators_UserId",
+                table: "RouteCollaborators",
+                column: "UserId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_RoutePlaces_Users_AddedByUserId",
+                table: "RoutePlaces",
+                column: "AddedByUserId",
+                principalTable: "Users",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_RoutePlaces_Users_AddedByUserId",
+                table: "RoutePlaces");
+
+            migrationBuilder.DropTable(
+                name: "RouteCollaborators");
+
+            migrationBuilder.DropIndex(
+                name: "IX_RoutePlaces_AddedByUserId",
+                table: "RoutePlaces");
+
+            migrationBuilder.DropColumn(
+                name: "AddedByUserId",
+                table: "RoutePlaces");
+        }
+    }
+}
@@ -0,0 +1,21 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.SignalR;
+
+namespace RoutePlanner.API.Hubs
+{
+    /// <summary>
+    /// Push channel for live sync of routes (/api/hubs/routes)
+    /// Clients only listen - IRouteSyncService sends "RouteChanged" with a RouteChangeDto
+    /// to the owner and collaborators of a route after every change
+    /// </summary>
+    [Authorize]
+    public class RouteHub : Hub
+    {
+        public const string RouteChangedMethod = "RouteChanged";
+
+        /// <summary>
+        /// Header the frontend sends its hub connection ID in, so a tab can tell its own changes apart
+        /// </summary>
+        public const string ConnectionIdHeader = "X-Connection-Id";
+    }
+}
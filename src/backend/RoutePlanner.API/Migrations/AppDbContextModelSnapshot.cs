@@ -1,5 +1,6 @@
 ﻿// <auto-generated />
 using System;
+using System.Collections.Generic;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.EntityFrameworkCore.Infrastructure;
 using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
@@ -941,11 +942,23 @@ namespace RoutePlanner.API.Migrations
                     b.Property<DateTimeOffset?>("EndDateTime")
                         .HasColumnType("timestamptz");
 
+                    b.Property<TimeOnly?>("LatestArrivalTime")
+                        .HasColumnType("time without time zone");
+
+                    b.Property<int?>("MaxDrivingKmPerDay")
+                        .HasColumnType("integer");
+
+                    b.Property<int?>("MaxDrivingMinutesPerDay")
+                        .HasColumnType("integer");
+
                     b.Property<string>("Name")
                         .IsRequired()
                         .HasMaxLength(200)
                         .HasColumnType("character varying(200)");
 
+                    b.Property<int?>("ParentRouteId")
+                        .HasColumnType("integer");
+
                     b.Property<DateTimeOffset?>("StartDateTime")
                         .HasColumnType("timestamptz");
 
@@ -954,14 +967,23 @@ namespace RoutePlanner.API.Migrations
                         .HasMaxLength(100)
                         .HasColumnType("character varying(100)");
 
+                    b.Property<bool>("TimeZoneIsExplicit")
+                        .HasColumnType("boolean");
+
                     b.Property<DateTime>("UpdatedAt")
                         .HasColumnType("timestamp with time zone");
 
                     b.Property<int>("UserId")
                         .HasColumnType("integer");
 
+                    b.Property<int>("Version")
+                        .IsConcurrencyToken()
+                        .HasColumnType("integer");
+
                     b.HasKey("Id");
 
+                    b.HasIndex("ParentRouteId");
+
                     b.HasIndex("UserId");
 
                     b.ToTable("Routes");
@@ -974,11 +996,45 @@ namespace RoutePlanner.API.Migrations
                             Description = "The best of New Zealand",
                             Name = "New Zealand Highlights",
                             TimeZoneId = "Europe/Berlin",
+                            TimeZoneIsExplicit = false,
                             UpdatedAt = new DateTime(2025, 1, 1, 0, 0, 0, 0, DateTimeKind.Utc),
-                            UserId = 1
+                            UserId = 1,
+                            Version = 0
                         });
                 });
 
+            modelBuilder.Entity("RoutePlanner.API.Models.RouteCollaborator", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer");
+
+                    NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<int>("Role")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer")
+                        .HasDefaultValue(0);
+
+                    b.Property<int>("RouteId")
+                        .HasColumnType("integer");
+
+                    b.Property<int>("UserId")
+                        .HasColumnType("integer");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("UserId");
+
+                    b.HasIndex("RouteId", "UserId")
+                        .IsUnique();
+
+                    b.ToTable("RouteCollaborators");
+                });
+
             modelBuilder.Entity("RoutePlanner.API.Models.RouteLeg", b =>
                 {
                     b.Property<int>("Id")
@@ -1002,6 +1058,11 @@ namespace RoutePlanner.API.Migrations
                     b.Property<LineString>("Geometry")
                         .HasColumnType("geometry (linestring, 4326)");
 
+                    b.Property<int>("Mode")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer")
+                        .HasDefaultValue(0);
+
                     b.Property<int>("OrderIndex")
                         .HasColumnType("integer");
 
@@ -1046,6 +1107,9 @@ namespace RoutePlanner.API.Migrations
 
                     NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
 
+                    b.Property<int?>("AddedByUserId")
+                        .HasColumnType("integer");
+
                     b.Property<bool>("IsEndLocked")
                         .ValueGeneratedOnAdd()
                         .HasColumnType("boolean")
@@ -1088,6 +1152,8 @@ namespace RoutePlanner.API.Migrations
 
                     b.HasKey("Id");
 
+                    b.HasIndex("AddedByUserId");
+
                     b.HasIndex("PlaceId");
 
                     b.HasIndex("PlannedEnd");
@@ -1132,6 +1198,86 @@ namespace RoutePlanner.API.Migrations
                         });
                 });
 
+            modelBuilder.Entity("RoutePlanner.API.Models.RouteShare", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer");
+
+                    NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<bool>("HideExactTimes")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("boolean")
+                        .HasDefaultValue(false);
+
+                    b.Property<bool>("HideNotes")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("boolean")
+                        .HasDefaultValue(false);
+
+                    b.Property<List<int>>("PrivateNotePlaceIds")
+                        .IsRequired()
+                        .HasColumnType("integer[]");
+
+                    b.Property<int>("RouteId")
+                        .HasColumnType("integer");
+
+                    b.Property<string>("Token")
+                        .IsRequired()
+                        .HasMaxLength(64)
+                        .HasColumnType("character varying(64)");
+
+                    b.Property<DateTime>("UpdatedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("RouteId")
+                        .IsUnique();
+
+                    b.HasIndex("Token")
+                        .IsUnique();
+
+                    b.ToTable("RouteShares");
+                });
+
+            modelBuilder.Entity("RoutePlanner.API.Models.RouteSnapshot", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("integer");
+
+                    NpgsqlPropertyBuilderExtensions.UseIdentityByDefaultColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<string>("Data")
+                        .IsRequired()
+                        .HasColumnType("jsonb");
+
+                    b.Property<string>("Description")
+                        .IsRequired()
+                        .HasMaxLength(200)
+                        .HasColumnType("character varying(200)");
+
+                    b.Property<int>("RouteId")
+                        .HasColumnType("integer");
+
+                    b.Property<int>("StopCount")
+                        .HasColumnType("integer");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("RouteId", "CreatedAt");
+
+                    b.ToTable("RouteSnapshots");
+                });
+
             modelBuilder.Entity("RoutePlanner.API.Models.UserCampsite", b =>
                 {
                     b.Property<int>("UserId")
@@ -1285,12 +1431,38 @@ namespace RoutePlanner.API.Migrations
 
             modelBuilder.Entity("RoutePlanner.API.Models.Route", b =>
                 {
+                    b.HasOne("RoutePlanner.API.Models.Route", "ParentRoute")
+                        .WithMany()
+                        .HasForeignKey("ParentRouteId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
                     b.HasOne("RoutePlanner.API.Models.ApplicationUser", "User")
                         .WithMany("Routes")
                         .HasForeignKey("UserId")
                         .OnDelete(DeleteBehavior.Cascade)
                         .IsRequired();
 
+                    b.Navigation("ParentRoute");
+
+                    b.Navigation("User");
+                });
+
+            modelBuilder.Entity("RoutePlanner.API.Models.RouteCollaborator", b =>
+                {
+                    b.HasOne("RoutePlanner.API.Models.Route", "Route")
+                        .WithMany("Collaborators")
+                        .HasForeignKey("RouteId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.HasOne("RoutePlanner.API.Models.ApplicationUser", "User")
+                        .WithMany()
+                        .HasForeignKey("UserId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("Route");
+
                     b.Navigation("User");
                 });
 
@@ -1323,6 +1495,11 @@ namespace RoutePlanner.API.Migrations
 
             modelBuilder.Entity("RoutePlanner.API.Models.RoutePlace", b =>
                 {
+                    b.HasOne("RoutePlanner.API.Models.ApplicationUser", "AddedByUser")
+                        .WithMany()
+                        .HasForeignKey("AddedByUserId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
                     b.HasOne("RoutePlanner.API.Models.Place", "Place")
                         .WithMany("RoutePlaces")
                         .HasForeignKey("PlaceId")
@@ -1335,11 +1512,35 @@ namespace RoutePlanner.API.Migrations
                         .OnDelete(DeleteBehavior.Cascade)
                         .IsRequired();
 
+                    b.Navigation("AddedByUser");
+
                     b.Navigation("Place");
 
                     b.Navigation("Route");
                 });
 
+            modelBuilder.Entity("RoutePlanner.API.Models.RouteShare", b =>
+                {
+                    b.HasOne("RoutePlanner.API.Models.Route", "Route")
+                        .WithMany()
+                        .HasForeignKey("RouteId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("Route");
+                });
+
+            modelBuilder.Entity("RoutePlanner.API.Models.RouteSnapshot", b =>
+                {
+                    b.HasOne("RoutePlanner.API.Models.Route", "Route")
+                        .WithMany()
+                        .HasForeignKey("RouteId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("Route");
+                });
+
             modelBuilder.Entity("RoutePlanner.API.Models.UserCampsite", b =>
                 {
                     b.HasOne("RoutePlanner.API.Models.Campsite", "Campsite")
@@ -1403,6 +1604,8 @@ namespace RoutePlanner.API.Migrations
 
             modelBuilder.Entity("RoutePlanner.API.Models.Route", b =>
                 {
+                    b.Navigation("Collaborators");
+
                     b.Navigation("Legs");
 
                     b.Navigation("Places");
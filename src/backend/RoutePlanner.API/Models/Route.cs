@@ -29,6 +29,7 @@ namespace RoutePlanner.API.Models
         // Schedule Settings
         [MaxLength(100)]
         public string TimeZoneId { get; set; } = "Europe/Berlin"; // IANA timezone
+        public bool TimeZoneIsExplicit { get; set; } // Chosen by the user - not derived from the first stop anymore
 
         public DateTimeOffset? StartDateTime { get; set; }
         public DateTimeOffset? EndDateTime { get; set; }
@@ -37,13 +38,31 @@ namespace RoutePlanner.API.Models
         public TimeOnly? DefaultArrivalTime { get; set; }
         public TimeOnly? DefaultDepartureTime { get; set; }
 
+        // Daily driving limits (null = no limit)
+        public int? MaxDrivingMinutesPerDay { get; set; }
+        public int? MaxDrivingKmPerDay { get; set; }
+        public TimeOnly? LatestArrivalTime { get; set; }
+
+        /// <summary>
+        /// Route this one was duplicated from (alternative plan), null for original routes
+        /// </summary>
+        public int? ParentRouteId { get; set; }
+
+        /// <summary>
+        /// Increased with every change of the stop list (concurrency token) - clients send the
+        /// version they last saw with reorders, so a reorder based on stale stops is rejected
+        /// </summary>
+        public int Version { get; set; }
+
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
         public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
 
         // Navigation Properties
         public ApplicationUser User { get; set; } = null!;
+        public Route? ParentRoute { get; set; }
         public List<RoutePlace> Places { get; set; } = new();
         public List<RouteLeg> Legs { get; set; } = new();
+        public List<RouteCollaborator> Collaborators { get; set; } = new();
     }
 
     public class RoutePlace
@@ -72,7 +91,11 @@ namespace RoutePlanner.API.Models
         public bool IsStartLocked { get; set; } = false;
         public bool IsEndLocked { get; set; } = false;
 
+        // User who added the stop (null for stops added before routes could be shared)
+        public int? AddedByUserId { get; set; }
+
         public Route? Route { get; set; }
         public Place? Place { get; set; }
+        public ApplicationUser? AddedByUser { get; set; }
     }
 }
\ No newline at end of file
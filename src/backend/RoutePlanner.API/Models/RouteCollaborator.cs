@@ -0,0 +1,34 @@
+namespace RoutePlanner.API.Models
+{
+    /// <summary>
+    /// Role of a user on a route - each role includes the rights of the roles below it
+    /// </summary>
+    public enum RouteRole
+    {
+        Viewer = 0, // Sees the route, its schedule and history
+        Editor = 1, // Changes stops, schedule and legs
+        Owner = 2   // Also deletes the route, shares it and invites collaborators
+    }
+
+    /// <summary>
+    /// Registered user invited to another user's route as viewer or editor
+    /// The owner is Route.UserId and has no collaborator entry
+    /// </summary>
+    public class RouteCollaborator
+    {
+        public int Id { get; set; }
+        public int RouteId { get; set; }
+        public int UserId { get; set; }
+
+        /// <summary>
+        /// Viewer or Editor
+        /// </summary>
+        public RouteRole Role { get; set; } = RouteRole.Viewer;
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        // Navigation Properties
+        public Route Route { get; set; } = null!;
+        public ApplicationUser User { get; set; } = null!;
+    }
+}
@@ -4,8 +4,22 @@ using NetTopologySuite.Geometries;
 namespace RoutePlanner.API.Models
 {
     /// <summary>
-    /// Stores OSRM routing data between consecutive stops
-    /// Persists distance/time/geometry for offline access
+    /// How a leg is travelled - only Drive legs are routed with OSRM
+    /// </summary>
+    public enum TransportMode
+    {
+        Drive = 0,
+        Ferry = 1,
+        Flight = 2,
+        Walk = 3,
+        Bike = 4,
+        Manual = 5
+    }
+
+    /// <summary>
+    /// Stores routing data between consecutive stops
+    /// Persists distance/time/geometry for offline access - from OSRM for Drive legs,
+    /// entered manually (no geometry) for all other transport modes
     /// </summary>
     public class RouteLeg
     {
@@ -30,6 +44,11 @@ namespace RoutePlanner.API.Models
         [MaxLength(50)]
         public string Provider { get; set; } = "OSRM";
 
+        /// <summary>
+        /// Transport mode - non-Drive legs keep their manual distance/duration when legs are recalculated
+        /// </summary>
+        public TransportMode Mode { get; set; } = TransportMode.Drive;
+
         public DateTime CalculatedAt { get; set; } = DateTime.UtcNow;
 
         /// <summary>
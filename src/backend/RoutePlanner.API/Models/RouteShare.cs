@@ -0,0 +1,41 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace RoutePlanner.API.Models
+{
+    /// <summary>
+    /// Public read-only link to a route - anyone with the token can view the trip without an account
+    /// Deleting the share revokes the link, sharing again creates a new token
+    /// </summary>
+    public class RouteShare
+    {
+        public int Id { get; set; }
+        public int RouteId { get; set; }
+
+        /// <summary>
+        /// Unguessable URL-safe random token (256 bit)
+        /// </summary>
+        [MaxLength(64)]
+        public required string Token { get; set; }
+
+        /// <summary>
+        /// Don't show any place notes on the shared page
+        /// </summary>
+        public bool HideNotes { get; set; } = false;
+
+        /// <summary>
+        /// Show on which days the stops are, not at what time
+        /// </summary>
+        public bool HideExactTimes { get; set; } = false;
+
+        /// <summary>
+        /// Places whose notes are private and never shown on the shared page
+        /// </summary>
+        public List<int> PrivateNotePlaceIds { get; set; } = new();
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+        // Navigation Properties
+        public Route Route { get; set; } = null!;
+    }
+}
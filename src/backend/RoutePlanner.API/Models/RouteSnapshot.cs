@@ -0,0 +1,32 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace RoutePlanner.API.Models
+{
+    /// <summary>
+    /// Version of a route's stop list and schedule, recorded after each change
+    /// Used for the route history and to restore an earlier version
+    /// </summary>
+    public class RouteSnapshot
+    {
+        public int Id { get; set; }
+        public int RouteId { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        /// <summary>
+        /// What changed, e.g. "Added Lyon" or "Reordered stops"
+        /// </summary>
+        [MaxLength(200)]
+        public string Description { get; set; } = string.Empty;
+
+        public int StopCount { get; set; }
+
+        /// <summary>
+        /// Serialized RouteSnapshotContentDto (JSONB) - schedule settings, stops and legs
+        /// </summary>
+        public string Data { get; set; } = "{}";
+
+        // Navigation Properties
+        public Route Route { get; set; } = null!;
+    }
+}
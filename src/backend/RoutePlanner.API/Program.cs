@@ -5,6 +5,7 @@ using Microsoft.IdentityModel.Tokens;
 using Microsoft.OpenApi.Models;
 using System.Text;
 using RoutePlanner.API.Data;
+using RoutePlanner.API.Hubs;
 using RoutePlanner.API.Models;
 using RoutePlanner.API.Services;
 
@@ -71,6 +72,23 @@ builder.Services.AddScoped<IRouteScheduleService, RouteScheduleService>();
 builder.Services.AddScoped<IRouteLegService, RouteLegService>();
 builder.Services.AddScoped<IRouteConflictService, RouteConflictService>();
 
+// Route history (snapshots of stops and schedule)
+builder.Services.AddScoped<IRouteHistoryService, RouteHistoryService>();
+
+// Public read-only route links
+builder.Services.AddScoped<IRouteShareService, RouteShareService>();
+
+// Routes shared with other users (viewer/editor roles)
+builder.Services.AddScoped<IRouteCollaboratorService, RouteCollaboratorService>();
+
+// Live sync of route changes between members (SignalR hub)
+builder.Services.AddSignalR();
+builder.Services.AddHttpContextAccessor();
+builder.Services.AddScoped<IRouteSyncService, RouteSyncService>();
+
+// Offline time zone lookup (boundary data is loaded once per process)
+builder.Services.AddSingleton<ITimeZoneLookupService, TimeZoneLookupService>();
+
 // HttpClient and Service for Park4Night Scraper
 builder.Services.AddHttpClient<Park4NightScraperService>();
 builder.Services.AddScoped<Park4NightScraperService>();
@@ -133,6 +151,20 @@ builder.Services.AddAuthentication(options =>
         ValidateLifetime = true,
         ClockSkew = TimeSpan.Zero // No tolerance for expiration
     };
+
+    // WebSockets can't send headers - the hub client passes the token in the query string
+    options.Events = new JwtBearerEvents
+    {
+        OnMessageReceived = context =>
+        {
+            var accessToken = context.Request.Query["access_token"];
+            if (!string.IsNullOrEmpty(accessToken) && context.HttpContext.Request.Path.StartsWithSegments("/api/hubs"))
+            {
+                context.Token = accessToken;
+            }
+            return Task.CompletedTask;
+        }
+    };
 });
 
 // Email Service
@@ -169,6 +201,7 @@ app.UseAuthentication(); // CRITICAL: Must come before UseAuthorization
 app.UseAuthorization();
 
 app.MapControllers();
+app.MapHub<RouteHub>("/api/hubs/routes");
 
 // Database automatisch migrieren (nur in Development)
 if (app.Environment.IsDevelopment())
@@ -56,6 +56,23 @@ namespace RoutePlanner.API.Services
             return lineString;
         }
 
+        /// <summary>
+        /// Great-circle distance between two points (haversine)
+        /// </summary>
+        /// <returns>Distance in meters</returns>
+        public static double HaversineDistanceMeters(Point from, Point to)
+        {
+            const double earthRadiusMeters = 6371000;
+            var lat1 = from.Y * Math.PI / 180;
+            var lat2 = to.Y * Math.PI / 180;
+            var dLat = lat2 - lat1;
+            var dLon = (to.X - from.X) * Math.PI / 180;
+
+            var a = Math.Sin(dLat / 2) * Math.Sin(dLat / 2) +
+                    Math.Cos(lat1) * Math.Cos(lat2) * Math.Sin(dLon / 2) * Math.Sin(dLon / 2);
+            return earthRadiusMeters * 2 * Math.Atan2(Math.Sqrt(a), Math.Sqrt(1 - a));
+        }
+
         /// <summary>
         /// Convert LineString to GeoJSON coordinate array for frontend
         /// Returns [[lon, lat], [lon, lat], ...]
@@ -19,5 +19,12 @@ namespace RoutePlanner.API.Services
         /// <param name="coordinates">Coordinate string in OSRM format: "lon,lat;lon,lat;..."</param>
         /// <returns>Raw JSON response from OSRM API</returns>
         Task<string> GetRouteRaw(string coordinates);
+
+        /// <summary>
+        /// Get duration/distance matrix as raw OSRM table response (for proxy endpoint)
+        /// </summary>
+        /// <param name="coordinates">Coordinate string in OSRM format: "lon,lat;lon,lat;..." (may include query string)</param>
+        /// <returns>Raw JSON response from OSRM table API</returns>
+        Task<string> GetTableRaw(string coordinates);
     }
 }
@@ -0,0 +1,37 @@
+using RoutePlanner.API.DTOs;
+using RoutePlanner.API.Models;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for routes shared with other registered users and their roles
+    /// </summary>
+    public interface IRouteCollaboratorService
+    {
+        /// <summary>
+        /// Gets the role of a user on a route (null if the route doesn't exist or the user has no access)
+        /// </summary>
+        Task<RouteRole?> GetRole(int routeId, int userId);
+
+        /// <summary>
+        /// Gets the owner and collaborators of a route
+        /// </summary>
+        Task<RouteMembersDto> GetMembers(int routeId, int currentUserId);
+
+        /// <summary>
+        /// Invites a registered user by email as viewer or editor
+        /// Throws InvalidOperationException if no user has this email, ArgumentException if the user can't be invited
+        /// </summary>
+        Task<RouteCollaboratorDto> InviteCollaborator(int routeId, string email, RouteRole role);
+
+        /// <summary>
+        /// Changes the role of a collaborator (null if the user isn't a collaborator)
+        /// </summary>
+        Task<RouteCollaboratorDto?> UpdateRole(int routeId, int userId, RouteRole role);
+
+        /// <summary>
+        /// Removes a collaborator from a route - returns false if the user isn't a collaborator
+        /// </summary>
+        Task<bool> RemoveCollaborator(int routeId, int userId);
+    }
+}
@@ -0,0 +1,38 @@
+using RoutePlanner.API.DTOs;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for the version history of a route's stop list and schedule
+    /// </summary>
+    public interface IRouteHistoryService
+    {
+        /// <summary>
+        /// Records the current state of a route when it has no history yet, so the first change can be undone
+        /// Call before changing the route - failures are logged, not thrown
+        /// </summary>
+        Task EnsureBaselineSnapshot(int routeId);
+
+        /// <summary>
+        /// Records the current state of a route after a change (skipped when nothing changed since the
+        /// latest snapshot), keeping the most recent snapshots only - failures are logged, not thrown
+        /// </summary>
+        Task CaptureSnapshot(int routeId, string description);
+
+        /// <summary>
+        /// Gets the history of a route, newest first
+        /// </summary>
+        Task<List<RouteSnapshotListDto>> GetSnapshots(int routeId);
+
+        /// <summary>
+        /// Gets a snapshot with its stops, legs and schedule settings (null if not found)
+        /// </summary>
+        Task<RouteSnapshotDto?> GetSnapshot(int routeId, int snapshotId);
+
+        /// <summary>
+        /// Restores stops, schedule settings and legs of a snapshot
+        /// Stops whose place was deleted in the meantime are skipped, driven legs are routed again with OSRM
+        /// </summary>
+        Task<RestoreRouteSnapshotResultDto> RestoreSnapshot(int routeId, int snapshotId);
+    }
+}
@@ -1,3 +1,5 @@
+using RoutePlanner.API.Models;
+
 namespace RoutePlanner.API.Services
 {
     /// <summary>
@@ -18,10 +20,17 @@ namespace RoutePlanner.API.Services
 
         /// <summary>
         /// Recalculates all route legs using OSRM
-        /// Loads ordered stops, calls OSRM once for entire route, updates legs with metrics and geometry
+        /// Loads ordered stops, calls OSRM once per run of Drive legs, updates legs with metrics and geometry;
+        /// legs with another transport mode keep their manual metrics
         /// </summary>
         Task RecalculateLegsFromOsrm(int routeId);
 
+        /// <summary>
+        /// Sets a leg's transport mode - non-Drive legs get the given (or estimated) metrics and no geometry,
+        /// switching back to Drive routes the leg with OSRM again
+        /// </summary>
+        Task UpdateLegMode(int routeId, int legId, TransportMode mode, int? distanceMeters, int? durationSeconds);
+
         /// <summary>
         /// Updates the schedule (PlannedStart/PlannedEnd) for a specific leg
         /// </summary>
@@ -0,0 +1,30 @@
+using RoutePlanner.API.DTOs;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for public read-only links to routes
+    /// </summary>
+    public interface IRouteShareService
+    {
+        /// <summary>
+        /// Gets the share of a route (null if the route isn't shared)
+        /// </summary>
+        Task<RouteShareDto?> GetShare(int routeId);
+
+        /// <summary>
+        /// Shares a route with a new unguessable token, or updates what its existing link hides
+        /// </summary>
+        Task<RouteShareDto> SaveShare(int routeId, UpdateRouteShareDto dto);
+
+        /// <summary>
+        /// Revokes the link of a route - returns false if the route wasn't shared
+        /// </summary>
+        Task<bool> RevokeShare(int routeId);
+
+        /// <summary>
+        /// Gets the trip for a share token with hidden notes and times removed (null if the token is unknown)
+        /// </summary>
+        Task<SharedTripDto?> GetSharedTrip(string token);
+    }
+}
@@ -0,0 +1,15 @@
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for live sync of routes between the members editing them
+    /// </summary>
+    public interface IRouteSyncService
+    {
+        /// <summary>
+        /// Pushes a change of a route to the owner and collaborators (and alsoNotifyUserIds, e.g. members
+        /// of a deleted route or a removed collaborator) with the current route version. Returns the
+        /// version - failures to push are logged, not thrown
+        /// </summary>
+        Task<int> PublishChange(int routeId, string kind, List<int>? placeIds = null, IEnumerable<int>? alsoNotifyUserIds = null);
+    }
+}
@@ -0,0 +1,16 @@
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Offline lookup of IANA time zones from coordinates (bundled boundary data, no external API)
+    /// </summary>
+    public interface ITimeZoneLookupService
+    {
+        /// <summary>
+        /// Get the IANA time zone at a location
+        /// </summary>
+        /// <param name="latitude">Latitude in degrees</param>
+        /// <param name="longitude">Longitude in degrees</param>
+        /// <returns>IANA zone id (e.g. "Europe/Berlin"), "Etc/GMT±N" on open sea</returns>
+        string GetTimeZoneId(double latitude, double longitude);
+    }
+}
@@ -124,5 +124,31 @@ namespace RoutePlanner.API.Services
                 throw new TimeoutException("Routing service request timed out", ex);
             }
         }
+
+        public async Task<string> GetTableRaw(string coordinates)
+        {
+            var profile = _configuration["Osrm:Profile"] ?? "driving";
+            var url = $"/table/v1/{profile}/{coordinates}";
+
+            _logger.LogInformation("OSRM table request: {Url}", url);
+
+            try
+            {
+                var response = await _httpClient.GetAsync(url);
+                response.EnsureSuccessStatusCode();
+
+                return await response.Content.ReadAsStringAsync();
+            }
+            catch (HttpRequestException ex)
+            {
+                _logger.LogError(ex, "OSRM table request failed");
+                throw new InvalidOperationException("Routing service unavailable", ex);
+            }
+            catch (TaskCanceledException ex)
+            {
+                _logger.LogError(ex, "OSRM table request timeout");
+                throw new TimeoutException("Routing service request timed out", ex);
+            }
+        }
     }
 }
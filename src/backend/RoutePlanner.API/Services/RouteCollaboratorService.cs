@@ -0,0 +1,177 @@
+using Microsoft.AspNetCore.Identity;
+using Microsoft.EntityFrameworkCore;
+using RoutePlanner.API.Data;
+using RoutePlanner.API.DTOs;
+using RoutePlanner.API.Models;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for routes shared with other registered users and their roles
+    /// </summary>
+    public class RouteCollaboratorService : IRouteCollaboratorService
+    {
+        private readonly AppDbContext _context;
+        private readonly UserManager<ApplicationUser> _userManager;
+        private readonly ILogger<RouteCollaboratorService> _logger;
+
+        public RouteCollaboratorService(
+            AppDbContext context,
+            UserManager<ApplicationUser> userManager,
+            ILogger<RouteCollaboratorService> logger)
+        {
+            _context = context;
+            _userManager = userManager;
+            _logger = logger;
+        }
+
+        public async Task<RouteRole?> GetRole(int routeId, int userId)
+        {
+            var ownerId = await _context.Routes
+                .Where(r => r.Id == routeId)
+                .Select(r => (int?)r.UserId)
+                .FirstOrDefaultAsync();
+
+            if (ownerId == null)
+            {
+                return null;
+            }
+
+            if (ownerId == userId)
+            {
+                return RouteRole.Owner;
+            }
+
+            return await _context.RouteCollaborators
+                .Where(c => c.RouteId == routeId && c.UserId == userId)
+                .Select(c => (RouteRole?)c.Role)
+                .FirstOrDefaultAsync();
+        }
+
+        public async Task<RouteMembersDto> GetMembers(int routeId, int currentUserId)
+        {
+            var route = await _context.Routes
+                .AsNoTracking()
+                .Include(r => r.User)
+                .Include(r => r.Collaborators)
+                    .ThenInclude(c => c.User)
+                .FirstOrDefaultAsync(r => r.Id == routeId)
+                ?? throw new InvalidOperationException("Route not found");
+
+            var collaborators = route.Collaborators
+                .OrderByDescending(c => c.Role)
+                .ThenBy(c => c.CreatedAt)
+                .Select(MapToCollaboratorDto)
+                .ToList();
+
+            return new RouteMembersDto
+            {
+                Owner = new RouteCollaboratorDto
+                {
+                    UserId = route.UserId,
+                    Name = GetDisplayName(route.User),
+                    Email = route.User.Email,
+                    Role = RouteRole.Owner
+                },
+                Collaborators = collaborators,
+                CurrentUserId = currentUserId,
+                CurrentUserRole = route.UserId == currentUserId
+                    ? RouteRole.Owner
+                    : collaborators.First(c => c.UserId == currentUserId).Role
+            };
+        }
+
+        public async Task<RouteCollaboratorDto> InviteCollaborator(int routeId, string email, RouteRole role)
+        {
+            if (role == RouteRole.Owner)
+            {
+                throw new ArgumentException("Collaborators can be viewers or editors");
+            }
+
+            var user = await _userManager.FindByEmailAsync(email.Trim())
+                ?? throw new InvalidOperationException("No registered user with this email");
+
+            var route = await _context.Routes
+                .Include(r => r.Collaborators)
+                .FirstOrDefaultAsync(r => r.Id == routeId)
+                ?? throw new InvalidOperationException("Route not found");
+
+            if (route.UserId == user.Id)
+            {
+                throw new ArgumentException("The owner of the route can't be invited");
+            }
+
+            if (route.Collaborators.Any(c => c.UserId == user.Id))
+            {
+                throw new ArgumentException($"{GetDisplayName(user)} already has access to this route");
+            }
+
+            var collaborator = new RouteCollaborator
+            {
+                RouteId = routeId,
+                UserId = user.Id,
+                Role = role,
+                User = user
+            };
+            _context.RouteCollaborators.Add(collaborator);
+            await _context.SaveChangesAsync();
+
+            _logger.LogInformation($"Invited user {user.Id} to route {routeId} as {role}");
+            return MapToCollaboratorDto(collaborator);
+        }
+
+        public async Task<RouteCollaboratorDto?> UpdateRole(int routeId, int userId, RouteRole role)
+        {
+            if (role == RouteRole.Owner)
+            {
+                throw new ArgumentException("Collaborators can be viewers or editors");
+            }
+
+            var collaborator = await _context.RouteCollaborators
+                .Include(c => c.User)
+                .FirstOrDefaultAsync(c => c.RouteId == routeId && c.UserId == userId);
+
+            if (collaborator == null)
+            {
+                return null;
+            }
+
+            collaborator.Role = role;
+            await _context.SaveChangesAsync();
+            return MapToCollaboratorDto(collaborator);
+        }
+
+        public async Task<bool> RemoveCollaborator(int routeId, int userId)
+        {
+            var collaborator = await _context.RouteCollaborators
+                .FirstOrDefaultAsync(c => c.RouteId == routeId && c.UserId == userId);
+
+            if (collaborator == null)
+            {
+                return false;
+            }
+
+            _context.RouteCollaborators.Remove(collaborator);
+            await _context.SaveChangesAsync();
+            _logger.LogInformation($"Removed user {userId} from route {routeId}");
+            return true;
+        }
+
+        private static string GetDisplayName(ApplicationUser user)
+        {
+            return user.UserName ?? user.Email ?? $"User {user.Id}";
+        }
+
+        private static RouteCollaboratorDto MapToCollaboratorDto(RouteCollaborator collaborator)
+        {
+            return new RouteCollaboratorDto
+            {
+                UserId = collaborator.UserId,
+                Name = GetDisplayName(collaborator.User),
+                Email = collaborator.User.Email,
+                Role = collaborator.Role,
+                CreatedAt = collaborator.CreatedAt
+            };
+        }
+    }
+}
@@ -170,7 +170,15 @@ namespace RoutePlanner.API.Services
                 return;
             }
 
-            // Two-pass update to avoid unique constraint violations
+            // Two-pass update to avoid unique constraint violations - the version changes with the
+            // first pass, so reorders based on the old order are rejected
+            var route = await _context.Routes.FindAsync(routeId);
+            if (route != null)
+            {
+                route.Version++;
+                route.UpdatedAt = DateTime.UtcNow;
+            }
+
             for (int i = 0; i < stops.Count; i++)
             {
                 stops[i].OrderIndex = -(i + 1);
@@ -182,12 +190,6 @@ namespace RoutePlanner.API.Services
                 stops[i].OrderIndex = i;
             }
 
-            var route = await _context.Routes.FindAsync(routeId);
-            if (route != null)
-            {
-                route.UpdatedAt = DateTime.UtcNow;
-            }
-
             await _context.SaveChangesAsync();
 
             _logger.LogInformation($"Applied time-based order to route {routeId}: {stops.Count} stops reordered");
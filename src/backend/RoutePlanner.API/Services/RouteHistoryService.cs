@@ -0,0 +1,391 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using RoutePlanner.API.Data;
+using RoutePlanner.API.DTOs;
+using RoutePlanner.API.Models;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for the version history of a route's stop list and schedule
+    /// </summary>
+    public class RouteHistoryService : IRouteHistoryService
+    {
+        // Older snapshots are deleted when a route has more
+        private const int MaxSnapshotsPerRoute = 50;
+
+        private readonly AppDbContext _context;
+        private readonly IRouteLegService _legService;
+        private readonly ILogger<RouteHistoryService> _logger;
+
+        public RouteHistoryService(
+            AppDbContext context,
+            IRouteLegService legService,
+            ILogger<RouteHistoryService> logger)
+        {
+            _context = context;
+            _legService = legService;
+            _logger = logger;
+        }
+
+        public async Task EnsureBaselineSnapshot(int routeId)
+        {
+            try
+            {
+                if (await _context.RouteSnapshots.AnyAsync(s => s.RouteId == routeId))
+                {
+                    return;
+                }
+
+                await AddSnapshot(routeId, "Initial version");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, $"Failed to record initial snapshot for route {routeId}");
+            }
+        }
+
+        public async Task CaptureSnapshot(int routeId, string description)
+        {
+            try
+            {
+                await AddSnapshot(routeId, description);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, $"Failed to record snapshot for route {routeId}");
+            }
+        }
+
+        public async Task<List<RouteSnapshotListDto>> GetSnapshots(int routeId)
+        {
+            return await _context.RouteSnapshots
+                .Where(s => s.RouteId == routeId)
+                .OrderByDescending(s => s.CreatedAt)
+                .ThenByDescending(s => s.Id)
+                .Select(s => new RouteSnapshotListDto
+                {
+                    Id = s.Id,
+                    CreatedAt = s.CreatedAt,
+                    Description = s.Description,
+                    StopCount = s.StopCount
+                })
+                .ToListAsync();
+        }
+
+        public async Task<RouteSnapshotDto?> GetSnapshot(int routeId, int snapshotId)
+        {
+            var snapshot = await _context.RouteSnapshots
+                .AsNoTracking()
+                .FirstOrDefaultAsync(s => s.Id == snapshotId && s.RouteId == routeId);
+
+            if (snapshot == null)
+            {
+                return null;
+            }
+
+            var content = DeserializeContent(snapshot.Data);
+            return new RouteSnapshotDto
+            {
+                Id = snapshot.Id,
+                CreatedAt = snapshot.CreatedAt,
+                Description = snapshot.Description,
+                StopCount = snapshot.StopCount,
+                ScheduleSettings = content.ScheduleSettings,
+                Stops = content.Stops,
+                Legs = content.Legs
+            };
+        }
+
+        public async Task<RestoreRouteSnapshotResultDto> RestoreSnapshot(int routeId, int snapshotId)
+        {
+            var snapshot = await _context.RouteSnapshots
+                .AsNoTracking()
+                .FirstOrDefaultAsync(s => s.Id == snapshotId && s.RouteId == routeId);
+
+            if (snapshot == null)
+            {
+                throw new InvalidOperationException($"Snapshot with ID {snapshotId} not found in route {routeId}");
+            }
+
+            var route = await _context.Routes
+                .Include(r => r.Places)
+                .FirstOrDefaultAsync(r => r.Id == routeId);
+
+            if (route == null)
+            {
+                throw new InvalidOperationException($"Route with ID {routeId} not found");
+            }
+
+            var content = DeserializeContent(snapshot.Data);
+
+            // Places deleted since the snapshot can't be restored. Stops added by editors are their
+            // places, not the owner's - access was checked on the route, so any owner is fine
+            var snapshotPlaceIds = content.Stops.Select(s => s.PlaceId).ToList();
+            var existingPlaceIds = (await _context.Places
+                .Where(p => snapshotPlaceIds.Contains(p.Id))
+                .Select(p => p.Id)
+                .ToListAsync())
+                .ToHashSet();
+
+            // Members who added stops may have deleted their account since
+            var snapshotUserIds = content.Stops
+                .Where(s => s.AddedByUserId.HasValue)
+                .Select(s => s.AddedByUserId!.Value)
+                .Distinct()
+                .ToList();
+            var existingUserIds = (await _context.Users
+                .Where(u => snapshotUserIds.Contains(u.Id))
+                .Select(u => u.Id)
+                .ToListAsync())
+                .ToHashSet();
+
+            var restoredStops = content.Stops.Where(s => existingPlaceIds.Contains(s.PlaceId)).ToList();
+            var restoredPlaceIds = restoredStops.Select(s => s.PlaceId).ToHashSet();
+            var recordedLegs = content.Legs
+                .GroupBy(l => (l.FromPlaceId, l.ToPlaceId))
+                .ToDictionary(g => g.Key, g => g.First());
+
+            var routePlaces = new List<RoutePlace>();
+
+            await using (var transaction = await _context.Database.BeginTransactionAsync())
+            {
+                // Legs reference the stops (restrict) - they are created again below
+                var existingLegs = await _context.RouteLegs
+                    .Where(l => l.RouteId == routeId)
+                    .ToListAsync();
+                _context.RouteLegs.RemoveRange(existingLegs);
+
+                var removedPlaces = route.Places.Where(rp => !restoredPlaceIds.Contains(rp.PlaceId)).ToList();
+                _context.RoutePlaces.RemoveRange(removedPlaces);
+
+                // Set all OrderIndex to negative values first to avoid unique constraint conflicts
+                var keptPlaces = route.Places.Except(removedPlaces).ToList();
+                for (int i = 0; i < keptPlaces.Count; i++)
+                {
+                    keptPlaces[i].OrderIndex = -(i + 1);
+                }
+                route.Version++; // Reorders based on the replaced stop list are rejected
+                await _context.SaveChangesAsync();
+
+                for (int i = 0; i < restoredStops.Count; i++)
+                {
+                    var stop = restoredStops[i];
+                    var routePlace = keptPlaces.FirstOrDefault(rp => rp.PlaceId == stop.PlaceId);
+                    if (routePlace == null)
+                    {
+                        routePlace = new RoutePlace { RouteId = routeId, PlaceId = stop.PlaceId };
+                        _context.RoutePlaces.Add(routePlace);
+                    }
+
+                    routePlace.OrderIndex = i;
+                    routePlace.StopType = stop.StopType;
+                    routePlace.TimeZoneId = stop.TimeZoneId;
+                    routePlace.PlannedStart = stop.PlannedStart;
+                    routePlace.PlannedEnd = stop.PlannedEnd;
+                    routePlace.StayNights = stop.StayNights;
+                    routePlace.StayDurationMinutes = stop.StayDurationMinutes;
+                    routePlace.IsStartLocked = stop.IsStartLocked;
+                    routePlace.IsEndLocked = stop.IsEndLocked;
+                    if (stop.AddedByUserId.HasValue && existingUserIds.Contains(stop.AddedByUserId.Value))
+                    {
+                        routePlace.AddedByUserId = stop.AddedByUserId;
+                    }
+                    routePlaces.Add(routePlace);
+                }
+
+                if (content.ScheduleSettings != null)
+                {
+                    var settings = content.ScheduleSettings;
+                    route.TimeZoneId = settings.TimeZoneId;
+                    route.StartDateTime = settings.StartDateTime;
+                    route.EndDateTime = settings.EndDateTime;
+                    route.DefaultArrivalTime = settings.DefaultArrivalTime;
+                    route.DefaultDepartureTime = settings.DefaultDepartureTime;
+                    route.MaxDrivingMinutesPerDay = settings.MaxDrivingMinutesPerDay;
+                    route.MaxDrivingKmPerDay = settings.MaxDrivingKmPerDay;
+                    route.LatestArrivalTime = settings.LatestArrivalTime;
+                }
+
+                route.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                // Leg skeletons - legs with another transport mode get their recorded metrics,
+                // driven legs are routed with OSRM below
+                for (int i = 0; i < routePlaces.Count - 1; i++)
+                {
+                    var fromPlace = routePlaces[i];
+                    var toPlace = routePlaces[i + 1];
+                    recordedLegs.TryGetValue((fromPlace.PlaceId, toPlace.PlaceId), out var recordedLeg);
+                    var mode = recordedLeg?.Mode ?? TransportMode.Drive;
+
+                    _context.RouteLegs.Add(new RouteLeg
+                    {
+                        RouteId = routeId,
+                        FromRoutePlaceId = fromPlace.Id,
+                        ToRoutePlaceId = toPlace.Id,
+                        OrderIndex = i,
+                        Mode = mode,
+                        DistanceMeters = mode == TransportMode.Drive ? 0 : recordedLeg?.DistanceMeters ?? 0,
+                        DurationSeconds = mode == TransportMode.Drive ? 0 : recordedLeg?.DurationSeconds ?? 0,
+                        Provider = mode == TransportMode.Drive ? "OSRM" : "Manual",
+                        CalculatedAt = DateTime.UtcNow
+                    });
+                }
+
+                await _context.SaveChangesAsync();
+                await transaction.CommitAsync();
+            }
+
+            await _legService.RecalculateLegsFromOsrm(routeId);
+
+            // OSRM creates the legs anew - put the recorded leg times back
+            var placeIdsByRoutePlace = routePlaces.ToDictionary(rp => rp.Id, rp => rp.PlaceId);
+            var legs = await _context.RouteLegs
+                .Where(l => l.RouteId == routeId)
+                .ToListAsync();
+
+            foreach (var leg in legs)
+            {
+                var stops = (placeIdsByRoutePlace[leg.FromRoutePlaceId], placeIdsByRoutePlace[leg.ToRoutePlaceId]);
+                if (recordedLegs.TryGetValue(stops, out var recordedLeg))
+                {
+                    leg.PlannedStart = recordedLeg.PlannedStart;
+                    leg.PlannedEnd = recordedLeg.PlannedEnd;
+                }
+            }
+
+            await _context.SaveChangesAsync();
+            _logger.LogInformation($"Restored snapshot {snapshotId} of route {routeId} with {routePlaces.Count} stops");
+
+            return new RestoreRouteSnapshotResultDto
+            {
+                RestoredStopCount = routePlaces.Count,
+                MissingPlaces = content.Stops
+                    .Where(s => !existingPlaceIds.Contains(s.PlaceId))
+                    .Select(s => s.PlaceName)
+                    .ToList()
+            };
+        }
+
+        /// <summary>
+        /// Records the current state unless it equals the latest snapshot, then trims the history
+        /// </summary>
+        private async Task AddSnapshot(int routeId, string description)
+        {
+            var content = await BuildContent(routeId);
+            if (content == null)
+            {
+                return;
+            }
+
+            var data = JsonSerializer.Serialize(content);
+
+            // JSONB normalizes the stored text, so compare the re-serialized content
+            var latest = await _context.RouteSnapshots
+                .AsNoTracking()
+                .Where(s => s.RouteId == routeId)
+                .OrderByDescending(s => s.CreatedAt)
+                .ThenByDescending(s => s.Id)
+                .FirstOrDefaultAsync();
+
+            if (latest != null && JsonSerializer.Serialize(DeserializeContent(latest.Data)) == data)
+            {
+                return;
+            }
+
+            _context.RouteSnapshots.Add(new RouteSnapshot
+            {
+                RouteId = routeId,
+                CreatedAt = DateTime.UtcNow,
+                Description = description.Length > 200 ? description[..200] : description,
+                StopCount = content.Stops.Count,
+                Data = data
+            });
+            await _context.SaveChangesAsync();
+
+            var expired = await _context.RouteSnapshots
+                .Where(s => s.RouteId == routeId)
+                .OrderByDescending(s => s.CreatedAt)
+                .ThenByDescending(s => s.Id)
+                .Skip(MaxSnapshotsPerRoute)
+                .ToListAsync();
+
+            if (expired.Any())
+            {
+                _context.RouteSnapshots.RemoveRange(expired);
+                await _context.SaveChangesAsync();
+            }
+
+            _logger.LogInformation($"Recorded snapshot of route {routeId}: {description}");
+        }
+
+        /// <summary>
+        /// Current schedule settings, ordered stops and legs of a route (null if the route doesn't exist)
+        /// </summary>
+        private async Task<RouteSnapshotContentDto?> BuildContent(int routeId)
+        {
+            var route = await _context.Routes
+                .AsNoTracking()
+                .Include(r => r.Places)
+                    .ThenInclude(rp => rp.Place)
+                .Include(r => r.Legs)
+                .FirstOrDefaultAsync(r => r.Id == routeId);
+
+            if (route == null)
+            {
+                return null;
+            }
+
+            var orderedPlaces = route.Places.OrderBy(rp => rp.OrderIndex).ToList();
+            var placeIdsByRoutePlace = orderedPlaces.ToDictionary(rp => rp.Id, rp => rp.PlaceId);
+
+            return new RouteSnapshotContentDto
+            {
+                ScheduleSettings = new RouteScheduleSettingsDto(
+                    route.TimeZoneId,
+                    route.StartDateTime,
+                    route.EndDateTime,
+                    route.DefaultArrivalTime,
+                    route.DefaultDepartureTime,
+                    route.MaxDrivingMinutesPerDay,
+                    route.MaxDrivingKmPerDay,
+                    route.LatestArrivalTime
+                ),
+                Stops = orderedPlaces.Select(rp => new RouteSnapshotStopDto
+                {
+                    PlaceId = rp.PlaceId,
+                    PlaceName = rp.Place?.Name ?? string.Empty,
+                    StopType = rp.StopType,
+                    TimeZoneId = rp.TimeZoneId,
+                    PlannedStart = rp.PlannedStart,
+                    PlannedEnd = rp.PlannedEnd,
+                    StayNights = rp.StayNights,
+                    StayDurationMinutes = rp.StayDurationMinutes,
+                    IsStartLocked = rp.IsStartLocked,
+                    IsEndLocked = rp.IsEndLocked,
+                    AddedByUserId = rp.AddedByUserId
+                }).ToList(),
+                // Driven metrics change with every OSRM recalculation - only manual metrics are part of the plan
+                Legs = route.Legs
+                    .Where(l => placeIdsByRoutePlace.ContainsKey(l.FromRoutePlaceId) && placeIdsByRoutePlace.ContainsKey(l.ToRoutePlaceId))
+                    .OrderBy(l => l.OrderIndex)
+                    .Select(l => new RouteSnapshotLegDto
+                    {
+                        FromPlaceId = placeIdsByRoutePlace[l.FromRoutePlaceId],
+                        ToPlaceId = placeIdsByRoutePlace[l.ToRoutePlaceId],
+                        Mode = l.Mode,
+                        DistanceMeters = l.Mode == TransportMode.Drive ? null : l.DistanceMeters,
+                        DurationSeconds = l.Mode == TransportMode.Drive ? null : l.DurationSeconds,
+                        PlannedStart = l.PlannedStart,
+                        PlannedEnd = l.PlannedEnd
+                    }).ToList()
+            };
+        }
+
+        private static RouteSnapshotContentDto DeserializeContent(string data)
+        {
+            return JsonSerializer.Deserialize<RouteSnapshotContentDto>(data) ?? new RouteSnapshotContentDto();
+        }
+    }
+}
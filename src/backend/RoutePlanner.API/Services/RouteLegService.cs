@@ -1,6 +1,7 @@
 using Microsoft.EntityFrameworkCore;
 using RoutePlanner.API.Data;
 using RoutePlanner.API.Models;
+using RoutePlanner.API.Models.Osrm;
 
 namespace RoutePlanner.API.Services
 {
@@ -9,6 +10,16 @@ namespace RoutePlanner.API.Services
     /// </summary>
     public class RouteLegService : IRouteLegService
     {
+        // Average speeds for estimating non-Drive legs without a manual duration
+        private static readonly Dictionary<TransportMode, double> EstimatedSpeedKmh = new()
+        {
+            [TransportMode.Ferry] = 30,
+            [TransportMode.Flight] = 600,
+            [TransportMode.Walk] = 5,
+            [TransportMode.Bike] = 15,
+            [TransportMode.Manual] = 60
+        };
+
         private readonly AppDbContext _context;
         private readonly ILogger<RouteLegService> _logger;
         private readonly IOsrmClient _osrmClient;
@@ -36,6 +47,7 @@ namespace RoutePlanner.API.Services
             var existingLegs = await _context.RouteLegs
                 .Where(l => l.RouteId == routeId)
                 .ToListAsync();
+            var manualLegs = GetManualLegsByStops(existingLegs);
 
             _context.RouteLegs.RemoveRange(existingLegs);
             _logger.LogInformation($"Deleted {existingLegs.Count} existing legs for route {routeId}");
@@ -49,6 +61,13 @@ namespace RoutePlanner.API.Services
                 var fromPlace = orderedPlaces[i];
                 var toPlace = orderedPlaces[i + 1];
 
+                // Legs with another transport mode keep it, with their manual metrics
+                if (manualLegs.TryGetValue((fromPlace.Id, toPlace.Id), out var manualLeg))
+                {
+                    newLegs.Add(CopyManualLeg(manualLeg, i));
+                    continue;
+                }
+
                 var leg = new RouteLeg
                 {
                     RouteId = routeId,
@@ -144,28 +163,33 @@ namespace RoutePlanner.API.Services
                 return;
             }
 
-            // Extract waypoints as NetTopologySuite Points
-            var waypoints = orderedPlaces
-                .Select(rp => rp.Place.Location)
-                .ToList();
+            // Legs with another transport mode are not routed - they split the route into driving runs
+            var manualLegs = GetManualLegsByStops(route.Legs);
 
             try
             {
-                // Call OSRM once for entire route with steps=true and geometries=geojson
-                var osrmResponse = await _osrmClient.GetRoute(waypoints, includeSteps: true);
-
-                if (osrmResponse.Routes == null || osrmResponse.Routes.Count == 0)
+                // Call OSRM once per run of consecutive Drive legs (once for the entire route
+                // when all legs are driven) with steps=true and geometries=geojson
+                var osrmLegsByIndex = new Dictionary<int, OsrmLeg>();
+                var runStart = 0;
+                for (int i = 0; i < orderedPlaces.Count; i++)
                 {
-                    throw new InvalidOperationException("OSRM returned no routes");
-                }
-
-                var osrmRoute = osrmResponse.Routes[0];
-                var osrmLegs = osrmRoute.Legs;
+                    var runEnds = i == orderedPlaces.Count - 1 ||
+                                  manualLegs.ContainsKey((orderedPlaces[i].Id, orderedPlaces[i + 1].Id));
+                    if (!runEnds)
+                    {
+                        continue;
+                    }
 
-                if (osrmLegs.Count != orderedPlaces.Count - 1)
-                {
-                    throw new InvalidOperationException(
-                        $"OSRM returned {osrmLegs.Count} legs but expected {orderedPlaces.Count - 1}");
+                    if (i > runStart)
+                    {
+                        var runLegs = await GetOsrmLegs(orderedPlaces.GetRange(runStart, i - runStart + 1));
+                        for (int j = 0; j < runLegs.Count; j++)
+                        {
+                            osrmLegsByIndex[runStart + j] = runLegs[j];
+                        }
+                    }
+                    runStart = i + 1;
                 }
 
                 using var transaction = await _context.Database.BeginTransactionAsync();
@@ -183,12 +207,19 @@ namespace RoutePlanner.API.Services
                     // Create new legs from OSRM data
                     var newLegs = new List<RouteLeg>();
 
-                    for (int i = 0; i < osrmLegs.Count; i++)
+                    for (int i = 0; i < orderedPlaces.Count - 1; i++)
                     {
-                        var osrmLeg = osrmLegs[i];
                         var fromPlace = orderedPlaces[i];
                         var toPlace = orderedPlaces[i + 1];
 
+                        if (manualLegs.TryGetValue((fromPlace.Id, toPlace.Id), out var manualLeg))
+                        {
+                            newLegs.Add(CopyManualLeg(manualLeg, i));
+                            continue;
+                        }
+
+                        var osrmLeg = osrmLegsByIndex[i];
+
                         // Merge step geometries into single LineString
                         var geometry = GeometryUtils.MergeLegGeometry(osrmLeg);
 
@@ -237,5 +268,112 @@ namespace RoutePlanner.API.Services
                 // Frontend can retry or user can manually trigger recalculation
             }
         }
+
+        public async Task UpdateLegMode(int routeId, int legId, TransportMode mode, int? distanceMeters, int? durationSeconds)
+        {
+            var leg = await _context.RouteLegs
+                .Include(l => l.FromRoutePlace).ThenInclude(rp => rp.Place)
+                .Include(l => l.ToRoutePlace).ThenInclude(rp => rp.Place)
+                .FirstOrDefaultAsync(l => l.Id == legId && l.RouteId == routeId);
+
+            if (leg == null)
+            {
+                throw new InvalidOperationException($"Leg with ID {legId} not found in route {routeId}");
+            }
+
+            leg.Mode = mode;
+            leg.CalculatedAt = DateTime.UtcNow;
+
+            if (mode == TransportMode.Drive)
+            {
+                // Routed again below - OSRM replaces metrics and geometry
+                leg.Provider = "OSRM";
+            }
+            else
+            {
+                // Drawn as a straight line between the stops, so no road geometry
+                var straightLineMeters = GeometryUtils.HaversineDistanceMeters(
+                    leg.FromRoutePlace.Place.Location, leg.ToRoutePlace.Place.Location);
+
+                leg.Provider = "Manual";
+                leg.Geometry = null;
+                leg.DistanceMeters = distanceMeters ?? (int)Math.Round(straightLineMeters);
+                leg.DurationSeconds = durationSeconds ??
+                    (int)Math.Round(leg.DistanceMeters / 1000.0 / EstimatedSpeedKmh[mode] * 3600);
+            }
+
+            // Update route's UpdatedAt timestamp
+            var route = await _context.Routes.FindAsync(routeId);
+            if (route != null)
+            {
+                route.UpdatedAt = DateTime.UtcNow;
+            }
+
+            await _context.SaveChangesAsync();
+            _logger.LogInformation($"Set leg {legId} to {mode}: {leg.DistanceMeters}m, {leg.DurationSeconds}s");
+
+            if (mode == TransportMode.Drive)
+            {
+                await RecalculateLegsFromOsrm(routeId);
+            }
+        }
+
+        /// <summary>
+        /// Non-Drive legs by their stops (FromRoutePlaceId, ToRoutePlaceId)
+        /// </summary>
+        private static Dictionary<(int, int), RouteLeg> GetManualLegsByStops(IEnumerable<RouteLeg> legs)
+        {
+            return legs
+                .Where(l => l.Mode != TransportMode.Drive)
+                .GroupBy(l => (l.FromRoutePlaceId, l.ToRoutePlaceId))
+                .ToDictionary(g => g.Key, g => g.First());
+        }
+
+        /// <summary>
+        /// New leg at a position with the transport mode and manual metrics of an existing one
+        /// </summary>
+        private static RouteLeg CopyManualLeg(RouteLeg manualLeg, int orderIndex)
+        {
+            return new RouteLeg
+            {
+                RouteId = manualLeg.RouteId,
+                FromRoutePlaceId = manualLeg.FromRoutePlaceId,
+                ToRoutePlaceId = manualLeg.ToRoutePlaceId,
+                OrderIndex = orderIndex,
+                DistanceMeters = manualLeg.DistanceMeters,
+                DurationSeconds = manualLeg.DurationSeconds,
+                Provider = manualLeg.Provider,
+                Mode = manualLeg.Mode,
+                CalculatedAt = manualLeg.CalculatedAt
+            };
+        }
+
+        /// <summary>
+        /// OSRM legs between consecutive stops
+        /// </summary>
+        private async Task<List<OsrmLeg>> GetOsrmLegs(List<RoutePlace> places)
+        {
+            // Extract waypoints as NetTopologySuite Points
+            var waypoints = places
+                .Select(rp => rp.Place.Location)
+                .ToList();
+
+            var osrmResponse = await _osrmClient.GetRoute(waypoints, includeSteps: true);
+
+            if (osrmResponse.Routes == null || osrmResponse.Routes.Count == 0)
+            {
+                throw new InvalidOperationException("OSRM returned no routes");
+            }
+
+            var osrmLegs = osrmResponse.Routes[0].Legs;
+
+            if (osrmLegs.Count != places.Count - 1)
+            {
+                throw new InvalidOperationException(
+                    $"OSRM returned {osrmLegs.Count} legs but expected {places.Count - 1}");
+            }
+
+            return osrmLegs;
+        }
     }
 }
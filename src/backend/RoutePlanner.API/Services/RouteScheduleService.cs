@@ -11,11 +11,16 @@ namespace RoutePlanner.API.Services
     public class RouteScheduleService : IRouteScheduleService
     {
         private readonly AppDbContext _context;
+        private readonly ITimeZoneLookupService _timeZoneLookup;
         private readonly ILogger<RouteScheduleService> _logger;
 
-        public RouteScheduleService(AppDbContext context, ILogger<RouteScheduleService> logger)
+        public RouteScheduleService(
+            AppDbContext context,
+            ITimeZoneLookupService timeZoneLookup,
+            ILogger<RouteScheduleService> logger)
         {
             _context = context;
+            _timeZoneLookup = timeZoneLookup;
             _logger = logger;
         }
 
@@ -27,11 +32,20 @@ namespace RoutePlanner.API.Services
                 throw new InvalidOperationException($"Route with ID {routeId} not found");
             }
 
+            // A zone the user changed is kept when the first stop changes
+            if (dto.TimeZoneId != route.TimeZoneId)
+            {
+                route.TimeZoneIsExplicit = !dto.TimeZoneIsDerived;
+            }
+
             route.TimeZoneId = dto.TimeZoneId;
             route.StartDateTime = dto.StartDateTime;
             route.EndDateTime = dto.EndDateTime;
             route.DefaultArrivalTime = dto.DefaultArrivalTime;
             route.DefaultDepartureTime = dto.DefaultDepartureTime;
+            route.MaxDrivingMinutesPerDay = dto.MaxDrivingMinutesPerDay;
+            route.MaxDrivingKmPerDay = dto.MaxDrivingKmPerDay;
+            route.LatestArrivalTime = dto.LatestArrivalTime;
             route.UpdatedAt = DateTime.UtcNow;
 
             await _context.SaveChangesAsync();
@@ -73,6 +87,7 @@ namespace RoutePlanner.API.Services
             var route = await _context.Routes
                 .Include(r => r.Places.OrderBy(p => p.OrderIndex))
                     .ThenInclude(rp => rp.Place)
+                        .ThenInclude(p => p!.GoogleData)
                 .Include(r => r.Legs.OrderBy(l => l.OrderIndex))
                 .FirstOrDefaultAsync(r => r.Id == routeId);
 
@@ -283,28 +298,36 @@ namespace RoutePlanner.API.Services
                 route.StartDateTime,
                 route.EndDateTime,
                 route.DefaultArrivalTime,
-                route.DefaultDepartureTime
+                route.DefaultDepartureTime,
+                route.MaxDrivingMinutesPerDay,
+                route.MaxDrivingKmPerDay,
+                route.LatestArrivalTime
             );
         }
 
         private RoutePlaceWithScheduleDto MapToRoutePlaceWithScheduleDto(RoutePlace routePlace)
         {
+            var latitude = routePlace.Place?.Location.Y ?? 0;
+            var longitude = routePlace.Place?.Location.X ?? 0;
+
             return new RoutePlaceWithScheduleDto
             {
                 Id = routePlace.Id,
                 PlaceId = routePlace.PlaceId,
                 PlaceName = routePlace.Place?.Name ?? "",
-                Latitude = routePlace.Place?.Location.Y ?? 0,
-                Longitude = routePlace.Place?.Location.X ?? 0,
+                Latitude = latitude,
+                Longitude = longitude,
                 OrderIndex = routePlace.OrderIndex,
                 StopType = routePlace.StopType,
                 TimeZoneId = routePlace.TimeZoneId,
+                DetectedTimeZoneId = _timeZoneLookup.GetTimeZoneId(latitude, longitude),
                 PlannedStart = routePlace.PlannedStart,
                 PlannedEnd = routePlace.PlannedEnd,
                 StayNights = routePlace.StayNights,
                 StayDurationMinutes = routePlace.StayDurationMinutes,
                 IsStartLocked = routePlace.IsStartLocked,
-                IsEndLocked = routePlace.IsEndLocked
+                IsEndLocked = routePlace.IsEndLocked,
+                OpeningHours = routePlace.Place?.GoogleData?.OpeningHours
             };
         }
 
@@ -324,7 +347,8 @@ namespace RoutePlanner.API.Services
                 leg.CalculatedAt,
                 geometryCoords,
                 leg.PlannedStart,
-                leg.PlannedEnd
+                leg.PlannedEnd,
+                leg.Mode
             );
         }
     }
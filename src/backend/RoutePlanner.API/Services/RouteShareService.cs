@@ -0,0 +1,205 @@
+using System.Security.Cryptography;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.EntityFrameworkCore;
+using RoutePlanner.API.Data;
+using RoutePlanner.API.DTOs;
+using RoutePlanner.API.Models;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for public read-only links to routes
+    /// </summary>
+    public class RouteShareService : IRouteShareService
+    {
+        private readonly AppDbContext _context;
+        private readonly IRouteScheduleService _scheduleService;
+        private readonly ILogger<RouteShareService> _logger;
+
+        public RouteShareService(
+            AppDbContext context,
+            IRouteScheduleService scheduleService,
+            ILogger<RouteShareService> logger)
+        {
+            _context = context;
+            _scheduleService = scheduleService;
+            _logger = logger;
+        }
+
+        public async Task<RouteShareDto?> GetShare(int routeId)
+        {
+            var share = await _context.RouteShares
+                .AsNoTracking()
+                .FirstOrDefaultAsync(s => s.RouteId == routeId);
+
+            return share == null ? null : MapToRouteShareDto(share);
+        }
+
+        public async Task<RouteShareDto> SaveShare(int routeId, UpdateRouteShareDto dto)
+        {
+            var share = await _context.RouteShares.FirstOrDefaultAsync(s => s.RouteId == routeId);
+
+            if (share == null)
+            {
+                share = new RouteShare
+                {
+                    RouteId = routeId,
+                    Token = GenerateToken()
+                };
+                _context.RouteShares.Add(share);
+                _logger.LogInformation($"Shared route {routeId}");
+            }
+
+            share.HideNotes = dto.HideNotes;
+            share.HideExactTimes = dto.HideExactTimes;
+            share.PrivateNotePlaceIds = dto.PrivateNotePlaceIds.Distinct().ToList();
+            share.UpdatedAt = DateTime.UtcNow;
+
+            await _context.SaveChangesAsync();
+            return MapToRouteShareDto(share);
+        }
+
+        public async Task<bool> RevokeShare(int routeId)
+        {
+            var share = await _context.RouteShares.FirstOrDefaultAsync(s => s.RouteId == routeId);
+            if (share == null)
+            {
+                return false;
+            }
+
+            _context.RouteShares.Remove(share);
+            await _context.SaveChangesAsync();
+            _logger.LogInformation($"Revoked share link of route {routeId}");
+            return true;
+        }
+
+        public async Task<SharedTripDto?> GetSharedTrip(string token)
+        {
+            var share = await _context.RouteShares
+                .AsNoTracking()
+                .FirstOrDefaultAsync(s => s.Token == token);
+
+            if (share == null)
+            {
+                return null;
+            }
+
+            var itinerary = await _scheduleService.GetItinerary(share.RouteId);
+            if (itinerary == null)
+            {
+                return null;
+            }
+
+            var trip = new SharedTripDto
+            {
+                Name = itinerary.Name,
+                Description = itinerary.Description,
+                HideExactTimes = share.HideExactTimes,
+                ScheduleSettings = itinerary.ScheduleSettings,
+                Places = itinerary.Places,
+                Legs = itinerary.Legs
+            };
+
+            if (!share.HideNotes)
+            {
+                var placeIds = itinerary.Places
+                    .Select(p => p.PlaceId)
+                    .Except(share.PrivateNotePlaceIds)
+                    .ToList();
+
+                var notes = await _context.Places
+                    .Where(p => placeIds.Contains(p.Id) && p.Notes != null && p.Notes != "")
+                    .ToDictionaryAsync(p => p.Id, p => p.Notes!);
+
+                foreach (var stop in itinerary.Places)
+                {
+                    if (notes.TryGetValue(stop.PlaceId, out var note))
+                    {
+                        trip.Notes[stop.Id] = note;
+                    }
+                }
+            }
+
+            if (share.HideExactTimes)
+            {
+                RemoveExactTimes(trip);
+            }
+
+            return trip;
+        }
+
+        /// <summary>
+        /// Reduce all times to whole days in the route's time zone - each stop covers the days
+        /// from its arrival to its departure, legs and the route's default times have no times
+        /// </summary>
+        private static void RemoveExactTimes(SharedTripDto trip)
+        {
+            var timeZone = FindTimeZone(trip.ScheduleSettings?.TimeZoneId);
+
+            foreach (var stop in trip.Places)
+            {
+                var departure = stop.PlannedEnd ?? stop.PlannedStart;
+                stop.PlannedStart = StartOfDay(stop.PlannedStart, timeZone);
+                stop.PlannedEnd = StartOfDay(departure, timeZone, addDays: 1);
+                stop.StayDurationMinutes = null;
+            }
+
+            trip.Legs = trip.Legs
+                .Select(leg => leg with { PlannedStart = null, PlannedEnd = null })
+                .ToList();
+
+            if (trip.ScheduleSettings != null)
+            {
+                trip.ScheduleSettings = trip.ScheduleSettings with
+                {
+                    StartDateTime = StartOfDay(trip.ScheduleSettings.StartDateTime, timeZone),
+                    EndDateTime = StartOfDay(trip.ScheduleSettings.EndDateTime, timeZone),
+                    DefaultArrivalTime = null,
+                    DefaultDepartureTime = null,
+                    LatestArrivalTime = null
+                };
+            }
+        }
+
+        /// <summary>
+        /// Local midnight of the day of an instant (plus addDays) in a time zone, as UTC
+        /// </summary>
+        private static DateTimeOffset? StartOfDay(DateTimeOffset? value, TimeZoneInfo timeZone, int addDays = 0)
+        {
+            if (value == null)
+            {
+                return null;
+            }
+
+            var localDate = TimeZoneInfo.ConvertTime(value.Value, timeZone).Date.AddDays(addDays);
+            return new DateTimeOffset(localDate, timeZone.GetUtcOffset(localDate)).ToUniversalTime();
+        }
+
+        private static TimeZoneInfo FindTimeZone(string? timeZoneId)
+        {
+            return timeZoneId != null && TimeZoneInfo.TryFindSystemTimeZoneById(timeZoneId, out var timeZone)
+                ? timeZone
+                : TimeZoneInfo.Utc;
+        }
+
+        /// <summary>
+        /// 256 bit random token, URL-safe
+        /// </summary>
+        private static string GenerateToken()
+        {
+            return WebEncoders.Base64UrlEncode(RandomNumberGenerator.GetBytes(32));
+        }
+
+        private static RouteShareDto MapToRouteShareDto(RouteShare share)
+        {
+            return new RouteShareDto
+            {
+                Token = share.Token,
+                HideNotes = share.HideNotes,
+                HideExactTimes = share.HideExactTimes,
+                PrivateNotePlaceIds = share.PrivateNotePlaceIds,
+                CreatedAt = share.CreatedAt
+            };
+        }
+    }
+}
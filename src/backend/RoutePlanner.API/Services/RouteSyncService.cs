@@ -0,0 +1,82 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using RoutePlanner.API.Data;
+using RoutePlanner.API.DTOs;
+using RoutePlanner.API.Hubs;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Service for live sync of routes between the members editing them
+    /// </summary>
+    public class RouteSyncService : IRouteSyncService
+    {
+        private readonly AppDbContext _context;
+        private readonly IHubContext<RouteHub> _hubContext;
+        private readonly IHttpContextAccessor _httpContextAccessor;
+        private readonly ILogger<RouteSyncService> _logger;
+
+        public RouteSyncService(
+            AppDbContext context,
+            IHubContext<RouteHub> hubContext,
+            IHttpContextAccessor httpContextAccessor,
+            ILogger<RouteSyncService> logger)
+        {
+            _context = context;
+            _hubContext = hubContext;
+            _httpContextAccessor = httpContextAccessor;
+            _logger = logger;
+        }
+
+        public async Task<int> PublishChange(int routeId, string kind, List<int>? placeIds = null, IEnumerable<int>? alsoNotifyUserIds = null)
+        {
+            var version = 0;
+            var recipients = new HashSet<int>(alsoNotifyUserIds ?? Enumerable.Empty<int>());
+
+            // Deleted routes have no version and no members left to look up
+            // The version was increased together with the change of the stop list
+            var route = await _context.Routes.AsNoTracking().FirstOrDefaultAsync(r => r.Id == routeId);
+            if (route != null)
+            {
+                version = route.Version;
+
+                recipients.Add(route.UserId);
+                recipients.UnionWith(await _context.RouteCollaborators
+                    .Where(c => c.RouteId == routeId)
+                    .Select(c => c.UserId)
+                    .ToListAsync());
+            }
+
+            try
+            {
+                var httpContext = _httpContextAccessor.HttpContext;
+                int.TryParse(httpContext?.User.FindFirst(ClaimTypes.NameIdentifier)?.Value, out var userId);
+
+                var change = new RouteChangeDto
+                {
+                    RouteId = routeId,
+                    Kind = kind,
+                    Version = version,
+                    ChangedByUserId = userId,
+                    ChangedBy = await _context.Users
+                        .Where(u => u.Id == userId)
+                        .Select(u => u.UserName ?? u.Email)
+                        .FirstOrDefaultAsync(),
+                    ConnectionId = httpContext?.Request.Headers[RouteHub.ConnectionIdHeader].FirstOrDefault(),
+                    PlaceIds = placeIds
+                };
+
+                await _hubContext.Clients
+                    .Users(recipients.Select(id => id.ToString()).ToList())
+                    .SendAsync(RouteHub.RouteChangedMethod, change);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, $"Failed to push {kind} change of route {routeId}");
+            }
+
+            return version;
+        }
+    }
+}
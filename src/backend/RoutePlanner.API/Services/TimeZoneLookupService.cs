@@ -0,0 +1,32 @@
+using GeoTimeZone;
+
+namespace RoutePlanner.API.Services
+{
+    /// <summary>
+    /// Time zone lookup based on the GeoTimeZone package, which ships the
+    /// timezone-boundary-builder data compiled into the assembly
+    /// </summary>
+    public class TimeZoneLookupService : ITimeZoneLookupService
+    {
+        private readonly ILogger<TimeZoneLookupService> _logger;
+
+        public TimeZoneLookupService(ILogger<TimeZoneLookupService> logger)
+        {
+            _logger = logger;
+        }
+
+        public string GetTimeZoneId(double latitude, double longitude)
+        {
+            try
+            {
+                return TimeZoneLookup.GetTimeZone(latitude, longitude).Result;
+            }
+            catch (ArgumentException ex)
+            {
+                // Coordinates out of range
+                _logger.LogWarning(ex, $"Time zone lookup failed for {latitude}, {longitude}");
+                return "Etc/UTC";
+            }
+        }
+    }
+}
@@ -332,7 +332,7 @@ export class AllPlacesManager {
         });
 
         if (marker) {
-            marker.openPopup();
+            mapService.openClusteredMarkerPopup(marker, mapService.nonRouteClusterGroup);
         }
     }
 
@@ -1,5 +1,6 @@
 import { CONFIG } from './config.js';
 import { AuthManager } from './authManager.js';
+import { offlineOutbox, isNetworkError } from './offlineOutbox.js';
 
 // Cache for enriched place data to reduce Google Photos API calls
 const enrichedPlaceCache = new Map();
@@ -7,6 +8,9 @@ const ENRICHED_PLACE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 // API service functions
 export class ApiService {
+    // Connection of the live sync hub - lets the API tell this tab's own changes apart
+    static syncConnectionId = null;
+
     /**
      * Make an authenticated API request
      * @param {string} url - API endpoint URL
@@ -20,6 +24,9 @@ export class ApiService {
                 ...options.headers,
                 ...authHeaders
             };
+            if (this.syncConnectionId) {
+                headers['X-Connection-Id'] = this.syncConnectionId;
+            }
 
             const response = await fetch(url, { ...options, headers });
 
@@ -34,6 +41,9 @@ export class ApiService {
                         ...options.headers,
                         ...newAuthHeaders
                     };
+                    if (this.syncConnectionId) {
+                        retryHeaders['X-Connection-Id'] = this.syncConnectionId;
+                    }
                     return await fetch(url, { ...options, headers: retryHeaders });
                 } else {
                     // Refresh failed - user needs to login
@@ -50,6 +60,32 @@ export class ApiService {
         }
     }
 
+    /**
+     * Run a write call, or queue it in the offline outbox when there is no
+     * connection (or older offline writes still wait to be replayed)
+     * @param {string} method - ApiService method name (replayed later with the same args)
+     * @param {Array} args - Method arguments
+     * @param {Function} execute - Performs the actual request
+     * @returns {Promise<*>} Result of execute, or undefined when queued
+     */
+    static async queueable(method, args, execute) {
+        if (offlineOutbox.shouldQueue()) {
+            await offlineOutbox.enqueue(method, args);
+            return undefined;
+        }
+
+        try {
+            return await execute();
+        } catch (error) {
+            // Connection dropped during the request - keep the change for later
+            if (isNetworkError(error) && offlineOutbox.isAvailable && !offlineOutbox.replaying) {
+                await offlineOutbox.enqueue(method, args);
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
     static async getAllRoutes() {
         const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes`);
         if (!response.ok) {
@@ -63,7 +99,7 @@ export class ApiService {
         if (!response.ok) {
             throw new Error(`Failed to load route: ${response.status}`);
         }
-        return await response.json();
+        return offlineOutbox.applyToRoute(routeId, await response.json());
     }
 
     static async createRoute(name, description = '') {
@@ -78,6 +114,25 @@ export class ApiService {
         return await response.json();
     }
 
+    /**
+     * Copy a route with all stops, schedules and legs as a variant of it
+     * @param {number} routeId - Route to copy (becomes the variant's parent)
+     * @param {string|null} name - Name of the copy (default "<name> (variant)")
+     * @param {string|null} description - Description of the copy (default: the route's)
+     * @returns {Promise<Object>} - The new route (id, name, placeCount, parentRouteId)
+     */
+    static async duplicateRoute(routeId, name = null, description = null) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/duplicate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, description })
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to duplicate route: ${response.status}`);
+        }
+        return await response.json();
+    }
+
     static async updateRoute(routeId, name, description = '') {
         const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}`, {
             method: 'PUT',
@@ -111,22 +166,24 @@ export class ApiService {
     }
 
     static async updatePlace(placeId, name, latitude = null, longitude = null, notes = null) {
-        const body = {};
-        if (name !== null && name !== undefined) body.name = name;
-        if (latitude !== null) body.latitude = latitude;
-        if (longitude !== null) body.longitude = longitude;
-        if (notes !== undefined) body.notes = notes; // Allow empty string to clear notes
-
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/places/${placeId}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
+        return this.queueable('updatePlace', [placeId, name, latitude, longitude, notes], async () => {
+            const body = {};
+            if (name !== null && name !== undefined) body.name = name;
+            if (latitude !== null) body.latitude = latitude;
+            if (longitude !== null) body.longitude = longitude;
+            if (notes !== undefined) body.notes = notes; // Allow empty string to clear notes
+
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/places/${placeId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error('Failed to update place');
+            }
+            // Clear cache so next getEnrichedPlace fetches fresh data
+            this.clearEnrichedPlaceCache(placeId);
         });
-        if (!response.ok) {
-            throw new Error('Failed to update place');
-        }
-        // Clear cache so next getEnrichedPlace fetches fresh data
-        this.clearEnrichedPlaceCache(placeId);
     }
 
     static async deletePlace(placeId) {
@@ -147,53 +204,80 @@ export class ApiService {
             method: 'DELETE'
         });
         if (!response.ok) {
-            throw new Error('Failed to force delete place');
+            // Refused while routes of other users use the place
+            const errorData = await response.json().catch(() => null);
+            throw new Error(errorData?.message || 'Failed to force delete place');
         }
     }
 
     static async addPlaceToRoute(routeId, placeId) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ placeId })
-        });
-        if (!response.ok) {
-            const errorText = await response.text();
-            if (errorText.includes('already in route')) {
-                throw new Error('This place is already in your route');
+        return this.queueable('addPlaceToRoute', [routeId, placeId], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ placeId })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                if (errorText.includes('already in route')) {
+                    throw new Error('This place is already in your route');
+                }
+                throw new Error('Failed to add place to route');
             }
-            throw new Error('Failed to add place to route');
-        }
+        });
     }
 
     static async removePlaceFromRoute(routeId, placeId) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/${placeId}`, {
-            method: 'DELETE'
+        return this.queueable('removePlaceFromRoute', [routeId, placeId], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/${placeId}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => '');
+                const error = new Error(errorText || 'Failed to remove place from route');
+                error.status = response.status;
+                throw error;
+            }
         });
-        if (!response.ok) {
-            const errorText = await response.text().catch(() => '');
-            const error = new Error(errorText || 'Failed to remove place from route');
-            error.status = response.status;
-            throw error;
-        }
     }
 
-    static async reorderPlaces(routeId, placeIds) {
-        console.log('Reordering places:', { routeId, placeIds });
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/reorder`, {
-            method: 'PUT',
+    /**
+     * Create several new places and append them to a route in one request
+     * @param {number} routeId - Route ID
+     * @param {Array<{name: string, latitude: number, longitude: number, notes?: string}>} places - Places to create
+     * @returns {Promise<{createdCount: number, places: Array}>}
+     */
+    static async importPlacesToRoute(routeId, places) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/import`, {
+            method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                placeIds: placeIds,
-                recalculateSchedule: true,
-                preserveLockedDays: false
-            })
+            body: JSON.stringify({ places })
         });
         if (!response.ok) {
             const errorText = await response.text();
-            console.error('Reorder failed:', response.status, errorText);
-            throw new Error('Failed to reorder places');
+            throw new Error(errorText || 'Failed to import places');
         }
+        return await response.json();
+    }
+
+    static async reorderPlaces(routeId, placeIds) {
+        return this.queueable('reorderPlaces', [routeId, placeIds], async () => {
+            console.log('Reordering places:', { routeId, placeIds });
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/reorder`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    placeIds: placeIds,
+                    recalculateSchedule: true,
+                    preserveLockedDays: false
+                })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Reorder failed:', response.status, errorText);
+                throw new Error('Failed to reorder places');
+            }
+        });
     }
 
     static async searchPlaces(query) {
@@ -326,11 +410,11 @@ export class ApiService {
         return await response.json();
     }
 
-    static async createCountry(name, icon = '') {
+    static async createCountry(name, icon = '', code = null) {
         const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/countries`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, icon })
+            body: JSON.stringify(code ? { name, icon, code } : { name, icon })
         });
         if (!response.ok) {
             const errorText = await response.text();
@@ -375,7 +459,9 @@ export class ApiService {
         if (!response.ok) {
             throw new Error(`Failed to load places: ${response.status}`);
         }
-        return await response.json();
+        const places = await response.json();
+        offlineOutbox.notePlaces(places);
+        return offlineOutbox.applyToPlaces(places);
     }
 
     // Place Category Management
@@ -565,16 +651,18 @@ export class ApiService {
      * @returns {Promise<void>}
      */
     static async updatePlaceNotes(placeId, notes) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/places/${placeId}/notes`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ notes })
+        return this.queueable('updatePlaceNotes', [placeId, notes], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/places/${placeId}/notes`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ notes })
+            });
+            if (!response.ok) {
+                throw new Error('Failed to update notes');
+            }
+            // Clear cache so next getEnrichedPlace fetches fresh data
+            this.clearEnrichedPlaceCache(placeId);
         });
-        if (!response.ok) {
-            throw new Error('Failed to update notes');
-        }
-        // Clear cache so next getEnrichedPlace fetches fresh data
-        this.clearEnrichedPlaceCache(placeId);
     }
 
     /**
@@ -596,14 +684,21 @@ export class ApiService {
     /**
      * Get complete route itinerary with schedule settings, stops, and legs
      * @param {number} routeId - Route ID
+     * @param {Object} options
+     * @param {boolean} options.fresh - Skip the offline cache of the service worker (e.g. to compare versions)
      * @returns {Promise<Object>} Route itinerary with schedule data
      */
-    static async getItinerary(routeId) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/itinerary`);
+    static async getItinerary(routeId, { fresh = false } = {}) {
+        const response = await this.authenticatedFetch(
+            `${CONFIG.API_BASE}/routes/${routeId}/itinerary`,
+            fresh ? { cache: 'no-store' } : {}
+        );
         if (!response.ok) {
             throw new Error(`Failed to load itinerary: ${response.status}`);
         }
-        return await response.json();
+        const itinerary = await response.json();
+        offlineOutbox.noteRouteVersion(routeId, itinerary.updatedAt);
+        return offlineOutbox.applyToItinerary(routeId, itinerary);
     }
 
     /**
@@ -613,15 +708,17 @@ export class ApiService {
      * @returns {Promise<void>}
      */
     static async updateRouteScheduleSettings(routeId, dto) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/schedule-settings`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(dto)
+        return this.queueable('updateRouteScheduleSettings', [routeId, dto], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/schedule-settings`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to update route schedule settings');
+            }
         });
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(errorText || 'Failed to update route schedule settings');
-        }
     }
 
     /**
@@ -632,18 +729,20 @@ export class ApiService {
      * @returns {Promise<Object|null>} Response object if contains conflict info, null otherwise
      */
     static async updateStopSchedule(routeId, routePlaceId, dto) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/${routePlaceId}/schedule`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(dto)
+        return this.queueable('updateStopSchedule', [routeId, routePlaceId, dto], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/places/${routePlaceId}/schedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to update stop schedule');
+            }
+            // If response has content (conflict info), return it
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
         });
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(errorText || 'Failed to update stop schedule');
-        }
-        // If response has content (conflict info), return it
-        const text = await response.text();
-        return text ? JSON.parse(text) : null;
     }
 
     /**
@@ -688,15 +787,38 @@ export class ApiService {
      * @returns {Promise<void>}
      */
     static async updateLegSchedule(routeId, legId, dto) {
-        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/legs/${legId}/schedule`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(dto)
+        return this.queueable('updateLegSchedule', [routeId, legId, dto], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/legs/${legId}/schedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to update leg schedule');
+            }
+        });
+    }
+
+    /**
+     * Set the transport mode of a leg (drive legs are routed again, others are drawn as straight lines)
+     * @param {number} routeId - Route ID
+     * @param {number} legId - Leg ID
+     * @param {Object} dto - { mode, distanceMeters, durationSeconds } - metrics are estimated when null
+     * @returns {Promise<void>}
+     */
+    static async updateLegMode(routeId, legId, dto) {
+        return this.queueable('updateLegMode', [routeId, legId, dto], async () => {
+            const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/legs/${legId}/mode`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to update leg transport mode');
+            }
         });
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(errorText || 'Failed to update leg schedule');
-        }
     }
 
     /**
@@ -715,6 +837,27 @@ export class ApiService {
         return await response.json();
     }
 
+    /**
+     * Get driving duration and distance matrix between points (OSRM table via backend proxy)
+     * @param {Array<[number, number]>} latLngs - Points as [lat, lng]
+     * @returns {Promise<{durations: number[][], distances: number[][]}>} Seconds / meters, matrix[from][to]
+     */
+    static async getOsrmTable(latLngs) {
+        // OSRM expects "lon,lat;lon,lat;..."
+        const coordinates = latLngs.map(([lat, lng]) => `${lng.toFixed(6)},${lat.toFixed(6)}`).join(';');
+        const response = await this.authenticatedFetch(
+            `${CONFIG.API_BASE}/osrm/table/v1/driving/${coordinates}?annotations=duration,distance`
+        );
+        if (!response.ok) {
+            throw new Error(`Failed to load travel times: ${response.status}`);
+        }
+        const table = await response.json();
+        if (table.code !== 'Ok') {
+            throw new Error(table.message || 'Routing service could not calculate travel times');
+        }
+        return table;
+    }
+
     // ===== Conflict Management Methods =====
 
     /**
@@ -805,23 +948,218 @@ export class ApiService {
      * @param {number[]} placeIds - Array of place IDs in new order
      * @param {boolean} recalculateSchedule - Whether to recalculate schedule
      * @param {boolean} preserveLockedDays - Whether to preserve locked days
-     * @returns {Promise<void>}
+     * @param {number|null} expectedVersion - Route version the order is based on; null skips the check
+     * @param {number[]|null} baseOrder - Place IDs the new order was made from - lets a queued reorder
+     *   that is rejected on replay be merged with the changed stops
+     * @returns {Promise<Object|undefined>} { version } - route version after the reorder, undefined when queued offline
+     * @throws {Error} ROUTE_VERSION_CONFLICT with error.conflict = { message, version, placeIds }
+     *   when someone else changed the stops in the meantime
      */
-    static async reorderPlacesWithSchedule(routeId, placeIds, recalculateSchedule = true, preserveLockedDays = true) {
-        const response = await this.authenticatedFetch(
-            `${CONFIG.API_BASE}/routes/${routeId}/places/reorder`,
-            {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    placeIds,
-                    recalculateSchedule,
-                    preserveLockedDays
-                })
+    static async reorderPlacesWithSchedule(routeId, placeIds, recalculateSchedule = true, preserveLockedDays = true, expectedVersion = null, baseOrder = null) {
+        return this.queueable('reorderPlacesWithSchedule', [routeId, placeIds, recalculateSchedule, preserveLockedDays, expectedVersion, baseOrder], async () => {
+            const response = await this.authenticatedFetch(
+                `${CONFIG.API_BASE}/routes/${routeId}/places/reorder`,
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        placeIds,
+                        recalculateSchedule,
+                        preserveLockedDays,
+                        ...(expectedVersion != null && { expectedVersion })
+                    })
+                }
+            );
+            if (response.status === 409) {
+                const error = new Error('ROUTE_VERSION_CONFLICT');
+                error.conflict = await response.json().catch(() => null);
+                throw error;
             }
-        );
+            if (!response.ok) {
+                throw new Error('Failed to reorder places');
+            }
+            return await response.json();
+        });
+    }
+
+    // ===== Route History Methods =====
+
+    /**
+     * Get the recorded versions of a route (newest first)
+     * @param {number} routeId - Route ID
+     * @returns {Promise<Array>} [{ id, createdAt, description, stopCount }]
+     */
+    static async getRouteHistory(routeId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/history`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch route history: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Get a recorded version with its stops, legs and schedule settings
+     * @param {number} routeId - Route ID
+     * @param {number} snapshotId - Snapshot ID
+     * @returns {Promise<Object>} Snapshot
+     */
+    static async getRouteSnapshot(routeId, snapshotId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/history/${snapshotId}`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch route version: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Restore stops, schedule and legs of a recorded version
+     * @param {number} routeId - Route ID
+     * @param {number} snapshotId - Snapshot ID
+     * @returns {Promise<Object>} { restoredStopCount, missingPlaces }
+     */
+    static async restoreRouteSnapshot(routeId, snapshotId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/history/${snapshotId}/restore`, {
+            method: 'POST'
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to restore route version: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    // ===== Route Share Methods =====
+
+    /**
+     * Get the read-only link of a route
+     * @param {number} routeId - Route ID
+     * @returns {Promise<Object|null>} { token, hideNotes, hideExactTimes, privateNotePlaceIds, createdAt } or null if not shared
+     */
+    static async getRouteShare(routeId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/share`);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch route share: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Share a route (creates the link on first call) or change what its link hides
+     * @param {number} routeId - Route ID
+     * @param {Object} dto - { hideNotes, hideExactTimes, privateNotePlaceIds }
+     * @returns {Promise<Object>} Route share
+     */
+    static async saveRouteShare(routeId, dto) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/share`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(dto)
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to share route: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Revoke the read-only link of a route
+     * @param {number} routeId - Route ID
+     * @returns {Promise<void>}
+     */
+    static async revokeRouteShare(routeId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/share`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to revoke route share: ${response.status}`);
+        }
+    }
+
+    /**
+     * Get a shared trip by its link token - public, no login needed
+     * @param {string} token - Share token
+     * @returns {Promise<Object>} { name, description, hideExactTimes, scheduleSettings, places, legs, notes }
+     */
+    static async getSharedTrip(token) {
+        const response = await fetch(`${CONFIG.API_BASE}/shared/${encodeURIComponent(token)}`);
+        if (response.status === 404) {
+            throw new Error('This link was revoked or doesn\'t exist');
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load shared trip: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    // ===== Route Collaborator Methods =====
+
+    /**
+     * Get the owner and members of a route with their roles
+     * @param {number} routeId - Route ID
+     * @returns {Promise<Object>} { owner, collaborators, currentUserId, currentUserRole }
+     */
+    static async getRouteCollaborators(routeId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/collaborators`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch route members: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Invite a registered user to a route
+     * @param {number} routeId - Route ID
+     * @param {string} email - Email of the user's account
+     * @param {number} role - 0 = viewer, 1 = editor
+     * @returns {Promise<Object>} The new collaborator
+     */
+    static async inviteRouteCollaborator(routeId, email, role) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/collaborators`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, role })
+        });
+        if (!response.ok) {
+            // Unknown email or user already in the route - the API explains which
+            const errorData = await response.json().catch(() => null);
+            throw new Error(errorData?.message || `Failed to invite collaborator: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Change the role of a route member
+     * @param {number} routeId - Route ID
+     * @param {number} userId - Member's user ID
+     * @param {number} role - 0 = viewer, 1 = editor
+     * @returns {Promise<Object>} The updated collaborator
+     */
+    static async updateRouteCollaborator(routeId, userId, role) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/collaborators/${userId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to update collaborator: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Remove a member from a route - with the own user ID, leave the route
+     * @param {number} routeId - Route ID
+     * @param {number} userId - Member's user ID
+     * @returns {Promise<void>}
+     */
+    static async removeRouteCollaborator(routeId, userId) {
+        const response = await this.authenticatedFetch(`${CONFIG.API_BASE}/routes/${routeId}/collaborators/${userId}`, {
+            method: 'DELETE'
+        });
         if (!response.ok) {
-            throw new Error('Failed to reorder places');
+            throw new Error(`Failed to remove collaborator: ${response.status}`);
         }
     }
 }
@@ -6,13 +6,32 @@ import { CampsiteManager } from './campsiteManager.js';
 import { FilterManager } from './filterManager.js';
 import { AllPlacesManager } from './allPlacesManager.js';
 import { TagManager } from './tagManager.js';
+import { ImportManager } from './importManager.js';
+import { BackupManager } from './backupManager.js';
+import { initOfflineStatus, clearOfflineApiCache, invalidateOfflineRouteCache } from './offlineStatus.js';
+import { offlineOutbox } from './offlineOutbox.js';
+import { OfflineMapManager } from './offlineMapManager.js';
+import { RouteOptimizer } from './routeOptimizer.js';
+import { DrivingLimitsManager } from './drivingLimitsManager.js';
+import { PlaybackManager } from './playbackManager.js';
+import { LegModeManager } from './legModeManager.js';
+import { RouteCompareManager } from './routeCompareManager.js';
+import { RouteHistoryManager } from './routeHistoryManager.js';
+import { RouteShareManager } from './routeShareManager.js';
+import { RouteCollaboratorManager } from './routeCollaboratorManager.js';
+import { RouteSyncManager, ROUTE_CHANGE_KINDS, mergeReorder } from './routeSyncManager.js';
+import { AgendaView } from './timeline/AgendaView.js';
+import { UndoManager } from './undoManager.js';
 import { ApiService } from './api.js';
-import { showError, showSuccess, showConfirm } from './utils.js';
+import { showError, showSuccess, showInfo, showConfirm } from './utils.js';
 import { CONFIG } from './config.js';
 import { SwipeHandler } from './swipeHandler.js';
 import { TimelineService } from './timeline/TimelineService.js';
 import { initializeScheduleIfNeeded } from './timeline/scheduleInitializer.js';
-import { mapItineraryToTimelineStops, mapItineraryToTimelineLegs, calculateTotalDays } from './timeline/timelineMapper.js';
+import { mapItineraryToTimelineStops, mapItineraryToTimelineLegs, calculateTotalDays, getRouteTimeZone, getStopTimeZone } from './timeline/timelineMapper.js';
+import { getDrivingLimits } from './timeline/drivingLimits.js';
+import { getTransportMode } from './transportModes.js';
+import { isValidTimeZone, toZonedInputValues, fromZonedInputValues } from './timeZoneUtils.js';
 import { AuthManager } from './authManager.js';
 import { LoginModal } from './loginModal.js';
 
@@ -25,14 +44,34 @@ class App {
         this.filterManager = new FilterManager();  // Create filterManager first
         this.routeManager = new RouteManager(this.filterManager);  // Pass filterManager
         this.searchManager = new SearchManager();
+        this.undoManager = new UndoManager(
+            () => this.routeManager.getCurrentRouteId(),
+            () => this.switchToRoute(this.routeManager.currentRouteId)  // Reload everything after undo/redo
+        );
         this.placeManager = new PlaceManager(
             this.routeManager,
             () => this.updateUI(),
-            () => this.loadTimelineForCurrentRoute()  // Reload timeline after route reorder
+            () => this.loadTimelineForCurrentRoute(),  // Reload timeline after route reorder
+            this.undoManager
         );
         this.campsiteManager = new CampsiteManager(() => this.updateCampsiteUI());
         this.allPlacesManager = new AllPlacesManager(this.filterManager, this.placeManager);
         this.tagManager = new TagManager();
+        this.importManager = new ImportManager(
+            this.routeManager,
+            this.filterManager,
+            () => this.reloadCurrentRouteAfterImport()
+        );
+        this.backupManager = new BackupManager(
+            this.routeManager,
+            (routeId) => this.switchToRoute(routeId, true)
+        );
+        this.offlineMapManager = new OfflineMapManager(this.routeManager);
+        this.routeOptimizer = new RouteOptimizer(
+            this.routeManager,
+            this.placeManager,
+            () => this.updateUI()
+        );
 
         // Track original start date for change detection
         this.originalStartDate = null;
@@ -44,9 +83,68 @@ class App {
             onLegScheduleChanged: (legId, dto) => this.handleLegScheduleChanged(legId, dto),
             onNeedRecalculateLegs: () => this.handleRecalculateLegs(),
             onResolveConflictByReorder: () => this.handleResolveConflictByReorder(),
-            onLegClicked: (index, leg) => this.handleTimelineLegClicked(index, leg)
+            onLegClicked: (index, leg) => this.handleTimelineLegClicked(index, leg),
+            onDrivingDaysEvaluated: (days) => this.drivingLimitsManager.applyDrivingDays(days),
+            onDrivingDayClicked: (day) => this.drivingLimitsManager.showSuggestions(day),
+            onCursorScrubbed: (t) => this.playbackManager.seek(t),
+            onEdit: (label, edit) => this.undoManager.track(label, edit, { successMessage: `${label} – saved` })
         });
 
+        this.drivingLimitsManager = new DrivingLimitsManager(
+            this.routeManager,
+            this.placeManager,
+            this.campsiteManager,
+            this.mapService,
+            this.timelineService,
+            () => this.loadTimelineForCurrentRoute()
+        );
+
+        this.playbackManager = new PlaybackManager(this.routeManager, this.mapService, this.timelineService);
+
+        this.legModeManager = new LegModeManager(
+            this.routeManager,
+            this.placeManager,
+            this.mapService,
+            this.undoManager,
+            () => this.switchToRoute(this.routeManager.currentRouteId)
+        );
+
+        this.routeCompareManager = new RouteCompareManager(this.routeManager, this.mapService);
+
+        this.routeHistoryManager = new RouteHistoryManager(
+            this.routeManager,
+            this.undoManager,
+            () => this.switchToRoute(this.routeManager.currentRouteId, true)
+        );
+
+        this.routeShareManager = new RouteShareManager(this.routeManager);
+
+        // Members of shared routes - after leaving one, the first remaining route is shown
+        this.routeCollaboratorManager = new RouteCollaboratorManager(
+            this.routeManager,
+            () => this.switchToRoute(null)
+        );
+
+        // Changes other members make are pushed by the API and applied in place
+        this.routeSyncManager = new RouteSyncManager(
+            this.routeManager,
+            (change) => this.applyRemoteRouteChange(change)
+        );
+
+        // Agenda (list) view of the itinerary - in the timeline panel and the mobile timeline section
+        const agendaCallbacks = {
+            onStopScheduleChanged: (routePlaceId, dto) => this.handleStopScheduleChanged(routePlaceId, dto),
+            onEdit: (label, edit) => this.undoManager.track(label, edit, { successMessage: `${label} – saved` }),
+            onStopSelected: (index) => this.selectPlace(index),
+            onLegClicked: (legIndex) => this.handleTimelineLegClicked(legIndex),
+            onOpenScheduleEditor: (routePlaceId) => this.openScheduleModal(routePlaceId),
+            onConflict: (conflict) => this.handleScheduleConflict(conflict)
+        };
+        this.agendaViews = [
+            new AgendaView(document.getElementById('agendaContent'), agendaCallbacks),
+            new AgendaView(document.getElementById('mobileTimelineContent'), agendaCallbacks)
+        ];
+
         // Set callback for search result selection (save to database, don't add to route)
         this.searchManager.setOnSelectCallback((place) => this.addPlace(place));
 
@@ -63,6 +161,9 @@ class App {
 
     async init() {
         try {
+            // Offline banner when the service worker serves cached data
+            initOfflineStatus();
+
             // Check authentication first
             const isAuthenticated = await AuthManager.ensureAuthenticated();
             if (!isAuthenticated) {
@@ -75,6 +176,16 @@ class App {
             // Initialize login modal for potential future use
             this.loginModal.init(() => this.onLoginSuccess());
 
+            // Writes made offline are queued and replayed in order once back online
+            await offlineOutbox.init({
+                execute: (method, args) => ApiService[method](...args),
+                mergeOrder: mergeReorder,
+                onReplayed: () => this.switchToRoute(this.routeManager.currentRouteId, true)
+            });
+
+            // Live sync with other members of shared routes - not awaited, the app works without it
+            this.routeSyncManager.start();
+
             // Initialize map
             this.mapService.init();
 
@@ -125,6 +236,11 @@ class App {
             // Handle shared URL from PWA share target
             this.handleSharedUrl();
 
+            // Sync changes left over from an earlier offline session
+            if (navigator.onLine) {
+                offlineOutbox.replay();
+            }
+
         } catch (error) {
             console.error('Failed to initialize app:', error);
             showError('Failed to initialize application');
@@ -168,6 +284,11 @@ class App {
     }
 
     bindEventListeners() {
+        // Timeline panel: Gantt or agenda view
+        document.querySelectorAll('.timeline-view-toggle [data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setTimelineView(button.dataset.view));
+        });
+
         // Search input (desktop)
         const searchInput = document.getElementById('searchInput');
         if (searchInput) {
@@ -366,6 +487,17 @@ class App {
                 return;
             }
 
+            // Ctrl/Cmd + Z - Undo, Ctrl/Cmd + Shift + Z - Redo
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    await this.undoManager.redo();
+                } else {
+                    await this.undoManager.undo();
+                }
+                return;
+            }
+
             // === Context-Aware Shortcuts ===
             const context = this.getActiveViewContext();
             const selectedIndex = context.selectedIndex;
@@ -677,10 +809,20 @@ class App {
         this.routeManager.closeRouteModal();
     }
 
+    showDuplicateRouteModal() {
+        this.routeManager.showDuplicateRouteModal();
+    }
+
     async saveRoute() {
+        const duplicating = this.routeManager.isDuplicatingRoute;
         const success = await this.routeManager.saveRoute();
         if (success) {
-            await this.updateRoutesList();
+            if (duplicating) {
+                // Show the new variant with its copied stops and schedules
+                await this.switchToRoute(this.routeManager.currentRouteId);
+            } else {
+                await this.updateRoutesList();
+            }
         }
     }
 
@@ -721,7 +863,40 @@ class App {
 
     // Import/Export
     exportRoute() {
-        this.placeManager.exportRoute();
+        if (!this.routeManager.getCurrentRoute()) {
+            showError('No route selected');
+            return;
+        }
+        document.getElementById('exportRouteModal')?.classList.add('active');
+    }
+
+    closeExportRouteModal() {
+        document.getElementById('exportRouteModal')?.classList.remove('active');
+    }
+
+    async exportRouteAs(format) {
+        this.closeExportRouteModal();
+
+        if (format === 'gpx') {
+            await this.placeManager.exportRouteGpx();
+        } else if (format === 'ics') {
+            await this.placeManager.exportRouteIcs();
+        } else if (format === 'backup-route') {
+            await this.backupManager.exportBackup('route');
+        } else if (format === 'backup-account') {
+            await this.backupManager.exportBackup('account');
+        } else {
+            await this.placeManager.exportRoute();
+        }
+    }
+
+    openPrintableItinerary() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) {
+            showError('No route selected');
+            return;
+        }
+        window.open(`./itinerary.html?routeId=${routeId}`, '_blank');
     }
 
     importRoute() {
@@ -732,31 +907,116 @@ class App {
     async handleFileImport(e) {
         const file = e.target.files[0];
         if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = async (event) => {
-            try {
-                const data = JSON.parse(event.target.result);
-                
-                if (!data.places || !Array.isArray(data.places)) {
-                    showError('Invalid file - no places found');
-                    return;
+
+        // Full backups are restored instead of going through the place import preview
+        if (file.name.toLowerCase().endsWith('.json')) {
+            const data = await file.text().then(JSON.parse).catch(() => null);
+            if (BackupManager.isBackup(data)) {
+                await this.backupManager.restoreBackup(data);
+                e.target.value = '';
+                return;
+            }
+        }
+
+        await this.importManager.importFile(file);
+
+        // Reset so the same file can be selected again
+        e.target.value = '';
+    }
+
+    /**
+     * Select a route and reload places, map and timeline
+     * @param {number} routeId - Route to show
+     * @param {boolean} reloadData - Also refresh tags/places (after restores or bulk changes)
+     */
+    async switchToRoute(routeId, reloadData = false) {
+        if (reloadData) {
+            await this.filterManager.init();
+        }
+        if (routeId) {
+            this.routeManager.currentRouteId = routeId;
+        }
+        await this.routeManager.loadRoutes();
+        const places = await this.routeManager.loadCurrentRoute();
+        this.placeManager.setPlaces(places);
+        this.updateUI();
+        await this.loadTimelineForCurrentRoute();
+    }
+
+    /**
+     * Apply a change another member (or another tab) made to a route
+     * @param {Object} change - Pushed by the API: { routeId, kind, placeIds, ... }
+     */
+    async applyRemoteRouteChange(change) {
+        const routeId = this.routeManager.currentRouteId;
+
+        // Cached reads of this route are from before the change - schedule and legs don't show in the route list
+        const listChanged = change.kind !== ROUTE_CHANGE_KINDS.schedule && change.kind !== ROUTE_CHANGE_KINDS.legs;
+        await invalidateOfflineRouteCache(change.routeId, listChanged);
+
+        // Other routes only show up in the route selector
+        if (change.routeId !== routeId) {
+            if (listChanged) {
+                await this.routeManager.loadRoutes();
+            }
+            return;
+        }
+
+        switch (change.kind) {
+            case ROUTE_CHANGE_KINDS.route:
+                await this.routeManager.loadRoutes();
+                break;
+
+            case ROUTE_CHANGE_KINDS.deleted:
+            case ROUTE_CHANGE_KINDS.members: {
+                await this.routeManager.loadRoutes();
+                const route = this.routeManager.routes.find(r => r.id === routeId);
+                if (!route) {
+                    showInfo('You no longer have access to this route');
+                    this.routeManager.currentRouteId = null;
+                    await this.switchToRoute(null);
+                } else if (route.role !== this.routeManager.getCurrentRouteRole()) {
+                    await this.switchToRoute(routeId);
                 }
-                
-                console.log('Importing', data.places.length, 'places...');
-                
-                const success = await this.placeManager.importPlaces(data.places);
-                if (success) {
-                    this.updateUI();
+                break;
+            }
+
+            case ROUTE_CHANGE_KINDS.stops: {
+                const places = this.placeManager.getPlaces();
+                const byId = new Map(places.map(p => [p.id, p]));
+                const selectedId = places[this.placeManager.selectedIndex]?.id;
+
+                if (change.placeIds && change.placeIds.length === places.length && change.placeIds.every(id => byId.has(id))) {
+                    // Same stops in a new order - no need to refetch them
+                    this.placeManager.setPlaces(change.placeIds.map(id => byId.get(id)));
+                    await this.routeManager.loadRouteLegs();
+                } else {
+                    this.placeManager.setPlaces(await this.routeManager.loadCurrentRoute());
+                    await this.routeManager.loadRoutes(); // For place count update
                 }
-                
-            } catch (error) {
-                console.error('Import error:', error);
-                showError('Invalid file format');
+
+                const selectedIndex = this.placeManager.getPlaces().findIndex(p => p.id === selectedId);
+                this.placeManager.selectedIndex = selectedIndex >= 0 ? selectedIndex : null;
+                this.updateUI(false);
+                await this.loadTimelineForCurrentRoute();
+                break;
             }
-        };
-        
-        reader.readAsText(file);
+
+            case ROUTE_CHANGE_KINDS.legs:
+                await this.routeManager.loadRouteLegs();
+                this.updateUI(false);
+                await this.loadTimelineForCurrentRoute();
+                break;
+
+            case ROUTE_CHANGE_KINDS.schedule:
+                await this.loadTimelineForCurrentRoute();
+                break;
+        }
+    }
+
+    async reloadCurrentRouteAfterImport() {
+        await this.filterManager.refreshPlacesData();
+        await this.switchToRoute(this.routeManager.currentRouteId);
     }
 
     clearRoute() {
@@ -822,6 +1082,24 @@ class App {
             durationSpan.textContent = `${routeInfo.durationMinutes}min`;
         }
 
+        // Ferry, flight, ... legs are listed separately - they are not driven
+        const otherItem = document.getElementById('routeOtherLegsItem');
+        const otherLegs = routeInfo.otherLegs || [];
+        if (otherItem) {
+            const durationByMode = new Map();
+            otherLegs.forEach(leg => {
+                durationByMode.set(leg.mode, (durationByMode.get(leg.mode) || 0) + leg.durationSeconds);
+            });
+            document.getElementById('routeOtherLegs').textContent = [...durationByMode.entries()]
+                .map(([mode, seconds]) => {
+                    const minutes = Math.round(seconds / 60);
+                    const duration = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}min` : `${minutes}min`;
+                    return `${getTransportMode(mode).label} ${duration}`;
+                })
+                .join(', ');
+            otherItem.style.display = otherLegs.length > 0 ? '' : 'none';
+        }
+
         // Show the panel
         panel.style.display = 'block';
     }
@@ -1207,6 +1485,9 @@ class App {
                 panel.classList.remove('visible');
             }
             this.updateRouteStartDatePicker(); // Clear date picker
+            this.playbackManager.onTimelineLoaded(null);
+            this.routeCompareManager.onRouteChanged(null);
+            this.agendaViews.forEach(view => view.renderMessage('No route selected'));
             return;
         }
 
@@ -1220,8 +1501,10 @@ class App {
             // Get current route
             const route = await ApiService.getRoute(routeId);
 
-            // Auto-initialize schedule if needed
-            await initializeScheduleIfNeeded(routeId, route);
+            // Auto-initialize schedule if needed (viewers can't save it - the owner's next visit does)
+            if (this.routeManager.canEditCurrentRoute()) {
+                await initializeScheduleIfNeeded(routeId, route);
+            }
 
             // Load itinerary WITH conflict information
             const itinerary = await ApiService.getItineraryWithConflicts(routeId);
@@ -1235,16 +1518,33 @@ class App {
             const totalDays = calculateTotalDays(timelineStops);
             const routeStartUtc = itinerary.scheduleSettings?.startDateTime;
 
+            // Over-limit days are highlighted while rendering
+            this.timelineService.setDrivingLimits(getDrivingLimits(itinerary.scheduleSettings));
+
+            // Viewers of a shared route can't drag or resize stops
+            this.timelineService.readOnly = !this.routeManager.canEditCurrentRoute();
+
             // Render with conflict information and legs
             this.timelineService.renderWithConflicts(
                 timelineStops,
                 totalDays,
                 routeStartUtc,
                 itinerary.conflictInfo,
-                timelineLegs
+                timelineLegs,
+                getRouteTimeZone(itinerary)
             );
+
+            // Rendering moved the cursor back to the start
+            this.playbackManager.onTimelineLoaded(routeId);
+            this.routeCompareManager.onRouteChanged(routeId);
+
+            // Kept for the schedule editor (stop type and time zones)
+            this.schedulePlaces = new Map((itinerary.places || []).map(p => [String(p.id), p]));
+            this.scheduleTimeZone = getRouteTimeZone(itinerary);
+            this.agendaViews.forEach(view => view.render(itinerary));
         } catch (error) {
             console.error('Failed to load timeline:', error);
+            this.agendaViews.forEach(view => view.renderMessage('Failed to load timeline', true));
             showError('Failed to load timeline');
         }
     }
@@ -1278,15 +1578,15 @@ class App {
         if (!dateInput) return;
 
         const startDateTime = itinerary?.scheduleSettings?.startDateTime;
+        const timeZone = getRouteTimeZone(itinerary);
         if (startDateTime) {
-            // Convert to local date format (YYYY-MM-DD)
-            const date = new Date(startDateTime);
-            const localDate = date.toISOString().split('T')[0];
+            // Calendar date (YYYY-MM-DD) of the start in the route's time zone
+            const localDate = toZonedInputValues(new Date(startDateTime), timeZone).date;
             dateInput.value = localDate;
             this.originalStartDate = localDate;
         } else {
             // Default to today if no start date set
-            const today = new Date().toISOString().split('T')[0];
+            const today = toZonedInputValues(new Date(), timeZone).date;
             dateInput.value = today;
             this.originalStartDate = today;
         }
@@ -1320,10 +1620,6 @@ class App {
 
         if (!dateInput || !dateInput.value) return;
 
-        // Parse the new date and set time to 09:00 (default arrival time)
-        const newDate = new Date(dateInput.value);
-        newDate.setHours(9, 0, 0, 0);
-
         try {
             // Show loading state
             if (applyBtn) {
@@ -1331,16 +1627,19 @@ class App {
                 applyBtn.querySelector('i').className = 'fas fa-spinner';
             }
 
-            // Get current route to preserve other schedule settings
-            const route = await ApiService.getRoute(routeId);
+            // Get current schedule settings to preserve the other values
+            const itinerary = await ApiService.getItinerary(routeId);
+            const settings = itinerary.scheduleSettings || {};
+            const timeZoneId = getRouteTimeZone(itinerary);
+
+            // New start date at 09:00 (default arrival time) in the route's time zone
+            const newDate = fromZonedInputValues(dateInput.value, '09:00', timeZoneId);
 
             // Update route schedule settings with new start date
             await ApiService.updateRouteScheduleSettings(routeId, {
-                timeZoneId: route.timeZoneId || "Europe/Berlin",
-                startDateTime: newDate.toISOString(),
-                endDateTime: route.endDateTime || null,
-                defaultArrivalTime: route.defaultArrivalTime || null,
-                defaultDepartureTime: route.defaultDepartureTime || null
+                ...settings,
+                timeZoneId,
+                startDateTime: newDate.toISOString()
             });
 
             console.log(`Updated route ${routeId} start date to: ${newDate.toISOString()}`);
@@ -1429,7 +1728,11 @@ class App {
 
         try {
             // Resolve conflicts by applying time-based order
-            await ApiService.resolveConflictByReorder(routeId, false);
+            await this.undoManager.track(
+                'Reorder to match timeline',
+                () => ApiService.resolveConflictByReorder(routeId, false),
+                { successMessage: 'Route reordered to match timeline' }
+            );
 
             // Reload route to show new order
             const places = await this.routeManager.loadCurrentRoute();
@@ -1440,136 +1743,54 @@ class App {
 
             // Reload timeline
             await this.loadTimelineForCurrentRoute();
-
-            showSuccess('Route reordered to match timeline');
         } catch (error) {
             console.error('Failed to resolve conflicts:', error);
             showError('Failed to reorder route');
         }
     }
 
-    // Add method to App class for rendering mobile timeline
-    async renderMobileTimeline() {
-        const routeId = this.routeManager.currentRouteId;
-        if (!routeId) {
-            const container = document.getElementById('mobileTimelineContent');
-            if (container) {
-                container.innerHTML = '<p style="text-align: center; padding: 20px; color: #666;">No route selected</p>';
-            }
-            return;
-        }
-
-        try {
-            const itinerary = await ApiService.getItinerary(routeId);
-            const container = document.getElementById('mobileTimelineContent');
-
-            if (!container) return;
-
-            if (!itinerary.places || itinerary.places.length === 0) {
-                container.innerHTML = '<p style="text-align: center; padding: 20px; color: #666;">No places in route</p>';
-                return;
-            }
-
-            const legs = itinerary.legs || [];
-
-            // Render list view with places and leg dividers
-            let html = '';
-            itinerary.places.forEach((place, idx) => {
-                const startDate = place.plannedStart ? new Date(place.plannedStart).toLocaleString() : 'Not scheduled';
-                const endDate = place.plannedEnd ? new Date(place.plannedEnd).toLocaleString() : 'Not scheduled';
-                const stopTypeLabel = place.stopType === 0 ? 'Overnight' : place.stopType === 1 ? 'Day Stop' : 'Waypoint';
-
-                // Store ISO strings for editing
-                const startISO = place.plannedStart || '';
-                const endISO = place.plannedEnd || '';
-
-                // Place card (use place.id as routePlaceId - that's how the API returns it)
-                html += `
-                    <div class="mobile-timeline-place" style="background: white; padding: 15px; margin-bottom: 0; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);"
-                         data-route-place-id="${place.id}" data-place-name="${place.placeName}">
-                        <div style="display: flex; align-items: center; margin-bottom: 8px;">
-                            <div style="background: linear-gradient(135deg, ${this.getColorForIndex(idx)}); width: 30px; height: 30px; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; margin-right: 10px;">${idx + 1}</div>
-                            <h4 style="margin: 0; flex: 1;">${place.placeName}</h4>
-                            <span style="background: #e3f2fd; padding: 4px 8px; border-radius: 12px; font-size: 11px; color: #1976D2;">${stopTypeLabel}</span>
-                        </div>
-                        <div style="font-size: 13px; color: #666;">
-                            <div style="margin-bottom: 4px;">
-                                <i class="fas fa-sign-in-alt" style="width: 16px;"></i> <strong>Arrival:</strong>
-                                <span class="mobile-timeline-time" data-field="arrival" data-start="${startISO}" data-end="${endISO}">
-                                    ${startDate} <i class="fas fa-edit"></i>
-                                </span>
-                            </div>
-                            <div>
-                                <i class="fas fa-sign-out-alt" style="width: 16px;"></i> <strong>Departure:</strong>
-                                <span class="mobile-timeline-time" data-field="departure" data-start="${startISO}" data-end="${endISO}">
-                                    ${endDate} <i class="fas fa-edit"></i>
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-                `;
-
-                // Leg divider (if there's a next place)
-                if (idx < legs.length) {
-                    const leg = legs[idx];
-                    const duration = this.formatMobileDuration(leg.durationSeconds);
-                    const distance = (leg.distanceMeters / 1000).toFixed(0);
-
-                    html += `
-                        <div class="mobile-timeline-leg" data-leg-index="${idx}">
-                            <span><i class="fas fa-car"></i> ${duration} &bull; ${distance} km</span>
-                        </div>
-                    `;
-                }
-            });
-
-            container.innerHTML = html;
-
-            // Attach click handlers for leg dividers
-            container.querySelectorAll('.mobile-timeline-leg').forEach(el => {
-                el.addEventListener('click', () => {
-                    const legIndex = parseInt(el.dataset.legIndex, 10);
-                    this.mapService.showSegmentPopupForLeg(legIndex);
-                });
-            });
+    /**
+     * Show the Gantt or the agenda in the timeline panel
+     * @param {'gantt'|'agenda'} view
+     */
+    setTimelineView(view) {
+        const panel = document.getElementById('timelinePanel');
+        if (!panel) return;
 
-            // Attach click handlers for schedule editing
-            container.querySelectorAll('.mobile-timeline-time').forEach(el => {
-                el.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const placeCard = el.closest('.mobile-timeline-place');
-                    const routePlaceId = placeCard.dataset.routePlaceId;
-                    const placeName = placeCard.dataset.placeName;
-                    const startISO = el.dataset.start;
-                    const endISO = el.dataset.end;
-                    this.openMobileScheduleModal(routePlaceId, placeName, startISO, endISO);
-                });
-            });
-        } catch (error) {
-            console.error('Failed to render mobile timeline:', error);
-            const container = document.getElementById('mobileTimelineContent');
-            if (container) {
-                container.innerHTML = '<p style="text-align: center; padding: 20px; color: #f44336;">Failed to load timeline</p>';
-            }
-        }
+        panel.classList.toggle('agenda-mode', view === 'agenda');
+        document.querySelectorAll('.timeline-view-toggle [data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
     }
 
-    formatMobileDuration(seconds) {
-        if (!seconds || seconds <= 0) return '0m';
-        const hours = Math.floor(seconds / 3600);
-        const mins = Math.floor((seconds % 3600) / 60);
-        if (hours > 0) {
-            return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+    /**
+     * A schedule edit outside the Gantt would overlap other stops - offer to reorder like the timeline does
+     * @param {Object} conflict - Conflict info of the schedule update response
+     */
+    async handleScheduleConflict(conflict) {
+        const conflictUI = this.timelineService.conflictUI;
+        if (await conflictUI.showScheduleChangeConflictPrompt(conflict)) {
+            await this.handleResolveConflictByReorder();
+            conflictUI.showResolutionSuccess();
         }
-        return `${mins}m`;
     }
 
-    // Mobile Schedule Edit Modal handlers
-    openMobileScheduleModal(routePlaceId, placeName, startISO, endISO) {
+    // Schedule Edit Modal handlers (arrival, departure and time zone of a stop - opened from the agenda)
+    openScheduleModal(routePlaceId) {
+        const place = this.schedulePlaces?.get(String(routePlaceId));
+        if (!place) return;
         this.editingScheduleRoutePlaceId = routePlaceId;
 
+        const routeTimeZone = this.scheduleTimeZone || 'UTC';
+        const timeZone = getStopTimeZone(place, routeTimeZone);
+        const startISO = place.plannedStart;
+        const endISO = place.plannedEnd;
+
         // Set modal title
-        document.getElementById('scheduleModalTitle').textContent = `Edit Schedule: ${placeName}`;
+        document.getElementById('scheduleModalTitle').textContent = `Edit Schedule: ${place.placeName}`;
+
+        const detectedTimeZone = isValidTimeZone(place?.detectedTimeZoneId) ? place.detectedTimeZoneId : routeTimeZone;
+        this.populateScheduleTimeZoneSelect(place?.timeZoneId || '', detectedTimeZone);
 
         // Parse dates and populate inputs
         const arrivalDateInput = document.getElementById('scheduleArrivalDate');
@@ -1577,19 +1798,20 @@ class App {
         const departureDateInput = document.getElementById('scheduleDepartureDate');
         const departureTimeInput = document.getElementById('scheduleDepartureTime');
 
+        // Inputs hold local wall-clock time in the stop's zone
         if (startISO) {
-            const startDate = new Date(startISO);
-            arrivalDateInput.value = startDate.toISOString().split('T')[0];
-            arrivalTimeInput.value = startDate.toTimeString().slice(0, 5);
+            const start = toZonedInputValues(new Date(startISO), timeZone);
+            arrivalDateInput.value = start.date;
+            arrivalTimeInput.value = start.time;
         } else {
             arrivalDateInput.value = '';
             arrivalTimeInput.value = '';
         }
 
         if (endISO) {
-            const endDate = new Date(endISO);
-            departureDateInput.value = endDate.toISOString().split('T')[0];
-            departureTimeInput.value = endDate.toTimeString().slice(0, 5);
+            const end = toZonedInputValues(new Date(endISO), timeZone);
+            departureDateInput.value = end.date;
+            departureTimeInput.value = end.time;
         } else {
             departureDateInput.value = '';
             departureTimeInput.value = '';
@@ -1599,6 +1821,25 @@ class App {
         document.getElementById('mobileScheduleModal').classList.add('active');
     }
 
+    /**
+     * Fill the stop time zone select: "Automatic" (detected from the coordinates) plus all zones as override
+     * @param {string} overrideTimeZone - Current override ('' = automatic)
+     * @param {string} detectedTimeZone - Zone used when no override is set
+     */
+    populateScheduleTimeZoneSelect(overrideTimeZone, detectedTimeZone) {
+        const select = document.getElementById('scheduleTimeZone');
+        if (!select) return;
+
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        if (overrideTimeZone && !zones.includes(overrideTimeZone)) zones.unshift(overrideTimeZone);
+
+        select.innerHTML = '';
+        select.add(new Option(`Automatic (${detectedTimeZone})`, ''));
+        zones.forEach(zone => select.add(new Option(zone, zone)));
+        select.value = overrideTimeZone;
+        select.dataset.detected = detectedTimeZone;
+    }
+
     closeMobileScheduleModal() {
         document.getElementById('mobileScheduleModal').classList.remove('active');
         this.editingScheduleRoutePlaceId = null;
@@ -1619,9 +1860,12 @@ class App {
             return;
         }
 
-        // Construct ISO strings
-        const plannedStart = new Date(`${arrivalDate}T${arrivalTime}`).toISOString();
-        const plannedEnd = new Date(`${departureDate}T${departureTime}`).toISOString();
+        // Inputs are local times in the selected zone (override, or the detected one)
+        const timeZoneSelect = document.getElementById('scheduleTimeZone');
+        const timeZoneOverride = timeZoneSelect.value || null;
+        const timeZone = timeZoneOverride || timeZoneSelect.dataset.detected || 'UTC';
+        const plannedStart = fromZonedInputValues(arrivalDate, arrivalTime, timeZone).toISOString();
+        const plannedEnd = fromZonedInputValues(departureDate, departureTime, timeZone).toISOString();
 
         // Validate that departure is after arrival
         if (new Date(plannedEnd) <= new Date(plannedStart)) {
@@ -1630,10 +1874,19 @@ class App {
         }
 
         try {
-            await this.handleStopScheduleChanged(routePlaceId, { plannedStart, plannedEnd });
+            const place = this.schedulePlaces?.get(String(routePlaceId));
+            // Full update like a timeline edit (the endpoint replaces all schedule fields)
+            await this.handleStopScheduleChanged(routePlaceId, {
+                stopType: place?.stopType ?? 0,
+                timeZoneId: timeZoneOverride,
+                plannedStart,
+                plannedEnd,
+                stayNights: null, // Let backend recalculate
+                stayDurationMinutes: null,
+                isStartLocked: true, // Lock after manual edit
+                isEndLocked: true
+            });
             this.closeMobileScheduleModal();
-            // Refresh mobile timeline
-            await this.renderMobileTimeline();
             showSuccess('Schedule updated');
         } catch (error) {
             console.error('Failed to save schedule:', error);
@@ -1641,17 +1894,6 @@ class App {
         }
     }
 
-    getColorForIndex(idx) {
-        const colors = [
-            '#FF6B6B, #EE5A52',
-            '#4ECDC4, #44B3AA',
-            '#FFE66D, #F4D03F',
-            '#A8E6CF, #88D4AB',
-            '#C7CEEA, #A8B3D7'
-        ];
-        return colors[idx % colors.length];
-    }
-
     async showPlaceInMobilePopup(index, isNonRoute) {
         const place = this.placeManager.places[index];
         if (!place) return;
@@ -1866,6 +2108,10 @@ class App {
         if (confirmed) {
             try {
                 await AuthManager.logout();
+                clearOfflineApiCache();
+                await offlineOutbox.clear();
+                this.undoManager.clear();
+                await this.routeSyncManager.stop();
                 showSuccess('Logged out successfully');
 
                 // Reload page to clear state and show login modal
@@ -1895,6 +2141,21 @@ window.handleLogout = () => window.app?.handleLogout();
 window.switchTab = (tab) => window.app?.switchTab(tab);
 window.showCreateRouteModal = () => window.app?.showCreateRouteModal();
 window.showRenameRouteModal = () => window.app?.showRenameRouteModal();
+window.showDuplicateRouteModal = () => window.app?.showDuplicateRouteModal();
+window.openRouteCompare = () => window.app?.routeCompareManager?.open();
+window.closeRouteCompare = () => window.app?.routeCompareManager?.close();
+window.openRouteHistory = () => window.app?.routeHistoryManager?.open();
+window.closeRouteHistory = () => window.app?.routeHistoryManager?.close();
+window.restoreRouteVersion = () => window.app?.routeHistoryManager?.restore();
+window.openRouteShare = () => window.app?.routeShareManager?.open();
+window.closeRouteShare = () => window.app?.routeShareManager?.close();
+window.saveRouteShare = () => window.app?.routeShareManager?.save();
+window.copyRouteShareLink = () => window.app?.routeShareManager?.copyLink();
+window.revokeRouteShare = () => window.app?.routeShareManager?.revoke();
+window.openRouteCollaborators = () => window.app?.routeCollaboratorManager?.open();
+window.closeRouteCollaborators = () => window.app?.routeCollaboratorManager?.close();
+window.inviteRouteCollaborator = () => window.app?.routeCollaboratorManager?.invite();
+window.leaveRoute = () => window.app?.routeCollaboratorManager?.leave();
 window.closeRouteModal = () => window.app?.closeRouteModal();
 window.saveRoute = () => window.app?.saveRoute();
 window.deleteCurrentRoute = () => window.app?.deleteCurrentRoute();
@@ -1926,7 +2187,32 @@ window.centerMap = () => window.app?.centerMap();
 window.toggleRoute = () => window.app?.toggleRoute();
 window.getCurrentLocation = () => window.app?.getCurrentLocation();
 window.exportRoute = () => window.app?.exportRoute();
+window.exportRouteAs = (format) => window.app?.exportRouteAs(format);
+window.closeExportRouteModal = () => window.app?.closeExportRouteModal();
 window.importRoute = () => window.app?.importRoute();
+window.openPrintableItinerary = () => window.app?.openPrintableItinerary();
+window.optimizeRouteOrder = () => window.app?.routeOptimizer?.optimize();
+window.closeOptimizeRouteModal = () => window.app?.routeOptimizer?.closePreview();
+window.applyOptimizedRoute = () => window.app?.routeOptimizer?.apply();
+window.openDrivingLimitsModal = () => window.app?.drivingLimitsManager?.openSettings();
+window.closeDrivingLimitsModal = () => window.app?.drivingLimitsManager?.closeSettings();
+window.saveDrivingLimits = () => window.app?.drivingLimitsManager?.saveSettings();
+window.editLegMode = (legId) => window.app?.legModeManager?.open(legId);
+window.closeLegModeModal = () => window.app?.legModeManager?.close();
+window.saveLegMode = () => window.app?.legModeManager?.save();
+window.closeOvernightSuggestionsModal = () => window.app?.drivingLimitsManager?.closeSuggestions();
+window.addSuggestedOvernightStop = (index) => window.app?.drivingLimitsManager?.addSuggestion(index);
+window.openOfflineMapModal = () => window.app?.offlineMapManager?.open();
+window.closeOfflineMapModal = () => window.app?.offlineMapManager?.close();
+window.updateOfflineMapEstimate = () => window.app?.offlineMapManager?.updateEstimate();
+window.downloadOfflineMap = () => window.app?.offlineMapManager?.download();
+window.cancelOfflineMapDownload = () => window.app?.offlineMapManager?.cancelDownload();
+window.resumeOfflineArea = (areaId) => window.app?.offlineMapManager?.resumeArea(areaId);
+window.deleteOfflineArea = (areaId) => window.app?.offlineMapManager?.deleteArea(areaId);
+window.closeImportPreviewModal = () => window.app?.importManager?.closePreview();
+window.confirmImportPlaces = () => window.app?.importManager?.confirmImport();
+window.toggleImportSelectAll = (checked) => window.app?.importManager?.toggleAll(checked);
+window.setImportDuplicateDistance = (value) => window.app?.importManager?.setDuplicateDistance(value);
 window.clearRoute = () => window.app?.clearRoute();
 window.closePlaceModal = () => window.app?.placeManager?.closePlaceModal();
 window.savePlaceEdit = () => window.app?.placeManager?.savePlaceEdit();
@@ -2028,7 +2314,7 @@ window.switchMobileMode = function(mode) {
         // The timeline will use the same TimelineService instance
         // Just make sure it's visible and rendered
         setTimeout(() => {
-            window.app.renderMobileTimeline();
+            window.app.loadTimelineForCurrentRoute();
         }, 100);
     }
 };
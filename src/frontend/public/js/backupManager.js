@@ -0,0 +1,424 @@
+import { ApiService } from './api.js';
+import { showSuccess, showError, showInfo, showConfirm, downloadFile, toSafeFileName, haversineDistanceMeters } from './utils.js';
+
+export const BACKUP_FORMAT = 'roadtrip-planner-backup';
+export const BACKUP_VERSION = 1;
+
+// Non-Google places closer than this with the same name are treated as the same place on restore
+const SAME_PLACE_DISTANCE_METERS = 50;
+
+/**
+ * Backup Manager
+ * Full-fidelity, versioned backup/restore of one route or the whole account.
+ * Keeps categories, countries, notes, Google place IDs, stop schedules
+ * (stop types, stay nights, locks) and leg schedules.
+ *
+ * Places are referenced by their original ID ("ref") inside the file so routes
+ * can point at them; all IDs are remapped on restore.
+ */
+export class BackupManager {
+    constructor(routeManager, onRestored = null) {
+        this.routeManager = routeManager;
+        this.onRestored = onRestored;
+    }
+
+    /**
+     * Check whether parsed JSON is a backup file (vs. a legacy route export)
+     * @param {Object} data
+     * @returns {boolean}
+     */
+    static isBackup(data) {
+        return data?.format === BACKUP_FORMAT;
+    }
+
+    // ===== Backup =====
+
+    /**
+     * Build and download a backup
+     * @param {'route'|'account'} scope - Current route only, or all routes and places
+     */
+    async exportBackup(scope = 'route') {
+        const currentRoute = this.routeManager.getCurrentRoute();
+        if (scope === 'route' && !currentRoute) {
+            showError('No route selected');
+            return;
+        }
+
+        try {
+            showInfo('Creating backup...');
+
+            const routeIds = scope === 'route'
+                ? [currentRoute.id]
+                : (await ApiService.getAllRoutes()).map(r => r.id);
+
+            const backup = await this.buildBackup(scope, routeIds);
+
+            const fileName = scope === 'route'
+                ? `${toSafeFileName(currentRoute.name)}_backup.json`
+                : `roadtrip_backup_${new Date().toISOString().slice(0, 10)}.json`;
+
+            downloadFile(JSON.stringify(backup, null, 2), fileName, 'application/json');
+            showSuccess(`Backup created: ${backup.routes.length} route(s), ${backup.places.length} place(s)`);
+        } catch (error) {
+            console.error('Backup failed:', error);
+            showError(error.message || 'Backup failed');
+        }
+    }
+
+    /**
+     * Collect everything needed to rebuild the given routes
+     * @param {'route'|'account'} scope
+     * @param {number[]} routeIds
+     * @returns {Promise<Object>} Backup document
+     */
+    async buildBackup(scope, routeIds) {
+        const [categories, countries, allPlaces] = await Promise.all([
+            ApiService.getAllCategories(),
+            ApiService.getAllCountries(),
+            ApiService.getAllPlaces()
+        ]);
+
+        const routes = [];
+        for (const routeId of routeIds) {
+            const itinerary = await ApiService.getItinerary(routeId);
+            routes.push(this.serializeRoute(itinerary));
+        }
+
+        // Route backups only carry the places used by the route
+        const usedPlaceIds = new Set(routes.flatMap(r => r.stops.map(s => s.placeRef)));
+        const places = scope === 'account'
+            ? allPlaces
+            : allPlaces.filter(p => usedPlaceIds.has(p.id));
+
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            scope,
+            exportedAt: new Date().toISOString(),
+            categories: categories.map(c => ({ name: c.name, icon: c.icon || null, description: c.description || null })),
+            countries: countries.map(c => ({ name: c.name, code: c.code || null, icon: c.icon || null, description: c.description || null })),
+            places: places.map(p => ({
+                ref: p.id,
+                name: p.name,
+                latitude: p.latitude,
+                longitude: p.longitude,
+                notes: p.notes || null,
+                googlePlaceId: p.googlePlaceId || null,
+                categories: (p.categories || []).map(c => c.name),
+                countries: (p.countries || []).map(c => c.name)
+            })),
+            routes
+        };
+    }
+
+    /**
+     * Convert an itinerary into the backup route shape
+     */
+    serializeRoute(itinerary) {
+        const stops = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+        const orderByRoutePlaceId = new Map(stops.map((s, index) => [s.id, index]));
+        const settings = itinerary.scheduleSettings;
+
+        return {
+            name: itinerary.name,
+            description: itinerary.description || null,
+            scheduleSettings: settings ? {
+                timeZoneId: settings.timeZoneId,
+                startDateTime: settings.startDateTime,
+                endDateTime: settings.endDateTime,
+                defaultArrivalTime: settings.defaultArrivalTime,
+                defaultDepartureTime: settings.defaultDepartureTime,
+                maxDrivingMinutesPerDay: settings.maxDrivingMinutesPerDay,
+                maxDrivingKmPerDay: settings.maxDrivingKmPerDay,
+                latestArrivalTime: settings.latestArrivalTime
+            } : null,
+            stops: stops.map(s => ({
+                placeRef: s.placeId,
+                stopType: s.stopType,
+                timeZoneId: s.timeZoneId,
+                plannedStart: s.plannedStart,
+                plannedEnd: s.plannedEnd,
+                stayNights: s.stayNights,
+                stayDurationMinutes: s.stayDurationMinutes,
+                isStartLocked: s.isStartLocked,
+                isEndLocked: s.isEndLocked
+            })),
+            // Legs reference stops by position, since RoutePlace IDs change on restore
+            legs: [...(itinerary.legs || [])]
+                .sort((a, b) => a.orderIndex - b.orderIndex)
+                .map(l => ({
+                    fromStop: orderByRoutePlaceId.get(l.fromRoutePlaceId),
+                    toStop: orderByRoutePlaceId.get(l.toRoutePlaceId),
+                    distanceMeters: l.distanceMeters,
+                    durationSeconds: l.durationSeconds,
+                    mode: l.mode ?? 0,
+                    plannedStart: l.plannedStart,
+                    plannedEnd: l.plannedEnd
+                }))
+        };
+    }
+
+    // ===== Restore =====
+
+    /**
+     * Validate a backup document before restoring
+     * @param {Object} backup
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateBackup(backup) {
+        if (!BackupManager.isBackup(backup)) return 'Not a Roadtrip Planner backup file';
+        if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+            return `Unsupported backup version ${backup.version} - please update the app`;
+        }
+        if (!Array.isArray(backup.places) || !Array.isArray(backup.routes)) {
+            return 'Backup file is incomplete';
+        }
+        return null;
+    }
+
+    /**
+     * Ask for confirmation and restore a backup into the current account
+     * @param {Object} backup - Parsed backup document
+     */
+    async restoreBackup(backup) {
+        const validationError = this.validateBackup(backup);
+        if (validationError) {
+            showError(validationError);
+            return;
+        }
+
+        const confirmed = await showConfirm({
+            title: 'Restore Backup',
+            message: `Restore ${backup.routes.length} route(s) and ${backup.places.length} place(s) from ` +
+                `${new Date(backup.exportedAt).toLocaleString()}? Existing places and tags are reused, routes are added as new routes.`,
+            confirmText: 'Restore',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed) return;
+
+        try {
+            showInfo('Restoring tags...');
+            const categoryIds = await this.restoreTags(
+                backup.categories || [], await ApiService.getAllCategories(),
+                (tag) => ApiService.createCategory(tag.name, tag.icon || '')
+            );
+            const countryIds = await this.restoreTags(
+                backup.countries || [], await ApiService.getAllCountries(),
+                (tag) => ApiService.createCountry(tag.name, tag.icon || '', tag.code)
+            );
+
+            showInfo(`Restoring ${backup.places.length} places...`);
+            const placeIdByRef = await this.restorePlaces(backup.places, categoryIds, countryIds);
+
+            const existingRouteNames = new Set((await ApiService.getAllRoutes()).map(r => r.name));
+            let firstRouteId = null;
+
+            for (const route of backup.routes) {
+                showInfo(`Restoring route "${route.name}"...`);
+                const routeId = await this.restoreRoute(route, placeIdByRef, existingRouteNames);
+                firstRouteId = firstRouteId ?? routeId;
+            }
+
+            showSuccess(`Backup restored: ${backup.routes.length} route(s), ${placeIdByRef.size} place(s)`);
+
+            if (this.onRestored) {
+                await this.onRestored(firstRouteId);
+            }
+        } catch (error) {
+            console.error('Restore failed:', error);
+            showError(error.message || 'Restore failed');
+        }
+    }
+
+    /**
+     * Map tag names to IDs, creating only the tags that don't exist yet (matched by name)
+     * @returns {Promise<Map<string, number>>} Lowercase name -> tag ID
+     */
+    async restoreTags(backupTags, existingTags, createTag) {
+        const idsByName = new Map(existingTags.map(t => [t.name.toLowerCase(), t.id]));
+
+        for (const tag of backupTags) {
+            const key = tag.name.toLowerCase();
+            if (idsByName.has(key)) continue;
+
+            const created = await createTag(tag);
+            idsByName.set(key, created.id);
+        }
+
+        return idsByName;
+    }
+
+    /**
+     * Re-create or re-link places. Google places go through createPlaceFromGoogle
+     * (or reuse the existing saved place); manual places are matched by name and location.
+     * @returns {Promise<Map<number, number>>} Backup ref -> new place ID
+     */
+    async restorePlaces(backupPlaces, categoryIds, countryIds) {
+        const existingPlaces = await ApiService.getAllPlaces();
+        const placeIdByRef = new Map();
+
+        for (const backupPlace of backupPlaces) {
+            try {
+                const { place, isNew } = await this.findOrCreatePlace(backupPlace, existingPlaces);
+                placeIdByRef.set(backupPlace.ref, place.id);
+
+                // Keep the backup's name/notes on new places (Google may return a different name)
+                if (isNew && (place.name !== backupPlace.name || (backupPlace.notes && place.notes !== backupPlace.notes))) {
+                    await ApiService.updatePlace(place.id, backupPlace.name, null, null, backupPlace.notes);
+                } else if (!isNew && backupPlace.notes && !place.notes) {
+                    await ApiService.updatePlaceNotes(place.id, backupPlace.notes);
+                }
+
+                await this.restorePlaceTags(place, backupPlace, categoryIds, countryIds);
+            } catch (error) {
+                console.error(`Failed to restore place "${backupPlace.name}":`, error);
+            }
+        }
+
+        return placeIdByRef;
+    }
+
+    async findOrCreatePlace(backupPlace, existingPlaces) {
+        if (backupPlace.googlePlaceId) {
+            const duplicate = await ApiService.checkDuplicateGooglePlace(backupPlace.googlePlaceId);
+            if (duplicate.isDuplicate && duplicate.existingPlace) {
+                const existing = existingPlaces.find(p => p.id === duplicate.existingPlace.id) || duplicate.existingPlace;
+                return { place: existing, isNew: false };
+            }
+
+            try {
+                const place = await ApiService.createPlaceFromGoogle(backupPlace.googlePlaceId, backupPlace.notes);
+                existingPlaces.push(place);
+                return { place, isNew: true };
+            } catch (error) {
+                // Google place may no longer exist - fall back to a manual place
+                console.warn(`Could not re-link Google place ${backupPlace.googlePlaceId}, creating manual place:`, error);
+            }
+        }
+
+        const match = existingPlaces.find(p =>
+            !p.googlePlaceId &&
+            p.name === backupPlace.name &&
+            haversineDistanceMeters(p.latitude, p.longitude, backupPlace.latitude, backupPlace.longitude) <= SAME_PLACE_DISTANCE_METERS
+        );
+        if (match) {
+            return { place: match, isNew: false };
+        }
+
+        const place = await ApiService.createPlace(backupPlace.name, backupPlace.latitude, backupPlace.longitude);
+        existingPlaces.push(place);
+        return { place, isNew: true };
+    }
+
+    async restorePlaceTags(place, backupPlace, categoryIds, countryIds) {
+        const currentCategoryIds = new Set((place.categories || []).map(c => c.id));
+        const currentCountryIds = new Set((place.countries || []).map(c => c.id));
+
+        for (const name of backupPlace.categories || []) {
+            const categoryId = categoryIds.get(name.toLowerCase());
+            if (categoryId && !currentCategoryIds.has(categoryId)) {
+                await ApiService.assignCategoryToPlace(place.id, categoryId);
+            }
+        }
+
+        for (const name of backupPlace.countries || []) {
+            const countryId = countryIds.get(name.toLowerCase());
+            if (countryId && !currentCountryIds.has(countryId)) {
+                await ApiService.assignCountryToPlace(place.id, countryId);
+            }
+        }
+    }
+
+    /**
+     * Create a route with its stops, then apply schedule settings, stop and leg schedules
+     * @returns {Promise<number>} New route ID
+     */
+    async restoreRoute(backupRoute, placeIdByRef, existingRouteNames) {
+        let name = backupRoute.name;
+        if (existingRouteNames.has(name)) {
+            name = `${name} (restored)`;
+        }
+        existingRouteNames.add(name);
+
+        const route = await ApiService.createRoute(name, backupRoute.description || '');
+
+        // Add stops in order (skip places that could not be restored)
+        const restoredStops = [];
+        for (const [originalIndex, stop] of backupRoute.stops.entries()) {
+            const placeId = placeIdByRef.get(stop.placeRef);
+            if (!placeId) continue;
+
+            try {
+                await ApiService.addPlaceToRoute(route.id, placeId);
+                restoredStops.push({ ...stop, placeId, originalIndex });
+            } catch (error) {
+                console.error(`Failed to add place ${placeId} to restored route:`, error);
+            }
+        }
+
+        if (backupRoute.scheduleSettings) {
+            await ApiService.updateRouteScheduleSettings(route.id, backupRoute.scheduleSettings);
+        }
+
+        // RoutePlace IDs are only known after the stops were added
+        const itinerary = await ApiService.getItinerary(route.id);
+        const routePlaceIdByPlaceId = new Map(itinerary.places.map(p => [p.placeId, p.id]));
+
+        for (const stop of restoredStops) {
+            const routePlaceId = routePlaceIdByPlaceId.get(stop.placeId);
+            if (!routePlaceId || !stop.plannedStart) continue;
+
+            await ApiService.updateStopSchedule(route.id, routePlaceId, {
+                stopType: stop.stopType,
+                timeZoneId: stop.timeZoneId,
+                plannedStart: stop.plannedStart,
+                plannedEnd: stop.plannedEnd,
+                stayNights: stop.stayNights,
+                stayDurationMinutes: stop.stayDurationMinutes,
+                isStartLocked: stop.isStartLocked,
+                isEndLocked: stop.isEndLocked
+            });
+        }
+
+        await this.restoreLegSchedules(route.id, backupRoute, restoredStops, routePlaceIdByPlaceId, itinerary.legs || []);
+
+        return route.id;
+    }
+
+    async restoreLegSchedules(routeId, backupRoute, restoredStops, routePlaceIdByPlaceId, legs) {
+        // Backup legs reference stops by their original position
+        const routePlaceIdByOriginalIndex = new Map(
+            restoredStops.map(s => [s.originalIndex, routePlaceIdByPlaceId.get(s.placeId)])
+        );
+
+        for (const backupLeg of backupRoute.legs || []) {
+            const fromId = routePlaceIdByOriginalIndex.get(backupLeg.fromStop);
+            const toId = routePlaceIdByOriginalIndex.get(backupLeg.toStop);
+            const leg = legs.find(l => l.fromRoutePlaceId === fromId && l.toRoutePlaceId === toId);
+            if (!leg) continue;
+
+            if (backupLeg.mode) {
+                // Ferry, flight, ... legs keep their mode and manually entered metrics
+                await ApiService.updateLegMode(routeId, leg.id, {
+                    mode: backupLeg.mode,
+                    distanceMeters: backupLeg.distanceMeters,
+                    durationSeconds: backupLeg.durationSeconds
+                });
+            } else if (!leg.geometryCoordinates && backupLeg.distanceMeters > 0) {
+                // OSRM could not route this leg - keep the backed-up metrics instead of zeros
+                await ApiService.updateLegMetrics(routeId, leg.id, {
+                    distanceMeters: backupLeg.distanceMeters,
+                    durationSeconds: backupLeg.durationSeconds
+                });
+            }
+
+            if (backupLeg.plannedStart && backupLeg.plannedEnd) {
+                await ApiService.updateLegSchedule(routeId, leg.id, {
+                    plannedStart: backupLeg.plannedStart,
+                    plannedEnd: backupLeg.plannedEnd
+                });
+            }
+        }
+    }
+}
+
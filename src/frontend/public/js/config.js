@@ -17,5 +17,30 @@ export const CONFIG = {
     SEARCH_LIMIT: 5,
     NOMINATIM_URL: 'https://nominatim.openstreetmap.org/search',
     LEAFLET_TILE_URL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-    LEAFLET_ATTRIBUTION: '© OpenStreetMap'
+    LEAFLET_ATTRIBUTION: '© OpenStreetMap',
+    IMPORT_DUPLICATE_DISTANCE_METERS: 100, // Imported places closer than this to a saved place are flagged as duplicates
+
+    // Offline map areas (tiles downloaded along a route). The OpenStreetMap tile servers forbid bulk
+    // downloads, so offline areas need a provider whose terms allow offline use (own tile server or a
+    // plan that includes it) - the map then shows that provider too. Null disables offline areas.
+    OFFLINE_TILE_URL: null, // e.g. 'https://tiles.example.com/{z}/{x}/{y}.png'
+    OFFLINE_TILE_ATTRIBUTION: null, // Attribution of the offline provider, defaults to LEAFLET_ATTRIBUTION
+    OFFLINE_TILES_RADIUS_KM: 5, // Default corridor width on each side of the route
+    OFFLINE_TILES_MIN_ZOOM: 6,
+    OFFLINE_TILES_MAX_ZOOM: 14,
+    OFFLINE_TILES_ZOOM_LIMIT: 16, // Highest zoom that may be downloaded
+    OFFLINE_TILES_MAX_COUNT: 10000, // Per area - keep within the limits of the offline provider
+    OFFLINE_TILE_AVG_BYTES: 20000, // Used for the size estimate before downloading
+
+    // Undo/redo
+    UNDO_HISTORY_LIMIT: 50, // Edits kept per route
+
+    // Overnight suggestions for days over the daily driving limits
+    OVERNIGHT_SUGGESTION_RADIUS_KM: 40, // Saved places/campsites this close to where the limit is reached
+    OVERNIGHT_SUGGESTION_LIMIT: 8,
+
+    // Trip playback on timeline and map
+    PLAYBACK_SPEEDS: [1, 3, 6, 12, 24], // Trip hours played per second
+    PLAYBACK_DEFAULT_SPEED: 6,
+    PLAYBACK_STOP_PAUSE_MS: 1500 // Pause on arrival at each stop
 };
\ No newline at end of file
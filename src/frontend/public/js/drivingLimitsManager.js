@@ -0,0 +1,253 @@
+/**
+ * Driving Limits Manager
+ * Per-route daily driving limits (max driving hours and km per day, latest
+ * arrival time): the settings modal, the map highlight of over-limit days and
+ * suggestions for an extra overnight stop that splits such a day.
+ *
+ * Days are evaluated by TimelineService on every render (see
+ * timeline/drivingLimits.js); suggestions are saved places and campsites near
+ * the point on the route where the first limit is reached.
+ */
+
+import { ApiService } from './api.js';
+import { CONFIG } from './config.js';
+import { showError, showSuccess, showInfo, haversineDistanceMeters } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+import { describeViolation, formatTimeOfDay, pointAlongLine } from './timeline/drivingLimits.js';
+
+export class DrivingLimitsManager {
+    constructor(routeManager, placeManager, campsiteManager, mapService, timelineService, onChanged) {
+        this.routeManager = routeManager;
+        this.placeManager = placeManager;
+        this.campsiteManager = campsiteManager;
+        this.mapService = mapService;
+        this.timelineService = timelineService;
+        this.onChanged = onChanged; // Reload timeline after limits or stops changed
+        this.suggestion = null; // { position, candidates } shown in the suggestions modal
+    }
+
+    // ===== Settings =====
+
+    async openSettings() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) {
+            showError('No route selected');
+            return;
+        }
+
+        try {
+            const settings = (await ApiService.getItinerary(routeId)).scheduleSettings || {};
+            document.getElementById('drivingLimitHours').value = settings.maxDrivingMinutesPerDay
+                ? Math.round(settings.maxDrivingMinutesPerDay / 6) / 10
+                : '';
+            document.getElementById('drivingLimitKm').value = settings.maxDrivingKmPerDay || '';
+            document.getElementById('drivingLimitArrival').value = settings.latestArrivalTime
+                ? settings.latestArrivalTime.slice(0, 5)
+                : '';
+            document.getElementById('drivingLimitsModal').classList.add('active');
+        } catch (error) {
+            console.error('Failed to load driving limits:', error);
+            showError('Could not load driving limits');
+        }
+    }
+
+    closeSettings() {
+        document.getElementById('drivingLimitsModal').classList.remove('active');
+    }
+
+    async saveSettings() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) return;
+
+        const hours = parseFloat(document.getElementById('drivingLimitHours').value);
+        const km = parseInt(document.getElementById('drivingLimitKm').value, 10);
+        const arrival = document.getElementById('drivingLimitArrival').value;
+
+        if ((!isNaN(hours) && (hours <= 0 || hours > 24)) || (!isNaN(km) && km <= 0)) {
+            showError('Driving limits must be positive (at most 24 hours)');
+            return;
+        }
+
+        try {
+            // Schedule settings are replaced as a whole - keep the other values
+            const itinerary = await ApiService.getItinerary(routeId);
+            await ApiService.updateRouteScheduleSettings(routeId, {
+                ...itinerary.scheduleSettings,
+                maxDrivingMinutesPerDay: isNaN(hours) ? null : Math.round(hours * 60),
+                maxDrivingKmPerDay: isNaN(km) ? null : km,
+                latestArrivalTime: arrival ? `${arrival}:00` : null
+            });
+
+            this.closeSettings();
+            showSuccess('Driving limits saved');
+            if (this.onChanged) {
+                await this.onChanged();
+            }
+        } catch (error) {
+            console.error('Failed to save driving limits:', error);
+            showError(`Could not save driving limits: ${error.message}`);
+        }
+    }
+
+    // ===== Over-limit days =====
+
+    /**
+     * Highlight the legs of over-limit days on the map (called after each timeline render)
+     * @param {Array<Object>} drivingDays - evaluateDrivingDays result
+     */
+    applyDrivingDays(drivingDays) {
+        const legIds = drivingDays
+            .filter(day => day.violations.length > 0)
+            .flatMap(day => day.legIds);
+        this.mapService.setOverLimitLegs(legIds);
+    }
+
+    /**
+     * Saved places and campsites near a point, closest first
+     * @param {[number, number]} point - [lat, lng]
+     * @param {Set<number>} routePlaceIds - Places already in the route (excluded)
+     * @returns {Array<Object>} { kind: 'place'|'campsite', id, name, latitude, longitude, distanceMeters }
+     */
+    findCandidates(point, routePlaceIds) {
+        const places = (this.routeManager.filterManager?.allPlaces || [])
+            .filter(place => !routePlaceIds.has(place.id))
+            .map(place => ({ kind: 'place', id: place.id, name: place.name, latitude: place.latitude, longitude: place.longitude }));
+        const campsites = (this.campsiteManager.getCampsites() || [])
+            .filter(campsite => campsite.latitude && campsite.longitude)
+            .map(campsite => ({
+                kind: 'campsite',
+                id: campsite.id,
+                name: campsite.name || 'Unnamed Campsite',
+                latitude: campsite.latitude,
+                longitude: campsite.longitude
+            }));
+
+        const maxDistance = CONFIG.OVERNIGHT_SUGGESTION_RADIUS_KM * 1000;
+        return [...places, ...campsites]
+            .map(candidate => ({
+                ...candidate,
+                distanceMeters: haversineDistanceMeters(point[0], point[1], candidate.latitude, candidate.longitude)
+            }))
+            .filter(candidate => candidate.distanceMeters <= maxDistance)
+            .sort((a, b) => a.distanceMeters - b.distanceMeters)
+            .slice(0, CONFIG.OVERNIGHT_SUGGESTION_LIMIT);
+    }
+
+    /**
+     * Show why a day is over the limits and where an extra overnight stop could go
+     * @param {Object} drivingDay - Over-limit entry of evaluateDrivingDays
+     */
+    async showSuggestions(drivingDay) {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) return;
+        if (!drivingDay.split) {
+            showInfo('No point on this day\'s legs where an extra overnight stop would help');
+            return;
+        }
+
+        try {
+            const itinerary = await ApiService.getItinerary(routeId);
+            const stops = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+            const leg = (itinerary.legs || []).find(l => l.id === drivingDay.split.legId);
+            const fromStop = stops.find(s => s.id === leg?.fromRoutePlaceId);
+            const toStop = stops.find(s => s.id === leg?.toRoutePlaceId);
+            if (!leg || !fromStop || !toStop) {
+                showError('The route has changed – reload the timeline and try again');
+                return;
+            }
+
+            // Stored geometry is [[lon, lat], ...]; without it assume a straight line
+            const line = leg.geometryCoordinates?.length
+                ? leg.geometryCoordinates.map(c => [c[1], c[0]])
+                : [[fromStop.latitude, fromStop.longitude], [toStop.latitude, toStop.longitude]];
+            const point = pointAlongLine(line, drivingDay.split.fraction);
+            const candidates = this.findCandidates(point, new Set(stops.map(s => s.placeId)));
+
+            this.suggestion = {
+                routeId,
+                position: stops.indexOf(toStop), // New stop goes in front of the leg's destination
+                candidates
+            };
+            this.renderSuggestions(drivingDay, fromStop, toStop, leg);
+            this.mapService.showOvernightSuggestions(point, candidates);
+        } catch (error) {
+            console.error('Failed to find overnight suggestions:', error);
+            showError(`Could not find overnight suggestions: ${error.message}`);
+        }
+    }
+
+    renderSuggestions(drivingDay, fromStop, toStop, leg) {
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+        const date = this.timelineService.getCalendarDateForDay(drivingDay.dayIndex)
+            .toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+        const kmIntoLeg = Math.round(leg.distanceMeters * drivingDay.split.fraction / 1000);
+
+        document.getElementById('overnightSuggestionsDay').textContent = date;
+        document.getElementById('overnightSuggestionsSummary').innerHTML = `
+            <ul class="overnight-violations">
+                ${drivingDay.violations.map(v => `<li><i class="fas fa-exclamation-triangle"></i> ${escape(describeViolation(v))}</li>`).join('')}
+            </ul>
+            <p class="overnight-split">
+                Arrival at <strong>${escape(drivingDay.arrivalStopName)}</strong> ${formatTimeOfDay(drivingDay.arrivalT - drivingDay.dayIndex)}.
+                The limit is reached about ${kmIntoLeg} km after <strong>${escape(fromStop.placeName)}</strong>
+                on the way to <strong>${escape(toStop.placeName)}</strong>.
+            </p>
+        `;
+
+        const { candidates } = this.suggestion;
+        document.getElementById('overnightSuggestionsList').innerHTML = candidates.length === 0
+            ? `<li class="overnight-empty">No saved places or campsites within ${CONFIG.OVERNIGHT_SUGGESTION_RADIUS_KM} km – search for a place near the marked point on the map.</li>`
+            : candidates.map((candidate, index) => `
+                <li>
+                    <i class="fas ${candidate.kind === 'campsite' ? 'fa-campground' : 'fa-map-marker-alt'}"></i>
+                    <span class="overnight-name">${escape(candidate.name)}</span>
+                    <span class="overnight-distance">${(candidate.distanceMeters / 1000).toFixed(1)} km away</span>
+                    <button class="btn btn-sm btn-success" onclick="addSuggestedOvernightStop(${index})">
+                        <i class="fas fa-bed"></i> Add
+                    </button>
+                </li>
+            `).join('');
+
+        document.getElementById('overnightSuggestionsModal').classList.add('active');
+    }
+
+    closeSuggestions() {
+        document.getElementById('overnightSuggestionsModal').classList.remove('active');
+        this.mapService.clearOvernightSuggestions();
+        this.suggestion = null;
+    }
+
+    /**
+     * Insert a suggested place or campsite as overnight stop in front of the over-limit leg's destination
+     * @param {number} index - Index in the suggestion list
+     */
+    async addSuggestion(index) {
+        const candidate = this.suggestion?.candidates[index];
+        if (!candidate) return;
+        const { position } = this.suggestion;
+        this.closeSuggestions();
+
+        try {
+            let placeId = candidate.id;
+            if (candidate.kind === 'campsite') {
+                // Route stops are places - save the campsite location as one first
+                const place = await ApiService.createPlace(candidate.name, candidate.latitude, candidate.longitude);
+                placeId = place.id;
+                await this.routeManager.filterManager?.refreshPlacesData();
+            }
+
+            // New stops are overnight stops by default; inserting recalculates the schedule
+            const added = await this.placeManager.trackEdit(
+                `Add overnight stop "${candidate.name}"`,
+                () => this.placeManager.addExistingPlaceToRouteAtPosition(placeId, position),
+                `Added "${candidate.name}" as overnight stop`
+            );
+            if (added && this.onChanged) {
+                await this.onChanged();
+            }
+        } catch (error) {
+            console.error('Failed to add overnight stop:', error);
+            showError(`Could not add overnight stop: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,223 @@
+import { ApiService } from './api.js';
+import { CONFIG } from './config.js';
+import { showSuccess, showError, showWarning, haversineDistanceMeters } from './utils.js';
+import { parseGeoFile } from './io/geoFileParser.js';
+import { notificationManager } from './notificationManager.js';
+
+/**
+ * Import Manager
+ * Handles GPX/KML/KMZ/JSON imports: parses the file, shows a preview table
+ * with per-row checkboxes and duplicate warnings, then creates the selected
+ * places in the current route with a single request.
+ */
+export class ImportManager {
+    constructor(routeManager, filterManager, onImported = null) {
+        this.routeManager = routeManager;
+        this.filterManager = filterManager;
+        this.onImported = onImported;
+        this.rows = [];
+        this.fileName = null;
+        this.duplicateDistance = CONFIG.IMPORT_DUPLICATE_DISTANCE_METERS;
+    }
+
+    /**
+     * Parse a file and open the preview modal
+     * @param {File} file
+     */
+    async importFile(file) {
+        if (!this.routeManager.getCurrentRouteId()) {
+            showError('Please select a route first!');
+            return;
+        }
+
+        try {
+            const places = await parseGeoFile(file);
+
+            if (places.length === 0) {
+                showWarning('No places found in this file');
+                return;
+            }
+
+            console.log(`Parsed ${places.length} places from ${file.name}`);
+
+            this.fileName = file.name;
+            this.rows = places.map((place, index) => ({
+                index,
+                ...place,
+                duplicateOf: null,
+                duplicateDistance: null,
+                checked: true
+            }));
+
+            this.updateDuplicateFlags(true);
+            this.showPreview();
+        } catch (error) {
+            console.error('Import error:', error);
+            showError(error.message || 'Invalid file format');
+        }
+    }
+
+    /**
+     * Flag rows that are within the configured distance of an already saved place
+     * @param {boolean} resetSelection - Uncheck duplicates / check new places
+     */
+    updateDuplicateFlags(resetSelection = false) {
+        const savedPlaces = this.filterManager.allPlaces || [];
+
+        for (const row of this.rows) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+
+            for (const saved of savedPlaces) {
+                const distance = haversineDistanceMeters(row.lat, row.lng, saved.latitude, saved.longitude);
+                if (distance < nearestDistance) {
+                    nearest = saved;
+                    nearestDistance = distance;
+                }
+            }
+
+            const isDuplicate = nearest && nearestDistance <= this.duplicateDistance;
+            row.duplicateOf = isDuplicate ? nearest : null;
+            row.duplicateDistance = isDuplicate ? nearestDistance : null;
+
+            if (resetSelection) {
+                row.checked = !isDuplicate;
+            }
+        }
+    }
+
+    showPreview() {
+        const modal = document.getElementById('importPreviewModal');
+        if (!modal) return;
+
+        document.getElementById('importFileName').textContent = this.fileName;
+        document.getElementById('importDuplicateDistance').value = this.duplicateDistance;
+
+        this.renderPreviewTable();
+        modal.classList.add('active');
+    }
+
+    renderPreviewTable() {
+        const tbody = document.getElementById('importPreviewBody');
+        if (!tbody) return;
+
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+
+        tbody.innerHTML = this.rows.map(row => {
+            const status = row.duplicateOf
+                ? `<span class="import-status import-status-duplicate" title="Already saved as &quot;${escape(row.duplicateOf.name)}&quot;">
+                       <i class="fas fa-clone"></i> Near "${escape(row.duplicateOf.name)}" (${Math.round(row.duplicateDistance)} m)
+                   </span>`
+                : `<span class="import-status import-status-new"><i class="fas fa-plus-circle"></i> New</span>`;
+
+            return `
+                <tr class="${row.duplicateOf ? 'import-row-duplicate' : ''}">
+                    <td><input type="checkbox" data-import-index="${row.index}" ${row.checked ? 'checked' : ''}></td>
+                    <td class="import-name">${escape(row.name)}<div class="import-source">${escape(row.source)}</div></td>
+                    <td class="import-coords">${row.lat.toFixed(5)}, ${row.lng.toFixed(5)}</td>
+                    <td class="import-notes" title="${escape(row.notes)}">${escape(row.notes)}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+
+        tbody.querySelectorAll('input[data-import-index]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const row = this.rows[parseInt(e.target.dataset.importIndex)];
+                if (row) row.checked = e.target.checked;
+                this.updateSummary();
+            });
+        });
+
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        const selected = this.rows.filter(r => r.checked).length;
+        const duplicates = this.rows.filter(r => r.duplicateOf).length;
+
+        const summary = document.getElementById('importSummary');
+        if (summary) {
+            summary.textContent = `${selected} of ${this.rows.length} selected` +
+                (duplicates > 0 ? ` · ${duplicates} possible duplicate${duplicates === 1 ? '' : 's'}` : '');
+        }
+
+        const selectAll = document.getElementById('importSelectAll');
+        if (selectAll) {
+            selectAll.checked = selected === this.rows.length;
+            selectAll.indeterminate = selected > 0 && selected < this.rows.length;
+        }
+
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        if (confirmBtn) {
+            confirmBtn.disabled = selected === 0;
+        }
+    }
+
+    toggleAll(checked) {
+        this.rows.forEach(row => row.checked = checked);
+        this.renderPreviewTable();
+    }
+
+    setDuplicateDistance(value) {
+        const distance = parseInt(value);
+        if (isNaN(distance) || distance < 0) return;
+
+        this.duplicateDistance = distance;
+        this.updateDuplicateFlags(true);
+        this.renderPreviewTable();
+    }
+
+    closePreview() {
+        document.getElementById('importPreviewModal')?.classList.remove('active');
+        this.rows = [];
+        this.fileName = null;
+    }
+
+    /**
+     * Create all checked places in the current route in one request
+     */
+    async confirmImport() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) {
+            showError('Please select a route first!');
+            return;
+        }
+
+        const selected = this.rows.filter(r => r.checked);
+        if (selected.length === 0) {
+            showError('No places selected');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        if (confirmBtn) {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+        }
+
+        try {
+            const result = await ApiService.importPlacesToRoute(routeId, selected.map(row => ({
+                name: row.name,
+                latitude: row.lat,
+                longitude: row.lng,
+                notes: row.notes
+            })));
+
+            this.closePreview();
+            showSuccess(`Import completed! Added ${result.createdCount} places to your current route.`);
+
+            if (this.onImported) {
+                await this.onImported(result);
+            }
+        } catch (error) {
+            console.error('Failed to import places:', error);
+            showError(error.message || 'Failed to import places');
+        } finally {
+            if (confirmBtn) {
+                confirmBtn.innerHTML = '<i class="fas fa-file-import"></i> Import Selected';
+                this.updateSummary();
+            }
+        }
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * Geo File Parser
+ * Extracts importable places from GPX, KML, KMZ and legacy JSON exports.
+ * Every parser returns a flat list of { name, lat, lng, notes, source }.
+ */
+
+/**
+ * Parse a file selected by the user
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<Array<{name: string, lat: number, lng: number, notes: string|null, source: string}>>}
+ */
+export async function parseGeoFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    switch (extension) {
+        case 'gpx':
+            return parseGpx(await file.text());
+        case 'kml':
+            return parseKml(await file.text());
+        case 'kmz':
+            return parseKml(await extractKmlFromKmz(await file.arrayBuffer()));
+        case 'json':
+            return parseLegacyJson(await file.text());
+        default:
+            throw new Error(`Unsupported file type: .${extension}`);
+    }
+}
+
+/**
+ * Parse an XML string and throw on parser errors
+ * @param {string} text
+ * @returns {Document}
+ */
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid XML file');
+    }
+    return doc;
+}
+
+/**
+ * Get the trimmed text of the first direct child with the given local name
+ * (namespace-agnostic so GPX 1.0/1.1 and KML 2.2 all work)
+ * @param {Element} element
+ * @param {string} localName
+ * @returns {string|null}
+ */
+function childText(element, localName) {
+    for (const child of element.children) {
+        if (child.localName === localName) {
+            const text = child.textContent.trim();
+            return text || null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check that a coordinate pair is usable
+ */
+function isValidCoordinate(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * Parse GPX waypoints (<wpt>) and route points (<rtept>)
+ * Track points are skipped - they describe a path, not places.
+ * @param {string} text - GPX XML
+ * @returns {Array}
+ */
+export function parseGpx(text) {
+    const doc = parseXml(text);
+    const results = [];
+
+    const points = [
+        ...Array.from(doc.getElementsByTagNameNS('*', 'wpt')).map(el => ({ el, source: 'Waypoint' })),
+        ...Array.from(doc.getElementsByTagNameNS('*', 'rtept')).map(el => ({ el, source: 'Route point' }))
+    ];
+
+    for (const { el, source } of points) {
+        const lat = parseFloat(el.getAttribute('lat'));
+        const lng = parseFloat(el.getAttribute('lon'));
+        if (!isValidCoordinate(lat, lng)) continue;
+
+        results.push({
+            name: childText(el, 'name') || `Location (${lat.toFixed(4)}, ${lng.toFixed(4)})`,
+            lat,
+            lng,
+            notes: childText(el, 'cmt') || childText(el, 'desc'),
+            source
+        });
+    }
+
+    // Our own GPX export writes each stop as both wpt and rtept - keep one
+    return dedupeIdentical(results);
+}
+
+/**
+ * Parse KML placemarks with a <Point> geometry
+ * @param {string} text - KML XML
+ * @returns {Array}
+ */
+export function parseKml(text) {
+    const doc = parseXml(text);
+    const results = [];
+
+    for (const placemark of doc.getElementsByTagNameNS('*', 'Placemark')) {
+        const point = placemark.getElementsByTagNameNS('*', 'Point')[0];
+        if (!point) continue;
+
+        const coordsText = point.getElementsByTagNameNS('*', 'coordinates')[0]?.textContent.trim();
+        if (!coordsText) continue;
+
+        // KML coordinates are "lon,lat[,alt]"
+        const [lng, lat] = coordsText.split(/[\s,]+/).map(parseFloat);
+        if (!isValidCoordinate(lat, lng)) continue;
+
+        const description = childText(placemark, 'description');
+
+        results.push({
+            name: childText(placemark, 'name') || `Location (${lat.toFixed(4)}, ${lng.toFixed(4)})`,
+            lat,
+            lng,
+            notes: description ? stripHtml(description) : null,
+            source: 'Placemark'
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Parse the legacy JSON export format ({ places: [{ name, coords: [lat, lng] }] })
+ * @param {string} text
+ * @returns {Array}
+ */
+export function parseLegacyJson(text) {
+    const data = JSON.parse(text);
+    if (!data.places || !Array.isArray(data.places)) {
+        throw new Error('Invalid file - no places found');
+    }
+
+    return data.places
+        .filter(p => p.name && Array.isArray(p.coords) && p.coords.length === 2 &&
+            isValidCoordinate(p.coords[0], p.coords[1]))
+        .map(p => ({
+            name: p.name,
+            lat: p.coords[0],
+            lng: p.coords[1],
+            notes: p.notes || null,
+            source: 'JSON'
+        }));
+}
+
+/**
+ * KML descriptions often contain HTML (Google My Maps) - keep the text only
+ */
+function stripHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return doc.body.textContent.trim() || null;
+}
+
+/**
+ * Drop entries with identical name and coordinates
+ */
+function dedupeIdentical(places) {
+    const seen = new Set();
+    return places.filter(p => {
+        const key = `${p.name}|${p.lat.toFixed(6)}|${p.lng.toFixed(6)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Extract the main KML document from a KMZ (zip) archive.
+ * Reads the zip central directory and inflates the entry with the
+ * browser's DecompressionStream - no zip library needed.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>} KML text
+ */
+export async function extractKmlFromKmz(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // Find "End of central directory" record (signature 0x06054b50), scanning backwards
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Invalid KMZ file');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localHeaderOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.push({ name, method, compressedSize, localHeaderOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    // Prefer doc.kml (KMZ convention), otherwise the first .kml entry
+    const entry = entries.find(e => e.name.toLowerCase() === 'doc.kml') ||
+        entries.find(e => e.name.toLowerCase().endsWith('.kml'));
+    if (!entry) throw new Error('No KML document found in KMZ file');
+
+    const localNameLength = view.getUint16(entry.localHeaderOffset + 26, true);
+    const localExtraLength = view.getUint16(entry.localHeaderOffset + 28, true);
+    const dataStart = entry.localHeaderOffset + 30 + localNameLength + localExtraLength;
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return decoder.decode(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error('Unsupported KMZ compression method');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+}
@@ -0,0 +1,138 @@
+/**
+ * GPX 1.1 Exporter
+ * Builds a GPX document from a route itinerary:
+ * - <wpt> for every stop (name, notes, planned arrival)
+ * - <rte> with one <rtept> per stop in route order
+ * - <trk> with one <trkseg> per leg, using the OSRM leg geometry
+ */
+
+import { escapeXml } from '../utils.js';
+
+const STOP_TYPE_LABELS = ['Overnight', 'Day Stop', 'Waypoint'];
+
+/**
+ * Format a coordinate for GPX attributes (fixed precision, dot separator)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCoord(value) {
+    return Number(value).toFixed(6);
+}
+
+/**
+ * Convert a planned date string to an ISO 8601 UTC timestamp
+ * @param {string|null} value - DateTimeOffset string from the API
+ * @returns {string|null}
+ */
+function toIsoTime(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build the description text for a stop (notes + schedule summary)
+ * @param {Object} stop - Itinerary place
+ * @param {string|null} notes - Place notes
+ * @returns {string}
+ */
+function buildStopDescription(stop, notes) {
+    const lines = [];
+
+    if (notes) lines.push(notes);
+
+    const arrival = toIsoTime(stop.plannedStart);
+    const departure = toIsoTime(stop.plannedEnd);
+    if (arrival) lines.push(`Arrival: ${arrival}`);
+    if (departure) lines.push(`Departure: ${departure}`);
+    if (stop.stopType === 0 && stop.stayNights != null) {
+        lines.push(`Nights: ${stop.stayNights}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build a GPX 1.1 point element (wpt / rtept)
+ * @param {string} tag - Element name
+ * @param {Object} stop - Itinerary place
+ * @param {string|null} notes - Place notes
+ * @param {string} indent - Indentation prefix
+ * @returns {string}
+ */
+function buildPointElement(tag, stop, notes, indent) {
+    const time = toIsoTime(stop.plannedStart);
+    const desc = buildStopDescription(stop, notes);
+    const type = STOP_TYPE_LABELS[stop.stopType] || STOP_TYPE_LABELS[0];
+
+    // GPX 1.1 requires child elements in schema order: time, name, cmt, desc, ..., type
+    let xml = `${indent}<${tag} lat="${formatCoord(stop.latitude)}" lon="${formatCoord(stop.longitude)}">\n`;
+    if (time) xml += `${indent}  <time>${time}</time>\n`;
+    xml += `${indent}  <name>${escapeXml(stop.placeName)}</name>\n`;
+    if (notes) xml += `${indent}  <cmt>${escapeXml(notes)}</cmt>\n`;
+    if (desc) xml += `${indent}  <desc>${escapeXml(desc)}</desc>\n`;
+    xml += `${indent}  <type>${type}</type>\n`;
+    xml += `${indent}</${tag}>\n`;
+    return xml;
+}
+
+/**
+ * Build a GPX 1.1 document for a route
+ * @param {Object} route - Route info ({ name, description })
+ * @param {Object} itinerary - Itinerary from ApiService.getItinerary
+ * @param {Map<number, string>} notesByPlaceId - Place notes keyed by placeId
+ * @returns {string} GPX XML
+ */
+export function buildGpx(route, itinerary, notesByPlaceId = new Map()) {
+    const stops = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const legs = [...(itinerary.legs || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const routeName = route?.name || itinerary.name || 'Route';
+    const routeDescription = route?.description || itinerary.description;
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<gpx version="1.1" creator="RoadTrip Route Planner" ' +
+        'xmlns="http://www.topografix.com/GPX/1/1" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">\n';
+
+    // Metadata
+    xml += '  <metadata>\n';
+    xml += `    <name>${escapeXml(routeName)}</name>\n`;
+    if (routeDescription) xml += `    <desc>${escapeXml(routeDescription)}</desc>\n`;
+    xml += `    <time>${new Date().toISOString()}</time>\n`;
+    xml += '  </metadata>\n';
+
+    // Waypoints (one per stop)
+    for (const stop of stops) {
+        xml += buildPointElement('wpt', stop, notesByPlaceId.get(stop.placeId) || null, '  ');
+    }
+
+    // Route (stops in travel order)
+    if (stops.length > 0) {
+        xml += '  <rte>\n';
+        xml += `    <name>${escapeXml(routeName)}</name>\n`;
+        for (const stop of stops) {
+            xml += buildPointElement('rtept', stop, notesByPlaceId.get(stop.placeId) || null, '    ');
+        }
+        xml += '  </rte>\n';
+    }
+
+    // Track (one segment per leg with geometry)
+    const legsWithGeometry = legs.filter(leg => leg.geometryCoordinates && leg.geometryCoordinates.length > 0);
+    if (legsWithGeometry.length > 0) {
+        xml += '  <trk>\n';
+        xml += `    <name>${escapeXml(routeName)}</name>\n`;
+        for (const leg of legsWithGeometry) {
+            xml += '    <trkseg>\n';
+            // Geometry is [lon, lat] (GeoJSON order)
+            for (const [lon, lat] of leg.geometryCoordinates) {
+                xml += `      <trkpt lat="${formatCoord(lat)}" lon="${formatCoord(lon)}"/>\n`;
+            }
+            xml += '    </trkseg>\n';
+        }
+        xml += '  </trk>\n';
+    }
+
+    xml += '</gpx>\n';
+    return xml;
+}
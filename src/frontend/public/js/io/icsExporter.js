@@ -0,0 +1,238 @@
+/**
+ * iCalendar (.ics) Exporter
+ * One VEVENT per overnight/day stop (arrival → departure) and one per leg.
+ * Times are written as local wall-clock time with a TZID (route time zone,
+ * or the stop's own zone if set) plus matching VTIMEZONE definitions.
+ */
+
+import { getZonedParts, getTimeZoneOffsetMinutes, findOffsetTransitions } from '../timeZoneUtils.js';
+import { getStopTimeZone } from '../timeline/timelineMapper.js';
+import { getTransportMode } from '../transportModes.js';
+
+const STOP_TYPE = { OVERNIGHT: 0, DAY_STOP: 1, WAYPOINT: 2 };
+const PRODUCT_ID = '-//RoadTrip Route Planner//Itinerary Export//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+function escapeText(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to max 75 octets (RFC 5545 §3.1)
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format an instant as UTC DATE-TIME (e.g. 20250301T091500Z)
+ */
+function formatUtc(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Format an instant as local DATE-TIME in a zone (e.g. 20250301T101500)
+ */
+function formatLocal(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/**
+ * Format a UTC offset in minutes as +HHMM / -HHMM
+ */
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * Build a VTIMEZONE component covering the given date range.
+ * Transitions are emitted as individual (non-recurring) observances,
+ * which is valid iCalendar and avoids having to derive RRULEs.
+ */
+function buildTimeZone(timeZone, rangeStart, rangeEnd) {
+    // Start a bit earlier so the first observance precedes every event
+    const from = new Date(rangeStart.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const initialOffset = getTimeZoneOffsetMinutes(from, timeZone);
+    const transitions = findOffsetTransitions(from, rangeEnd, timeZone);
+    const standardOffset = Math.min(initialOffset, ...transitions.map(t => t.offsetTo));
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+    const observance = (offsetFrom, offsetTo, start) => {
+        const kind = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        // DTSTART of an observance is local time in the *previous* offset
+        const localStart = new Date(start.getTime() + offsetFrom * 60000);
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${formatUtc(localStart).slice(0, -1)}`,
+            `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+            `TZOFFSETTO:${formatOffset(offsetTo)}`,
+            `END:${kind}`
+        );
+    };
+
+    observance(initialOffset, initialOffset, from);
+    for (const transition of transitions) {
+        observance(transition.offsetFrom, transition.offsetTo, transition.at);
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Format seconds as "3h 25m"
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Build an iCalendar document for a route itinerary
+ * @param {Object} route - Route info ({ id, name })
+ * @param {Object} itinerary - Itinerary from ApiService.getItinerary
+ * @param {Map<number, string>} notesByPlaceId - Place notes keyed by placeId
+ * @returns {{ics: string, eventCount: number}}
+ */
+export function buildIcs(route, itinerary, notesByPlaceId = new Map()) {
+    const routeId = route?.id ?? itinerary.id;
+    const routeName = route?.name || itinerary.name || 'Route';
+    const routeTimeZone = itinerary.scheduleSettings?.timeZoneId || 'UTC';
+    const stops = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const legs = [...(itinerary.legs || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const stopsById = new Map(stops.map(s => [s.id, s]));
+    const now = formatUtc(new Date());
+
+    const events = [];
+    const usedZones = new Map(); // zone -> { min: Date, max: Date }
+
+    const trackZone = (zone, start, end) => {
+        const range = usedZones.get(zone) || { min: start, max: end };
+        if (start < range.min) range.min = start;
+        if (end > range.max) range.max = end;
+        usedZones.set(zone, range);
+    };
+
+    const addEvent = ({ uid, start, end, timeZone, summary, description, location, geo }) => {
+        trackZone(timeZone, start, end);
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${now}`,
+            `DTSTART;TZID=${timeZone}:${formatLocal(start, timeZone)}`,
+            `DTEND;TZID=${timeZone}:${formatLocal(end, timeZone)}`,
+            `SUMMARY:${escapeText(summary)}`
+        ];
+        if (location) lines.push(`LOCATION:${escapeText(location)}`);
+        if (geo) lines.push(`GEO:${geo.lat.toFixed(6)};${geo.lng.toFixed(6)}`);
+        if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+        lines.push('END:VEVENT');
+        events.push(lines);
+    };
+
+    // Stops (waypoints are pass-through points and get no event)
+    for (const stop of stops) {
+        if (stop.stopType === STOP_TYPE.WAYPOINT) continue;
+        if (!stop.plannedStart || !stop.plannedEnd) continue;
+
+        const start = new Date(stop.plannedStart);
+        const end = new Date(stop.plannedEnd);
+        const isOvernight = stop.stopType === STOP_TYPE.OVERNIGHT;
+
+        const descriptionLines = [];
+        const notes = notesByPlaceId.get(stop.placeId);
+        if (notes) descriptionLines.push(notes);
+        if (isOvernight && stop.stayNights != null) {
+            descriptionLines.push(`${stop.stayNights} night${stop.stayNights === 1 ? '' : 's'}`);
+        }
+
+        addEvent({
+            uid: `route-${routeId}-stop-${stop.id}@roadtrip-planner`,
+            start,
+            end,
+            timeZone: getStopTimeZone(stop, routeTimeZone),
+            summary: `${isOvernight ? 'Overnight' : 'Stop'}: ${stop.placeName}`,
+            description: descriptionLines.join('\n'),
+            location: stop.placeName,
+            geo: { lat: stop.latitude, lng: stop.longitude }
+        });
+    }
+
+    // Legs - driven, or by ferry, flight, ...
+    for (const leg of legs) {
+        if (!leg.plannedStart || !leg.plannedEnd) continue;
+
+        const from = stopsById.get(leg.fromRoutePlaceId);
+        const to = stopsById.get(leg.toRoutePlaceId);
+        const fromName = from?.placeName || 'Start';
+        const toName = to?.placeName || 'Destination';
+
+        addEvent({
+            uid: `route-${routeId}-leg-${leg.id}@roadtrip-planner`,
+            start: new Date(leg.plannedStart),
+            end: new Date(leg.plannedEnd),
+            timeZone: getStopTimeZone(from, routeTimeZone),
+            summary: `${getTransportMode(leg.mode).label}: ${fromName} → ${toName}`,
+            description: `${(leg.distanceMeters / 1000).toFixed(1)} km · ${formatDuration(leg.durationSeconds)}`,
+            location: fromName,
+            geo: from ? { lat: from.latitude, lng: from.longitude } : null
+        });
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(routeName)}`,
+        `X-WR-TIMEZONE:${routeTimeZone}`
+    ];
+
+    for (const [zone, range] of usedZones) {
+        lines.push(...buildTimeZone(zone, range.min, range.max));
+    }
+    for (const event of events) {
+        lines.push(...event);
+    }
+    lines.push('END:VCALENDAR');
+
+    return {
+        ics: lines.map(foldLine).join('\r\n') + '\r\n',
+        eventCount: events.length
+    };
+}
@@ -0,0 +1,291 @@
+/**
+ * Printable Itinerary
+ * Renders a day-by-day itinerary (stops, legs, notes, addresses and a small
+ * map per day) for itinerary.html. Days and times come from timelineMapper so
+ * the printout matches the timeline.
+ */
+
+import { ApiService } from './api.js';
+import { CONFIG } from './config.js';
+import {
+    mapItineraryToTimelineStops,
+    mapItineraryToTimelineLegs,
+    formatDayTime,
+    getRouteTimeZone,
+    getTimelineDayDate
+} from './timeline/timelineMapper.js';
+import { getTransportMode, isDrivingLeg } from './transportModes.js';
+const STOP_TYPE_LABELS = ['Overnight', 'Day Stop', 'Waypoint'];
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * Format seconds as "2h 05m"
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+function formatDistance(meters) {
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Calendar date label for a timeline day index ("Monday, 3 March 2025")
+ */
+function formatDayHeading(dayIndex, routeStartUtc, timeZone) {
+    // Wall-clock date in the route zone, so it is formatted as UTC
+    const dayDate = getTimelineDayDate(dayIndex, routeStartUtc, timeZone);
+
+    return dayDate.toLocaleDateString(undefined, {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Only the time part of formatDayTime ("Mar 3 · 09:00" -> "09:00")
+ */
+function formatTime(t, totalDays, routeStartUtc, timeZone) {
+    return formatDayTime(t, totalDays, routeStartUtc, timeZone).split(' · ').pop();
+}
+
+/**
+ * Group stops and legs by timeline day
+ * @returns {Array<{dayIndex: number, entries: Array}>}
+ */
+export function groupItineraryByDay(stops, legs, totalDays) {
+    const days = [];
+
+    for (let dayIndex = 0; dayIndex < totalDays; dayIndex++) {
+        const dayStart = dayIndex;
+        const dayEnd = dayIndex + 1;
+        const entries = [];
+
+        for (const stop of stops) {
+            if (stop.startT >= dayEnd || stop.endT <= dayStart) continue;
+
+            entries.push({
+                kind: 'stop',
+                stop,
+                sortT: Math.max(stop.startT, dayStart),
+                arrivesToday: stop.startT >= dayStart,
+                departsToday: stop.endT <= dayEnd
+            });
+        }
+
+        for (const leg of legs) {
+            if (Math.floor(leg.startT) !== dayIndex) continue;
+            entries.push({ kind: 'leg', leg, sortT: leg.startT });
+        }
+
+        // Legs and stops at the same time: leg first (you drive, then arrive)
+        entries.sort((a, b) => a.sortT - b.sortT || (a.kind === 'leg' ? -1 : 1));
+
+        if (entries.length > 0) {
+            days.push({ dayIndex, entries });
+        }
+    }
+
+    return days;
+}
+
+/**
+ * Load data and render the printable itinerary into a container
+ * @param {HTMLElement} container
+ * @param {number} routeId
+ */
+export async function renderPrintableItinerary(container, routeId) {
+    const [itinerary, allPlaces] = await Promise.all([
+        ApiService.getItinerary(routeId),
+        ApiService.getAllPlaces()
+    ]);
+
+    const routeStartUtc = itinerary.scheduleSettings?.startDateTime;
+    const timeZone = getRouteTimeZone(itinerary);
+    const placesById = new Map(allPlaces.map(p => [p.id, p]));
+    const stops = mapItineraryToTimelineStops(itinerary);
+    const legs = mapItineraryToTimelineLegs(itinerary, stops);
+    const legsById = new Map((itinerary.legs || []).map(l => [l.id, l]));
+
+    // Trip length without the extra "extension" day the timeline adds
+    const tripDays = stops.length > 0 ? Math.ceil(Math.max(...stops.map(s => s.endT))) : 0;
+    const days = groupItineraryByDay(stops, legs, tripDays);
+
+    const addresses = await loadGoogleAddresses(stops, placesById);
+
+    document.title = `${itinerary.name} - Itinerary`;
+
+    // Totals of the driven legs - ferries, flights, ... are listed with their day
+    const drivenLegs = legs.filter(isDrivingLeg);
+    const totalDistance = drivenLegs.reduce((sum, l) => sum + (l.distanceMeters || 0), 0);
+    const totalDuration = drivenLegs.reduce((sum, l) => sum + (l.durationSeconds || 0), 0);
+    const totalNights = (itinerary.places || [])
+        .filter(p => p.stopType === 0)
+        .reduce((sum, p) => sum + (p.stayNights || 0), 0);
+
+    container.innerHTML = `
+        <header class="itinerary-header">
+            <h1><i class="fas fa-map-marked-alt"></i> ${escapeHtml(itinerary.name)}</h1>
+            ${itinerary.description ? `<p class="itinerary-description">${escapeHtml(itinerary.description)}</p>` : ''}
+            <div class="itinerary-summary">
+                ${routeStartUtc ? `<span><i class="fas fa-calendar-alt"></i> ${formatDayHeading(0, routeStartUtc, timeZone)}${tripDays > 1 ? ` – ${formatDayHeading(tripDays - 1, routeStartUtc, timeZone)}` : ''}</span>` : ''}
+                <span><i class="fas fa-map-marker-alt"></i> ${stops.length} stops</span>
+                <span><i class="fas fa-road"></i> ${formatDistance(totalDistance)}</span>
+                <span><i class="fas fa-car"></i> ${formatDuration(totalDuration)} driving</span>
+                <span><i class="fas fa-bed"></i> ${totalNights} nights</span>
+            </div>
+        </header>
+        ${days.map(day => renderDay(day, tripDays, routeStartUtc, timeZone, placesById, addresses)).join('')}
+    `;
+
+    // Maps need their containers in the DOM
+    for (const day of days) {
+        renderDayMap(container.querySelector(`#dayMap-${day.dayIndex}`), day, legsById);
+    }
+}
+
+/**
+ * Fetch formatted addresses for stops linked to Google places
+ * @returns {Promise<Map<number, string>>} placeId -> address
+ */
+async function loadGoogleAddresses(stops, placesById) {
+    const addresses = new Map();
+    const googleStops = stops.filter(s => placesById.get(s.placeId)?.googlePlaceId);
+
+    await Promise.all(googleStops.map(async (stop) => {
+        try {
+            const enriched = await ApiService.getEnrichedPlace(stop.placeId);
+            if (enriched?.googleData?.formattedAddress) {
+                addresses.set(stop.placeId, enriched.googleData.formattedAddress);
+            }
+        } catch (error) {
+            console.warn(`Could not load address for ${stop.name}:`, error);
+        }
+    }));
+
+    return addresses;
+}
+
+function renderDay(day, totalDays, routeStartUtc, timeZone, placesById, addresses) {
+    const heading = routeStartUtc ? formatDayHeading(day.dayIndex, routeStartUtc, timeZone) : '';
+
+    return `
+        <section class="itinerary-day">
+            <h2>Day ${day.dayIndex + 1}${heading ? ` <span class="itinerary-day-date">${heading}</span>` : ''}</h2>
+            <div class="itinerary-day-body">
+                <ol class="itinerary-entries">
+                    ${day.entries.map(entry => entry.kind === 'leg'
+                        ? renderLegEntry(entry.leg, totalDays, routeStartUtc, timeZone)
+                        : renderStopEntry(entry, totalDays, routeStartUtc, timeZone, placesById, addresses)
+                    ).join('')}
+                </ol>
+                <div class="itinerary-day-map" id="dayMap-${day.dayIndex}"></div>
+            </div>
+        </section>
+    `;
+}
+
+function renderStopEntry(entry, totalDays, routeStartUtc, timeZone, placesById, addresses) {
+    const { stop, arrivesToday, departsToday } = entry;
+    const place = placesById.get(stop.placeId);
+    const notes = place?.notes;
+    const address = addresses.get(stop.placeId);
+
+    const times = [];
+    if (arrivesToday) times.push(`Arrive ${formatTime(stop.startT, totalDays, routeStartUtc, timeZone)}`);
+    if (departsToday) times.push(`Depart ${formatTime(stop.endT, totalDays, routeStartUtc, timeZone)}`);
+    if (!arrivesToday && !departsToday) times.push('All day');
+
+    return `
+        <li class="itinerary-entry itinerary-stop">
+            <div class="itinerary-entry-icon"><i class="fas ${stop.stopType === 0 ? 'fa-bed' : 'fa-map-marker-alt'}"></i></div>
+            <div class="itinerary-entry-content">
+                <div class="itinerary-entry-title">
+                    ${escapeHtml(stop.name)}
+                    <span class="itinerary-badge">${STOP_TYPE_LABELS[stop.stopType] || STOP_TYPE_LABELS[0]}</span>
+                </div>
+                <div class="itinerary-entry-times">${times.join(' · ')}</div>
+                ${address ? `<div class="itinerary-entry-address"><i class="fas fa-location-arrow"></i> ${escapeHtml(address)}</div>` : ''}
+                ${notes ? `<div class="itinerary-entry-notes">${escapeHtml(notes)}</div>` : ''}
+            </div>
+        </li>
+    `;
+}
+
+function renderLegEntry(leg, totalDays, routeStartUtc, timeZone) {
+    return `
+        <li class="itinerary-entry itinerary-leg">
+            <div class="itinerary-entry-icon"><i class="fas ${getTransportMode(leg.mode).icon}"></i></div>
+            <div class="itinerary-entry-content">
+                <div class="itinerary-entry-title">${escapeHtml(leg.fromPlaceName)} → ${escapeHtml(leg.toPlaceName)}</div>
+                <div class="itinerary-entry-times">
+                    ${formatTime(leg.startT, totalDays, routeStartUtc, timeZone)} – ${formatTime(leg.endT, totalDays, routeStartUtc, timeZone)}
+                    · ${formatDistance(leg.distanceMeters)} · ${formatDuration(leg.durationSeconds)}
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Small non-interactive Leaflet map with the day's stops and driven legs
+ */
+function renderDayMap(element, day, legsById) {
+    if (!element || typeof L === 'undefined') return;
+
+    const map = L.map(element, {
+        zoomControl: false,
+        attributionControl: true,
+        dragging: false,
+        scrollWheelZoom: false,
+        doubleClickZoom: false,
+        boxZoom: false,
+        keyboard: false,
+        touchZoom: false
+    });
+
+    L.tileLayer(CONFIG.LEAFLET_TILE_URL, { attribution: CONFIG.LEAFLET_ATTRIBUTION }).addTo(map);
+
+    const bounds = [];
+
+    for (const entry of day.entries) {
+        if (entry.kind === 'stop') {
+            const latLng = [entry.stop.latitude, entry.stop.longitude];
+            L.circleMarker(latLng, {
+                radius: 6,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#2A9D8F',
+                fillOpacity: 1
+            }).addTo(map);
+            bounds.push(latLng);
+        } else {
+            const coords = legsById.get(entry.leg.legId)?.geometryCoordinates;
+            if (coords && coords.length > 0) {
+                // Geometry is [lon, lat] (GeoJSON order)
+                const latLngs = coords.map(([lon, lat]) => [lat, lon]);
+                L.polyline(latLngs, { color: '#0E54F9', weight: 4, opacity: 0.8 }).addTo(map);
+                bounds.push(...latLngs);
+            }
+        }
+    }
+
+    if (bounds.length === 1) {
+        map.setView(bounds[0], 11);
+    } else if (bounds.length > 1) {
+        map.fitBounds(bounds, { padding: [20, 20] });
+    }
+}
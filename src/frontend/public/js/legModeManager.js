@@ -0,0 +1,122 @@
+/**
+ * Leg Mode Manager
+ * Changes how a leg is travelled - driven, or by ferry, flight, on foot, by
+ * bike or a manual leg with its own distance and duration.
+ *
+ * Legs that aren't driven are not routed: their metrics are entered in the
+ * modal (or estimated by the backend from the straight-line distance), they are
+ * drawn as a dashed line on the map and don't count as driving.
+ */
+
+import { ApiService } from './api.js';
+import { showError, showInfo } from './utils.js';
+import { TRANSPORT_MODE, TRANSPORT_MODES, getTransportMode } from './transportModes.js';
+
+export class LegModeManager {
+    constructor(routeManager, placeManager, mapService, undoManager, onChanged) {
+        this.routeManager = routeManager;
+        this.placeManager = placeManager;
+        this.mapService = mapService;
+        this.undoManager = undoManager;
+        this.onChanged = onChanged; // Reload route, map and timeline after a change
+        this.leg = null; // Leg being edited
+
+        const select = document.getElementById('legModeSelect');
+        if (select) {
+            select.innerHTML = TRANSPORT_MODES
+                .map(mode => `<option value="${mode.value}">${mode.label}</option>`)
+                .join('');
+            select.addEventListener('change', () => this.updateFields());
+        }
+    }
+
+    /**
+     * Open the transport mode modal for a leg of the current route
+     * @param {number} legId
+     */
+    open(legId) {
+        const leg = (this.routeManager.currentRouteLegs || []).find(l => l.id === legId);
+        if (!leg) {
+            showInfo('Leg not found - try again after the route has been recalculated');
+            return;
+        }
+        this.leg = leg;
+
+        const routePlaces = this.placeManager.getPlaces();
+        const from = routePlaces[leg.orderIndex];
+        const to = routePlaces[leg.orderIndex + 1];
+        document.getElementById('legModeStops').textContent = from && to
+            ? `${from.name} → ${to.name}`
+            : `Leg ${leg.orderIndex + 1}`;
+
+        const mode = leg.mode ?? TRANSPORT_MODE.DRIVE;
+        document.getElementById('legModeSelect').value = String(mode);
+
+        // Prefill the current metrics of manual legs only - driven metrics come from OSRM
+        const manual = mode !== TRANSPORT_MODE.DRIVE;
+        document.getElementById('legModeKm').value = manual ? Math.round(leg.distanceMeters / 100) / 10 : '';
+        document.getElementById('legModeHours').value = manual ? Math.floor(leg.durationSeconds / 3600) : '';
+        document.getElementById('legModeMinutes').value = manual ? Math.floor((leg.durationSeconds % 3600) / 60) : '';
+
+        this.updateFields();
+        this.mapService.map.closePopup();
+        document.getElementById('legModeModal').classList.add('active');
+    }
+
+    close() {
+        document.getElementById('legModeModal').classList.remove('active');
+        this.leg = null;
+    }
+
+    /**
+     * Distance and duration are only entered for legs that aren't driven
+     */
+    updateFields() {
+        const mode = Number(document.getElementById('legModeSelect').value);
+        document.getElementById('legModeMetrics').style.display = mode === TRANSPORT_MODE.DRIVE ? 'none' : '';
+    }
+
+    async save() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId || !this.leg) return;
+
+        const mode = Number(document.getElementById('legModeSelect').value);
+        const dto = { mode, distanceMeters: null, durationSeconds: null };
+
+        if (mode !== TRANSPORT_MODE.DRIVE) {
+            const km = parseFloat(document.getElementById('legModeKm').value);
+            const hours = parseInt(document.getElementById('legModeHours').value, 10);
+            const minutes = parseInt(document.getElementById('legModeMinutes').value, 10);
+
+            if ((!isNaN(km) && km < 0) || (!isNaN(hours) && hours < 0) || (!isNaN(minutes) && (minutes < 0 || minutes > 59))) {
+                showError('Distance and duration must be positive (minutes 0-59)');
+                return;
+            }
+            if (!isNaN(km)) {
+                dto.distanceMeters = Math.round(km * 1000);
+            }
+            if (!isNaN(hours) || !isNaN(minutes)) {
+                dto.durationSeconds = ((isNaN(hours) ? 0 : hours) * 60 + (isNaN(minutes) ? 0 : minutes)) * 60;
+            }
+        }
+
+        const legId = this.leg.id;
+        const label = `${getTransportMode(mode).label} leg`;
+        this.close();
+
+        try {
+            await this.undoManager.track(
+                label,
+                () => ApiService.updateLegMode(routeId, legId, dto),
+                { successMessage: `${label} – saved` }
+            );
+
+            if (this.onChanged) {
+                await this.onChanged();
+            }
+        } catch (error) {
+            console.error('Failed to change leg transport mode:', error);
+            showError(`Could not change transport mode: ${error.message}`);
+        }
+    }
+}
@@ -1,5 +1,7 @@
 import { CONFIG } from './config.js';
 import { ApiService } from './api.js';
+import { createOfflineTileLayer } from './offlineTiles.js';
+import { getTransportMode, isDrivingLeg } from './transportModes.js';
 
 // Track ongoing refresh operations to prevent duplicate calls
 const refreshInProgress = new Map(); // placeId -> Promise
@@ -103,12 +105,33 @@ window.handlePhotoError = async function(imgElement) {
     }
 };
 
+// Cluster ring colors, assigned per category/source name
+const CLUSTER_COLORS = ['#2A9D8F', '#E76F51', '#0E54F9', '#F4A261', '#8E44AD', '#27AE60', '#E9C46A', '#C0392B'];
+
+function clusterColor(key) {
+    let hash = 0;
+    for (const char of key) {
+        hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return CLUSTER_COLORS[Math.abs(hash) % CLUSTER_COLORS.length];
+}
+
+function escapeAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
 export class MapService {
-    constructor() {
+    /**
+     * @param {Object} options - { readOnly: no editing and no account data in popups, e.g. on shared trips }
+     */
+    constructor({ readOnly = false } = {}) {
+        this.readOnly = readOnly;
         this.map = null;
         this.markers = [];
         this.nonRouteMarkers = []; // Gray markers for places not in route
         this.campsiteMarkers = [];
+        this.nonRouteClusterGroup = null; // Clusters gray markers (route stops stay unclustered)
+        this.campsiteClusterGroup = null;
         this.routingControl = null; // Leaflet Routing Machine control
         this.showRoute = true;
         this.clickMarker = null;
@@ -130,19 +153,97 @@ export class MapService {
         this.onRouteCalculated = null; // Callback when route is calculated
         this.routeSegments = []; // Array to store individual segment data
         this.segmentPolylines = []; // Array of polyline objects for each segment
+        this.segmentLegIds = []; // Leg id of each segment polyline (stored geometry only)
+        this.legModes = new Map(); // Leg id -> transport mode of the stored legs
+        this.comparisonLayer = null; // Another route drawn for comparison (route variants)
+        this.overLimitLegIds = new Set(); // Legs on days over the daily driving limits
+        this.overnightSuggestionLayer = null; // Split point and candidates for an extra overnight stop
+        this.vehicleMarker = null; // Trip playback position
+        this.isFollowingVehicle = false; // A follow pan is running
     }
 
     init() {
         this.map = L.map('map').setView(CONFIG.MAP_CENTER, CONFIG.MAP_ZOOM);
         
-        L.tileLayer(CONFIG.LEAFLET_TILE_URL, {
-            attribution: CONFIG.LEAFLET_ATTRIBUTION,
+        // Tiles downloaded for offline areas are served from the cache first - with an
+        // offline provider configured, the map shows its tiles online as well
+        createOfflineTileLayer(CONFIG.OFFLINE_TILE_URL || CONFIG.LEAFLET_TILE_URL, {
+            attribution: CONFIG.OFFLINE_TILE_URL
+                ? CONFIG.OFFLINE_TILE_ATTRIBUTION || CONFIG.LEAFLET_ATTRIBUTION
+                : CONFIG.LEAFLET_ATTRIBUTION,
             maxZoom: 18
         }).addTo(this.map);
 
+        this.nonRouteClusterGroup = this.createClusterGroup('place').addTo(this.map);
+        this.campsiteClusterGroup = this.createClusterGroup('campsite').addTo(this.map);
+
         return this.map;
     }
 
+    /**
+     * Create a cluster layer whose badges show how many markers of each
+     * category (places) or source (campsites) they contain
+     * @param {string} kind - 'place' or 'campsite' (used for styling)
+     * @returns {L.Layer} Marker cluster group (plain layer group if the plugin failed to load)
+     */
+    createClusterGroup(kind) {
+        if (typeof L.markerClusterGroup !== 'function') {
+            console.warn('Leaflet.markercluster not loaded - markers will not be clustered');
+            return L.layerGroup();
+        }
+
+        return L.markerClusterGroup({
+            chunkedLoading: true,
+            showCoverageOnHover: false,
+            zoomToBoundsOnClick: true,
+            spiderfyOnMaxZoom: true,
+            maxClusterRadius: 50,
+            iconCreateFunction: (cluster) => this.createClusterIcon(cluster, kind)
+        });
+    }
+
+    createClusterIcon(cluster, kind) {
+        const markers = cluster.getAllChildMarkers();
+        const counts = new Map();
+        markers.forEach(marker => {
+            const key = marker.options.clusterGroupKey || 'Other';
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        // Largest groups first; the ring shows their share of the cluster
+        const groups = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+        let offset = 0;
+        const segments = groups.map(([key, count]) => {
+            const start = offset;
+            offset += (count / markers.length) * 360;
+            return `${clusterColor(key)} ${start}deg ${offset}deg`;
+        });
+
+        const breakdown = groups.map(([key, count]) => `${count} × ${key}`).join('\n');
+        const size = markers.length < 10 ? 34 : markers.length < 100 ? 40 : 48;
+
+        return L.divIcon({
+            html: `<div class="cluster-badge cluster-badge-${kind}" style="background: conic-gradient(${segments.join(', ')})" title="${escapeAttribute(breakdown)}">
+                    <span>${markers.length}</span>
+                   </div>`,
+            className: 'cluster-marker-container',
+            iconSize: [size, size]
+        });
+    }
+
+    /**
+     * Open the popup of a marker that may be hidden inside a cluster
+     * @param {L.Marker} marker
+     * @param {L.Layer} clusterGroup
+     */
+    openClusteredMarkerPopup(marker, clusterGroup) {
+        if (clusterGroup?.zoomToShowLayer) {
+            clusterGroup.zoomToShowLayer(marker, () => marker.openPopup());
+        } else {
+            marker.openPopup();
+        }
+    }
+
     onMapClick(callback) {
         this.map.on('click', (e) => {
             // Check if we're in coordinate selection mode
@@ -260,7 +361,7 @@ export class MapService {
 
         // Add routing if enabled and we have at least 2 places
         if (this.showRoute && places.length > 1) {
-            if (routeLegs && routeLegs.length > 0 && routeLegs[0].geometryCoordinates) {
+            if (routeLegs && routeLegs.length > 0 && this.hasStoredGeometry(routeLegs)) {
                 // Use stored geometry from database
                 console.log('Rendering route from stored geometry (no OSRM call)');
                 this.renderRouteFromGeometry(places, routeLegs);
@@ -292,7 +393,7 @@ export class MapService {
         this.clearSegmentPolylines();
 
         // Validate we have geometry data
-        if (!legs || legs.length === 0 || !legs[0].geometryCoordinates || legs[0].geometryCoordinates.length === 0) {
+        if (!legs || legs.length === 0 || !this.hasStoredGeometry(legs)) {
             console.warn('No geometry available, falling back to OSRM');
             this.renderRouteWithOSRM(places);
             return;
@@ -301,20 +402,23 @@ export class MapService {
         // Render each leg as a polyline using stored geometry
         let totalDistance = 0;
         let totalDuration = 0;
+        const otherLegs = []; // Ferry, flight, ... legs - not part of the driving totals
 
         for (let i = 0; i < legs.length; i++) {
             const leg = legs[i];
             const startPlace = places[i];
             const endPlace = places[i + 1];
+            this.legModes.set(leg.id, leg.mode ?? 0);
 
-            // Convert [[lon, lat], ...] to [[lat, lon], ...] for Leaflet
-            const coords = leg.geometryCoordinates.map(c => [c[1], c[0]]);
+            // Convert [[lon, lat], ...] to [[lat, lon], ...] for Leaflet -
+            // legs not driven have no road geometry and are drawn straight
+            const coords = isDrivingLeg(leg)
+                ? leg.geometryCoordinates.map(c => [c[1], c[0]])
+                : [startPlace.coords, endPlace.coords];
 
             // Create polyline for this leg
             const polyline = L.polyline(coords, {
-                color: '#0E54F9',
-                weight: 6,
-                opacity: 0.7,
+                ...this.getSegmentStyle(leg.id),
                 className: 'route-segment'
             }).addTo(this.map);
 
@@ -327,12 +431,18 @@ export class MapService {
                 endPlace: endPlace.name,
                 distance: leg.distanceMeters,
                 duration: leg.durationSeconds,
-                coordinates: coords
+                coordinates: coords,
+                leg
             });
 
             this.segmentPolylines.push(polyline);
-            totalDistance += leg.distanceMeters;
-            totalDuration += leg.durationSeconds;
+            this.segmentLegIds.push(leg.id);
+            if (isDrivingLeg(leg)) {
+                totalDistance += leg.distanceMeters;
+                totalDuration += leg.durationSeconds;
+            } else {
+                otherLegs.push(leg);
+            }
         }
 
         console.log('Route segments created from geometry:', this.routeSegments.length);
@@ -344,7 +454,8 @@ export class MapService {
                 duration: totalDuration,
                 distanceKm: (totalDistance / 1000).toFixed(1),
                 durationHours: Math.floor(totalDuration / 3600),
-                durationMinutes: Math.floor((totalDuration % 3600) / 60)
+                durationMinutes: Math.floor((totalDuration % 3600) / 60),
+                otherLegs
             });
         }
 
@@ -352,6 +463,15 @@ export class MapService {
         this.debugRouteSegments();
     }
 
+    /**
+     * Whether stored legs can be drawn without OSRM - every driven leg needs its geometry
+     * @param {Array} legs - Route legs
+     * @returns {boolean}
+     */
+    hasStoredGeometry(legs) {
+        return legs.every(leg => !isDrivingLeg(leg) || leg.geometryCoordinates?.length > 0);
+    }
+
     /**
      * Add hover and click handlers to a route polyline
      * @param {L.Polyline} polyline - Leaflet polyline object
@@ -365,8 +485,8 @@ export class MapService {
         polyline.on('mouseover', function() {
             this.setStyle({ weight: 8, opacity: 0.9, color: '#f90e0eff' });
         });
-        polyline.on('mouseout', function() {
-            this.setStyle({ weight: 6, opacity: 0.7, color: '#0E54F9' });
+        polyline.on('mouseout', () => {
+            polyline.setStyle(this.getSegmentStyle(leg.id));
         });
 
         // Click popup
@@ -376,7 +496,8 @@ export class MapService {
                 endPlace.name,
                 leg.distanceMeters,
                 leg.durationSeconds,
-                index
+                index,
+                leg
             );
             L.popup().setLatLng(e.latlng).setContent(popupContent).openOn(this.map);
         });
@@ -477,9 +598,196 @@ export class MapService {
             this.map.removeLayer(polyline);
         });
         this.segmentPolylines = [];
+        this.segmentLegIds = [];
+        this.legModes.clear();
         this.routeSegments = [];
     }
 
+    /**
+     * Default style of a route segment - legs on days over the driving limits are orange,
+     * legs not driven are dashed in the colour of their transport mode
+     * @param {number} legId
+     * @returns {Object} Leaflet path options
+     */
+    getSegmentStyle(legId) {
+        const mode = getTransportMode(this.legModes.get(legId));
+        if (mode.dashArray) {
+            return { weight: 4, opacity: 0.85, color: mode.color, dashArray: mode.dashArray };
+        }
+        if (this.overLimitLegIds.has(legId)) {
+            return { weight: 6, opacity: 0.85, color: '#E76F51' };
+        }
+        return { weight: 6, opacity: 0.7, color: '#0E54F9' };
+    }
+
+    /**
+     * Highlight the legs of days that exceed the daily driving limits
+     * @param {Array<number>} legIds - Legs to highlight (empty to clear)
+     */
+    setOverLimitLegs(legIds) {
+        this.overLimitLegIds = new Set(legIds);
+        this.segmentPolylines.forEach((polyline, index) => {
+            polyline.setStyle(this.getSegmentStyle(this.segmentLegIds[index]));
+        });
+    }
+
+    /**
+     * Show where a driving day reaches its limits and the places an overnight stop could be added at
+     * @param {[number, number]} point - [lat, lng] where the limit is reached
+     * @param {Array<Object>} candidates - { name, latitude, longitude }
+     */
+    showOvernightSuggestions(point, candidates) {
+        this.clearOvernightSuggestions();
+
+        this.overnightSuggestionLayer = L.layerGroup().addTo(this.map);
+        L.circleMarker(point, {
+            radius: 9,
+            color: '#E76F51',
+            weight: 3,
+            fillColor: '#fff',
+            fillOpacity: 1
+        }).bindTooltip('Daily driving limit reached here').addTo(this.overnightSuggestionLayer);
+
+        candidates.forEach(candidate => {
+            L.circleMarker([candidate.latitude, candidate.longitude], {
+                radius: 7,
+                color: '#2A9D8F',
+                weight: 2,
+                fillColor: '#2A9D8F',
+                fillOpacity: 0.6
+            }).bindTooltip(candidate.name).addTo(this.overnightSuggestionLayer);
+        });
+
+        const bounds = L.latLngBounds([point, ...candidates.map(c => [c.latitude, c.longitude])]);
+        this.map.fitBounds(bounds, { padding: [60, 60], maxZoom: 11 });
+    }
+
+    clearOvernightSuggestions() {
+        if (this.overnightSuggestionLayer) {
+            this.map.removeLayer(this.overnightSuggestionLayer);
+            this.overnightSuggestionLayer = null;
+        }
+    }
+
+    /**
+     * Route line of a leg as drawn on the map (stored geometry only)
+     * @param {number} legId
+     * @returns {Array<[number, number]>|null} [[lat, lng], ...]
+     */
+    getLegPath(legId) {
+        const index = this.segmentLegIds.indexOf(legId);
+        if (index === -1 || !this.segmentPolylines[index]) return null;
+        return this.segmentPolylines[index].getLatLngs().map(latLng => [latLng.lat, latLng.lng]);
+    }
+
+    /**
+     * Show or move the trip playback vehicle
+     * @param {[number, number]} latLng
+     * @param {Object} options - { label: tooltip text, driving: false when parked at a stop, follow: keep it in view }
+     */
+    showVehicle(latLng, { label = '', driving = true, follow = true } = {}) {
+        const icon = driving ? 'fa-car-side' : 'fa-parking';
+        if (!this.vehicleMarker) {
+            this.vehicleMarker = L.marker(latLng, {
+                icon: L.divIcon({
+                    html: `<div class="playback-vehicle"><i class="fas ${icon}"></i></div>`,
+                    className: 'playback-vehicle-icon',
+                    iconSize: [32, 32],
+                    iconAnchor: [16, 16]
+                }),
+                interactive: false,
+                zIndexOffset: 1000
+            }).addTo(this.map);
+            this.vehicleMarker.bindTooltip(label, { permanent: true, direction: 'top', offset: [0, -16] });
+        } else {
+            this.vehicleMarker.setLatLng(latLng);
+            this.vehicleMarker.setTooltipContent(label);
+            const iconEl = this.vehicleMarker.getElement()?.querySelector('.playback-vehicle i');
+            if (iconEl) iconEl.className = `fas ${icon}`;
+        }
+
+        if (label && !this.vehicleMarker.isTooltipOpen()) {
+            this.vehicleMarker.openTooltip();
+        } else if (!label) {
+            this.vehicleMarker.closeTooltip();
+        }
+
+        if (follow) {
+            this.followVehicle(latLng);
+        }
+    }
+
+    /**
+     * Pan the map when the vehicle gets close to the edge of the view
+     * @param {[number, number]} latLng
+     */
+    followVehicle(latLng) {
+        if (this.isFollowingVehicle || this.map.getBounds().pad(-0.2).contains(latLng)) return;
+
+        this.isFollowingVehicle = true;
+        this.map.once('moveend', () => {
+            this.isFollowingVehicle = false;
+        });
+        this.map.panTo(latLng, { animate: true, duration: 0.5 });
+    }
+
+    clearVehicle() {
+        if (this.vehicleMarker) {
+            this.map.removeLayer(this.vehicleMarker);
+            this.vehicleMarker = null;
+        }
+    }
+
+    /**
+     * Draw another route next to the current one, e.g. a variant to compare with
+     * @param {Array} stops - Itinerary places (latitude, longitude, placeName) in route order
+     * @param {Array} legs - Itinerary legs with geometryCoordinates (straight line where missing)
+     * @param {string} color - Line and marker colour
+     * @param {string} name - Route name for tooltips
+     */
+    showComparisonRoute(stops, legs, color, name) {
+        this.clearComparisonRoute();
+        this.comparisonLayer = L.layerGroup().addTo(this.map);
+
+        const stopsById = new Map(stops.map(stop => [stop.id, stop]));
+        legs.forEach(leg => {
+            const from = stopsById.get(leg.fromRoutePlaceId);
+            const to = stopsById.get(leg.toRoutePlaceId);
+            const driven = isDrivingLeg(leg) && leg.geometryCoordinates?.length > 0;
+            const coords = driven
+                ? leg.geometryCoordinates.map(c => [c[1], c[0]])
+                : (from && to ? [[from.latitude, from.longitude], [to.latitude, to.longitude]] : null);
+            if (!coords) return;
+
+            L.polyline(coords, {
+                color,
+                weight: 5,
+                opacity: 0.75,
+                dashArray: driven ? null : '8, 8',
+                interactive: false
+            }).addTo(this.comparisonLayer);
+        });
+
+        stops.forEach((stop, index) => {
+            L.circleMarker([stop.latitude, stop.longitude], {
+                radius: 6,
+                color: 'white',
+                weight: 2,
+                fillColor: color,
+                fillOpacity: 1
+            })
+                .bindTooltip(`${name}: ${index + 1}. ${stop.placeName}`)
+                .addTo(this.comparisonLayer);
+        });
+    }
+
+    clearComparisonRoute() {
+        if (this.comparisonLayer) {
+            this.map.removeLayer(this.comparisonLayer);
+            this.comparisonLayer = null;
+        }
+    }
+
     /**
      * Create clickable route segments between consecutive places
      * @param {Object} route - OSRM route object with coordinates and instructions
@@ -648,9 +956,10 @@ export class MapService {
      * @param {number} distance - Segment distance in meters
      * @param {number} duration - Segment duration in seconds
      * @param {number} segmentIndex - Index of the segment
+     * @param {Object|null} leg - Stored route leg (transport mode can be changed), null for OSRM-only segments
      * @returns {string} HTML content for popup
      */
-    createSegmentPopup(startName, endName, distance, duration, segmentIndex) {
+    createSegmentPopup(startName, endName, distance, duration, segmentIndex, leg = null) {
         const distanceKm = (distance / 1000).toFixed(1);
         const durationHours = Math.floor(duration / 3600);
         const durationMinutes = Math.floor((duration % 3600) / 60);
@@ -662,10 +971,22 @@ export class MapService {
             durationText = `${durationMinutes}min`;
         }
 
+        const mode = getTransportMode(leg?.mode);
+        const modeAction = leg && this.readOnly ? `
+                    <div class="segment-mode-label">
+                        <i class="fas ${mode.icon}"></i>
+                        <span>${mode.label}</span>
+                    </div>` : leg ? `
+                    <button class="segment-mode-btn" onclick="editLegMode(${leg.id})" title="Change how this leg is travelled">
+                        <i class="fas ${mode.icon}"></i>
+                        <span>${mode.label}</span>
+                        <i class="fas fa-pen"></i>
+                    </button>` : '';
+
         return `
             <div class="route-segment-popup">
                 <div class="segment-popup-header">
-                    <i class="fas fa-route"></i>
+                    <i class="fas ${isDrivingLeg(leg || {}) ? 'fa-route' : mode.icon}"></i>
                     <span>Segment ${segmentIndex + 1}</span>
                 </div>
                 <div class="segment-popup-content">
@@ -683,7 +1004,7 @@ export class MapService {
                             <i class="fas fa-clock"></i>
                             <span>${durationText}</span>
                         </div>
-                    </div>
+                    </div>${modeAction}
                 </div>
             </div>
         `;
@@ -715,7 +1036,8 @@ export class MapService {
             segment.endPlace,
             segment.distance,
             segment.duration,
-            legIndex
+            legIndex,
+            segment.leg
         );
 
         // Open popup at midpoint and pan map to it
@@ -731,7 +1053,7 @@ export class MapService {
 
             // Reset style after a delay
             setTimeout(() => {
-                polyline.setStyle({ weight: 6, opacity: 0.7, color: '#0E54F9' });
+                polyline.setStyle(this.getSegmentStyle(this.segmentLegIds[legIndex]));
             }, 3000);
         }
     }
@@ -805,12 +1127,12 @@ export class MapService {
 
     updateCampsiteMarkers(campsites) {
         // Clear existing campsite markers
-        this.campsiteMarkers.forEach(marker => this.map.removeLayer(marker));
+        this.campsiteClusterGroup.clearLayers();
         this.campsiteMarkers = [];
 
         if (!campsites || campsites.length === 0) return;
 
-        // Add campsite markers
+        // Add campsite markers (added to the cluster layer in one batch below)
         campsites.forEach((campsite, index) => {
             if (!campsite.latitude || !campsite.longitude) return;
 
@@ -983,8 +1305,10 @@ export class MapService {
                 </div>
             `;
 
-            const marker = L.marker([campsite.latitude, campsite.longitude], { icon: customIcon })
-                .addTo(this.map);
+            const marker = L.marker([campsite.latitude, campsite.longitude], {
+                icon: customIcon,
+                clusterGroupKey: campsite.source || 'Other'
+            });
 
             // On mobile, use docked popup; on desktop, use Leaflet popup
             if (this.isMobileView()) {
@@ -1008,6 +1332,8 @@ export class MapService {
 
             this.campsiteMarkers.push(marker);
         });
+
+        this.campsiteClusterGroup.addLayers(this.campsiteMarkers);
     }
 
     selectCampsite(index) {
@@ -1015,9 +1341,10 @@ export class MapService {
 
         this.selectedCampsiteIndex = index;
         const marker = this.campsiteMarkers[index];
+        if (!marker) return;
 
-        // Open popup and center map
-        marker.openPopup();
+        // Open popup (zooming into its cluster if needed)
+        this.openClusteredMarkerPopup(marker, this.campsiteClusterGroup);
     }
 
     deselectCampsite() {
@@ -1050,6 +1377,15 @@ export class MapService {
      * @param {boolean} isNonRoute - Whether this is a non-route place
      */
     setupPlacePopup(marker, place, index = null, isNonRoute = false) {
+        // Shared trips: name and shared note only - place details need an account
+        if (this.readOnly) {
+            marker.bindPopup(this.buildReadOnlyPopup(place, index), {
+                maxWidth: 300,
+                className: 'place-popup-minimal-container'
+            });
+            return;
+        }
+
         // On mobile, use docked popup instead of Leaflet popup
         if (this.isMobileView()) {
             marker.on('click', async () => {
@@ -1762,7 +2098,7 @@ export class MapService {
         this.markers = [];
 
         // Clear existing non-route markers
-        this.nonRouteMarkers.forEach(marker => this.map.removeLayer(marker));
+        this.nonRouteClusterGroup.clearLayers();
         this.nonRouteMarkers = [];
 
         // Clear existing routing control
@@ -1803,7 +2139,7 @@ export class MapService {
 
             // Add routing if enabled and we have at least 2 places
             if (this.showRoute && routePlaces.length > 1) {
-                if (routeLegs && routeLegs.length > 0 && routeLegs[0].geometryCoordinates) {
+                if (routeLegs && routeLegs.length > 0 && this.hasStoredGeometry(routeLegs)) {
                     // Use stored geometry from database
                     console.log('Rendering route from stored geometry (no OSRM call)');
                     this.renderRouteFromGeometry(routePlaces, routeLegs);
@@ -1833,8 +2169,11 @@ export class MapService {
                     className: 'non-route-marker'
                 });
 
-                const marker = L.marker([place.latitude, place.longitude], { icon: grayIcon })
-                    .addTo(this.map);
+                const category = place.categories && place.categories.length > 0 ? place.categories[0] : null;
+                const marker = L.marker([place.latitude, place.longitude], {
+                    icon: grayIcon,
+                    clusterGroupKey: category ? `${category.icon || ''} ${category.name}`.trim() : 'Uncategorized'
+                });
 
                 // Setup popup with lazy loading for Google data
                 this.setupPlacePopup(marker, place, null, true);
@@ -1847,6 +2186,8 @@ export class MapService {
 
                 this.nonRouteMarkers.push(marker);
             });
+
+            this.nonRouteClusterGroup.addLayers(this.nonRouteMarkers);
         }
     }
 
@@ -2258,6 +2599,22 @@ export class MapService {
         `;
     }
 
+    /**
+     * Popup of a stop on a shared trip
+     * @param {Object} place - Place object with name and optional note
+     * @param {number|null} index - Place index in route
+     * @returns {string} HTML content for popup
+     */
+    buildReadOnlyPopup(place, index) {
+        return `
+            <div class="map-popup-minimal">
+                ${index !== null ? `<span class="place-number-badge">${index + 1}</span>` : ''}
+                <span class="place-name-text">${escapeAttribute(place.name)}</span>
+            </div>
+            ${place.note ? `<div class="map-popup-note">${escapeAttribute(place.note)}</div>` : ''}
+        `;
+    }
+
     /**
      * Build detailed place content for sidebar
      */
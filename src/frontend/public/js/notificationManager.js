@@ -21,8 +21,9 @@ export class NotificationManager {
      * @param {string} message - The message to display
      * @param {string} type - Type of notification: 'success', 'error', 'info', 'warning'
      * @param {number} duration - Auto-dismiss duration in ms (0 = no auto-dismiss)
+     * @param {Object|null} action - Optional button { label, onClick }, closes the toast when clicked
      */
-    showToast(message, type = 'info', duration = 4000) {
+    showToast(message, type = 'info', duration = 4000, action = null) {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
 
@@ -35,6 +36,7 @@ export class NotificationManager {
             <div class="toast-content">
                 <div class="toast-message">${this.escapeHtml(message)}</div>
             </div>
+            ${action ? `<button class="toast-action">${this.escapeHtml(action.label)}</button>` : ''}
             <button class="toast-close" aria-label="Close">
                 <i class="fas fa-times"></i>
             </button>
@@ -44,6 +46,13 @@ export class NotificationManager {
         const closeBtn = toast.querySelector('.toast-close');
         closeBtn.addEventListener('click', () => this.hideToast(toast));
 
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                this.hideToast(toast);
+                action.onClick();
+            });
+        }
+
         // Add to container and track
         this.container.appendChild(toast);
         this.toasts.push(toast);
@@ -99,8 +108,8 @@ export class NotificationManager {
     /**
      * Show success notification
      */
-    success(message, duration = 3000) {
-        return this.showToast(message, 'success', duration);
+    success(message, duration = 3000, action = null) {
+        return this.showToast(message, 'success', duration, action);
     }
 
     /**
@@ -0,0 +1,363 @@
+/**
+ * Offline Map Manager
+ * "Make available offline" for a route: picks a corridor width and zoom range,
+ * estimates the download size, lets the service worker download the tiles and
+ * lists/deletes downloaded areas.
+ *
+ * Area records (including their tile keys) are kept in localStorage; the tiles
+ * themselves live in Cache Storage (TILE_CACHE) and may be shared by areas.
+ */
+
+import { ApiService } from './api.js';
+import { CONFIG } from './config.js';
+import { showError, showSuccess, showWarning, showConfirm } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+import {
+    TILE_CACHE,
+    computeCorridorTiles,
+    getCorridorLines,
+    isOfflineTilesEnabled,
+    tileKeyToUrl
+} from './offlineTiles.js';
+
+const STORAGE_KEY = 'offlineMapAreas';
+
+/**
+ * Format a byte count as "12.3 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export class OfflineMapManager {
+    constructor(routeManager) {
+        this.routeManager = routeManager;
+        this.corridorLines = null; // Lines of the route shown in the modal
+        this.plannedTiles = null; // Result of the last estimate
+        this.activeDownloadId = null;
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+        }
+    }
+
+    // ===== Area records =====
+
+    loadAreas() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveAreas(areas) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(areas));
+    }
+
+    updateArea(areaId, changes) {
+        const areas = this.loadAreas();
+        const area = areas.find(a => a.id === areaId);
+        if (area) {
+            Object.assign(area, changes);
+            this.saveAreas(areas);
+        }
+        return area;
+    }
+
+    // ===== Modal =====
+
+    async open() {
+        const route = this.routeManager.getCurrentRoute();
+        if (!route) {
+            showError('No route selected');
+            return;
+        }
+
+        document.getElementById('offlineMapRouteName').textContent = route.name;
+        this.initInputs();
+        this.renderAreaList();
+        this.renderProgress();
+        document.getElementById('offlineMapModal').classList.add('active');
+
+        this.corridorLines = null;
+        if (!isOfflineTilesEnabled()) {
+            // The default OpenStreetMap tile servers forbid bulk downloads
+            this.setEstimate('Offline maps need a tile provider that allows downloading tiles – set OFFLINE_TILE_URL in config.js');
+            return;
+        }
+        this.setEstimate('Calculating...');
+        try {
+            const itinerary = await ApiService.getItinerary(route.id);
+            this.corridorLines = getCorridorLines(itinerary);
+            this.updateEstimate();
+        } catch (error) {
+            console.error('Failed to load route for offline map:', error);
+            this.setEstimate('Could not load the route geometry');
+        }
+    }
+
+    close() {
+        document.getElementById('offlineMapModal').classList.remove('active');
+    }
+
+    initInputs() {
+        const radius = document.getElementById('offlineMapRadius');
+        const minZoom = document.getElementById('offlineMapMinZoom');
+        const maxZoom = document.getElementById('offlineMapMaxZoom');
+
+        if (!radius.value) radius.value = CONFIG.OFFLINE_TILES_RADIUS_KM;
+        if (!minZoom.value) minZoom.value = CONFIG.OFFLINE_TILES_MIN_ZOOM;
+        if (!maxZoom.value) maxZoom.value = CONFIG.OFFLINE_TILES_MAX_ZOOM;
+        minZoom.max = maxZoom.max = CONFIG.OFFLINE_TILES_ZOOM_LIMIT;
+    }
+
+    readOptions() {
+        const radiusKm = parseFloat(document.getElementById('offlineMapRadius').value);
+        const minZoom = parseInt(document.getElementById('offlineMapMinZoom').value, 10);
+        const maxZoom = parseInt(document.getElementById('offlineMapMaxZoom').value, 10);
+
+        if (!(radiusKm > 0) || isNaN(minZoom) || isNaN(maxZoom)) return null;
+        if (minZoom < 0 || maxZoom > CONFIG.OFFLINE_TILES_ZOOM_LIMIT || minZoom > maxZoom) return null;
+
+        return { radiusKm, minZoom, maxZoom };
+    }
+
+    setEstimate(text, canDownload = false) {
+        document.getElementById('offlineMapEstimate').textContent = text;
+        document.getElementById('offlineMapDownloadBtn').disabled = !canDownload || this.activeDownloadId !== null;
+    }
+
+    /**
+     * Recompute the tile list for the current inputs and show count and size
+     */
+    updateEstimate() {
+        this.plannedTiles = null;
+        if (!this.corridorLines) return;
+
+        const options = this.readOptions();
+        if (!options) {
+            this.setEstimate(`Enter a width above 0 km and zoom levels between 0 and ${CONFIG.OFFLINE_TILES_ZOOM_LIMIT}`);
+            return;
+        }
+
+        const { tiles, exceeded } = computeCorridorTiles(
+            this.corridorLines,
+            options.radiusKm,
+            options.minZoom,
+            options.maxZoom,
+            CONFIG.OFFLINE_TILES_MAX_COUNT
+        );
+
+        if (exceeded) {
+            this.setEstimate(`More than ${CONFIG.OFFLINE_TILES_MAX_COUNT.toLocaleString()} tiles – reduce the width or the highest zoom level`);
+            return;
+        }
+
+        this.plannedTiles = { ...options, tiles };
+        const estimate = tiles.length * CONFIG.OFFLINE_TILE_AVG_BYTES;
+        this.setEstimate(`${tiles.length.toLocaleString()} tiles · approx. ${formatBytes(estimate)}`, tiles.length > 0);
+    }
+
+    // ===== Download =====
+
+    async download() {
+        const controller = navigator.serviceWorker?.controller;
+        if (!controller) {
+            showError('Offline maps need the service worker – please reload the page and try again');
+            return;
+        }
+        if (!this.plannedTiles || this.activeDownloadId || !isOfflineTilesEnabled()) return;
+
+        const route = this.routeManager.getCurrentRoute();
+        const { radiusKm, minZoom, maxZoom, tiles } = this.plannedTiles;
+
+        const area = {
+            id: `area-${Date.now()}`,
+            routeId: route.id,
+            routeName: route.name,
+            radiusKm,
+            minZoom,
+            maxZoom,
+            tiles,
+            sizeBytes: 0,
+            failedCount: 0,
+            status: 'downloading',
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            this.saveAreas([...this.loadAreas(), area]);
+        } catch (error) {
+            // localStorage quota
+            showError('Not enough storage to remember this offline area');
+            return;
+        }
+
+        this.startDownload(area);
+    }
+
+    startDownload(area) {
+        this.activeDownloadId = area.id;
+        this.updateArea(area.id, { status: 'downloading' });
+        this.renderProgress(0, area.tiles.length);
+        this.renderAreaList();
+        this.setEstimate(document.getElementById('offlineMapEstimate').textContent);
+
+        navigator.serviceWorker.controller.postMessage({
+            type: 'DOWNLOAD_TILES',
+            areaId: area.id,
+            urls: area.tiles.map(tileKeyToUrl)
+        });
+    }
+
+    /**
+     * Continue an area whose download was cancelled or interrupted (already cached tiles are skipped)
+     */
+    resumeArea(areaId) {
+        if (this.activeDownloadId) {
+            showWarning('Another offline area is still downloading');
+            return;
+        }
+        if (!navigator.serviceWorker?.controller) {
+            showError('Offline maps need the service worker – please reload the page and try again');
+            return;
+        }
+        if (!isOfflineTilesEnabled()) {
+            showError('Offline maps need a tile provider that allows downloading tiles – set OFFLINE_TILE_URL in config.js');
+            return;
+        }
+        const area = this.loadAreas().find(a => a.id === areaId);
+        if (area) this.startDownload(area);
+    }
+
+    cancelDownload() {
+        if (!this.activeDownloadId) return;
+        navigator.serviceWorker.controller?.postMessage({ type: 'CANCEL_TILE_DOWNLOAD', areaId: this.activeDownloadId });
+    }
+
+    handleWorkerMessage(message) {
+        if (!message || message.areaId !== this.activeDownloadId) return;
+
+        if (message.type === 'TILE_DOWNLOAD_PROGRESS') {
+            this.renderProgress(message.done, message.total);
+        } else if (message.type === 'TILE_DOWNLOAD_COMPLETE') {
+            const complete = !message.cancelled && message.failed === 0 && message.done === message.total;
+            const area = this.updateArea(message.areaId, {
+                status: complete ? 'complete' : 'incomplete',
+                sizeBytes: message.bytes,
+                failedCount: message.failed
+            });
+
+            this.activeDownloadId = null;
+            this.renderProgress();
+            this.renderAreaList();
+            this.updateEstimate();
+
+            if (message.cancelled) {
+                showWarning('Offline map download cancelled');
+            } else if (message.failed > 0) {
+                showWarning(`${message.failed} of ${message.total} tiles could not be downloaded – use Resume to retry`);
+            } else {
+                showSuccess(`"${area?.routeName}" is available offline (${formatBytes(message.bytes)})`);
+            }
+        }
+    }
+
+    // ===== Delete =====
+
+    async deleteArea(areaId) {
+        const areas = this.loadAreas();
+        const area = areas.find(a => a.id === areaId);
+        if (!area) return;
+
+        if (areaId === this.activeDownloadId) {
+            showWarning('Cancel the download before deleting this area');
+            return;
+        }
+
+        const confirmed = await showConfirm({
+            title: 'Delete Offline Area',
+            message: `Delete the offline map for "${area.routeName}" (${formatBytes(area.sizeBytes)})?`,
+            type: 'danger',
+            confirmText: 'Delete',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed) return;
+
+        const remaining = areas.filter(a => a.id !== areaId);
+        // Keep tiles that other areas still use
+        const stillUsed = new Set(remaining.flatMap(a => a.tiles));
+
+        try {
+            const cache = await caches.open(TILE_CACHE);
+            await Promise.all(area.tiles
+                .filter(key => !stillUsed.has(key))
+                .map(key => cache.delete(tileKeyToUrl(key))));
+        } catch (error) {
+            console.error('Failed to delete offline tiles:', error);
+            showError('Failed to delete offline tiles');
+            return;
+        }
+
+        this.saveAreas(remaining);
+        this.renderAreaList();
+        showSuccess('Offline area deleted');
+    }
+
+    // ===== Rendering =====
+
+    renderProgress(done = null, total = null) {
+        const progress = document.getElementById('offlineMapProgress');
+        if (done === null) {
+            progress.style.display = 'none';
+            return;
+        }
+
+        progress.style.display = 'block';
+        document.getElementById('offlineMapProgressBar').style.width = `${total ? (done / total) * 100 : 0}%`;
+        document.getElementById('offlineMapProgressText').textContent =
+            `Downloading ${done.toLocaleString()} / ${total.toLocaleString()} tiles`;
+    }
+
+    renderAreaList() {
+        const list = document.getElementById('offlineAreaList');
+        const areas = this.loadAreas();
+
+        if (areas.length === 0) {
+            list.innerHTML = '<p class="offline-area-empty">No offline areas yet.</p>';
+            return;
+        }
+
+        list.innerHTML = areas.map(area => {
+            const downloading = area.id === this.activeDownloadId;
+            const status = downloading
+                ? '<span class="offline-area-status downloading"><i class="fas fa-spinner fa-spin"></i> Downloading</span>'
+                : area.status === 'complete'
+                    ? '<span class="offline-area-status complete"><i class="fas fa-check"></i> Ready</span>'
+                    : '<span class="offline-area-status incomplete"><i class="fas fa-exclamation-triangle"></i> Incomplete</span>';
+
+            return `
+                <div class="offline-area-item">
+                    <div class="offline-area-info">
+                        <div class="offline-area-name">${notificationManager.escapeHtml(area.routeName)} ${status}</div>
+                        <div class="offline-area-meta">
+                            ${area.radiusKm} km corridor · zoom ${area.minZoom}–${area.maxZoom} ·
+                            ${area.tiles.length.toLocaleString()} tiles · ${formatBytes(area.sizeBytes)} ·
+                            ${new Date(area.createdAt).toLocaleDateString()}
+                        </div>
+                    </div>
+                    <div class="offline-area-actions">
+                        ${downloading
+                            ? `<button class="btn btn-secondary btn-sm" onclick="cancelOfflineMapDownload()">Cancel</button>`
+                            : `${area.status !== 'complete' ? `<button class="btn btn-sm" onclick="resumeOfflineArea('${area.id}')">Resume</button>` : ''}
+                               <button class="btn btn-danger btn-sm" onclick="deleteOfflineArea('${area.id}')" title="Delete offline area">
+                                   <i class="fas fa-trash"></i>
+                               </button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+}
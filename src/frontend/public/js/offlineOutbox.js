@@ -0,0 +1,476 @@
+/**
+ * Offline Outbox
+ * Queues write calls made while offline in IndexedDB and replays them in
+ * order once the connection is back.
+ *
+ * - Queued operations are ApiService method calls ({ method, args })
+ * - While operations are pending, read results (itinerary, route, places) are
+ *   patched with them so the UI shows the optimistic state
+ * - Before replaying, routes changed on the server in the meantime are
+ *   detected and the user decides whether to apply or discard their changes
+ */
+
+import { showSuccess, showWarning, showInfo, showConfirm } from './utils.js';
+
+const DB_NAME = 'roadtrip-planner';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+// Write methods that may be queued, with a human readable label and how to find the route they touch
+export const QUEUEABLE_OPERATIONS = {
+    updatePlaceNotes: { label: 'Edit notes', routeArg: null },
+    updatePlace: { label: 'Edit place', routeArg: null },
+    addPlaceToRoute: { label: 'Add place to route', routeArg: 0 },
+    removePlaceFromRoute: { label: 'Remove place from route', routeArg: 0 },
+    reorderPlaces: { label: 'Reorder places', routeArg: 0 },
+    reorderPlacesWithSchedule: { label: 'Reorder places', routeArg: 0 },
+    updateRouteScheduleSettings: { label: 'Change trip dates', routeArg: 0 },
+    updateStopSchedule: { label: 'Change stop times', routeArg: 0 },
+    updateLegSchedule: { label: 'Change leg times', routeArg: 0 },
+    updateLegMode: { label: 'Change transport mode', routeArg: 0 }
+};
+
+/**
+ * Promise wrapper for an IndexedDB request
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * A failed fetch (no connection) surfaces as a TypeError, not an HTTP status
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+class OfflineOutbox {
+    constructor() {
+        this.db = null;
+        this.pending = []; // In-memory mirror of the store, oldest first
+        this.replaying = false;
+        this.executor = null;
+        this.onReplayed = null;
+        this.mergeOrder = null;
+        this.routeVersions = new Map(); // routeId -> last seen updatedAt
+        this.knownPlaces = new Map(); // placeId -> place (for optimistic route additions)
+    }
+
+    /**
+     * Open the database, load pending operations and replay them whenever the
+     * connection comes back (call replay() once the app has loaded)
+     * @param {Object} options
+     * @param {Function} options.execute - (method, args) => Promise, performs the real API call
+     * @param {Function} options.onReplayed - Called after pending operations were replayed
+     * @param {Function} options.mergeOrder - (baseOrder, myOrder, theirOrder) => order, merges a queued
+     *   reorder with stops changed on the server (routeSyncManager's mergeReorder)
+     */
+    async init({ execute, onReplayed, mergeOrder }) {
+        this.executor = execute;
+        this.onReplayed = onReplayed;
+        this.mergeOrder = mergeOrder;
+
+        if (!('indexedDB' in window)) {
+            console.warn('IndexedDB not available - offline changes will not be queued');
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            this.pending = await promisifyRequest(
+                this.db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()
+            );
+            console.log(`Offline outbox loaded: ${this.pending.length} pending operations`);
+        } catch (error) {
+            console.error('Failed to open offline outbox:', error);
+            return;
+        }
+
+        window.addEventListener('online', () => this.replay());
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * New writes are queued while offline, and also while older writes are still
+     * pending so the server sees them in the original order
+     * @returns {boolean}
+     */
+    shouldQueue() {
+        return this.isAvailable && !this.replaying && (!navigator.onLine || this.pending.length > 0);
+    }
+
+    /**
+     * Store an operation for later replay
+     * @param {string} method - ApiService method name
+     * @param {Array} args - Method arguments (must be structured-cloneable)
+     */
+    async enqueue(method, args) {
+        const operation = QUEUEABLE_OPERATIONS[method];
+        const routeId = operation?.routeArg != null ? Number(args[operation.routeArg]) : null;
+
+        const entry = {
+            method,
+            args,
+            routeId,
+            baseUpdatedAt: routeId != null ? this.routeVersions.get(routeId) || null : null,
+            createdAt: new Date().toISOString()
+        };
+
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        entry.id = await promisifyRequest(store.add(entry));
+        this.pending.push(entry);
+
+        console.log(`Queued offline operation #${entry.id}: ${method}`, args);
+
+        if (this.pending.length === 1) {
+            showInfo('Saved offline – changes will sync when you are back online');
+        }
+
+        // Online but behind older pending writes - flush now
+        if (navigator.onLine) {
+            this.replay();
+        }
+    }
+
+    /**
+     * Drop all pending operations (e.g. on logout - they belong to the previous user)
+     */
+    async clear() {
+        this.pending = [];
+        if (!this.isAvailable) return;
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisifyRequest(store.clear());
+    }
+
+    async remove(entry) {
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisifyRequest(store.delete(entry.id));
+        this.pending = this.pending.filter(e => e.id !== entry.id);
+    }
+
+    /**
+     * Replay pending operations in order.
+     * Stops at the first network failure (still offline) and keeps the rest queued.
+     * Never rejects - it runs from event listeners without anyone awaiting it.
+     */
+    async replay() {
+        if (this.replaying || !this.isAvailable || this.pending.length === 0 || !this.executor) return;
+
+        this.replaying = true;
+        const failed = [];
+        let applied = 0;
+
+        try {
+            const discardedRoutes = await this.resolveStaleRoutes();
+
+            while (this.pending.length > 0) {
+                const entry = this.pending[0];
+
+                if (discardedRoutes.has(entry.routeId)) {
+                    await this.remove(entry);
+                    continue;
+                }
+
+                let succeeded = false;
+                try {
+                    await this.executeEntry(entry);
+                    succeeded = true;
+                    applied++;
+                } catch (error) {
+                    if (isNetworkError(error)) {
+                        console.warn('Still offline - replay paused');
+                        break;
+                    }
+                    // Server rejected the change (e.g. place deleted meanwhile) - surface and drop it
+                    console.error(`Offline operation #${entry.id} (${entry.method}) failed:`, error);
+                    failed.push({ entry, error });
+                }
+
+                await this.remove(entry);
+
+                if (succeeded && entry.routeId != null) {
+                    await this.refreshBaseVersion(entry.routeId);
+                }
+            }
+        } catch (error) {
+            // Connection lost while checking versions, or the outbox store failed - the rest stays queued
+            console.error('Replaying offline changes failed:', error);
+            showWarning('Offline changes could not be synced yet – they stay queued and are retried when you are back online');
+        } finally {
+            this.replaying = false;
+        }
+
+        if (applied > 0) {
+            showSuccess(`Synced ${applied} offline change${applied === 1 ? '' : 's'}`);
+        }
+        if (failed.length > 0) {
+            const labels = failed.map(({ entry, error }) =>
+                `${QUEUEABLE_OPERATIONS[entry.method]?.label || entry.method} (${error.message})`);
+            showWarning(`${failed.length} offline change${failed.length === 1 ? '' : 's'} could not be applied: ${labels.join('; ')}`);
+        }
+
+        if ((applied > 0 || failed.length > 0) && this.onReplayed) {
+            try {
+                await this.onReplayed();
+            } catch (error) {
+                console.error('Reloading after offline sync failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Replay one operation. A reorder rejected because the stops changed on the server
+     * meanwhile (elsewhere, or by changes replayed before it) is applied once more with
+     * the stops moved offline put on top of the current order
+     * @param {Object} entry - Queued operation
+     */
+    async executeEntry(entry) {
+        try {
+            return await this.executor(entry.method, entry.args);
+        } catch (error) {
+            const [routeId, myOrder, recalculateSchedule, preserveLockedDays, , baseOrder] = entry.args;
+            const conflict = error.conflict;
+            if (error.message !== 'ROUTE_VERSION_CONFLICT' || !conflict || !baseOrder || !this.mergeOrder) throw error;
+
+            const merged = this.mergeOrder(baseOrder, myOrder, conflict.placeIds);
+            console.log(`Offline operation #${entry.id}: stops changed meanwhile, replaying merged order`, merged);
+            return await this.executor(entry.method,
+                [routeId, merged, recalculateSchedule, preserveLockedDays, conflict.version, conflict.placeIds]);
+        }
+    }
+
+    /**
+     * A replayed change moves the route's updatedAt on the server - the route's later
+     * queued changes build on it, so they must not be taken for changes made elsewhere
+     * when the replay pauses and resumes
+     */
+    async refreshBaseVersion(routeId) {
+        const entries = this.pending.filter(e => e.routeId === routeId);
+        if (entries.length === 0) return;
+
+        let itinerary;
+        try {
+            itinerary = await this.executor('getItinerary', [routeId, { fresh: true }]);
+        } catch (error) {
+            console.warn(`Could not refresh the version of route ${routeId}:`, error);
+            return;
+        }
+
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await Promise.all(entries.map(entry => {
+            entry.baseUpdatedAt = itinerary.updatedAt || entry.baseUpdatedAt;
+            return promisifyRequest(store.put(entry));
+        }));
+    }
+
+    /**
+     * Ask the user what to do with queued changes for routes that were modified
+     * on the server after the changes were made offline
+     * @returns {Promise<Set<number>>} Route IDs whose queued changes should be discarded
+     */
+    async resolveStaleRoutes() {
+        const discarded = new Set();
+        const routeIds = [...new Set(this.pending.filter(e => e.routeId != null && e.baseUpdatedAt).map(e => e.routeId))];
+
+        for (const routeId of routeIds) {
+            const entries = this.pending.filter(e => e.routeId === routeId);
+            const base = entries.find(e => e.baseUpdatedAt)?.baseUpdatedAt;
+
+            let serverVersion;
+            try {
+                // Bypasses the offline cache - it may still hold the version from before going offline
+                serverVersion = await this.executor('getItinerary', [routeId, { fresh: true }]);
+            } catch (error) {
+                if (isNetworkError(error)) throw error;
+                // Route no longer exists - its changes can't be applied
+                discarded.add(routeId);
+                continue;
+            }
+
+            if (!base || new Date(serverVersion.updatedAt) <= new Date(base)) continue;
+
+            const apply = await showConfirm({
+                title: 'Route changed while offline',
+                message: `"${serverVersion.name}" was changed elsewhere while you were offline. ` +
+                    `Apply your ${entries.length} offline change${entries.length === 1 ? '' : 's'} on top, or discard them?`,
+                type: 'warning',
+                confirmText: 'Apply my changes',
+                cancelText: 'Discard'
+            });
+
+            if (!apply) {
+                discarded.add(routeId);
+            }
+        }
+
+        return discarded;
+    }
+
+    // ===== Optimistic read patching =====
+
+    /**
+     * Remember the server version of a route (used to detect offline conflicts)
+     */
+    noteRouteVersion(routeId, updatedAt) {
+        if (updatedAt) this.routeVersions.set(Number(routeId), updatedAt);
+    }
+
+    /**
+     * Remember places so optimistic route additions can show them
+     */
+    notePlaces(places) {
+        places.forEach(p => this.knownPlaces.set(p.id, p));
+    }
+
+    pendingFor(predicate) {
+        return this.replaying ? [] : this.pending.filter(predicate);
+    }
+
+    /**
+     * Apply pending changes to an itinerary response
+     */
+    applyToItinerary(routeId, itinerary) {
+        const entries = this.pendingFor(e => e.routeId === Number(routeId));
+        if (entries.length === 0) return itinerary;
+
+        const patched = structuredClone(itinerary);
+
+        for (const { method, args } of entries) {
+            switch (method) {
+                case 'updateStopSchedule': {
+                    const stop = patched.places.find(p => p.id === args[1]);
+                    if (stop) Object.assign(stop, args[2]);
+                    break;
+                }
+                case 'updateLegSchedule': {
+                    const leg = patched.legs.find(l => l.id === args[1]);
+                    if (leg) Object.assign(leg, args[2]);
+                    break;
+                }
+                case 'updateLegMode': {
+                    const leg = patched.legs.find(l => l.id === args[1]);
+                    if (leg && args[2].mode !== 0) {
+                        // Shown as a straight line until synced - metrics stay as they were unless entered
+                        leg.mode = args[2].mode;
+                        leg.geometryCoordinates = null;
+                        leg.distanceMeters = args[2].distanceMeters ?? leg.distanceMeters;
+                        leg.durationSeconds = args[2].durationSeconds ?? leg.durationSeconds;
+                    }
+                    break;
+                }
+                case 'updateRouteScheduleSettings':
+                    patched.scheduleSettings = { ...patched.scheduleSettings, ...args[1] };
+                    break;
+                case 'reorderPlaces':
+                case 'reorderPlacesWithSchedule':
+                    this.applyOrder(patched.places, args[1], p => p.placeId);
+                    break;
+                case 'removePlaceFromRoute':
+                    patched.places = patched.places.filter(p => p.placeId !== args[1]);
+                    break;
+            }
+        }
+
+        return patched;
+    }
+
+    /**
+     * Apply pending changes to a route response (GET /routes/{id})
+     */
+    applyToRoute(routeId, route) {
+        const entries = this.pendingFor(e => e.routeId === Number(routeId) ||
+            e.method === 'updatePlaceNotes' || e.method === 'updatePlace');
+        if (entries.length === 0) return route;
+
+        const patched = structuredClone(route);
+
+        for (const { method, args } of entries) {
+            switch (method) {
+                case 'addPlaceToRoute': {
+                    const place = this.knownPlaces.get(args[1]);
+                    if (place && !patched.places.some(p => p.id === place.id)) {
+                        patched.places.push({ ...place, orderIndex: patched.places.length });
+                    }
+                    break;
+                }
+                case 'removePlaceFromRoute':
+                    patched.places = patched.places.filter(p => p.id !== args[1]);
+                    break;
+                case 'reorderPlaces':
+                case 'reorderPlacesWithSchedule':
+                    this.applyOrder(patched.places, args[1], p => p.id);
+                    break;
+                case 'updatePlaceNotes':
+                case 'updatePlace':
+                    this.applyPlaceEdit(patched.places, method, args);
+                    break;
+            }
+        }
+
+        return patched;
+    }
+
+    /**
+     * Apply pending place edits to the places list (GET /places)
+     */
+    applyToPlaces(places) {
+        const entries = this.pendingFor(e => e.method === 'updatePlaceNotes' || e.method === 'updatePlace');
+        if (entries.length === 0) return places;
+
+        const patched = structuredClone(places);
+        for (const { method, args } of entries) {
+            this.applyPlaceEdit(patched, method, args);
+        }
+        return patched;
+    }
+
+    applyPlaceEdit(places, method, args) {
+        const place = places.find(p => p.id === args[0]);
+        if (!place) return;
+
+        if (method === 'updatePlaceNotes') {
+            place.notes = args[1];
+            return;
+        }
+
+        // updatePlace(placeId, name, latitude, longitude, notes)
+        const [, name, latitude, longitude, notes] = args;
+        if (name != null) place.name = name;
+        if (latitude != null) place.latitude = latitude;
+        if (longitude != null) place.longitude = longitude;
+        if (notes !== undefined && notes !== null) place.notes = notes;
+    }
+
+    /**
+     * Sort items in place to match a list of place IDs and renumber orderIndex
+     */
+    applyOrder(items, placeIds, getPlaceId) {
+        const position = new Map(placeIds.map((id, index) => [id, index]));
+        items.sort((a, b) => (position.get(getPlaceId(a)) ?? Infinity) - (position.get(getPlaceId(b)) ?? Infinity));
+        items.forEach((item, index) => item.orderIndex = index);
+    }
+}
+
+export const offlineOutbox = new OfflineOutbox();
@@ -0,0 +1,79 @@
+import { notificationManager } from './notificationManager.js';
+
+/**
+ * Offline Status
+ * Shows a persistent "offline" banner when the service worker had to answer
+ * from its cache (or the browser reports no connection), and hides it again
+ * once the connection is back.
+ */
+
+const OFFLINE_MESSAGE = 'You are offline – showing cached data';
+
+let offlineToast = null;
+
+function showOfflineBanner() {
+    // Banner may have been closed by the user - show it again in that case
+    if (offlineToast?.isConnected) return;
+    offlineToast = notificationManager.showToast(OFFLINE_MESSAGE, 'warning', 0);
+}
+
+/**
+ * @returns {boolean} True if a banner was visible
+ */
+function hideOfflineBanner() {
+    if (!offlineToast) return false;
+    notificationManager.hideToast(offlineToast);
+    offlineToast = null;
+    return true;
+}
+
+/**
+ * Listen for service worker and connectivity events
+ */
+export function initOfflineStatus() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'OFFLINE_CACHED_DATA') {
+                console.log('Served cached data while offline:', event.data.url);
+                showOfflineBanner();
+            }
+        });
+    }
+
+    window.addEventListener('offline', showOfflineBanner);
+    window.addEventListener('online', () => {
+        if (hideOfflineBanner()) {
+            notificationManager.success('Back online');
+        }
+    });
+
+    if (!navigator.onLine) {
+        showOfflineBanner();
+    }
+}
+
+/**
+ * Drop cached API responses (e.g. on logout, so the next user never sees them)
+ */
+export function clearOfflineApiCache() {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+}
+
+/**
+ * Drop the cached reads of a route another member changed, so the next read
+ * isn't outdated - cached data of other routes stays available offline
+ * @param {number} routeId - Changed route
+ * @param {boolean} includeList - Also the route list (names, place counts, members)
+ * @returns {Promise<void>} Resolves once the service worker dropped them
+ */
+export function invalidateOfflineRouteCache(routeId, includeList = false) {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => resolve();
+        controller.postMessage({ type: 'INVALIDATE_ROUTE_CACHE', routeId, includeList }, [channel.port2]);
+        setTimeout(resolve, 1000); // Workers installed before this change don't answer
+    });
+}
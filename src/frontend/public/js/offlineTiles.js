@@ -0,0 +1,200 @@
+/**
+ * Offline Map Tiles
+ * Tile math for downloading a corridor around a route, and a Leaflet tile
+ * layer that serves downloaded tiles from Cache Storage before the network.
+ *
+ * Tiles are stored by the service worker in TILE_CACHE under their URL with
+ * the first tile subdomain, so lookups don't depend on which subdomain
+ * Leaflet picked for a tile. They come from CONFIG.OFFLINE_TILE_URL - the
+ * default OpenStreetMap tile servers don't allow bulk downloads.
+ */
+
+import { CONFIG } from './config.js';
+import { haversineDistanceMeters } from './utils.js';
+
+// Must match TILE_CACHE in sw.js (unversioned - downloads survive app updates)
+export const TILE_CACHE = 'roadtrip-tiles';
+
+const MAX_LATITUDE = 85.0511287798; // Web Mercator limit
+const TILE_SUBDOMAINS = 'abc';
+
+/**
+ * Tile column for a longitude at zoom z
+ */
+function lngToTileX(lng, z) {
+    const n = 2 ** z;
+    return Math.min(n - 1, Math.max(0, Math.floor((lng + 180) / 360 * n)));
+}
+
+/**
+ * Tile row for a latitude at zoom z
+ */
+function latToTileY(lat, z) {
+    const n = 2 ** z;
+    const latRad = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+    const y = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+    return Math.min(n - 1, Math.max(0, Math.floor(y)));
+}
+
+/**
+ * Whether a tile provider that allows offline use is configured
+ * @returns {boolean}
+ */
+export function isOfflineTilesEnabled() {
+    return Boolean(CONFIG.OFFLINE_TILE_URL);
+}
+
+/**
+ * URL a tile is cached under
+ * @param {string} key - "z/x/y"
+ * @returns {string}
+ */
+export function tileKeyToUrl(key) {
+    const [z, x, y] = key.split('/');
+    return CONFIG.OFFLINE_TILE_URL
+        .replace('{s}', TILE_SUBDOMAINS[0])
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y);
+}
+
+/**
+ * Lines to cover: leg geometries, or straight lines between stops for legs without geometry
+ * @param {Object} itinerary - Route itinerary (places + legs)
+ * @returns {Array<Array<[number, number]>>} Polylines as [lat, lng] pairs
+ */
+export function getCorridorLines(itinerary) {
+    const places = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const placesById = new Map(places.map(p => [p.id, p]));
+    const lines = [];
+
+    for (const leg of itinerary.legs || []) {
+        if (leg.geometryCoordinates?.length > 1) {
+            // Geometry is [lon, lat] (GeoJSON order)
+            lines.push(leg.geometryCoordinates.map(([lon, lat]) => [lat, lon]));
+            continue;
+        }
+        const from = placesById.get(leg.fromRoutePlaceId);
+        const to = placesById.get(leg.toRoutePlaceId);
+        if (from && to) {
+            lines.push([[from.latitude, from.longitude], [to.latitude, to.longitude]]);
+        }
+    }
+
+    // No legs yet (or a single stop) - cover the stops themselves
+    if (lines.length === 0) {
+        places.forEach(p => lines.push([[p.latitude, p.longitude]]));
+    }
+
+    return lines;
+}
+
+/**
+ * Points along a polyline, at most stepMeters apart (first and last vertex included)
+ */
+function samplePolyline(line, stepMeters) {
+    const samples = [line[0]];
+
+    for (let i = 1; i < line.length; i++) {
+        const [lat1, lng1] = line[i - 1];
+        const [lat2, lng2] = line[i];
+        const segmentLength = haversineDistanceMeters(lat1, lng1, lat2, lng2);
+        const steps = Math.ceil(segmentLength / stepMeters);
+
+        for (let s = 1; s <= steps; s++) {
+            const f = s / steps;
+            samples.push([lat1 + (lat2 - lat1) * f, lng1 + (lng2 - lng1) * f]);
+        }
+    }
+
+    return samples;
+}
+
+/**
+ * All tiles within radiusKm of the lines for a zoom range
+ * @param {Array<Array<[number, number]>>} lines - Polylines as [lat, lng] pairs
+ * @param {number} radiusKm - Corridor half-width
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @param {number} maxTiles - Stop counting once exceeded
+ * @returns {{tiles: string[], exceeded: boolean}} Tile keys ("z/x/y")
+ */
+export function computeCorridorTiles(lines, radiusKm, minZoom, maxZoom, maxTiles = Infinity) {
+    const radiusMeters = radiusKm * 1000;
+    // Boxes of +-radius around points at most radius apart cover the whole corridor
+    const samples = lines.flatMap(line => samplePolyline(line, Math.max(radiusMeters, 100)));
+    const tiles = new Set();
+
+    for (let z = minZoom; z <= maxZoom; z++) {
+        for (const [lat, lng] of samples) {
+            const dLat = radiusMeters / 111320;
+            const dLng = radiusMeters / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+            const xMin = lngToTileX(lng - dLng, z);
+            const xMax = lngToTileX(lng + dLng, z);
+            const yMin = latToTileY(lat + dLat, z);
+            const yMax = latToTileY(lat - dLat, z);
+
+            for (let x = xMin; x <= xMax; x++) {
+                for (let y = yMin; y <= yMax; y++) {
+                    tiles.add(`${z}/${x}/${y}`);
+                }
+            }
+
+            if (tiles.size > maxTiles) {
+                return { tiles: [...tiles], exceeded: true };
+            }
+        }
+    }
+
+    return { tiles: [...tiles], exceeded: false };
+}
+
+/**
+ * Look up a downloaded tile
+ * @returns {Promise<Blob|null>}
+ */
+async function getCachedTile(key) {
+    if (!isOfflineTilesEnabled() || !('caches' in window)) return null;
+    try {
+        const cache = await caches.open(TILE_CACHE);
+        const response = await cache.match(tileKeyToUrl(key));
+        return response ? await response.blob() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Leaflet tile layer that uses downloaded tiles first and the tile server otherwise
+ * @param {string} url - Tile URL template
+ * @param {Object} options - L.tileLayer options
+ * @returns {L.TileLayer}
+ */
+export function createOfflineTileLayer(url, options) {
+    const OfflineTileLayer = L.TileLayer.extend({
+        createTile(coords, done) {
+            const tile = document.createElement('img');
+
+            L.DomEvent.on(tile, 'load', () => {
+                if (tile.src.startsWith('blob:')) URL.revokeObjectURL(tile.src);
+                this._tileOnLoad(done, tile);
+            });
+            L.DomEvent.on(tile, 'error', (e) => this._tileOnError(done, tile, e));
+
+            if (this.options.crossOrigin || this.options.crossOrigin === '') {
+                tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
+            }
+            tile.alt = '';
+            tile.setAttribute('role', 'presentation');
+
+            getCachedTile(`${this._getZoomForUrl()}/${coords.x}/${coords.y}`).then(blob => {
+                tile.src = blob ? URL.createObjectURL(blob) : this.getTileUrl(coords);
+            });
+
+            return tile;
+        }
+    });
+
+    return new OfflineTileLayer(url, options);
+}
@@ -1,12 +1,18 @@
 import { ApiService } from './api.js';
-import { showSuccess, showError, sleep, showConfirm } from './utils.js';
+import { showSuccess, showError, showInfo, showConfirm, downloadFile, toSafeFileName } from './utils.js';
+import { buildGpx } from './io/gpxExporter.js';
+import { buildIcs } from './io/icsExporter.js';
+import { computeInsertionDetours } from './routeOptimizer.js';
+import { notificationManager } from './notificationManager.js';
+import { mergeReorder } from './routeSyncManager.js';
 
 export class PlaceManager {
-    constructor(routeManager, onUpdate = null, onReordered = null) {
+    constructor(routeManager, onUpdate = null, onReordered = null, undoManager = null) {
         this.routeManager = routeManager;
         this.places = [];
         this.onUpdate = onUpdate;
         this.onReordered = onReordered; // Callback for when route order changes
+        this.undoManager = undoManager; // Records reorders and removals for undo/redo
         this.selectedIndex = null;
         this.sortableInstances = {}; // Track Sortable instances
         this.sortingEnabled = false; // Track if sorting mode is active
@@ -233,7 +239,11 @@ export class PlaceManager {
         }
 
         try {
-            await ApiService.removePlaceFromRoute(currentRouteId, place.id);
+            await this.trackEdit(
+                `Remove "${place.name}"`,
+                () => ApiService.removePlaceFromRoute(currentRouteId, place.id),
+                `Removed "${place.name}" from route`
+            );
 
             this.places = await this.routeManager.loadCurrentRoute();
             await this.routeManager.loadRoutes(); // For place count update
@@ -255,7 +265,6 @@ export class PlaceManager {
                 await this.onReordered();
             }
 
-            showSuccess(`Removed "${place.name}" from route`);
             return true;
 
         } catch (error) {
@@ -956,18 +965,40 @@ export class PlaceManager {
         }
     }
 
-    async reorderPlaces(newOrder) {
+    /**
+     * Run an edit through the undo history (if available)
+     * @param {string} label - History label
+     * @param {Function} edit - Async API call(s)
+     * @param {string} successMessage - Toast shown with an "Undo" action
+     */
+    async trackEdit(label, edit, successMessage) {
+        if (!this.undoManager) {
+            const result = await edit();
+            showSuccess(successMessage);
+            return result;
+        }
+        return this.undoManager.track(label, edit, { successMessage });
+    }
+
+    async reorderPlaces(newOrder, successMessage = 'Route order updated') {
         const currentRouteId = this.routeManager.getCurrentRouteId();
         if (!currentRouteId) return false;
 
+        const baseOrder = this.places.map(p => p.id);
+
         try {
             // Use enhanced reorder with schedule recalculation
-            await ApiService.reorderPlacesWithSchedule(
+            const result = await this.trackEdit('Reorder stops', () => ApiService.reorderPlacesWithSchedule(
                 currentRouteId,
                 newOrder,
                 true,  // recalculateSchedule
-                true   // preserveLockedDays
-            );
+                true,  // preserveLockedDays
+                this.routeManager.currentRouteVersion,  // Rejected if someone else changed the stops meanwhile
+                baseOrder  // Merged with their stops when queued offline and rejected on replay
+            ), successMessage);
+            if (result?.version !== undefined) {
+                this.routeManager.currentRouteVersion = result.version; // Next reorder builds on this one
+            }
             this.places = await this.routeManager.loadCurrentRoute();
 
             // Trigger timeline reload after route reorder
@@ -978,37 +1009,49 @@ export class PlaceManager {
             return true;
 
         } catch (error) {
+            if (error.message === 'ROUTE_VERSION_CONFLICT') {
+                return this.resolveReorderConflict(baseOrder, newOrder, successMessage);
+            }
             console.error('Failed to reorder places:', error);
             showError('Failed to reorder places');
             return false;
         }
     }
 
-    async importPlaces(placesToImport) {
-        const currentRouteId = this.routeManager.getCurrentRouteId();
-        if (!currentRouteId) {
-            showError('Please select a route first!');
-            return false;
+    /**
+     * A reorder was based on stops someone else changed meanwhile - show their
+     * order and offer to apply the stops moved here on top of it
+     * @param {number[]} baseOrder - Place IDs the reorder was based on
+     * @param {number[]} myOrder - Rejected order
+     * @param {string} successMessage - Toast after a merged reorder
+     * @returns {Promise<boolean>} True when the list shows a valid order
+     */
+    async resolveReorderConflict(baseOrder, myOrder, successMessage) {
+        this.places = await this.routeManager.loadCurrentRoute();
+        if (this.onReordered) {
+            await this.onReordered();
         }
-        
-        let successCount = 0;
-        
-        for (const place of placesToImport) {
-            if (place.name && place.coords && place.coords.length === 2) {
-                const success = await this.addPlace({
-                    name: place.name,
-                    coords: place.coords
-                });
-                
-                if (success) successCount++;
-                
-                // Short pause between adds
-                await sleep(300);
-            }
+
+        const theirOrder = this.places.map(p => p.id);
+        const merged = mergeReorder(baseOrder, myOrder, theirOrder);
+        if (merged.every((id, index) => id === theirOrder[index])) {
+            showInfo('The route was changed by someone else and already has this order');
+            return true;
         }
-        
-        showSuccess(`Import completed! Added ${successCount} places to your current route.`);
-        return successCount > 0;
+
+        if (this.onUpdate) {
+            this.onUpdate(); // Show their order while asking
+        }
+
+        const confirmed = await showConfirm({
+            title: 'Route Changed',
+            message: 'Someone else changed the stops of this route while you were reordering. Apply your move to their new order, or keep their order?',
+            confirmText: 'Merge my change',
+            cancelText: 'Keep theirs'
+        });
+        if (!confirmed) return true;
+
+        return this.reorderPlaces(merged, successMessage);
     }
 
     updatePlacesList(onRemove) {
@@ -1057,6 +1100,9 @@ export class PlaceManager {
             </div>
         ` : '';
 
+        // Who added each stop is only of interest when others have access to the route
+        const showAddedBy = this.routeManager.isCurrentRouteShared();
+
         const placesHTML = this.places.map((place, index) => {
             const isSelected = this.selectedIndex === index;
             return `
@@ -1088,6 +1134,11 @@ export class PlaceManager {
                     </div>
                     ` : ''}
                 </div>
+                ${showAddedBy && place.addedByName ? `
+                <div class="place-added-by">
+                    <i class="fas fa-user-plus"></i> Added by ${notificationManager.escapeHtml(place.addedByName)}
+                </div>
+                ` : ''}
                 ${!this.sortingEnabled ? `
                 <div class="place-links">
                     <a href="https://www.google.com/maps/search/?api=1&query=${place.coords[0]},${place.coords[1]}"
@@ -1266,18 +1317,74 @@ export class PlaceManager {
                 }))
             };
             
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], {type: 'application/json'});
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${currentRoute.name.replace(/[^a-zA-Z0-9]/g, '_')}.json`;
-            a.click();
+            downloadFile(JSON.stringify(exportData, null, 2), `${toSafeFileName(currentRoute.name)}.json`, 'application/json');
             
         } catch (error) {
             showError('Export failed');
         }
     }
 
+    /**
+     * Export current route as GPX 1.1 (waypoints, route points and leg tracks)
+     * Uses the itinerary so planned arrival times and leg geometry are included
+     */
+    async exportRouteGpx() {
+        const currentRoute = this.routeManager.getCurrentRoute();
+        if (!currentRoute) {
+            showError('No route selected');
+            return;
+        }
+
+        try {
+            const itinerary = await ApiService.getItinerary(currentRoute.id);
+
+            const gpx = buildGpx(currentRoute, itinerary, this.getNotesByPlaceId());
+            downloadFile(gpx, `${toSafeFileName(currentRoute.name)}.gpx`, 'application/gpx+xml');
+            showSuccess('Route exported as GPX');
+        } catch (error) {
+            console.error('GPX export failed:', error);
+            showError(error.message || 'GPX export failed');
+        }
+    }
+
+    /**
+     * Export current route schedule as iCalendar (.ics)
+     * One event per overnight/day stop and per driving leg
+     */
+    async exportRouteIcs() {
+        const currentRoute = this.routeManager.getCurrentRoute();
+        if (!currentRoute) {
+            showError('No route selected');
+            return;
+        }
+
+        try {
+            const itinerary = await ApiService.getItinerary(currentRoute.id);
+
+            const { ics, eventCount } = buildIcs(currentRoute, itinerary, this.getNotesByPlaceId());
+            if (eventCount === 0) {
+                showError('This route has no scheduled stops or legs to export');
+                return;
+            }
+
+            downloadFile(ics, `${toSafeFileName(currentRoute.name)}.ics`, 'text/calendar');
+            showSuccess(`Exported ${eventCount} calendar events`);
+        } catch (error) {
+            console.error('Calendar export failed:', error);
+            showError(error.message || 'Calendar export failed');
+        }
+    }
+
+    /**
+     * Notes live on the place, not on the itinerary stop - map them by place ID
+     * @returns {Map<number, string>}
+     */
+    getNotesByPlaceId() {
+        return new Map(
+            this.places.filter(p => p.notes).map(p => [p.id, p.notes])
+        );
+    }
+
     async clearRoute() {
         if (this.places.length === 0) return;
 
@@ -1337,18 +1444,20 @@ export class PlaceManager {
         // Generate buttons for each position: [1], [2], [3], ..., [End]
         for (let i = 1; i <= routeLength; i++) {
             buttonsHTML += `
-                <button class="position-btn" onclick="placeManager.addExistingPlaceToRouteAtPosition(${placeId}, ${i - 1})">
+                <button class="position-btn" data-position="${i - 1}" onclick="placeManager.addExistingPlaceToRouteAtPosition(${placeId}, ${i - 1})">
                     <i class="fas fa-arrow-up"></i>
                     <span>Before ${i}. ${this.places[i - 1].name}</span>
+                    <small class="position-detour"></small>
                 </button>
             `;
         }
 
         // Add "End" button
         buttonsHTML += `
-            <button class="position-btn position-btn-end" onclick="placeManager.addExistingPlaceToRouteAtPosition(${placeId}, ${routeLength})">
+            <button class="position-btn position-btn-end" data-position="${routeLength}" onclick="placeManager.addExistingPlaceToRouteAtPosition(${placeId}, ${routeLength})">
                 <i class="fas fa-plus"></i>
                 <span>Add to End</span>
+                <small class="position-detour"></small>
             </button>
         `;
 
@@ -1356,6 +1465,49 @@ export class PlaceManager {
 
         // Show modal
         modal.classList.add('active');
+
+        this.showInsertionDetours(placeId, positionButtons);
+    }
+
+    /**
+     * Show the extra driving each insert position would cause and highlight the cheapest one
+     * @param {number} placeId - Place to insert
+     * @param {HTMLElement} positionButtons - Container with the position buttons
+     */
+    async showInsertionDetours(placeId, positionButtons) {
+        const place = window.filterManager?.allPlaces?.find(p => p.id === placeId);
+        if (!place || this.places.length === 0) return;
+
+        const detourLabels = positionButtons.querySelectorAll('.position-detour');
+        detourLabels.forEach(label => label.textContent = 'Calculating detour…');
+
+        try {
+            const points = [...this.places.map(p => p.coords), [place.latitude, place.longitude]];
+            const table = await ApiService.getOsrmTable(points);
+
+            // Modal was closed or reopened for another place meanwhile
+            const modal = document.getElementById('addPlacePositionModal');
+            if (!modal.classList.contains('active') || parseInt(modal.dataset.placeId) !== placeId) return;
+
+            const durations = computeInsertionDetours(table.durations);
+            const distances = computeInsertionDetours(table.distances);
+            const best = durations.indexOf(Math.min(...durations));
+
+            positionButtons.querySelectorAll('.position-btn').forEach(button => {
+                const position = parseInt(button.dataset.position);
+                const label = button.querySelector('.position-detour');
+                label.textContent = `+${(distances[position] / 1000).toFixed(1)} km · +${Math.round(durations[position] / 60)} min`;
+                label.title = 'Extra driving compared to the current route';
+
+                if (position === best) {
+                    button.classList.add('position-btn-best');
+                    label.innerHTML = `<i class="fas fa-star"></i> Best · ${label.textContent}`;
+                }
+            });
+        } catch (error) {
+            console.warn('Could not calculate detours:', error);
+            detourLabels.forEach(label => label.textContent = '');
+        }
     }
 
     /**
@@ -1427,6 +1579,17 @@ export class PlaceManager {
             return true;
 
         } catch (error) {
+            if (error.message === 'ROUTE_VERSION_CONFLICT') {
+                // Added, but someone else changed the stops before it could be moved into position
+                this.places = await this.routeManager.loadCurrentRoute();
+                await this.routeManager.loadRoutes();
+                this.closeAddPlacePositionModal();
+                if (this.onUpdate) {
+                    this.onUpdate();
+                }
+                showInfo('Added to the end of the route – someone else changed the stops meanwhile');
+                return true;
+            }
             console.error('Failed to add place to route:', error);
             showError(error.message || 'Failed to add place to route');
             return false;
@@ -1512,14 +1675,16 @@ export class PlaceManager {
 
         try {
             // Remove from RoutePlace junction (not from Places table)
-            await ApiService.removePlaceFromRoute(currentRouteId, placeId);
+            await this.trackEdit(
+                `Remove "${place.name}"`,
+                () => ApiService.removePlaceFromRoute(currentRouteId, placeId),
+                `Removed "${place.name}" from route`
+            );
 
             // Reload route
             this.places = await this.routeManager.loadCurrentRoute();
             await this.routeManager.loadRoutes(); // For place count update
 
-            showSuccess(`Removed "${place.name}" from route`);
-
             // Close modal
             this.closePlaceModal();
 
@@ -0,0 +1,173 @@
+/**
+ * Playback Manager
+ * Plays the trip back: advances the timeline cursor at a selectable speed
+ * and moves a vehicle marker along the legs on the map in sync, with the map
+ * following the marker and a short pause on arrival at each stop.
+ *
+ * The position comes from the planned leg times (see timeline/playback.js);
+ * moving the slider by hand while a playback is shown moves the vehicle too.
+ */
+
+import { CONFIG } from './config.js';
+import { showInfo } from './utils.js';
+import { getTripPosition, findArrivalBetween } from './timeline/playback.js';
+
+export class PlaybackManager {
+    constructor(routeManager, mapService, timelineService) {
+        this.routeManager = routeManager;
+        this.mapService = mapService;
+        this.timelineService = timelineService;
+
+        this.routeId = null; // Route the vehicle is shown for
+        this.t = 0; // Playback position (timeline coordinate)
+        this.speed = CONFIG.PLAYBACK_DEFAULT_SPEED; // Trip hours per second
+        this.playing = false;
+        this.frameId = null;
+        this.lastFrame = null;
+        this.pausedUntil = 0; // Arrival pause end (performance.now time)
+
+        this.initControls();
+    }
+
+    initControls() {
+        this.playButton = document.getElementById('timelinePlayBtn');
+        const speedSelect = document.getElementById('timelinePlaybackSpeed');
+
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.toggle());
+        }
+        if (speedSelect) {
+            speedSelect.innerHTML = CONFIG.PLAYBACK_SPEEDS
+                .map(speed => `<option value="${speed}" ${speed === this.speed ? 'selected' : ''}>${speed} h/s</option>`)
+                .join('');
+            speedSelect.addEventListener('change', () => {
+                this.speed = Number(speedSelect.value);
+            });
+        }
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        const { timelineStops, totalDays } = this.timelineService;
+        if (!routeId || !timelineStops.some(stop => stop.latitude != null)) {
+            showInfo('Add stops to the route to play the trip');
+            return;
+        }
+
+        if (this.routeId !== routeId || this.t >= totalDays) {
+            this.t = 0;
+        }
+        this.routeId = routeId;
+        this.playing = true;
+        this.lastFrame = null;
+        this.pausedUntil = 0;
+        this.updateButton();
+
+        this.render();
+        this.frameId = requestAnimationFrame(time => this.tick(time));
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.updateButton();
+    }
+
+    /**
+     * End the playback and remove the vehicle
+     */
+    stop() {
+        this.pause();
+        this.mapService.clearVehicle();
+        this.routeId = null;
+        this.t = 0;
+    }
+
+    /**
+     * Called after the timeline was (re)loaded - ends the playback of another route,
+     * or puts cursor and vehicle back where the playback is
+     * @param {number|null} routeId - Route now shown
+     */
+    onTimelineLoaded(routeId) {
+        if (this.routeId === null) return;
+
+        if (this.routeId !== routeId) {
+            this.stop();
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * The slider was moved by hand - continue from there
+     * @param {number} t
+     */
+    seek(t) {
+        if (this.routeId === null) return;
+        this.t = t;
+        this.pausedUntil = 0;
+        this.render();
+    }
+
+    tick(now) {
+        this.frameId = null;
+        if (!this.playing) return;
+
+        const elapsed = this.lastFrame === null ? 0 : now - this.lastFrame;
+        this.lastFrame = now;
+
+        if (now >= this.pausedUntil) {
+            const { timelineLegs, totalDays } = this.timelineService;
+            let t = Math.min(totalDays, this.t + (elapsed / 1000) * this.speed / 24);
+
+            // Stop at each arrival for a moment instead of driving through
+            const arrival = findArrivalBetween(this.t, t, timelineLegs);
+            if (arrival) {
+                t = arrival.endT;
+                this.pausedUntil = now + CONFIG.PLAYBACK_STOP_PAUSE_MS;
+            }
+
+            this.t = t;
+            this.render();
+
+            if (t >= totalDays) {
+                this.pause();
+                return;
+            }
+        }
+
+        this.frameId = requestAnimationFrame(time => this.tick(time));
+    }
+
+    render() {
+        const { timelineStops, timelineLegs } = this.timelineService;
+        this.timelineService.setCursor(this.t);
+
+        const position = getTripPosition(this.t, timelineStops, timelineLegs, leg => this.mapService.getLegPath(leg.legId));
+        if (!position) return;
+
+        this.mapService.showVehicle(position.latLng, {
+            label: position.leg ? `${position.leg.fromPlaceName} → ${position.leg.toPlaceName}` : position.stop.name,
+            driving: position.leg !== null,
+            follow: this.playing
+        });
+    }
+
+    updateButton() {
+        if (!this.playButton) return;
+        this.playButton.innerHTML = `<i class="fas ${this.playing ? 'fa-pause' : 'fa-play'}"></i>`;
+        this.playButton.title = this.playing ? 'Pause trip playback' : 'Play trip';
+        this.playButton.classList.toggle('active', this.playing);
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * Route Collaborator Manager
+ * Members of a shared route: the owner invites other registered users by
+ * email as viewer (sees the route, schedule and history) or editor (also
+ * changes stops, schedule and legs), changes their role or removes them.
+ * Members can leave a route that was shared with them.
+ */
+
+import { ApiService } from './api.js';
+import { showError, showSuccess, showConfirm } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+
+// Same values as RouteRole in the API - each role includes the ones below it
+export const ROUTE_ROLES = { viewer: 0, editor: 1, owner: 2 };
+export const ROUTE_ROLE_LABELS = ['Viewer', 'Editor', 'Owner'];
+
+export class RouteCollaboratorManager {
+    /**
+     * @param {RouteManager} routeManager
+     * @param {Function} onLeft - Called after the user left the current route
+     */
+    constructor(routeManager, onLeft = null) {
+        this.routeManager = routeManager;
+        this.onLeft = onLeft;
+        this.routeId = null;
+        this.members = null; // { owner, collaborators, currentUserId, currentUserRole }
+
+        this.modal = document.getElementById('routeCollaboratorsModal');
+        this.list = document.getElementById('routeCollaboratorsList');
+        this.inviteForm = document.getElementById('routeCollaboratorInvite');
+        this.emailInput = document.getElementById('routeCollaboratorEmail');
+        this.roleSelect = document.getElementById('routeCollaboratorRole');
+        this.inviteButton = document.getElementById('routeCollaboratorInviteBtn');
+        this.leaveButton = document.getElementById('routeCollaboratorsLeaveBtn');
+
+        if (this.list) {
+            this.list.addEventListener('change', (e) => {
+                const select = e.target.closest('select[data-user-id]');
+                if (select) this.changeRole(Number(select.dataset.userId), Number(select.value));
+            });
+            this.list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-remove-user-id]');
+                if (button) this.remove(Number(button.dataset.removeUserId));
+            });
+        }
+        if (this.emailInput) {
+            this.emailInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.invite();
+            });
+        }
+    }
+
+    /**
+     * Open the members of the current route
+     */
+    async open() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) return;
+
+        this.routeId = routeId;
+        this.members = null;
+        this.list.innerHTML = '<div class="route-collaborators-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+        this.inviteForm.style.display = 'none';
+        this.leaveButton.style.display = 'none';
+        this.modal.classList.add('active');
+
+        try {
+            const members = await ApiService.getRouteCollaborators(routeId);
+            if (this.routeId !== routeId) return;
+
+            this.members = members;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load route members:', error);
+            showError('Could not load the members of this route');
+            this.close();
+        }
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+        this.routeId = null;
+        this.members = null;
+    }
+
+    /**
+     * List owner and collaborators - the owner can change roles and remove members
+     */
+    render() {
+        const { owner, collaborators, currentUserRole } = this.members;
+        const isOwner = currentUserRole === ROUTE_ROLES.owner;
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+
+        const renderMember = (member) => {
+            const isSelf = member.userId === this.members.currentUserId;
+            const roleControl = isOwner && member.role !== ROUTE_ROLES.owner
+                ? `
+                    <select class="form-input route-collaborator-role" data-user-id="${member.userId}">
+                        ${[ROUTE_ROLES.viewer, ROUTE_ROLES.editor].map(role => `
+                            <option value="${role}" ${member.role === role ? 'selected' : ''}>${ROUTE_ROLE_LABELS[role]}</option>
+                        `).join('')}
+                    </select>
+                    <button class="btn-icon" data-remove-user-id="${member.userId}" title="Remove from route">
+                        <i class="fas fa-user-minus"></i>
+                    </button>
+                `
+                : `<span class="route-collaborator-badge">${ROUTE_ROLE_LABELS[member.role]}</span>`;
+
+            return `
+                <li class="route-collaborator ${isSelf ? 'self' : ''}">
+                    <i class="fas ${member.role === ROUTE_ROLES.owner ? 'fa-user-shield' : 'fa-user'}"></i>
+                    <div class="route-collaborator-info">
+                        <span class="route-collaborator-name">${escape(member.name)}</span>
+                        ${member.email ? `<span class="route-collaborator-email">${escape(member.email)}</span>` : ''}
+                    </div>
+                    ${roleControl}
+                </li>
+            `;
+        };
+
+        this.list.innerHTML = `
+            <ul class="route-collaborators">
+                ${[owner, ...collaborators].map(renderMember).join('')}
+            </ul>
+            ${collaborators.length === 0 ? '<p class="route-collaborators-none">Not shared with anyone yet.</p>' : ''}
+        `;
+
+        this.inviteForm.style.display = isOwner ? 'block' : 'none';
+        this.leaveButton.style.display = isOwner ? 'none' : 'inline-flex';
+    }
+
+    /**
+     * Invite a registered user by email with the selected role
+     */
+    async invite() {
+        const routeId = this.routeId;
+        const email = this.emailInput.value.trim();
+        if (!routeId) return;
+        if (!email) {
+            showError('Enter the email of a registered user');
+            return;
+        }
+
+        this.inviteButton.disabled = true;
+        try {
+            const collaborator = await ApiService.inviteRouteCollaborator(routeId, email, Number(this.roleSelect.value));
+            if (this.routeId !== routeId) return;
+
+            this.members.collaborators.push(collaborator);
+            this.emailInput.value = '';
+            this.render();
+            await this.routeManager.loadRoutes(); // Shared indicator in the route selector
+            showSuccess(`${collaborator.name} can now ${collaborator.role === ROUTE_ROLES.editor ? 'edit' : 'view'} this route`);
+        } catch (error) {
+            console.error('Failed to invite collaborator:', error);
+            showError(error.message || 'Could not invite this user');
+        } finally {
+            this.inviteButton.disabled = false;
+        }
+    }
+
+    async changeRole(userId, role) {
+        const routeId = this.routeId;
+        if (!routeId) return;
+
+        try {
+            const updated = await ApiService.updateRouteCollaborator(routeId, userId, role);
+            if (this.routeId !== routeId) return;
+
+            this.members.collaborators = this.members.collaborators.map(c => c.userId === userId ? updated : c);
+            this.render();
+            showSuccess(`${updated.name} is now ${ROUTE_ROLE_LABELS[updated.role].toLowerCase()}`);
+        } catch (error) {
+            console.error('Failed to change collaborator role:', error);
+            showError('Could not change the role');
+            this.render();
+        }
+    }
+
+    async remove(userId) {
+        const routeId = this.routeId;
+        const member = this.members?.collaborators.find(c => c.userId === userId);
+        if (!routeId || !member) return;
+
+        const confirmed = await showConfirm({
+            title: 'Remove Member',
+            message: `Remove ${member.name} from this route? The stops they added stay in the route.`,
+            type: 'danger',
+            confirmText: 'Remove',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed || this.routeId !== routeId) return;
+
+        try {
+            await ApiService.removeRouteCollaborator(routeId, userId);
+            this.members.collaborators = this.members.collaborators.filter(c => c.userId !== userId);
+            this.render();
+            await this.routeManager.loadRoutes();
+            showSuccess(`${member.name} was removed`);
+        } catch (error) {
+            console.error('Failed to remove collaborator:', error);
+            showError('Could not remove this member');
+        }
+    }
+
+    /**
+     * Leave a route that was shared with the user - only the owner can share it again
+     */
+    async leave() {
+        const routeId = this.routeId;
+        if (!routeId || !this.members) return;
+
+        const route = this.routeManager.getCurrentRoute();
+        const confirmed = await showConfirm({
+            title: 'Leave Route',
+            message: `Leave "${route?.name || 'this route'}"? You won't see it anymore until ${this.members.owner.name} invites you again.`,
+            type: 'danger',
+            confirmText: 'Leave',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed || this.routeId !== routeId) return;
+
+        try {
+            await ApiService.removeRouteCollaborator(routeId, this.members.currentUserId);
+            this.close();
+            this.routeManager.currentRouteId = null;
+            showSuccess('You left the route');
+            if (this.onLeft) await this.onLeft();
+        } catch (error) {
+            console.error('Failed to leave route:', error);
+            showError('Could not leave the route');
+        }
+    }
+}
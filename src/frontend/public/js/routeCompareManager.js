@@ -0,0 +1,204 @@
+/**
+ * Route Compare Manager
+ * Compares the current route with another one - typically a variant
+ * duplicated from it or the route it was duplicated from - side by side:
+ * driving distance and time, nights, countries and the stops only one of the
+ * two has. The other route is drawn on the map in its own colour.
+ */
+
+import { ApiService } from './api.js';
+import { showError, showInfo } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+import { isDrivingLeg } from './transportModes.js';
+
+const CURRENT_COLOR = '#0E54F9'; // Route segments of the current route (see MapService.getSegmentStyle)
+const OTHER_COLOR = '#9B5DE5';
+
+/**
+ * Totals of a route for the comparison
+ * @param {Object} route - GET /routes/{id} (places with countries)
+ * @param {Object} itinerary - GET /routes/{id}/itinerary
+ * @returns {Object} { name, distanceMeters, drivingSeconds, nights, stops, countries, placeIds }
+ */
+export function summarizeRoute(route, itinerary) {
+    const drivenLegs = (itinerary.legs || []).filter(isDrivingLeg);
+    const countries = new Map();
+    route.places.forEach(place => {
+        (place.countries || []).forEach(country => countries.set(country.code || country.name, country));
+    });
+
+    return {
+        name: route.name,
+        distanceMeters: drivenLegs.reduce((sum, leg) => sum + (leg.distanceMeters || 0), 0),
+        drivingSeconds: drivenLegs.reduce((sum, leg) => sum + (leg.durationSeconds || 0), 0),
+        nights: (itinerary.places || [])
+            .filter(p => p.stopType === 0)
+            .reduce((sum, p) => sum + (p.stayNights || 0), 0),
+        stops: route.places,
+        countries: [...countries.values()].sort((a, b) => a.name.localeCompare(b.name)),
+        placeIds: new Set(route.places.map(p => p.id))
+    };
+}
+
+export class RouteCompareManager {
+    constructor(routeManager, mapService) {
+        this.routeManager = routeManager;
+        this.mapService = mapService;
+        this.baseRouteId = null; // Route the comparison was opened for
+        this.otherRouteId = null;
+
+        this.panel = document.getElementById('routeComparePanel');
+        this.select = document.getElementById('routeCompareSelect');
+        this.content = document.getElementById('routeCompareContent');
+
+        if (this.select) {
+            this.select.addEventListener('change', () => {
+                this.otherRouteId = Number(this.select.value);
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Open the comparison for the current route
+     */
+    open() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        const candidates = this.routeManager.routes.filter(r => r.id !== routeId);
+        if (!routeId || candidates.length === 0) {
+            showInfo('Duplicate the route as a variant to compare alternative plans');
+            return;
+        }
+
+        // Preselect the parent route, else a variant of this route, else any other route
+        const current = this.routeManager.getCurrentRoute();
+        const preferred = candidates.find(r => r.id === current?.parentRouteId)
+            || candidates.find(r => r.parentRouteId === routeId)
+            || candidates.find(r => current?.parentRouteId && r.parentRouteId === current.parentRouteId)
+            || candidates[0];
+
+        this.baseRouteId = routeId;
+        this.otherRouteId = preferred.id;
+        this.select.innerHTML = candidates
+            .map(r => `<option value="${r.id}" ${r.id === preferred.id ? 'selected' : ''}>${notificationManager.escapeHtml(r.name)}</option>`)
+            .join('');
+
+        this.panel.style.display = 'block';
+        this.render();
+    }
+
+    close() {
+        if (this.panel) this.panel.style.display = 'none';
+        this.mapService.clearComparisonRoute();
+        this.baseRouteId = null;
+        this.otherRouteId = null;
+    }
+
+    /**
+     * Called after the current route was (re)loaded - updates the comparison,
+     * or ends it when another route is shown now
+     * @param {number|null} routeId
+     */
+    onRouteChanged(routeId) {
+        if (this.baseRouteId === null) return;
+
+        if (routeId !== this.baseRouteId || !this.routeManager.routes.some(r => r.id === this.otherRouteId)) {
+            this.close();
+        } else {
+            this.render();
+        }
+    }
+
+    async render() {
+        const baseRouteId = this.baseRouteId;
+        const otherRouteId = this.otherRouteId;
+        if (baseRouteId === null) return;
+
+        this.content.innerHTML = '<div class="route-compare-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+
+        try {
+            const [baseRoute, baseItinerary, otherRoute, otherItinerary] = await Promise.all([
+                ApiService.getRoute(baseRouteId),
+                ApiService.getItinerary(baseRouteId),
+                ApiService.getRoute(otherRouteId),
+                ApiService.getItinerary(otherRouteId)
+            ]);
+
+            // Another route or comparison was chosen while loading
+            if (this.baseRouteId !== baseRouteId || this.otherRouteId !== otherRouteId) return;
+
+            const base = summarizeRoute(baseRoute, baseItinerary);
+            const other = summarizeRoute(otherRoute, otherItinerary);
+            this.content.innerHTML = this.renderComparison(base, other);
+
+            const otherStops = [...(otherItinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+            this.mapService.showComparisonRoute(otherStops, otherItinerary.legs || [], OTHER_COLOR, otherRoute.name);
+        } catch (error) {
+            console.error('Failed to compare routes:', error);
+            this.content.innerHTML = '';
+            showError('Could not load the routes to compare');
+        }
+    }
+
+    renderComparison(base, other) {
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+        const formatKm = (meters) => `${Math.round(meters / 1000).toLocaleString()} km`;
+        const formatHours = (seconds) => `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}min`;
+        const formatCountries = (summary) => summary.countries.length > 0
+            ? summary.countries.map(c => `<span title="${escape(c.name)}">${escape(c.icon || c.code || c.name)}</span>`).join(' ')
+            : '–';
+
+        // Difference to the current route, e.g. "+120 km"
+        const delta = (a, b, format) => {
+            if (a === b) return '';
+            const sign = b > a ? '+' : '−';
+            return ` <span class="route-compare-delta ${b > a ? 'more' : 'less'}">${sign}${format(Math.abs(b - a))}</span>`;
+        };
+
+        const rows = [
+            ['fa-road', 'Driving distance', formatKm(base.distanceMeters), formatKm(other.distanceMeters) + delta(base.distanceMeters, other.distanceMeters, formatKm)],
+            ['fa-clock', 'Driving time', formatHours(base.drivingSeconds), formatHours(other.drivingSeconds) + delta(base.drivingSeconds, other.drivingSeconds, formatHours)],
+            ['fa-bed', 'Nights', base.nights, other.nights + delta(base.nights, other.nights, n => n)],
+            ['fa-map-marker-alt', 'Stops', base.stops.length, other.stops.length + delta(base.stops.length, other.stops.length, n => n)],
+            ['fa-flag', 'Countries', formatCountries(base), formatCountries(other)]
+        ];
+
+        const onlyIn = (summary, otherSummary) => {
+            const stops = summary.stops.filter(p => !otherSummary.placeIds.has(p.id));
+            return stops.length > 0
+                ? `<ul>${stops.map(p => `<li>${escape(p.name)}</li>`).join('')}</ul>`
+                : '<p class="route-compare-none">None</p>';
+        };
+
+        return `
+            <table class="route-compare-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th><span class="route-compare-swatch" style="background: ${CURRENT_COLOR}"></span>${escape(base.name)}</th>
+                        <th><span class="route-compare-swatch" style="background: ${OTHER_COLOR}"></span>${escape(other.name)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([icon, label, a, b]) => `
+                        <tr>
+                            <td><i class="fas ${icon}"></i> ${label}</td>
+                            <td>${a}</td>
+                            <td>${b}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="route-compare-unique">
+                <div>
+                    <h4>Only in ${escape(base.name)}</h4>
+                    ${onlyIn(base, other)}
+                </div>
+                <div>
+                    <h4>Only in ${escape(other.name)}</h4>
+                    ${onlyIn(other, base)}
+                </div>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * Route History Manager
+ * Lists the versions the backend records after each change of a route's stops
+ * or schedule, shows what a version changed - stops added, removed and moved,
+ * stop times, leg modes and schedule settings - and restores an earlier version.
+ */
+
+import { ApiService } from './api.js';
+import { showError, showInfo, showSuccess, showConfirm } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+import { getTransportMode } from './transportModes.js';
+import { isValidTimeZone } from './timeZoneUtils.js';
+
+const STOP_TYPE_LABELS = ['Overnight', 'Day Stop', 'Waypoint'];
+
+// Schedule settings compared between versions: [key, label, kind]
+const SETTING_FIELDS = [
+    ['startDateTime', 'Start', 'instant'],
+    ['endDateTime', 'End', 'instant'],
+    ['timeZoneId', 'Time zone', 'text'],
+    ['defaultArrivalTime', 'Default arrival', 'time'],
+    ['defaultDepartureTime', 'Default departure', 'time'],
+    ['maxDrivingMinutesPerDay', 'Max. driving per day', 'minutes'],
+    ['maxDrivingKmPerDay', 'Max. km per day', 'km'],
+    ['latestArrivalTime', 'Latest arrival', 'time']
+];
+
+/**
+ * Positions (in the new order) of the stops that kept their relative order -
+ * the longest increasing run of old positions. All other kept stops moved.
+ * @param {number[]} oldPositions - Old position of each kept stop, in the new order
+ * @returns {Set<number>}
+ */
+export function findStayedStops(oldPositions) {
+    const length = oldPositions.map(() => 1);
+    const previous = oldPositions.map(() => -1);
+    let end = -1;
+
+    for (let i = 0; i < oldPositions.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (oldPositions[j] < oldPositions[i] && length[j] + 1 > length[i]) {
+                length[i] = length[j] + 1;
+                previous[i] = j;
+            }
+        }
+        if (end === -1 || length[i] > length[end]) end = i;
+    }
+
+    const stayed = new Set();
+    for (let i = end; i !== -1; i = previous[i]) {
+        stayed.add(i);
+    }
+    return stayed;
+}
+
+const sameInstant = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * What changed from one version of a route to the next
+ * @param {Object|null} before - Older snapshot (GET /routes/{id}/history/{snapshotId}), null for the first version
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} { added, removed, moved, stops, legs, settings } - each a list of changes
+ */
+export function diffSnapshots(before, after) {
+    const beforeStops = before?.stops || [];
+    const afterStops = after.stops || [];
+    const beforeIndex = new Map(beforeStops.map((stop, i) => [stop.placeId, i]));
+    const afterIndex = new Map(afterStops.map((stop, i) => [stop.placeId, i]));
+
+    const added = afterStops
+        .filter(stop => !beforeIndex.has(stop.placeId))
+        .map(stop => ({ name: stop.placeName, position: afterIndex.get(stop.placeId) + 1 }));
+    const removed = beforeStops
+        .filter(stop => !afterIndex.has(stop.placeId))
+        .map(stop => ({ name: stop.placeName, position: beforeIndex.get(stop.placeId) + 1 }));
+
+    const kept = afterStops.filter(stop => beforeIndex.has(stop.placeId));
+    const stayed = findStayedStops(kept.map(stop => beforeIndex.get(stop.placeId)));
+    const moved = kept
+        .filter((stop, i) => !stayed.has(i))
+        .map(stop => ({
+            name: stop.placeName,
+            from: beforeIndex.get(stop.placeId) + 1,
+            to: afterIndex.get(stop.placeId) + 1
+        }));
+
+    // Schedule of stops that are in both versions
+    const stops = [];
+    kept.forEach(stop => {
+        const old = beforeStops[beforeIndex.get(stop.placeId)];
+        const changes = [];
+        if (old.stopType !== stop.stopType) {
+            changes.push({ label: 'Type', from: STOP_TYPE_LABELS[old.stopType], to: STOP_TYPE_LABELS[stop.stopType] });
+        }
+        if (!sameInstant(old.plannedStart, stop.plannedStart)) {
+            changes.push({ label: 'Arrival', from: old.plannedStart, to: stop.plannedStart, kind: 'instant' });
+        }
+        if (!sameInstant(old.plannedEnd, stop.plannedEnd)) {
+            changes.push({ label: 'Departure', from: old.plannedEnd, to: stop.plannedEnd, kind: 'instant' });
+        }
+        if ((old.stayNights ?? null) !== (stop.stayNights ?? null)) {
+            changes.push({ label: 'Nights', from: old.stayNights, to: stop.stayNights });
+        }
+        if ((old.stayDurationMinutes ?? null) !== (stop.stayDurationMinutes ?? null)) {
+            changes.push({ label: 'Stay', from: old.stayDurationMinutes, to: stop.stayDurationMinutes, kind: 'minutes' });
+        }
+        if ((old.timeZoneId ?? null) !== (stop.timeZoneId ?? null)) {
+            changes.push({ label: 'Time zone', from: old.timeZoneId, to: stop.timeZoneId });
+        }
+        if (changes.length > 0) {
+            stops.push({ name: stop.placeName, timeZoneId: stop.timeZoneId, changes });
+        }
+    });
+
+    // Legs between the same two stops in both versions
+    const names = new Map([...beforeStops, ...afterStops].map(stop => [stop.placeId, stop.placeName]));
+    const legKey = (leg) => `${leg.fromPlaceId}>${leg.toPlaceId}`;
+    const beforeLegs = new Map((before?.legs || []).map(leg => [legKey(leg), leg]));
+    const legs = [];
+    (after.legs || []).forEach(leg => {
+        const old = beforeLegs.get(legKey(leg));
+        if (!old) return;
+
+        const changes = [];
+        if (old.mode !== leg.mode) {
+            changes.push({ label: 'Mode', from: getTransportMode(old.mode).label, to: getTransportMode(leg.mode).label });
+        }
+        if (!sameInstant(old.plannedStart, leg.plannedStart)) {
+            changes.push({ label: 'Departure', from: old.plannedStart, to: leg.plannedStart, kind: 'instant' });
+        }
+        if (!sameInstant(old.plannedEnd, leg.plannedEnd)) {
+            changes.push({ label: 'Arrival', from: old.plannedEnd, to: leg.plannedEnd, kind: 'instant' });
+        }
+        if (changes.length > 0) {
+            legs.push({ name: `${names.get(leg.fromPlaceId)} → ${names.get(leg.toPlaceId)}`, changes });
+        }
+    });
+
+    const settings = [];
+    if (before?.scheduleSettings && after.scheduleSettings) {
+        SETTING_FIELDS.forEach(([key, label, kind]) => {
+            const from = before.scheduleSettings[key] ?? null;
+            const to = after.scheduleSettings[key] ?? null;
+            const unchanged = kind === 'instant' ? sameInstant(from, to) : from === to;
+            if (!unchanged) {
+                settings.push({ label, from, to, kind });
+            }
+        });
+    }
+
+    return { added, removed, moved, stops, legs, settings };
+}
+
+export class RouteHistoryManager {
+    constructor(routeManager, undoManager, onRestored) {
+        this.routeManager = routeManager;
+        this.undoManager = undoManager;
+        this.onRestored = onRestored; // Reload route, map and timeline after a restore
+        this.routeId = null; // Route the history is shown for
+        this.snapshots = []; // Newest first
+        this.selectedId = null;
+        this.snapshotCache = new Map(); // snapshotId -> snapshot with stops (versions never change)
+
+        this.modal = document.getElementById('routeHistoryModal');
+        this.list = document.getElementById('routeHistoryList');
+        this.detail = document.getElementById('routeHistoryDetail');
+        this.restoreButton = document.getElementById('routeHistoryRestoreBtn');
+
+        if (this.list) {
+            this.list.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-snapshot-id]');
+                if (item) this.select(Number(item.dataset.snapshotId));
+            });
+        }
+    }
+
+    /**
+     * Open the history of the current route and show the changes of its latest version
+     */
+    async open() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) {
+            showInfo('Select a route to see its history');
+            return;
+        }
+
+        this.routeId = routeId;
+        this.snapshots = [];
+        this.selectedId = null;
+        this.restoreButton.disabled = true;
+        this.list.innerHTML = '<div class="route-history-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+        this.detail.innerHTML = '';
+        this.modal.classList.add('active');
+
+        try {
+            const snapshots = await ApiService.getRouteHistory(routeId);
+            if (this.routeId !== routeId) return;
+            this.snapshots = snapshots;
+        } catch (error) {
+            console.error('Failed to load route history:', error);
+            showError('Could not load the route history');
+            this.close();
+            return;
+        }
+
+        if (this.snapshots.length === 0) {
+            this.list.innerHTML = '<p class="route-history-empty">No versions yet – one is recorded after each change of the stops or the schedule.</p>';
+            return;
+        }
+
+        this.renderList();
+        await this.select(this.snapshots[0].id);
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+        this.routeId = null;
+    }
+
+    renderList() {
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+
+        this.list.innerHTML = this.snapshots.map((snapshot, i) => `
+            <button type="button" class="route-history-item ${snapshot.id === this.selectedId ? 'active' : ''}" data-snapshot-id="${snapshot.id}">
+                <span class="route-history-description">${escape(snapshot.description)}</span>
+                <span class="route-history-meta">
+                    ${new Date(snapshot.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+                    · ${snapshot.stopCount} stop${snapshot.stopCount === 1 ? '' : 's'}
+                    ${i === 0 ? '<span class="route-history-current">Current</span>' : ''}
+                </span>
+            </button>
+        `).join('');
+    }
+
+    async getSnapshot(snapshotId) {
+        if (!this.snapshotCache.has(snapshotId)) {
+            this.snapshotCache.set(snapshotId, await ApiService.getRouteSnapshot(this.routeId, snapshotId));
+        }
+        return this.snapshotCache.get(snapshotId);
+    }
+
+    /**
+     * Show what a version changed compared to the version before it
+     * @param {number} snapshotId
+     */
+    async select(snapshotId) {
+        const index = this.snapshots.findIndex(s => s.id === snapshotId);
+        if (index === -1) return;
+
+        this.selectedId = snapshotId;
+        this.renderList();
+        this.restoreButton.disabled = index === 0; // The newest version is the current state
+        this.detail.innerHTML = '<div class="route-history-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+
+        const previous = this.snapshots[index + 1] || null;
+        try {
+            const [snapshot, before] = await Promise.all([
+                this.getSnapshot(snapshotId),
+                previous ? this.getSnapshot(previous.id) : Promise.resolve(null)
+            ]);
+
+            // Another version was selected while loading
+            if (this.selectedId !== snapshotId) return;
+            this.detail.innerHTML = this.renderDiff(diffSnapshots(before, snapshot), snapshot, !previous);
+        } catch (error) {
+            console.error('Failed to load route version:', error);
+            this.detail.innerHTML = '';
+            showError('Could not load this version');
+        }
+    }
+
+    renderDiff(diff, snapshot, isOldest) {
+        const escape = (text) => notificationManager.escapeHtml(text == null ? '' : String(text));
+        const routeTimeZone = snapshot.scheduleSettings?.timeZoneId;
+        const formatValue = (value, kind, timeZone) => {
+            if (value === null || value === undefined || value === '') return '–';
+            if (kind === 'instant') {
+                const zone = isValidTimeZone(timeZone) ? timeZone : (isValidTimeZone(routeTimeZone) ? routeTimeZone : undefined);
+                return new Date(value).toLocaleString(undefined, {
+                    timeZone: zone, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+                });
+            }
+            if (kind === 'time') return String(value).slice(0, 5);
+            if (kind === 'minutes') return `${Math.floor(value / 60)}h ${value % 60}min`;
+            if (kind === 'km') return `${value} km`;
+            return value;
+        };
+        const renderChanges = (changes, timeZone) => changes.map(change => `
+            <li>
+                ${escape(change.label)}: <span class="route-history-old">${escape(formatValue(change.from, change.kind, timeZone))}</span>
+                → <span class="route-history-new">${escape(formatValue(change.to, change.kind, timeZone))}</span>
+            </li>
+        `).join('');
+        const section = (icon, title, items) => items.length === 0 ? '' : `
+            <div class="route-history-section">
+                <h4><i class="fas ${icon}"></i> ${title}</h4>
+                <ul>${items.join('')}</ul>
+            </div>
+        `;
+
+        // The first recorded version has nothing to compare with - list its stops
+        if (isOldest) {
+            return section('fa-map-marker-alt', 'Stops in this version',
+                snapshot.stops.map((stop, i) => `<li>${i + 1}. ${escape(stop.placeName)}</li>`)) ||
+                '<p class="route-history-empty">No stops in this version.</p>';
+        }
+
+        const html = [
+            section('fa-plus', 'Added', diff.added.map(s => `<li class="added">${escape(s.name)} <span class="route-history-position">#${s.position}</span></li>`)),
+            section('fa-minus', 'Removed', diff.removed.map(s => `<li class="removed">${escape(s.name)} <span class="route-history-position">was #${s.position}</span></li>`)),
+            section('fa-arrows-alt-v', 'Moved', diff.moved.map(s => `<li>${escape(s.name)} <span class="route-history-position">#${s.from} → #${s.to}</span></li>`)),
+            section('fa-clock', 'Stop schedule', diff.stops.map(s => `<li><strong>${escape(s.name)}</strong><ul>${renderChanges(s.changes, s.timeZoneId)}</ul></li>`)),
+            section('fa-route', 'Legs', diff.legs.map(l => `<li><strong>${escape(l.name)}</strong><ul>${renderChanges(l.changes)}</ul></li>`)),
+            section('fa-cog', 'Schedule settings', [renderChanges(diff.settings)].filter(Boolean))
+        ].join('');
+
+        return html.trim() || '<p class="route-history-empty">No changes to stops or schedule in this version.</p>';
+    }
+
+    /**
+     * Restore the selected version - the replaced state stays in the history
+     */
+    async restore() {
+        const routeId = this.routeId;
+        const snapshot = this.snapshots.find(s => s.id === this.selectedId);
+        if (!routeId || !snapshot) return;
+
+        const confirmed = await showConfirm({
+            title: 'Restore Version',
+            message: `Restore stops and schedule of "${snapshot.description}" ` +
+                `(${new Date(snapshot.createdAt).toLocaleString()})? The current version stays in the history.`,
+            confirmText: 'Restore',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed) return;
+
+        try {
+            const result = await ApiService.restoreRouteSnapshot(routeId, snapshot.id);
+
+            // Undo steps refer to the replaced version of the route
+            this.undoManager.clear(routeId);
+            this.close();
+
+            if (this.onRestored) {
+                await this.onRestored();
+            }
+
+            const missing = result.missingPlaces || [];
+            if (missing.length > 0) {
+                showInfo(`Version restored – ${missing.length} deleted place(s) could not be restored: ${missing.join(', ')}`);
+            } else {
+                showSuccess('Version restored');
+            }
+        } catch (error) {
+            console.error('Failed to restore route version:', error);
+            showError(`Could not restore this version: ${error.message}`);
+        }
+    }
+}
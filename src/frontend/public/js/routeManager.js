@@ -1,5 +1,6 @@
 import { ApiService } from './api.js';
 import { showSuccess, showError, showConfirm } from './utils.js';
+import { ROUTE_ROLES } from './routeCollaboratorManager.js';
 
 export class RouteManager {
     constructor(filterManager = null) {
@@ -7,6 +8,9 @@ export class RouteManager {
         this.currentRouteId = null;
         this.currentRouteLegs = null; // Store route legs with geometry
         this.isEditingRoute = false;
+        this.isDuplicatingRoute = false; // Route modal creates a variant of the current route
+        this.currentRouteRole = null; // ROUTE_ROLES value of the loaded route
+        this.currentRouteVersion = null; // Stop order version, sent with reorders to detect concurrent edits
         this.filterManager = filterManager;
     }
 
@@ -46,10 +50,15 @@ export class RouteManager {
                 return;
             }
 
-            this.routes.forEach(route => {
+            // Variants are listed below the route they were duplicated from
+            this.getRoutesInFamilyOrder().forEach(({ route, depth }) => {
                 const option = document.createElement('option');
                 option.value = route.id;
-                option.textContent = `${route.name} (${route.placeCount} places)`;
+                const shared = this.getSharedLabel(route);
+                option.textContent = `${'\u00A0\u00A0'.repeat(depth)}${depth > 0 ? '↳ ' : ''}${route.name} (${route.placeCount} places)${shared ? ` · ${shared}` : ''}`;
+                if (shared) {
+                    option.title = shared;
+                }
                 if (route.id === this.currentRouteId) {
                     option.selected = true;
                 }
@@ -61,6 +70,42 @@ export class RouteManager {
         updateSelect(mobileSelect);
     }
 
+    /**
+     * Who a route is shared with, for the route selector
+     * @param {Object} route - Route from the route list
+     * @returns {string|null} e.g. "shared by Anna, view only" or "shared with 2", null if not shared
+     */
+    getSharedLabel(route) {
+        if (route.role !== undefined && route.role < ROUTE_ROLES.owner) {
+            return `shared by ${route.ownerName}${route.role === ROUTE_ROLES.viewer ? ', view only' : ''}`;
+        }
+        if (route.collaboratorCount > 0) {
+            return `shared with ${route.collaboratorCount}`;
+        }
+        return null;
+    }
+
+    /**
+     * Routes with each variant following its parent route
+     * @returns {Array<{route: Object, depth: number}>} depth 0 for original routes
+     */
+    getRoutesInFamilyOrder() {
+        const ids = new Set(this.routes.map(r => r.id));
+        const ordered = [];
+        const visit = (route, depth) => {
+            ordered.push({ route, depth });
+            this.routes
+                .filter(r => r.parentRouteId === route.id)
+                .forEach(variant => visit(variant, depth + 1));
+        };
+
+        // Variants whose parent was deleted are shown as original routes
+        this.routes
+            .filter(r => !r.parentRouteId || !ids.has(r.parentRouteId))
+            .forEach(route => visit(route, 0));
+        return ordered;
+    }
+
     async loadCurrentRoute() {
         if (!this.currentRouteId) return [];
 
@@ -68,16 +113,10 @@ export class RouteManager {
             console.log('Loading current route:', this.currentRouteId);
             const route = await ApiService.getRoute(this.currentRouteId);
             console.log('Current route loaded:', route);
+            this.applyRouteRole(route.role ?? ROUTE_ROLES.owner);
+            this.currentRouteVersion = route.version ?? null;
 
-            // Fetch itinerary to get route legs with geometry
-            try {
-                const itinerary = await ApiService.getItinerary(this.currentRouteId);
-                this.currentRouteLegs = itinerary.legs || [];
-                console.log('Route legs loaded:', this.currentRouteLegs.length, 'legs');
-            } catch (error) {
-                console.warn('Failed to load itinerary, legs not available:', error);
-                this.currentRouteLegs = null;
-            }
+            await this.loadRouteLegs();
 
             // Enrich places with full data from filterManager
             if (this.filterManager && this.filterManager.allPlaces) {
@@ -95,18 +134,19 @@ export class RouteManager {
                             categories: fullPlace.categories || [],
                             countries: fullPlace.countries || [],
                             googlePlaceId: fullPlace.googlePlaceId || null,
-                            hasGoogleData: fullPlace.hasGoogleData || false
+                            hasGoogleData: fullPlace.hasGoogleData || false,
+                            addedByName: minimalPlace.addedByName || null
                         };
                     } else {
-                        // Fallback if place not found (shouldn't happen) - use data from minimalPlace
-                        console.warn(`Place ${minimalPlace.id} not found in filterManager.allPlaces`);
+                        // Places added by other members of a shared route aren't in the user's own places
                         return {
                             name: minimalPlace.name,
                             coords: [minimalPlace.latitude || 0, minimalPlace.longitude || 0],
                             id: minimalPlace.id,
                             notes: minimalPlace.notes || null,
                             categories: minimalPlace.categories || [],
-                            countries: minimalPlace.countries || []
+                            countries: minimalPlace.countries || [],
+                            addedByName: minimalPlace.addedByName || null
                         };
                     }
                 });
@@ -122,7 +162,8 @@ export class RouteManager {
                 categories: p.categories || [],
                 countries: p.countries || [],
                 googlePlaceId: p.googlePlaceId || null,
-                hasGoogleData: p.hasGoogleData || false
+                hasGoogleData: p.hasGoogleData || false,
+                addedByName: p.addedByName || null
             }));
 
         } catch (error) {
@@ -132,8 +173,25 @@ export class RouteManager {
         }
     }
 
+    /**
+     * Fetch itinerary to get route legs with geometry
+     */
+    async loadRouteLegs() {
+        if (!this.currentRouteId) return;
+
+        try {
+            const itinerary = await ApiService.getItinerary(this.currentRouteId);
+            this.currentRouteLegs = itinerary.legs || [];
+            console.log('Route legs loaded:', this.currentRouteLegs.length, 'legs');
+        } catch (error) {
+            console.warn('Failed to load itinerary, legs not available:', error);
+            this.currentRouteLegs = null;
+        }
+    }
+
     showCreateRouteModal() {
         this.isEditingRoute = false;
+        this.isDuplicatingRoute = false;
         document.getElementById('modalTitle').textContent = 'Create New Route';
         document.getElementById('saveRouteBtn').textContent = 'Create Route';
         document.getElementById('routeName').value = '';
@@ -154,6 +212,7 @@ export class RouteManager {
         if (!currentRoute) return;
         
         this.isEditingRoute = true;
+        this.isDuplicatingRoute = false;
         document.getElementById('modalTitle').textContent = 'Rename Route';
         document.getElementById('saveRouteBtn').textContent = 'Save Changes';
         document.getElementById('routeName').value = currentRoute.name;
@@ -164,6 +223,27 @@ export class RouteManager {
         document.getElementById('routeName').focus();
     }
 
+    showDuplicateRouteModal() {
+        if (!this.currentRouteId) {
+            showError('No route selected');
+            return;
+        }
+
+        const currentRoute = this.routes.find(r => r.id === this.currentRouteId);
+        if (!currentRoute) return;
+
+        this.isEditingRoute = false;
+        this.isDuplicatingRoute = true;
+        document.getElementById('modalTitle').textContent = 'Duplicate as Variant';
+        document.getElementById('saveRouteBtn').textContent = 'Create Variant';
+        document.getElementById('routeName').value = `${currentRoute.name} (variant)`;
+        document.getElementById('routeDescription').value = '';
+
+        const modal = document.getElementById('routeModal');
+        modal.classList.add('active');
+        document.getElementById('routeName').select();
+    }
+
     closeRouteModal() {
         const modal = document.getElementById('routeModal');
         modal.classList.remove('active');
@@ -181,6 +261,10 @@ export class RouteManager {
         try {
             if (this.isEditingRoute) {
                 await ApiService.updateRoute(this.currentRouteId, name, description);
+            } else if (this.isDuplicatingRoute) {
+                // Stops, schedules and legs are copied - empty description keeps the original one
+                const variant = await ApiService.duplicateRoute(this.currentRouteId, name, description || null);
+                this.currentRouteId = variant.id;
             } else {
                 const newRoute = await ApiService.createRoute(name, description);
                 this.currentRouteId = newRoute.id;
@@ -189,7 +273,7 @@ export class RouteManager {
             this.closeRouteModal();
             await this.loadRoutes();
             
-            showSuccess(this.isEditingRoute ? 'Route updated!' : 'Route created!');
+            showSuccess(this.isEditingRoute ? 'Route updated!' : this.isDuplicatingRoute ? 'Variant created!' : 'Route created!');
             return true;
             
         } catch (error) {
@@ -208,6 +292,11 @@ export class RouteManager {
         const currentRoute = this.routes.find(r => r.id === this.currentRouteId);
         if (!currentRoute) return;
 
+        if (!this.isCurrentRouteOwner()) {
+            showError('Only the owner can delete this route - leave it in Members instead');
+            return;
+        }
+
         const confirmed = await showConfirm({
             title: 'Delete Route',
             message: `Delete route "${currentRoute.name}"? This cannot be undone.`,
@@ -260,4 +349,37 @@ export class RouteManager {
     getCurrentRoute() {
         return this.routes.find(r => r.id === this.currentRouteId);
     }
+
+    /**
+     * Role of the user on the current route (ROUTE_ROLES) - own routes are owned
+     */
+    getCurrentRouteRole() {
+        return this.currentRouteRole ?? ROUTE_ROLES.owner;
+    }
+
+    canEditCurrentRoute() {
+        return this.getCurrentRouteRole() >= ROUTE_ROLES.editor;
+    }
+
+    isCurrentRouteOwner() {
+        return this.getCurrentRouteRole() === ROUTE_ROLES.owner;
+    }
+
+    /**
+     * Whether other users have access to the current route (own route with members or shared with the user)
+     */
+    isCurrentRouteShared() {
+        const route = this.getCurrentRoute();
+        return !!route && this.getSharedLabel(route) !== null;
+    }
+
+    /**
+     * Remember the role on the loaded route - the page hides what the role can't change
+     * (body.route-role-viewer / body.route-role-editor, see styles.css)
+     */
+    applyRouteRole(role) {
+        this.currentRouteRole = role;
+        document.body.classList.toggle('route-role-viewer', role === ROUTE_ROLES.viewer);
+        document.body.classList.toggle('route-role-editor', role === ROUTE_ROLES.editor);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,292 @@
+/**
+ * Route Optimizer
+ * "Optimize order" for the current route: gets an OSRM duration matrix via the
+ * backend proxy, reorders the stops with a travelling-salesman heuristic and
+ * previews the time/distance saved before applying the new order.
+ *
+ * The first and last stop and stops with locked start/end times keep their
+ * position; only the stops in between are moved.
+ *
+ * Also provides the insertion detours shown when adding a place to a route.
+ */
+
+import { ApiService } from './api.js';
+import { showError, showInfo } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+
+// Cost used for stop pairs OSRM can't route between (e.g. across water without ferries)
+const UNREACHABLE_COST = 1e9;
+
+/**
+ * Total cost of visiting stops in the given order
+ * @param {number[]} order - Stop indices
+ * @param {number[][]} matrix - matrix[from][to]
+ * @returns {number}
+ */
+export function routeCost(order, matrix) {
+    let cost = 0;
+    for (let i = 1; i < order.length; i++) {
+        cost += matrix[order[i - 1]][order[i]] ?? UNREACHABLE_COST;
+    }
+    return cost;
+}
+
+/**
+ * Greedy start: fill each free position with the nearest unused free stop
+ */
+function nearestNeighbourOrder(matrix, fixed) {
+    const n = matrix.length;
+    const unused = new Set([...Array(n).keys()].filter(i => !fixed[i]));
+    const order = [];
+
+    for (let position = 0; position < n; position++) {
+        if (fixed[position]) {
+            order.push(position);
+            continue;
+        }
+        const previous = order[position - 1];
+        let nearest = null;
+        for (const candidate of unused) {
+            if (nearest === null || (matrix[previous][candidate] ?? UNREACHABLE_COST) < (matrix[previous][nearest] ?? UNREACHABLE_COST)) {
+                nearest = candidate;
+            }
+        }
+        unused.delete(nearest);
+        order.push(nearest);
+    }
+
+    return order;
+}
+
+/**
+ * True if no position in [from, to] is fixed
+ */
+function isFreeRange(fixed, from, to) {
+    for (let i = from; i <= to; i++) {
+        if (fixed[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Local search with swap, 2-opt (segment reversal) and relocate moves that
+ * never touch fixed positions. Runs until no move improves the cost.
+ */
+function improveOrder(initial, matrix, fixed) {
+    const n = initial.length;
+    let order = [...initial];
+    let bestCost = routeCost(order, matrix);
+    let improved = true;
+
+    const tryOrder = (candidate) => {
+        const cost = routeCost(candidate, matrix);
+        if (cost < bestCost - 1e-6) {
+            order = candidate;
+            bestCost = cost;
+            improved = true;
+            return true;
+        }
+        return false;
+    };
+
+    while (improved) {
+        improved = false;
+
+        for (let i = 1; i < n - 1; i++) {
+            if (fixed[i]) continue;
+
+            for (let j = i + 1; j < n - 1; j++) {
+                if (fixed[j]) continue;
+
+                // Swap two stops
+                const swapped = [...order];
+                [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+                if (tryOrder(swapped)) continue;
+
+                if (!isFreeRange(fixed, i, j)) continue;
+
+                // Reverse the segment between them (matters for asymmetric durations too)
+                const reversed = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+                if (tryOrder(reversed)) continue;
+
+                // Move stop i behind j, and stop j in front of i
+                const movedForward = [...order];
+                movedForward.splice(j, 0, movedForward.splice(i, 1)[0]);
+                if (tryOrder(movedForward)) continue;
+
+                const movedBack = [...order];
+                movedBack.splice(i, 0, movedBack.splice(j, 1)[0]);
+                tryOrder(movedBack);
+            }
+        }
+    }
+
+    return order;
+}
+
+/**
+ * Near-optimal stop order for a cost matrix
+ * @param {number[][]} matrix - matrix[from][to], e.g. OSRM durations
+ * @param {boolean[]} fixed - fixed[i]: stop i must stay at position i
+ * @returns {number[]} Stop indices in visiting order
+ */
+export function optimizeStopOrder(matrix, fixed) {
+    const n = matrix.length;
+    const current = [...Array(n).keys()];
+    if (n < 4) return current;
+
+    // Improve both the current order and a greedy one, keep the better result
+    const candidates = [current, nearestNeighbourOrder(matrix, fixed)]
+        .map(start => improveOrder(start, matrix, fixed));
+
+    return candidates.reduce((best, order) =>
+        routeCost(order, matrix) < routeCost(best, matrix) ? order : best);
+}
+
+/**
+ * Extra cost of inserting a new stop at each position of a route
+ * @param {number[][]} matrix - Cost matrix over the route stops in order, with the new stop as last index
+ * @returns {number[]} detours[p] = extra cost when the new stop is inserted before stop p (p = stop count: at the end)
+ */
+export function computeInsertionDetours(matrix) {
+    const newStop = matrix.length - 1;
+    const cost = (from, to) => matrix[from][to] ?? UNREACHABLE_COST;
+    const detours = [];
+
+    for (let position = 0; position <= newStop; position++) {
+        if (position === 0) {
+            detours.push(cost(newStop, 0));
+        } else if (position === newStop) {
+            detours.push(cost(position - 1, newStop));
+        } else {
+            detours.push(cost(position - 1, newStop) + cost(newStop, position) - cost(position - 1, position));
+        }
+    }
+
+    return detours;
+}
+
+function formatHours(seconds) {
+    const hours = Math.floor(Math.abs(seconds) / 3600);
+    const minutes = Math.round((Math.abs(seconds) % 3600) / 60);
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+function formatKm(meters) {
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+export class RouteOptimizer {
+    constructor(routeManager, placeManager, onApplied) {
+        this.routeManager = routeManager;
+        this.placeManager = placeManager;
+        this.onApplied = onApplied;
+        this.proposal = null; // { placeIds, ... } shown in the preview
+    }
+
+    /**
+     * Compute an optimized order for the current route and show the preview
+     */
+    async optimize() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) {
+            showError('No route selected');
+            return;
+        }
+
+        try {
+            const itinerary = await ApiService.getItinerary(routeId);
+            const stops = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+
+            const fixed = stops.map((stop, index) =>
+                index === 0 || index === stops.length - 1 || stop.isStartLocked || stop.isEndLocked);
+
+            if (fixed.filter(f => !f).length < 2) {
+                showInfo('Nothing to optimize – add more stops or unlock some stop times');
+                return;
+            }
+
+            const table = await ApiService.getOsrmTable(stops.map(s => [s.latitude, s.longitude]));
+            const order = optimizeStopOrder(table.durations, fixed);
+            const current = stops.map((_, index) => index);
+
+            const before = {
+                duration: routeCost(current, table.durations),
+                distance: routeCost(current, table.distances)
+            };
+            const after = {
+                duration: routeCost(order, table.durations),
+                distance: routeCost(order, table.distances)
+            };
+
+            if (after.duration >= before.duration - 60) {
+                showInfo('The current order is already the fastest one found');
+                return;
+            }
+
+            this.proposal = {
+                routeId,
+                placeIds: order.map(index => stops[index].placeId),
+                stops: order.map(index => ({ ...stops[index], fixed: fixed[index], previousIndex: index })),
+                before,
+                after
+            };
+            this.showPreview();
+        } catch (error) {
+            console.error('Route optimization failed:', error);
+            showError(`Could not optimize route: ${error.message}`);
+        }
+    }
+
+    showPreview() {
+        const { stops, before, after } = this.proposal;
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+
+        document.getElementById('optimizeRouteSummary').innerHTML = `
+            <div class="optimize-summary-item">
+                <span class="optimize-summary-label">Driving time</span>
+                <span>${formatHours(before.duration)} → <strong>${formatHours(after.duration)}</strong></span>
+                <span class="optimize-saved">−${formatHours(before.duration - after.duration)}</span>
+            </div>
+            <div class="optimize-summary-item">
+                <span class="optimize-summary-label">Distance</span>
+                <span>${formatKm(before.distance)} → <strong>${formatKm(after.distance)}</strong></span>
+                <span class="${after.distance <= before.distance ? 'optimize-saved' : 'optimize-added'}">
+                    ${after.distance <= before.distance ? '−' : '+'}${formatKm(Math.abs(before.distance - after.distance))}
+                </span>
+            </div>
+        `;
+
+        document.getElementById('optimizeRouteList').innerHTML = stops.map((stop, index) => `
+            <li class="${stop.previousIndex !== index ? 'optimize-moved' : ''}">
+                <span class="optimize-position">${index + 1}</span>
+                <span class="optimize-name">${escape(stop.placeName)}</span>
+                ${stop.fixed ? '<i class="fas fa-lock" title="Fixed position"></i>' : ''}
+                ${stop.previousIndex !== index ? `<span class="optimize-previous">was ${stop.previousIndex + 1}</span>` : ''}
+            </li>
+        `).join('');
+
+        document.getElementById('optimizeRouteModal').classList.add('active');
+    }
+
+    closePreview() {
+        document.getElementById('optimizeRouteModal').classList.remove('active');
+        this.proposal = null;
+    }
+
+    async apply() {
+        if (!this.proposal) return;
+        const { placeIds, before, after } = this.proposal;
+        this.closePreview();
+
+        // Same path as a manual drag & drop reorder (schedule is recalculated, locked days kept, undoable)
+        const success = await this.placeManager.reorderPlaces(
+            placeIds,
+            `Route optimized – saves ${formatHours(before.duration - after.duration)} of driving`
+        );
+        if (!success) return;
+        if (this.onApplied) {
+            await this.onApplied();
+        }
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Route Share Manager
+ * Creates and revokes the read-only link of a route (share.html?token=...).
+ * Anyone with the link sees the route, stops, schedule and the notes that are
+ * shared - notes can be hidden completely or per stop, and exact times can be
+ * reduced to days.
+ */
+
+import { ApiService } from './api.js';
+import { showError, showSuccess, showConfirm } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+
+/**
+ * Public URL of a shared trip
+ * @param {string} token - Share token
+ * @returns {string}
+ */
+export function getShareUrl(token) {
+    return new URL(`./share.html?token=${encodeURIComponent(token)}`, window.location.href).href;
+}
+
+export class RouteShareManager {
+    constructor(routeManager) {
+        this.routeManager = routeManager;
+        this.routeId = null;
+        this.share = null; // Current link of the route, null if not shared
+
+        this.modal = document.getElementById('routeShareModal');
+        this.linkField = document.getElementById('routeShareLink');
+        this.linkGroup = document.getElementById('routeShareLinkGroup');
+        this.hideNotesInput = document.getElementById('routeShareHideNotes');
+        this.hideTimesInput = document.getElementById('routeShareHideTimes');
+        this.notesList = document.getElementById('routeShareNotes');
+        this.saveButton = document.getElementById('routeShareSaveBtn');
+        this.revokeButton = document.getElementById('routeShareRevokeBtn');
+
+        if (this.hideNotesInput) {
+            this.hideNotesInput.addEventListener('change', () => this.updateNotesList());
+        }
+    }
+
+    /**
+     * Open the share settings of the current route
+     */
+    async open() {
+        const routeId = this.routeManager.getCurrentRouteId();
+        if (!routeId) return;
+
+        this.routeId = routeId;
+        this.notesList.innerHTML = '<div class="route-share-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+        this.modal.classList.add('active');
+
+        let route;
+        try {
+            [route, this.share] = await Promise.all([
+                ApiService.getRoute(routeId),
+                ApiService.getRouteShare(routeId)
+            ]);
+            if (this.routeId !== routeId) return;
+        } catch (error) {
+            console.error('Failed to load route share:', error);
+            showError('Could not load the share settings');
+            this.close();
+            return;
+        }
+
+        const privateIds = new Set(this.share?.privateNotePlaceIds || []);
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+        const placesWithNotes = route.places.filter(p => p.notes && p.notes.trim());
+
+        this.notesList.innerHTML = placesWithNotes.length > 0
+            ? placesWithNotes.map(place => `
+                <label class="route-share-note">
+                    <input type="checkbox" value="${place.id}" ${privateIds.has(place.id) ? '' : 'checked'}>
+                    <span class="route-share-note-name">${escape(place.name)}</span>
+                    <span class="route-share-note-text">${escape(place.notes)}</span>
+                </label>
+            `).join('')
+            : '<p class="route-share-none">None of the stops has notes.</p>';
+
+        this.hideNotesInput.checked = this.share?.hideNotes || false;
+        this.hideTimesInput.checked = this.share?.hideExactTimes || false;
+        this.updateNotesList();
+        this.render();
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+        this.routeId = null;
+        this.share = null;
+    }
+
+    /**
+     * Show the link and the buttons for the current share state
+     */
+    render() {
+        this.linkGroup.style.display = this.share ? 'block' : 'none';
+        this.linkField.value = this.share ? getShareUrl(this.share.token) : '';
+        this.saveButton.innerHTML = this.share
+            ? '<i class="fas fa-save"></i> Save settings'
+            : '<i class="fas fa-link"></i> Create link';
+        this.revokeButton.style.display = this.share ? 'inline-flex' : 'none';
+    }
+
+    /**
+     * Stop notes can only be chosen when notes are shared at all
+     */
+    updateNotesList() {
+        const disabled = this.hideNotesInput.checked;
+        this.notesList.classList.toggle('disabled', disabled);
+        this.notesList.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.disabled = disabled;
+        });
+    }
+
+    /**
+     * Create the link or save what it hides
+     */
+    async save() {
+        const routeId = this.routeId;
+        if (!routeId) return;
+
+        const privateNotePlaceIds = [...this.notesList.querySelectorAll('input[type="checkbox"]')]
+            .filter(input => !input.checked)
+            .map(input => Number(input.value));
+
+        const isNew = !this.share;
+        this.saveButton.disabled = true;
+        try {
+            this.share = await ApiService.saveRouteShare(routeId, {
+                hideNotes: this.hideNotesInput.checked,
+                hideExactTimes: this.hideTimesInput.checked,
+                privateNotePlaceIds
+            });
+            if (this.routeId !== routeId) return;
+
+            this.render();
+            showSuccess(isNew ? 'Share link created' : 'Share settings saved');
+        } catch (error) {
+            console.error('Failed to share route:', error);
+            showError('Could not share the route');
+        } finally {
+            this.saveButton.disabled = false;
+        }
+    }
+
+    async copyLink() {
+        if (!this.share) return;
+
+        try {
+            await navigator.clipboard.writeText(this.linkField.value);
+            showSuccess('Link copied');
+        } catch (error) {
+            // Clipboard API needs a secure context - let the user copy it
+            this.linkField.select();
+        }
+    }
+
+    /**
+     * Revoke the link - it stops working at once, sharing again creates a new one
+     */
+    async revoke() {
+        const routeId = this.routeId;
+        if (!routeId || !this.share) return;
+
+        const confirmed = await showConfirm({
+            title: 'Revoke Link',
+            message: 'Anyone with the link will no longer be able to view this trip. Sharing again creates a new link.',
+            type: 'danger',
+            confirmText: 'Revoke',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed || this.routeId !== routeId) return;
+
+        try {
+            await ApiService.revokeRouteShare(routeId);
+            this.share = null;
+            this.render();
+            showSuccess('Share link revoked');
+        } catch (error) {
+            console.error('Failed to revoke route share:', error);
+            showError('Could not revoke the link');
+        }
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Route Sync Manager
+ * Live sync between the members of a route: the API pushes every change of a
+ * route, its stops, legs, schedule or members over a SignalR hub, and the app
+ * applies changes made by others without a reload. Reorders carry the route
+ * version they were based on - a stale one is rejected and can be merged.
+ */
+
+import { ApiService } from './api.js';
+import { AuthManager } from './authManager.js';
+import { CONFIG } from './config.js';
+import { showInfo } from './utils.js';
+import { findStayedStops } from './routeHistoryManager.js';
+
+// Same values as RouteChangeKind in the API
+export const ROUTE_CHANGE_KINDS = {
+    route: 'route',
+    stops: 'stops',
+    schedule: 'schedule',
+    legs: 'legs',
+    members: 'members',
+    deleted: 'deleted'
+};
+
+const CHANGE_LABELS = {
+    route: 'renamed the route',
+    stops: 'changed the stops',
+    schedule: 'changed the schedule',
+    legs: 'changed the legs',
+    members: 'changed the members',
+    deleted: 'deleted the route'
+};
+
+/**
+ * Apply a reorder made on an outdated stop list to the current one: their
+ * order is kept, and the stops this user moved are put back after the stop
+ * they follow in this user's order. Stops removed meanwhile are dropped,
+ * stops added meanwhile stay where they are.
+ * @param {number[]} baseOrder - Place IDs the reorder was based on
+ * @param {number[]} myOrder - Place IDs in the order this user wanted
+ * @param {number[]} theirOrder - Place IDs in the current order of the route
+ * @returns {number[]} Merged order of the current places
+ */
+export function mergeReorder(baseOrder, myOrder, theirOrder) {
+    const current = new Set(theirOrder);
+    const basePositions = new Map(baseOrder.map((id, index) => [id, index]));
+
+    const kept = myOrder.filter(id => current.has(id) && basePositions.has(id));
+    const stayed = findStayedStops(kept.map(id => basePositions.get(id)));
+    const moved = new Set(kept.filter((id, index) => !stayed.has(index)));
+
+    const merged = theirOrder.filter(id => !moved.has(id));
+    myOrder.forEach((id, index) => {
+        if (!moved.has(id)) return;
+
+        const predecessor = myOrder.slice(0, index).reverse().find(other => merged.includes(other));
+        merged.splice(predecessor === undefined ? 0 : merged.indexOf(predecessor) + 1, 0, id);
+    });
+    return merged;
+}
+
+export class RouteSyncManager {
+    /**
+     * @param {RouteManager} routeManager
+     * @param {Function} onChange - Applies a change made by someone else: (change) => Promise
+     */
+    constructor(routeManager, onChange) {
+        this.routeManager = routeManager;
+        this.onChange = onChange;
+        this.connection = null;
+    }
+
+    /**
+     * Connect to the hub - without the SignalR client (e.g. offline start) the
+     * app works as before and shows changes of others after a reload
+     */
+    async start() {
+        if (this.connection || !window.signalR) return;
+
+        this.connection = new window.signalR.HubConnectionBuilder()
+            .withUrl(`${CONFIG.API_BASE}/hubs/routes`, {
+                // Refreshes the token first when it is about to expire
+                accessTokenFactory: async () => {
+                    await AuthManager.getAuthHeaders();
+                    return AuthManager.getAccessToken();
+                }
+            })
+            .withAutomaticReconnect()
+            .build();
+
+        this.connection.on('RouteChanged', (change) => this.handleChange(change));
+
+        this.connection.onreconnecting(() => {
+            ApiService.syncConnectionId = null;
+        });
+        this.connection.onreconnected((connectionId) => {
+            ApiService.syncConnectionId = connectionId;
+
+            // Changes pushed while disconnected are lost - reload the current route
+            const routeId = this.routeManager.getCurrentRouteId();
+            if (routeId && this.onChange) {
+                this.onChange({ routeId, kind: ROUTE_CHANGE_KINDS.stops, placeIds: null });
+            }
+        });
+        this.connection.onclose(() => {
+            ApiService.syncConnectionId = null;
+        });
+
+        try {
+            await this.connection.start();
+            ApiService.syncConnectionId = this.connection.connectionId;
+        } catch (error) {
+            console.warn('Live sync not available:', error);
+        }
+    }
+
+    async stop() {
+        if (!this.connection) return;
+
+        const connection = this.connection;
+        this.connection = null;
+        ApiService.syncConnectionId = null;
+        await connection.stop();
+    }
+
+    /**
+     * Pushed change of a route the user is a member of
+     * @param {Object} change - { routeId, kind, version, changedByUserId, changedBy, connectionId, placeIds }
+     */
+    async handleChange(change) {
+        const isCurrentRoute = change.routeId === this.routeManager.getCurrentRouteId();
+
+        // Own changes of this tab are already applied - only the version moves on
+        if (change.connectionId && change.connectionId === ApiService.syncConnectionId) {
+            if (isCurrentRoute) this.updateVersion(change.version);
+            return;
+        }
+
+        if (isCurrentRoute) {
+            showInfo(`${change.changedBy || 'Someone'} ${CHANGE_LABELS[change.kind] || 'changed the route'}`);
+        }
+
+        try {
+            if (this.onChange) await this.onChange(change);
+        } catch (error) {
+            console.error('Failed to apply route change:', error);
+        }
+
+        // Version of what is shown now - reorders based on it pass the check
+        if (change.routeId === this.routeManager.getCurrentRouteId()) {
+            this.updateVersion(change.version);
+        }
+    }
+
+    updateVersion(version) {
+        if (version > (this.routeManager.currentRouteVersion ?? -1)) {
+            this.routeManager.currentRouteVersion = version;
+        }
+    }
+}
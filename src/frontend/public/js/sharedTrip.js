@@ -0,0 +1,156 @@
+/**
+ * Shared Trip
+ * Public read-only view of a route for share.html - the map and timeline of
+ * the planner without editing, and the stops with their shared notes. Needs
+ * no account. When the link hides exact times, only days are shown and the
+ * legs are left out of the timeline.
+ */
+
+import { ApiService } from './api.js';
+import { MapService } from './map.js';
+import { TimelineService } from './timeline/TimelineService.js';
+import {
+    mapItineraryToTimelineStops,
+    mapItineraryToTimelineLegs,
+    calculateTotalDays,
+    getRouteTimeZone,
+    formatDayTime
+} from './timeline/timelineMapper.js';
+import { isDrivingLeg } from './transportModes.js';
+
+const STOP_TYPE_LABELS = ['Overnight', 'Day Stop', 'Waypoint'];
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * Format seconds as "2h 05m"
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Stay of a stop on the timeline: "Mar 3 · 14:00 – Mar 5 · 10:00", or the
+ * days "Mar 3 – Mar 4" without exact times (the stop then ends at midnight)
+ */
+function formatStay(stop, totalDays, routeStartUtc, timeZone, showTimes) {
+    const format = (t) => formatDayTime(t, totalDays, routeStartUtc, timeZone);
+    if (showTimes) {
+        return `${format(stop.startT)} – ${format(stop.endT)}`;
+    }
+
+    const firstDay = format(stop.startT).split(' · ')[0];
+    const lastDay = format(stop.endT - 0.5).split(' · ')[0];
+    return firstDay === lastDay ? firstDay : `${firstDay} – ${lastDay}`;
+}
+
+/**
+ * Load a shared trip and render it into share.html
+ * @param {string} token - Share token from the link
+ */
+export async function renderSharedTrip(token) {
+    const details = document.getElementById('sharedTripDetails');
+
+    let trip;
+    try {
+        trip = await ApiService.getSharedTrip(token);
+    } catch (error) {
+        console.error('Failed to load shared trip:', error);
+        details.innerHTML = `<div class="shared-trip-status"><i class="fas fa-unlink"></i> ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    document.title = `${trip.name} - Shared Trip`;
+
+    const showTimes = !trip.hideExactTimes;
+    const itinerary = { ...trip, places: [...trip.places].sort((a, b) => a.orderIndex - b.orderIndex) };
+    const routeStartUtc = itinerary.scheduleSettings?.startDateTime;
+    const timeZone = getRouteTimeZone(itinerary);
+    const timelineStops = mapItineraryToTimelineStops(itinerary);
+    const timelineLegs = showTimes ? mapItineraryToTimelineLegs(itinerary, timelineStops) : [];
+    const totalDays = calculateTotalDays(timelineStops);
+
+    // Map - places in the shape MapService draws, with the shared note for the popup
+    const places = itinerary.places.map(stop => ({
+        id: stop.placeId,
+        name: stop.placeName,
+        coords: [stop.latitude, stop.longitude],
+        note: trip.notes?.[stop.id] || null,
+        hasGoogleData: false
+    }));
+
+    const mapService = new MapService({ readOnly: true });
+    mapService.init();
+    mapService.updateMap(places, itinerary.legs);
+    mapService.centerMap(places);
+
+    const timelineService = new TimelineService({
+        onStopSelected: (index) => selectStop(index),
+        onLegClicked: (index) => mapService.showSegmentPopupForLeg(index)
+    }, { readOnly: true, showTimes });
+
+    const selectStop = (index) => {
+        mapService.selectPlace(index);
+        timelineService.setActiveStop(index);
+        details.querySelectorAll('.shared-trip-stop').forEach(el => {
+            el.classList.toggle('active', Number(el.dataset.index) === index);
+        });
+    };
+    mapService.setMarkerClickCallback(selectStop);
+
+    // Totals of the driven legs
+    const drivenLegs = (itinerary.legs || []).filter(isDrivingLeg);
+    const totalDistance = drivenLegs.reduce((sum, l) => sum + (l.distanceMeters || 0), 0);
+    const totalDuration = drivenLegs.reduce((sum, l) => sum + (l.durationSeconds || 0), 0);
+    const totalNights = itinerary.places
+        .filter(p => p.stopType === 0)
+        .reduce((sum, p) => sum + (p.stayNights || 0), 0);
+
+    details.innerHTML = `
+        <div class="shared-trip-summary">
+            <h2>${escapeHtml(trip.name)}</h2>
+            ${trip.description ? `<p class="shared-trip-description">${escapeHtml(trip.description)}</p>` : ''}
+            <div class="shared-trip-stats">
+                <span><i class="fas fa-map-marker-alt"></i> ${itinerary.places.length} stops</span>
+                <span><i class="fas fa-road"></i> ${(totalDistance / 1000).toFixed(0)} km</span>
+                <span><i class="fas fa-car"></i> ${formatDuration(totalDuration)}</span>
+                <span><i class="fas fa-bed"></i> ${totalNights} nights</span>
+            </div>
+        </div>
+        <ol class="shared-trip-stops">
+            ${timelineStops.map((stop, index) => {
+                const note = trip.notes?.[stop.routePlaceId];
+                return `
+                    <li class="shared-trip-stop" data-index="${index}">
+                        <span class="place-number-badge">${index + 1}</span>
+                        <div class="shared-trip-stop-content">
+                            <div class="shared-trip-stop-name">
+                                ${escapeHtml(stop.name)}
+                                <span class="shared-trip-badge">${STOP_TYPE_LABELS[stop.stopType] || STOP_TYPE_LABELS[0]}</span>
+                            </div>
+                            ${routeStartUtc ? `<div class="shared-trip-stop-time"><i class="fas fa-clock"></i> ${formatStay(stop, totalDays, routeStartUtc, timeZone, showTimes)}</div>` : ''}
+                            ${note ? `<div class="shared-trip-stop-note">${escapeHtml(note)}</div>` : ''}
+                        </div>
+                    </li>
+                `;
+            }).join('')}
+        </ol>
+    `;
+
+    details.querySelectorAll('.shared-trip-stop').forEach(el => {
+        el.addEventListener('click', () => selectStop(Number(el.dataset.index)));
+    });
+
+    if (timelineStops.length > 0) {
+        timelineService.render(timelineStops, totalDays, routeStartUtc, timelineLegs, timeZone);
+    }
+}
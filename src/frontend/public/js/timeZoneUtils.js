@@ -0,0 +1,178 @@
+/**
+ * Time Zone Utilities
+ * Thin helpers around Intl.DateTimeFormat for working with IANA time zones
+ * (offsets, wall-clock parts, DST transitions) without a date library.
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that outputs all date parts in the given zone
+ * @param {string} timeZone - IANA zone id (e.g. "Europe/Berlin")
+ * @returns {Intl.DateTimeFormat}
+ */
+function getPartsFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a time zone id is supported by the browser
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        getPartsFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone id
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *          month is 1-based
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * UTC offset of a time zone at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone id
+ * @returns {number} Offset in minutes (positive east of UTC, e.g. +60 for CET)
+ */
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    // Drop milliseconds so the difference is an exact number of minutes
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - instant) / 60000);
+}
+
+/**
+ * Find all UTC offset changes (DST transitions) of a zone within a range
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} timeZone
+ * @returns {Array<{at: Date, offsetFrom: number, offsetTo: number}>} at is the first whole
+ *          minute with the new offset (e.g. 2026-03-29T01:00:00Z for Europe/Berlin)
+ */
+export function findOffsetTransitions(start, end, timeZone) {
+    const transitions = [];
+    const stepMs = 24 * 60 * 60 * 1000; // Transitions are never closer than a day apart
+
+    let previousTime = start.getTime();
+    let previousOffset = getTimeZoneOffsetMinutes(start, timeZone);
+
+    for (let t = previousTime + stepMs; t <= end.getTime() + stepMs; t += stepMs) {
+        const offset = getTimeZoneOffsetMinutes(new Date(t), timeZone);
+        if (offset !== previousOffset) {
+            // Binary search the exact minute of the change - on whole minutes, since zones
+            // change their offset at the start of a minute and start may be any instant
+            let lo = Math.floor(previousTime / 60000) * 60000;
+            let hi = Math.ceil(t / 60000) * 60000;
+            while (hi - lo > 60000) {
+                const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+                if (getTimeZoneOffsetMinutes(new Date(mid), timeZone) === previousOffset) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            transitions.push({ at: new Date(hi), offsetFrom: previousOffset, offsetTo: offset });
+            previousOffset = offset;
+        }
+        previousTime = t;
+    }
+
+    return transitions;
+}
+
+/**
+ * Wall-clock time of an instant in a zone, as milliseconds since the epoch.
+ * Reading it back with getUTC* gives the local date and time in that zone.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone id
+ * @returns {number}
+ */
+export function toWallClockMs(date, timeZone) {
+    return date.getTime() + getTimeZoneOffsetMinutes(date, timeZone) * 60000;
+}
+
+/**
+ * Instant for a wall-clock time in a zone (inverse of toWallClockMs).
+ * Wall-clock times skipped or repeated by a DST change resolve to one nearby valid instant.
+ * @param {number} wallClockMs - Local date/time encoded as UTC milliseconds
+ * @param {string} timeZone - IANA zone id
+ * @returns {Date}
+ */
+export function wallClockToUtc(wallClockMs, timeZone) {
+    // The offset depends on the instant we are looking for - guess, then correct once
+    const guess = wallClockMs - getTimeZoneOffsetMinutes(new Date(wallClockMs), timeZone) * 60000;
+    const offset = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+    return new Date(wallClockMs - offset * 60000);
+}
+
+/**
+ * Short zone name for display (e.g. "CET", "GMT+13")
+ * @param {Date} date - Instant (abbreviations change with DST)
+ * @param {string} timeZone - IANA zone id
+ * @returns {string}
+ */
+export function getTimeZoneAbbreviation(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(date)
+        .find(p => p.type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
+
+/**
+ * Values for <input type="date"> and <input type="time"> showing an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone id
+ * @returns {{date: string, time: string}} "YYYY-MM-DD" and "HH:MM"
+ */
+export function toZonedInputValues(date, timeZone) {
+    const iso = new Date(toWallClockMs(date, timeZone)).toISOString();
+    return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+/**
+ * Instant for date/time input values entered in a zone
+ * @param {string} dateValue - "YYYY-MM-DD"
+ * @param {string} timeValue - "HH:MM"
+ * @param {string} timeZone - IANA zone id
+ * @returns {Date}
+ */
+export function fromZonedInputValues(dateValue, timeValue, timeZone) {
+    return wallClockToUtc(Date.parse(`${dateValue}T${timeValue}:00Z`), timeZone);
+}
@@ -0,0 +1,391 @@
+import { getRouteTimeZone, getStopTimeZone } from './timelineMapper.js';
+import { toZonedInputValues, fromZonedInputValues, getTimeZoneAbbreviation } from '../timeZoneUtils.js';
+import { notificationManager } from '../notificationManager.js';
+import { showError } from '../utils.js';
+import { getTransportMode } from '../transportModes.js';
+
+const STOP_TYPE_LABELS = { 0: 'Overnight', 1: 'Day Stop', 2: 'Waypoint' };
+const MAX_STAY_NIGHTS = 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * AgendaView - The itinerary as a list grouped by calendar day
+ *
+ * Alternative to the Gantt in TimelineService, used in the desktop timeline
+ * panel and the mobile timeline section. Days are calendar days in the route
+ * time zone; stop times are shown and edited in the stop's own zone. Arrival,
+ * departure and stay nights are edited inline and saved like a timeline edit.
+ */
+export class AgendaView {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} callbacks - onStopScheduleChanged(routePlaceId, dto), onEdit(label, edit),
+     *        onStopSelected(index), onLegClicked(legIndex), onOpenScheduleEditor(routePlaceId),
+     *        onConflict(conflict)
+     */
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = {
+            onStopScheduleChanged: callbacks.onStopScheduleChanged || (() => {}),
+            onEdit: callbacks.onEdit || ((label, edit) => edit()),
+            onStopSelected: callbacks.onStopSelected || (() => {}),
+            onLegClicked: callbacks.onLegClicked || (() => {}),
+            onOpenScheduleEditor: callbacks.onOpenScheduleEditor || (() => {}),
+            onConflict: callbacks.onConflict || (() => {})
+        };
+
+        this.places = []; // Itinerary places in route order
+        this.routeTimeZone = 'UTC';
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+        }
+    }
+
+    renderMessage(text, isError = false) {
+        if (!this.container) return;
+        this.container.innerHTML = `<p class="agenda-message ${isError ? 'error' : ''}">${notificationManager.escapeHtml(text)}</p>`;
+    }
+
+    /**
+     * @param {Object} itinerary - Route itinerary (ApiService.getItinerary)
+     */
+    render(itinerary) {
+        if (!this.container) return;
+
+        this.places = [...(itinerary?.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+        this.routeTimeZone = getRouteTimeZone(itinerary);
+
+        if (this.places.length === 0) {
+            this.renderMessage('No places in route');
+            return;
+        }
+
+        const days = this.buildDays(this.places, itinerary.legs || []);
+        const firstDay = days.find(day => day.key !== null)?.key;
+
+        this.container.innerHTML = days.map(day => `
+            <section class="agenda-day">
+                <h4 class="agenda-day-header">
+                    ${day.key ? this.formatDayHeader(day.key, firstDay) : 'Unscheduled'}
+                </h4>
+                <ul class="agenda-items">
+                    ${day.items.map(item => this.renderItem(item)).join('')}
+                </ul>
+            </section>
+        `).join('');
+    }
+
+    /**
+     * Group stops, stays and legs by calendar day in the route zone
+     * @returns {Array<{key: string|null, items: Array}>} Ordered by day, unscheduled stops last (key null)
+     */
+    buildDays(places, legs) {
+        const days = new Map();
+        const addItem = (key, item) => {
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(item);
+        };
+
+        places.forEach((place, index) => {
+            if (!place.plannedStart || !place.plannedEnd) {
+                addItem(null, { kind: 'stop', place, index, sortTime: index });
+                return;
+            }
+
+            const start = new Date(place.plannedStart);
+            const end = new Date(place.plannedEnd);
+            const arrivalDay = this.getDayKey(start);
+            const departureDay = this.getDayKey(end);
+            addItem(arrivalDay, { kind: 'stop', place, index, sortTime: start.getTime() });
+
+            // Following days of a stay, up to the day of departure
+            for (let day = this.addDays(arrivalDay, 1); day <= departureDay; day = this.addDays(day, 1)) {
+                const isDeparture = day === departureDay;
+                addItem(day, {
+                    kind: 'stay',
+                    place,
+                    index,
+                    isDeparture,
+                    sortTime: isDeparture ? end.getTime() : Date.parse(`${day}T00:00:00Z`)
+                });
+            }
+        });
+
+        legs.forEach((leg, legIndex) => {
+            const from = places.find(p => p.id === leg.fromRoutePlaceId);
+            const to = places.find(p => p.id === leg.toRoutePlaceId);
+            const departure = leg.plannedStart || from?.plannedEnd;
+            const key = departure ? this.getDayKey(new Date(departure)) : null;
+            addItem(key, {
+                kind: 'leg',
+                leg,
+                legIndex,
+                from,
+                to,
+                // Unscheduled legs stay between their stops
+                sortTime: departure ? new Date(departure).getTime() : places.indexOf(from) + 0.5
+            });
+        });
+
+        return [...days.entries()]
+            .sort(([a], [b]) => (a === null) - (b === null) || (a < b ? -1 : a > b ? 1 : 0))
+            .map(([key, items]) => ({ key, items: items.sort((a, b) => a.sortTime - b.sortTime) }));
+    }
+
+    getDayKey(date) {
+        return toZonedInputValues(date, this.routeTimeZone).date;
+    }
+
+    addDays(dayKey, days) {
+        return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+    }
+
+    formatDayHeader(dayKey, firstDayKey) {
+        const dayNumber = Math.round((Date.parse(dayKey) - Date.parse(firstDayKey)) / MS_PER_DAY) + 1;
+        const date = new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', {
+            timeZone: 'UTC',
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+        return `<span class="agenda-day-number">Day ${dayNumber}</span> ${date}`;
+    }
+
+    /**
+     * Local time of a stop, with the zone when it differs from the route's
+     * @returns {string} e.g. "09:00" or "09:00 GMT+2"
+     */
+    formatStopTime(isoString, place) {
+        const date = new Date(isoString);
+        const timeZone = getStopTimeZone(place, this.routeTimeZone);
+        const { time } = toZonedInputValues(date, timeZone);
+        return timeZone === this.routeTimeZone ? time : `${time} ${getTimeZoneAbbreviation(date, timeZone)}`;
+    }
+
+    formatDuration(seconds) {
+        if (!seconds || seconds <= 0) return '0m';
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        if (hours > 0) {
+            return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+        }
+        return `${mins}m`;
+    }
+
+    /**
+     * Nights of an overnight stop - the calendar days between arrival and departure in its zone
+     */
+    getStayNights(place) {
+        if (!place.plannedStart || !place.plannedEnd) return place.stayNights ?? 1;
+
+        const timeZone = getStopTimeZone(place, this.routeTimeZone);
+        const arrival = toZonedInputValues(new Date(place.plannedStart), timeZone).date;
+        const departure = toZonedInputValues(new Date(place.plannedEnd), timeZone).date;
+        return Math.max(0, Math.round((Date.parse(departure) - Date.parse(arrival)) / MS_PER_DAY));
+    }
+
+    renderItem(item) {
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+
+        if (item.kind === 'leg') {
+            const distance = Math.round((item.leg.distanceMeters || 0) / 1000);
+            const departure = item.leg.plannedStart || item.from?.plannedEnd;
+            const mode = getTransportMode(item.leg.mode);
+            return `
+                <li class="agenda-item agenda-leg" data-leg-index="${item.legIndex}" title="${mode.label}">
+                    <i class="fas ${mode.icon}"></i>
+                    <span class="agenda-leg-route">${escape(item.from?.placeName)} → ${escape(item.to?.placeName)}</span>
+                    <span class="agenda-leg-details">
+                        ${departure ? `${this.formatStopTime(departure, item.from)} · ` : ''}${this.formatDuration(item.leg.durationSeconds)} · ${distance} km
+                    </span>
+                </li>
+            `;
+        }
+
+        if (item.kind === 'stay') {
+            const { place } = item;
+            return `
+                <li class="agenda-item agenda-stay" data-index="${item.index}">
+                    <i class="fas ${item.isDeparture ? 'fa-sign-out-alt' : 'fa-bed'}"></i>
+                    <span class="agenda-stop-name">${escape(place.placeName)}</span>
+                    <span class="agenda-stay-details">
+                        ${item.isDeparture ? `Departure ${this.renderTime(place, 'departure')}` : 'Staying'}
+                    </span>
+                </li>
+            `;
+        }
+
+        const { place } = item;
+        const isOvernight = place.stopType === 0;
+        const nights = this.getStayNights(place);
+        return `
+            <li class="agenda-item agenda-stop" data-index="${item.index}" data-route-place-id="${place.id}">
+                <div class="agenda-stop-header">
+                    <span class="agenda-stop-number">${item.index + 1}</span>
+                    <span class="agenda-stop-name" data-action="select">${escape(place.placeName)}</span>
+                    <span class="agenda-stop-type">${STOP_TYPE_LABELS[place.stopType] || 'Stop'}</span>
+                    <button class="agenda-icon-btn" data-action="editor" title="Edit schedule and time zone">
+                        <i class="fas fa-globe"></i>
+                    </button>
+                </div>
+                <div class="agenda-stop-times">
+                    <span><i class="fas fa-sign-in-alt"></i> ${this.renderTime(place, 'arrival')}</span>
+                    <span><i class="fas fa-sign-out-alt"></i> ${this.renderTime(place, 'departure')}</span>
+                    ${isOvernight && place.plannedStart ? `
+                        <span class="agenda-nights">
+                            <button class="agenda-icon-btn" data-action="nights" data-delta="-1" ${nights <= 1 ? 'disabled' : ''} title="One night less">
+                                <i class="fas fa-minus"></i>
+                            </button>
+                            ${nights} ${nights === 1 ? 'night' : 'nights'}
+                            <button class="agenda-icon-btn" data-action="nights" data-delta="1" ${nights >= MAX_STAY_NIGHTS ? 'disabled' : ''} title="One night more">
+                                <i class="fas fa-plus"></i>
+                            </button>
+                        </span>
+                    ` : ''}
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Time chip that turns into an input when clicked
+     * @param {Object} place
+     * @param {'arrival'|'departure'} field
+     */
+    renderTime(place, field) {
+        const value = field === 'arrival' ? place.plannedStart : place.plannedEnd;
+        return `
+            <button class="agenda-time" data-action="time" data-field="${field}" data-index="${this.places.indexOf(place)}" title="Edit ${field}">
+                ${value ? this.formatStopTime(value, place) : 'Not scheduled'}
+            </button>
+        `;
+    }
+
+    handleClick(e) {
+        const actionEl = e.target.closest('[data-action]');
+        const itemEl = e.target.closest('.agenda-item');
+        if (!itemEl) return;
+
+        if (!actionEl) {
+            if (itemEl.classList.contains('agenda-leg')) {
+                this.callbacks.onLegClicked(parseInt(itemEl.dataset.legIndex, 10));
+            }
+            return;
+        }
+
+        const index = parseInt(actionEl.dataset.index ?? itemEl.dataset.index, 10);
+        const place = this.places[index];
+        if (!place) return;
+
+        switch (actionEl.dataset.action) {
+            case 'select':
+                this.callbacks.onStopSelected(index);
+                break;
+            case 'editor':
+                this.callbacks.onOpenScheduleEditor(place.id);
+                break;
+            case 'nights':
+                this.changeStayNights(place, this.getStayNights(place) + parseInt(actionEl.dataset.delta, 10));
+                break;
+            case 'time':
+                this.startTimeEdit(actionEl, place, actionEl.dataset.field);
+                break;
+        }
+    }
+
+    /**
+     * Replace a time chip with a datetime input (local time of the stop's zone)
+     */
+    startTimeEdit(chip, place, field) {
+        const timeZone = getStopTimeZone(place, this.routeTimeZone);
+        const value = field === 'arrival' ? place.plannedStart : place.plannedEnd;
+
+        const input = document.createElement('input');
+        input.type = 'datetime-local';
+        input.className = 'agenda-time-input';
+        if (value) {
+            const { date, time } = toZonedInputValues(new Date(value), timeZone);
+            input.value = `${date}T${time}`;
+        }
+
+        // Saved on Enter or when leaving the input, Escape cancels
+        const original = input.value;
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save && input.value && input.value !== original) {
+                const [date, time] = input.value.split('T');
+                this.saveTime(place, field, fromZonedInputValues(date, time, timeZone).toISOString());
+            }
+            input.replaceWith(chip);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        chip.replaceWith(input);
+        input.focus();
+    }
+
+    async saveTime(place, field, isoString) {
+        const plannedStart = field === 'arrival' ? isoString : place.plannedStart;
+        const plannedEnd = field === 'departure' ? isoString : place.plannedEnd;
+
+        if (plannedStart && plannedEnd && new Date(plannedEnd) <= new Date(plannedStart)) {
+            showError('Departure must be after arrival');
+            return;
+        }
+
+        await this.saveSchedule(place, `Change ${field} of "${place.placeName}"`, {
+            plannedStart: plannedStart || isoString,
+            plannedEnd: plannedEnd || isoString,
+            stayNights: null // Let backend recalculate
+        });
+    }
+
+    /**
+     * Change the nights of an overnight stop - departure moves to the same time on the new day
+     */
+    async changeStayNights(place, nights) {
+        if (nights < 1 || nights > MAX_STAY_NIGHTS || !place.plannedStart || !place.plannedEnd) return;
+
+        const timeZone = getStopTimeZone(place, this.routeTimeZone);
+        const arrival = toZonedInputValues(new Date(place.plannedStart), timeZone);
+        const departure = toZonedInputValues(new Date(place.plannedEnd), timeZone);
+        const plannedEnd = fromZonedInputValues(this.addDays(arrival.date, nights), departure.time, timeZone);
+
+        await this.saveSchedule(place, `Stay ${nights} ${nights === 1 ? 'night' : 'nights'} at "${place.placeName}"`, {
+            plannedStart: place.plannedStart,
+            plannedEnd: plannedEnd.toISOString(),
+            stayNights: nights
+        });
+    }
+
+    async saveSchedule(place, label, changes) {
+        try {
+            let response = null;
+            await this.callbacks.onEdit(label, async () => {
+                // Full update like a timeline edit (the endpoint replaces all schedule fields)
+                response = await this.callbacks.onStopScheduleChanged(place.id, {
+                    stopType: place.stopType ?? 0,
+                    timeZoneId: place.timeZoneId || null,
+                    stayDurationMinutes: null,
+                    isStartLocked: true, // Lock after manual edit
+                    isEndLocked: true,
+                    ...changes
+                });
+            });
+
+            if (response?.conflict?.wouldCreateConflict) {
+                await this.callbacks.onConflict(response.conflict);
+            }
+        } catch (error) {
+            console.error(`Failed to save schedule for ${place.placeName}:`, error);
+        }
+    }
+}
@@ -1,25 +1,47 @@
-import { timelineCoordsToUTC, formatDayTime } from './timelineMapper.js';
+import { timelineCoordsToUTC, formatDayTime, getTimelineDayDate, getStopTimeZone, utcToTimelineT } from './timelineMapper.js';
 import { ConflictUIManager } from './conflictUI.js';
+import { evaluateDrivingDays, describeViolation, formatTimeOfDay } from './drivingLimits.js';
+import { evaluateOpeningHours, parseOpeningHours, getOpenIntervals } from './openingHours.js';
+import { getDaylightT, getLocationForDay, getDarkMinutes } from './sunTimes.js';
+import { getTransportMode, isDrivingLeg } from '../transportModes.js';
 
 /**
  * TimelineService - Handles timeline UI rendering and user interactions
  */
 export class TimelineService {
-    constructor(callbacks) {
+    /**
+     * @param {Object} callbacks - Handlers for selections and schedule edits
+     * @param {Object} options - { readOnly: bars can't be moved or resized,
+     *                             showTimes: false shows only days, e.g. on shared trips without exact times }
+     */
+    constructor(callbacks, { readOnly = false, showTimes = true } = {}) {
         this.callbacks = {
             onStopSelected: callbacks.onStopSelected || (() => {}),
             onStopScheduleChanged: callbacks.onStopScheduleChanged || (() => {}),
             onLegScheduleChanged: callbacks.onLegScheduleChanged || (() => {}),
             onNeedRecalculateLegs: callbacks.onNeedRecalculateLegs || (() => {}),
             onResolveConflictByReorder: callbacks.onResolveConflictByReorder || (() => {}),
-            onLegClicked: callbacks.onLegClicked || (() => {})
+            onLegClicked: callbacks.onLegClicked || (() => {}),
+            onDrivingDaysEvaluated: callbacks.onDrivingDaysEvaluated || (() => {}),
+            onDrivingDayClicked: callbacks.onDrivingDayClicked || (() => {}),
+            onCursorScrubbed: callbacks.onCursorScrubbed || (() => {}), // User moved the slider
+            // Wraps a save so it can be undone as one step
+            onEdit: callbacks.onEdit || ((label, edit) => edit())
         };
 
         this.timelineStops = [];
         this.timelineLegs = [];
         this.totalDays = 1;
         this.routeStartUtc = null;
+        this.timeZone = 'UTC'; // Route time zone the timeline axis is drawn in
         this.currentT = 0;
+        this.drivingLimits = null; // Daily driving limits of the route (drivingLimits.getDrivingLimits)
+        this.drivingDays = []; // Driving days evaluated against the limits on each render
+        this.openingHoursIssues = []; // Day stops outside opening hours, evaluated on each render
+        this.openIntervalsByIndex = new Map(); // Stop index -> open intervals [{startT, endT}] shaded in its bar
+
+        this.readOnly = readOnly;
+        this.showTimes = showTimes;
 
         this.barElsByIndex = new Map();
         this.legBarElsByIndex = new Map();
@@ -101,11 +123,11 @@ export class TimelineService {
     rerender() {
         // Re-render without fetching new data
         if (this.timelineStops.length > 0 || this.timelineLegs.length > 0) {
-            this.render(this.timelineStops, this.totalDays, this.routeStartUtc, this.timelineLegs);
+            this.render(this.timelineStops, this.totalDays, this.routeStartUtc, this.timelineLegs, this.timeZone);
         }
     }
 
-    render(timelineStops, totalDays, routeStartUtc, timelineLegs = []) {
+    render(timelineStops, totalDays, routeStartUtc, timelineLegs = [], timeZone = 'UTC') {
         console.log(`Timeline render: ${timelineStops.length} stops, ${timelineLegs.length} legs, ${totalDays} days`);
 
         // Check if DOM elements are available
@@ -118,6 +140,7 @@ export class TimelineService {
         this.timelineLegs = timelineLegs;
         this.totalDays = totalDays;
         this.routeStartUtc = routeStartUtc;
+        this.timeZone = timeZone;
 
         // Set explicit width based on total days
         const dayWidth = this.getDayWidth();
@@ -150,12 +173,41 @@ export class TimelineService {
 
         console.log(`Timeline grid: dayWidth=${dayWidth}px, totalDays=${totalDays}, totalWidth=${totalWidth}px`);
 
+        // Re-evaluated on every render, so highlights follow drags and resizes.
+        // Without exact times the stops only span whole days - nothing to check against.
+        this.drivingDays = this.showTimes
+            ? evaluateDrivingDays(this.timelineStops, this.timelineLegs, this.drivingLimits)
+            : [];
+        this.openingHoursIssues = this.showTimes
+            ? evaluateOpeningHours(this.timelineStops, this.routeStartUtc, this.timeZone)
+            : [];
+
         this.renderDayLabels();
         this.renderDayGrid();
         this.renderBars();
         this.renderLegBars();
+        this.renderOpeningHoursIssues();
         this.configureSlider();
         this.updateCursor(0);
+
+        this.callbacks.onDrivingDaysEvaluated(this.drivingDays);
+    }
+
+    /**
+     * Set the daily driving limits days are checked against (applies on the next render)
+     * @param {Object|null} limits - getDrivingLimits result, null for no limits
+     */
+    setDrivingLimits(limits) {
+        this.drivingLimits = limits;
+    }
+
+    /**
+     * Driving day over the limits for a day index
+     * @param {number} dayIndex - 0-based day index
+     * @returns {Object|null} Entry of evaluateDrivingDays with violations
+     */
+    getOverLimitDay(dayIndex) {
+        return this.drivingDays.find(day => day.dayIndex === dayIndex && day.violations.length > 0) || null;
     }
 
     /**
@@ -165,10 +217,11 @@ export class TimelineService {
      * @param {string} routeStartUtc - Route start date/time in UTC
      * @param {Object} conflictInfo - Conflict information from backend
      * @param {Array} timelineLegs - Array of timeline leg data (optional)
+     * @param {string} timeZone - Route time zone (IANA id) the times are shown in
      */
-    renderWithConflicts(timelineStops, totalDays, routeStartUtc, conflictInfo, timelineLegs = []) {
+    renderWithConflicts(timelineStops, totalDays, routeStartUtc, conflictInfo, timelineLegs = [], timeZone = 'UTC') {
         // Call existing render method
-        this.render(timelineStops, totalDays, routeStartUtc, timelineLegs);
+        this.render(timelineStops, totalDays, routeStartUtc, timelineLegs, timeZone);
 
         // Store conflict info
         this.currentConflicts = conflictInfo;
@@ -213,25 +266,14 @@ export class TimelineService {
     /**
      * Get calendar date for a day index (0-based)
      * @param {number} dayIndex - Day index (0 = first day, 1 = second day, etc.)
-     * @returns {Date} Calendar date for that day
+     * @returns {Date} Calendar date for that day in the route time zone (read with getUTC* methods)
      */
     getCalendarDateForDay(dayIndex) {
         if (!this.routeStartUtc) {
             return new Date();
         }
 
-        const routeStart = new Date(this.routeStartUtc);
-        const MS_PER_DAY = 24 * 60 * 60 * 1000;
-
-        // Get the calendar date of route start (at midnight UTC)
-        const routeStartDate = new Date(Date.UTC(
-            routeStart.getUTCFullYear(),
-            routeStart.getUTCMonth(),
-            routeStart.getUTCDate(),
-            0, 0, 0, 0
-        ));
-
-        return new Date(routeStartDate.getTime() + dayIndex * MS_PER_DAY);
+        return getTimelineDayDate(dayIndex, this.routeStartUtc, this.timeZone);
     }
 
     renderDayLabels() {
@@ -259,6 +301,21 @@ export class TimelineService {
             }
 
             label.dataset.day = day;
+
+            const overLimitDay = this.getOverLimitDay(day - 1);
+            if (overLimitDay) {
+                label.classList.add('over-limit');
+                const warning = document.createElement('button');
+                warning.className = 'day-limit-warning';
+                warning.title = `${overLimitDay.violations.map(describeViolation).join('\n')}\nClick for overnight suggestions`;
+                warning.innerHTML = '<i class="fas fa-exclamation-triangle"></i>';
+                warning.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.callbacks.onDrivingDayClicked(overLimitDay);
+                });
+                label.appendChild(warning);
+            }
+
             this.dayLabelsContainer.appendChild(label);
         }
     }
@@ -271,20 +328,50 @@ export class TimelineService {
         this.ganttGrid.innerHTML = '';
         for (let day = 1; day <= this.totalDays; day++) {
             const col = document.createElement('div');
-            col.className = 'day-column';
+            col.className = this.getOverLimitDay(day - 1) ? 'day-column over-limit' : 'day-column';
             col.style.width = `${dayWidth}px`;
             col.style.minWidth = `${dayWidth}px`;
             col.dataset.day = day;
+            this.applyDaylight(col, day - 1);
             this.ganttGrid.appendChild(col);
         }
     }
 
+    /**
+     * Shade the night of a day column from the sun times where the trip is that day
+     * @param {HTMLElement} col - Day column
+     * @param {number} dayIndex - 0-based day index
+     */
+    applyDaylight(col, dayIndex) {
+        if (!this.routeStartUtc) return; // Keeps the default 6 AM/6 PM bands
+
+        const location = getLocationForDay(dayIndex, this.timelineStops, this.timelineLegs);
+        if (!location) return;
+
+        const daylight = getDaylightT(dayIndex, location.latitude, location.longitude, this.routeStartUtc, this.timeZone);
+        if (!daylight) {
+            // Polar night - the whole day is dark
+            col.style.setProperty('--sunrise', '100%');
+            col.style.setProperty('--sunset', '100%');
+            col.title = 'Polar night - no sunrise';
+            return;
+        }
+
+        const toPercent = (t) => `${(Math.min(1, Math.max(0, t - dayIndex)) * 100).toFixed(2)}%`;
+        col.style.setProperty('--sunrise', toPercent(daylight.sunriseT));
+        col.style.setProperty('--sunset', toPercent(daylight.sunsetT));
+        col.title = daylight.sunsetT - daylight.sunriseT >= 1
+            ? 'Midnight sun - no sunset'
+            : `Sunrise ${formatTimeOfDay(daylight.sunriseT - dayIndex)} · Sunset ${formatTimeOfDay(daylight.sunsetT - dayIndex)} (${this.timeZone})`;
+    }
+
     renderBars() {
         if (!this.ganttBarsContainer) return;
 
         this.ganttBarsContainer.innerHTML = '';
         this.barElsByIndex.clear();
         this.legBarElsByIndex.clear();
+        this.openIntervalsByIndex.clear();
 
         this.timelineStops.forEach((stop, index) => {
             const bar = this.createBar(stop, index);
@@ -314,22 +401,45 @@ export class TimelineService {
         bar.className = 'gantt-bar gantt-leg-bar';
         bar.dataset.index = index;
         bar.dataset.isLeg = 'true';
+        if (this.getOverLimitDay(Math.floor(leg.startT))) {
+            bar.classList.add('over-limit');
+        }
 
         // Tooltip with route details
         const distanceKm = (leg.distanceMeters / 1000).toFixed(1);
+        const mode = getTransportMode(leg.mode);
         bar.dataset.tooltip = `${leg.fromPlaceName} → ${leg.toPlaceName} (${distanceKm} km)`;
 
-        // Label with car icon and duration
+        // Ferry, flight, ... legs in the colour of their mode
+        if (!isDrivingLeg(leg)) {
+            bar.classList.add('not-driven');
+            bar.style.setProperty('--leg-mode-color', mode.color);
+            bar.dataset.tooltip += ` - ${mode.label}`;
+        }
+
+        // Label with transport mode icon and duration
         const label = document.createElement('div');
         label.className = 'bar-label';
-        label.innerHTML = `<i class="fas fa-car"></i> ${this.formatDuration(leg.durationSeconds)}`;
+        label.innerHTML = `<i class="fas ${mode.icon}"></i> ${this.formatDuration(leg.durationSeconds)}`;
+
+        // Driving between sunset and sunrise
+        const darkMinutes = this.showTimes && isDrivingLeg(leg)
+            ? getDarkMinutes(leg, this.timelineStops, this.routeStartUtc, this.timeZone)
+            : 0;
+        if (darkMinutes > 0) {
+            bar.classList.add('after-dark');
+            bar.dataset.tooltip += ` - ${this.formatDuration(darkMinutes * 60)} in darkness`;
+            label.innerHTML += '<i class="fas fa-moon dark-driving-icon"></i>';
+        }
         bar.appendChild(label);
 
         // Position bar
         this.updateBarPosition(bar, leg);
 
         // Drag handler (move only - no resize for legs)
-        this.attachLegDragHandler(bar, leg, index);
+        if (!this.readOnly) {
+            this.attachLegDragHandler(bar, leg, index);
+        }
 
         // Click to show segment popup on map
         bar.addEventListener('click', () => {
@@ -418,7 +528,10 @@ export class TimelineService {
 
             if (hasMoved) {
                 console.log(`Saving leg and connected places`);
-                await this.saveLegAndConnectedPlaces(leg);
+                await this.callbacks.onEdit(
+                    `Move drive ${leg.fromPlaceName} → ${leg.toPlaceName}`,
+                    () => this.saveLegAndConnectedPlaces(leg)
+                );
                 this.relayoutRows();
             }
 
@@ -470,7 +583,8 @@ export class TimelineService {
             const { startUtc, endUtc } = timelineCoordsToUTC(
                 leg.startT,
                 leg.endT,
-                this.routeStartUtc
+                this.routeStartUtc,
+                this.timeZone
             );
 
             await this.callbacks.onLegScheduleChanged(leg.legId, {
@@ -490,12 +604,14 @@ export class TimelineService {
         bar.dataset.index = index;
 
         // Resize handles
-        const handleLeft = document.createElement('div');
-        handleLeft.className = 'resize-handle left';
-        const handleRight = document.createElement('div');
-        handleRight.className = 'resize-handle right';
-        bar.appendChild(handleLeft);
-        bar.appendChild(handleRight);
+        if (!this.readOnly) {
+            const handleLeft = document.createElement('div');
+            handleLeft.className = 'resize-handle left';
+            const handleRight = document.createElement('div');
+            handleRight.className = 'resize-handle right';
+            bar.appendChild(handleLeft);
+            bar.appendChild(handleRight);
+        }
 
         // Label
         const label = document.createElement('div');
@@ -503,11 +619,22 @@ export class TimelineService {
         label.textContent = stop.name;
         bar.appendChild(label);
 
+        // Open hours are shaded inside the bar (positioned by updateBarPosition)
+        const openIntervals = this.showTimes ? this.getOpenIntervalsT(stop) : null;
+        if (openIntervals) {
+            this.openIntervalsByIndex.set(index, openIntervals);
+            const bands = document.createElement('div');
+            bands.className = 'opening-hours-bands';
+            bar.insertBefore(bands, label);
+        }
+
         // Position bar
         this.updateBarPosition(bar, stop);
 
         // Event handlers
-        this.attachBarDragResize(bar, stop, index);
+        if (!this.readOnly) {
+            this.attachBarDragResize(bar, stop, index);
+        }
 
         // Click to select
         bar.addEventListener('click', (e) => {
@@ -530,9 +657,69 @@ export class TimelineService {
         barEl.dataset.startT = stop.startT;
         barEl.dataset.endT = stop.endT;
 
+        this.updateOpeningHoursBands(barEl, stop);
+
         console.log(`Bar position for ${stop.name}: dayWidth=${dayWidth}px, startT=${stop.startT.toFixed(2)}, endT=${stop.endT.toFixed(2)}, leftPx=${leftPx.toFixed(1)}px, widthPx=${widthPx.toFixed(1)}px`);
     }
 
+    /**
+     * Open intervals of a stop over the whole timeline, in timeline coordinates
+     * @param {Object} stop - Timeline stop
+     * @returns {Array<{startT: number, endT: number}>|null} null if the stop has no opening hours or is always open
+     */
+    getOpenIntervalsT(stop) {
+        const hours = parseOpeningHours(stop.openingHours);
+        if (!hours || hours.alwaysOpen || !this.routeStartUtc) return null;
+
+        const { startUtc, endUtc } = timelineCoordsToUTC(-1, this.totalDays + 1, this.routeStartUtc, this.timeZone);
+        return getOpenIntervals(hours, new Date(startUtc), new Date(endUtc), getStopTimeZone(stop, this.timeZone))
+            .map(interval => ({
+                startT: utcToTimelineT(interval.start, this.routeStartUtc, this.timeZone),
+                endT: utcToTimelineT(interval.end, this.routeStartUtc, this.timeZone)
+            }));
+    }
+
+    /**
+     * Position the open-hours bands of a stop bar relative to its current start/end (follows drags)
+     */
+    updateOpeningHoursBands(barEl, stop) {
+        const container = barEl.querySelector('.opening-hours-bands');
+        const intervals = this.openIntervalsByIndex.get(parseInt(barEl.dataset.index, 10));
+        if (!container || !intervals || barEl.dataset.isLeg) return;
+
+        const duration = stop.endT - stop.startT;
+        container.innerHTML = intervals
+            .filter(interval => interval.endT > stop.startT && interval.startT < stop.endT)
+            .map(interval => {
+                const left = (Math.max(interval.startT, stop.startT) - stop.startT) / duration * 100;
+                const right = (Math.min(interval.endT, stop.endT) - stop.startT) / duration * 100;
+                return `<div class="opening-hours-band" style="left: ${left}%; width: ${right - left}%"></div>`;
+            })
+            .join('');
+    }
+
+    /**
+     * Mark day stops planned outside their opening hours and list them next to the conflict banner
+     */
+    renderOpeningHoursIssues() {
+        this.openingHoursIssues.forEach(issue => {
+            const barEl = this.barElsByIndex.get(issue.index);
+            if (barEl) {
+                barEl.classList.add('opening-hours-issue');
+                barEl.title = issue.message;
+            }
+        });
+
+        if (this.openingHoursIssues.length > 0) {
+            this.conflictUI.showOpeningHoursBanner(this.openingHoursIssues, (index) => {
+                this.centerOnStop(index);
+                this.callbacks.onStopSelected(index, this.timelineStops[index]);
+            });
+        } else {
+            this.conflictUI.hideOpeningHoursBanner();
+        }
+    }
+
     attachBarDragResize(barEl, stop, index) {
         const MIN_DUR = 0.05; // ~1.2 hours
         let mode = null;
@@ -578,7 +765,10 @@ export class TimelineService {
             // Only save if the user actually moved the bar
             if (hasMoved) {
                 console.log(`Saving schedule for stop: ${stop.name}`);
-                await this.saveStopSchedule(stop);
+                await this.callbacks.onEdit(
+                    mode === 'move' ? `Move "${stop.name}"` : `Change times of "${stop.name}"`,
+                    () => this.saveStopSchedule(stop)
+                );
 
                 // Optionally recalculate legs
                 // this.callbacks.onNeedRecalculateLegs();
@@ -623,13 +813,14 @@ export class TimelineService {
         const { startUtc, endUtc } = timelineCoordsToUTC(
             stop.startT,
             stop.endT,
-            this.routeStartUtc
+            this.routeStartUtc,
+            this.timeZone
         );
 
         try {
             const response = await this.callbacks.onStopScheduleChanged(stop.routePlaceId, {
                 stopType: stop.stopType,
-                timeZoneId: null, // Use route default
+                timeZoneId: stop.timeZoneId || null, // Keep stop zone (null = route default)
                 plannedStart: startUtc,
                 plannedEnd: endUtc,
                 stayNights: null, // Let backend recalculate
@@ -723,6 +914,24 @@ export class TimelineService {
         this.slider.value = 0;
     }
 
+    /**
+     * Move slider and cursor to a time, scrolling the timeline to keep the cursor in view
+     * @param {number} t - Timeline coordinate (days)
+     */
+    setCursor(t) {
+        if (this.slider) {
+            this.slider.value = t;
+        }
+        this.updateCursor(t);
+
+        if (!this.timelineContent) return;
+        const cursorPx = t * this.getDayWidth();
+        const { scrollLeft, clientWidth } = this.timelineContent;
+        if (cursorPx < scrollLeft || cursorPx > scrollLeft + clientWidth * 0.8) {
+            this.timelineContent.scrollLeft = Math.max(0, cursorPx - clientWidth / 3);
+        }
+    }
+
     attachSliderListeners() {
         if (!this.slider) return;
 
@@ -732,6 +941,7 @@ export class TimelineService {
             this.rafId = requestAnimationFrame(() => {
                 this.rafId = null;
                 this.updateCursor(t);
+                this.callbacks.onCursorScrubbed(t);
             });
         });
 
@@ -783,8 +993,9 @@ export class TimelineService {
         const dayInt = Math.floor(t) + 1;
 
         if (this.cursorLabel) {
-            const formattedTime = formatDayTime(t, this.totalDays, this.routeStartUtc);
+            const formattedTime = this.formatTime(t);
             this.cursorLabel.textContent = formattedTime;
+            this.cursorLabel.title = `Times in ${this.timeZone}`;
         }
 
         // Update current day label with calendar date
@@ -854,15 +1065,31 @@ export class TimelineService {
             return;
         }
 
-        // Format the time range with absolute clock time
-        const startTime = formatDayTime(stop.startT, this.totalDays, this.routeStartUtc);
-        const endTime = formatDayTime(stop.endT, this.totalDays, this.routeStartUtc);
+        // Format the time range with absolute clock time in the stop's local zone -
+        // without times the stop ends at midnight, so its last day is the one before
+        const stopTimeZone = getStopTimeZone(stop, this.timeZone);
+        const startTime = this.formatTime(stop.startT, stopTimeZone);
+        const endTime = this.formatTime(this.showTimes ? stop.endT : stop.endT - 0.5, stopTimeZone);
 
         selectedPlaceName.textContent = stop.name;
         selectedPlaceTimeRange.textContent = `${startTime} - ${endTime}`;
         selectedPlaceTime.style.display = 'flex';
     }
 
+    /**
+     * Format a timeline position as "Mar 3 · 09:00", or "Mar 3" when times are hidden
+     * @param {number} t - Timeline position
+     * @param {string|null} displayTimeZone - Zone to show the time in (defaults to the route zone)
+     * @returns {string}
+     */
+    formatTime(t, displayTimeZone = null) {
+        if (!this.showTimes) {
+            // Days are whole days in the route zone
+            return formatDayTime(t, this.totalDays, this.routeStartUtc, this.timeZone).split(' · ')[0];
+        }
+        return formatDayTime(t, this.totalDays, this.routeStartUtc, this.timeZone, displayTimeZone);
+    }
+
     hideSelectedPlaceTime() {
         const selectedPlaceTime = document.getElementById('selectedPlaceTime');
         if (selectedPlaceTime) {
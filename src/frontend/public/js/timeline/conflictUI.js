@@ -1,4 +1,5 @@
 import { showConfirm } from '../utils.js';
+import { notificationManager } from '../notificationManager.js';
 
 /**
  * Conflict UI Manager - Handles visual indicators and user prompts for timeline/route conflicts
@@ -72,6 +73,68 @@ export class ConflictUIManager {
         return banner;
     }
 
+    /**
+     * List day stops planned outside their opening hours below the conflict banner
+     * @param {Array} issues - evaluateOpeningHours result
+     * @param {Function} onSelect - Called with the stop index when a stop in the list is clicked
+     */
+    showOpeningHoursBanner(issues, onSelect) {
+        let banner = document.getElementById('openingHoursBanner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'openingHoursBanner';
+            banner.className = 'conflict-banner opening-hours-banner';
+
+            const conflictBanner = document.getElementById('conflictBanner');
+            const timelinePanel = document.getElementById('timelinePanel');
+            if (conflictBanner) {
+                conflictBanner.after(banner);
+            } else if (timelinePanel) {
+                timelinePanel.insertBefore(banner, timelinePanel.firstChild);
+            }
+        }
+
+        const escape = (text) => notificationManager.escapeHtml(text || '');
+        banner.innerHTML = `
+            <div class="conflict-banner-content">
+                <i class="fas fa-store-slash"></i>
+                <span class="conflict-message">
+                    ${issues.length} day stop${issues.length !== 1 ? 's are' : ' is'} planned outside opening hours
+                </span>
+                <div class="conflict-actions">
+                    <button class="btn btn-secondary btn-sm" id="dismissOpeningHoursBtn">
+                        Ignore
+                    </button>
+                </div>
+            </div>
+            <ul class="opening-hours-issues">
+                ${issues.map(issue => `
+                    <li>
+                        <button class="opening-hours-issue-stop" data-index="${issue.index}">${escape(issue.name)}</button>
+                        ${escape(issue.message)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        banner.classList.add('visible');
+
+        banner.querySelectorAll('.opening-hours-issue-stop').forEach(button => {
+            button.onclick = () => onSelect(parseInt(button.dataset.index, 10));
+        });
+        document.getElementById('dismissOpeningHoursBtn').onclick = () => this.hideOpeningHoursBanner();
+    }
+
+    /**
+     * Hide opening hours banner
+     */
+    hideOpeningHoursBanner() {
+        const banner = document.getElementById('openingHoursBanner');
+        if (banner) {
+            banner.classList.remove('visible');
+        }
+    }
+
     /**
      * Mark specific timeline bars with conflict indicators
      * @param {Array} conflictingStops - Array of conflicting stop info
@@ -0,0 +1,190 @@
+/**
+ * Driving Limits - Evaluate the per-route daily driving limits over the timeline
+ *
+ * Legs are grouped into driving days by the timeline day they start on. A day
+ * is over the limit when its total driving time or distance exceeds the route
+ * settings, or when the last leg of the day arrives later than the latest
+ * arrival time. For those days the point where the limits are first reached is
+ * calculated, so an extra overnight stop can be suggested there.
+ */
+
+import { haversineDistanceMeters } from '../utils.js';
+import { isDrivingLeg } from '../transportModes.js';
+
+/**
+ * Daily driving limits from the route schedule settings
+ * @param {Object} scheduleSettings - itinerary.scheduleSettings
+ * @returns {Object|null} { maxDrivingSeconds, maxDistanceMeters, latestArrival } (latestArrival as
+ *          fraction of a day, e.g. 0.75 = 18:00), each null if not set - or null if no limit is set at all
+ */
+export function getDrivingLimits(scheduleSettings) {
+    const settings = scheduleSettings || {};
+    const limits = {
+        maxDrivingSeconds: settings.maxDrivingMinutesPerDay ? settings.maxDrivingMinutesPerDay * 60 : null,
+        maxDistanceMeters: settings.maxDrivingKmPerDay ? settings.maxDrivingKmPerDay * 1000 : null,
+        latestArrival: parseTimeOfDay(settings.latestArrivalTime)
+    };
+
+    return Object.values(limits).some(value => value != null) ? limits : null;
+}
+
+/**
+ * Parse a backend TimeOnly ("HH:mm:ss") into a fraction of a day
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+    return (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) / (24 * 60);
+}
+
+/**
+ * Group legs into driving days and check them against the limits
+ * @param {Array} timelineStops - Timeline stops (mapItineraryToTimelineStops)
+ * @param {Array} timelineLegs - Timeline legs (mapItineraryToTimelineLegs)
+ * @param {Object|null} limits - getDrivingLimits result
+ * @returns {Array<Object>} One entry per day with driving, ordered by day:
+ *          { dayIndex, legIds, drivingSeconds, distanceMeters, arrivalT, arrivalStopName,
+ *            violations: [{ type: 'duration'|'distance'|'arrival', actual, limit }], split }
+ *          split is { legId, fraction } - where on which leg the limits are first reached - or null
+ */
+export function evaluateDrivingDays(timelineStops, timelineLegs, limits) {
+    if (!limits || !timelineLegs || timelineLegs.length === 0) return [];
+
+    // Only driven legs count - ferries, flights, ... don't use up the day's driving
+    const days = new Map();
+    for (const leg of timelineLegs.filter(isDrivingLeg).sort((a, b) => a.startT - b.startT)) {
+        const dayIndex = Math.floor(leg.startT);
+        if (!days.has(dayIndex)) days.set(dayIndex, []);
+        days.get(dayIndex).push(leg);
+    }
+
+    return [...days.entries()].map(([dayIndex, legs]) => {
+        const drivingSeconds = legs.reduce((sum, leg) => sum + (leg.durationSeconds || 0), 0);
+        const distanceMeters = legs.reduce((sum, leg) => sum + (leg.distanceMeters || 0), 0);
+        const lastLeg = legs.reduce((last, leg) => leg.endT > last.endT ? leg : last);
+        const arrivalStop = timelineStops.find(s => s.routePlaceId === lastLeg.toRoutePlaceId);
+
+        const violations = [];
+        if (limits.maxDrivingSeconds != null && drivingSeconds > limits.maxDrivingSeconds) {
+            violations.push({ type: 'duration', actual: drivingSeconds, limit: limits.maxDrivingSeconds });
+        }
+        if (limits.maxDistanceMeters != null && distanceMeters > limits.maxDistanceMeters) {
+            violations.push({ type: 'distance', actual: distanceMeters, limit: limits.maxDistanceMeters });
+        }
+        // Arrival as time of day - past midnight counts as later than any limit (> 1.0)
+        if (limits.latestArrival != null && lastLeg.endT - dayIndex > limits.latestArrival) {
+            violations.push({ type: 'arrival', actual: lastLeg.endT - dayIndex, limit: limits.latestArrival });
+        }
+
+        return {
+            dayIndex,
+            legIds: legs.map(leg => leg.legId),
+            drivingSeconds,
+            distanceMeters,
+            arrivalT: lastLeg.endT,
+            arrivalStopName: arrivalStop?.name || lastLeg.toPlaceName,
+            violations,
+            split: violations.length > 0 ? findSplitPoint(legs, dayIndex, limits) : null
+        };
+    });
+}
+
+/**
+ * Find where on a day's legs the first limit is reached
+ * @returns {{legId: number, fraction: number}|null} fraction 0..1 along that leg
+ */
+function findSplitPoint(legs, dayIndex, limits) {
+    let drivenSeconds = 0;
+    let drivenMeters = 0;
+
+    for (const leg of legs) {
+        const fractions = [];
+        if (limits.maxDrivingSeconds != null && leg.durationSeconds > 0) {
+            fractions.push((limits.maxDrivingSeconds - drivenSeconds) / leg.durationSeconds);
+        }
+        if (limits.maxDistanceMeters != null && leg.distanceMeters > 0) {
+            fractions.push((limits.maxDistanceMeters - drivenMeters) / leg.distanceMeters);
+        }
+        if (limits.latestArrival != null && leg.endT > leg.startT) {
+            fractions.push((dayIndex + limits.latestArrival - leg.startT) / (leg.endT - leg.startT));
+        }
+
+        const fraction = fractions.length > 0 ? Math.min(...fractions) : Infinity;
+        if (fraction < 1) {
+            return { legId: leg.legId, fraction: Math.max(0, fraction) };
+        }
+
+        drivenSeconds += leg.durationSeconds || 0;
+        drivenMeters += leg.distanceMeters || 0;
+    }
+
+    return null;
+}
+
+function formatDrivingTime(seconds) {
+    const totalMinutes = Math.round(seconds / 60);
+    return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Format a fraction of a day as a wall-clock time
+ * @param {number} dayFraction - e.g. 0.75 = 18:00, 1.05 = 01:12 on the next day
+ * @returns {string} "HH:MM", with "(+N day)" when past midnight
+ */
+export function formatTimeOfDay(dayFraction) {
+    const totalMinutes = Math.round(dayFraction * 24 * 60);
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const minutesOfDay = totalMinutes - days * 24 * 60;
+    const time = `${String(Math.floor(minutesOfDay / 60)).padStart(2, '0')}:${String(minutesOfDay % 60).padStart(2, '0')}`;
+    return days > 0 ? `${time} (+${days} day)` : time;
+}
+
+/**
+ * Human-readable description of a limit violation
+ * @param {Object} violation - Entry of a driving day's violations
+ * @returns {string} e.g. "Driving 9h 20m (limit 6h 00m)"
+ */
+export function describeViolation(violation) {
+    switch (violation.type) {
+        case 'duration':
+            return `Driving ${formatDrivingTime(violation.actual)} (limit ${formatDrivingTime(violation.limit)})`;
+        case 'distance':
+            return `Distance ${Math.round(violation.actual / 1000)} km (limit ${Math.round(violation.limit / 1000)} km)`;
+        case 'arrival':
+            return `Arrival ${formatTimeOfDay(violation.actual)} (latest ${formatTimeOfDay(violation.limit)})`;
+        default:
+            return violation.type;
+    }
+}
+
+/**
+ * Point at a fraction of a line's length
+ * @param {Array<[number, number]>} coords - [[lat, lng], ...]
+ * @param {number} fraction - 0 = first point, 1 = last point
+ * @returns {[number, number]|null} [lat, lng]
+ */
+export function pointAlongLine(coords, fraction) {
+    if (!coords || coords.length === 0) return null;
+    if (coords.length === 1 || fraction <= 0) return coords[0];
+    if (fraction >= 1) return coords[coords.length - 1];
+
+    const segmentLengths = [];
+    for (let i = 1; i < coords.length; i++) {
+        segmentLengths.push(haversineDistanceMeters(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]));
+    }
+
+    let remaining = fraction * segmentLengths.reduce((sum, length) => sum + length, 0);
+    for (let i = 0; i < segmentLengths.length; i++) {
+        if (remaining <= segmentLengths[i] && segmentLengths[i] > 0) {
+            const f = remaining / segmentLengths[i];
+            const [lat1, lng1] = coords[i];
+            const [lat2, lng2] = coords[i + 1];
+            return [lat1 + (lat2 - lat1) * f, lng1 + (lng2 - lng1) * f];
+        }
+        remaining -= segmentLengths[i];
+    }
+
+    return coords[coords.length - 1];
+}
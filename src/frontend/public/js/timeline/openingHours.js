@@ -0,0 +1,182 @@
+/**
+ * Opening Hours - Parse Google opening hours and check day stops against them
+ *
+ * Google stores opening hours as weekly periods in the place's local time
+ * ({ open: { day: 0-6, time: "0900" }, close: { day, time: "1700" } }, day 0 =
+ * Sunday). Periods are converted to minutes of the week and checked in the
+ * stop's own time zone, so the result does not depend on the route zone.
+ */
+
+import { toWallClockMs, wallClockToUtc } from '../timeZoneUtils.js';
+import { timelineCoordsToUTC, getStopTimeZone } from './timelineMapper.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const MS_PER_MINUTE = 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Minute of the week of a period point
+ * @param {Object} point - { day, time: "HHMM" } (Places API) or { day, hour, minute } (new Places API)
+ * @returns {number|null}
+ */
+function toWeekMinute(point) {
+    if (!point || point.day == null) return null;
+    let minutes;
+    if (typeof point.time === 'string' && /^\d{4}$/.test(point.time)) {
+        minutes = parseInt(point.time.slice(0, 2), 10) * 60 + parseInt(point.time.slice(2), 10);
+    } else if (point.hour != null) {
+        minutes = point.hour * 60 + (point.minute || 0);
+    } else {
+        return null;
+    }
+    return point.day * MINUTES_PER_DAY + minutes;
+}
+
+/**
+ * Parse Google opening hours into weekly periods
+ * @param {string|Object|null} value - GooglePlaceData.OpeningHours (JSON string or parsed object)
+ * @returns {{alwaysOpen: boolean, periods: Array<{start: number, end: number}>}|null}
+ *          Periods in minutes of the week (end may exceed a week when open over Saturday night),
+ *          null if there are no usable hours
+ */
+export function parseOpeningHours(value) {
+    if (!value) return null;
+
+    let hours = value;
+    if (typeof value === 'string') {
+        try {
+            hours = JSON.parse(value);
+        } catch {
+            return null;
+        }
+    }
+
+    if (!Array.isArray(hours?.periods) || hours.periods.length === 0) return null;
+
+    const periods = [];
+    for (const period of hours.periods) {
+        const start = toWeekMinute(period.open);
+        if (start === null) continue;
+
+        // A period without close time means open around the clock
+        if (!period.close) {
+            return { alwaysOpen: true, periods: [{ start: 0, end: MINUTES_PER_WEEK }] };
+        }
+
+        let end = toWeekMinute(period.close);
+        if (end === null) continue;
+        if (end <= start) end += MINUTES_PER_WEEK;
+        periods.push({ start, end });
+    }
+
+    if (periods.length === 0) return null;
+    periods.sort((a, b) => a.start - b.start);
+    return { alwaysOpen: false, periods };
+}
+
+/**
+ * Open intervals overlapping a time range
+ * @param {Object} hours - parseOpeningHours result
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} timeZone - Zone the opening hours are in (the stop's zone)
+ * @returns {Array<{start: Date, end: Date}>} Sorted, overlapping intervals merged
+ */
+export function getOpenIntervals(hours, from, to, timeZone) {
+    const fromWall = toWallClockMs(from, timeZone);
+    const toWall = toWallClockMs(to, timeZone);
+
+    // Local Sunday midnight of the week containing `from`, one week earlier for periods running into it
+    const fromDate = new Date(fromWall);
+    const weekStart = Date.UTC(fromDate.getUTCFullYear(), fromDate.getUTCMonth(), fromDate.getUTCDate())
+        - fromDate.getUTCDay() * MINUTES_PER_DAY * MS_PER_MINUTE;
+
+    const intervals = [];
+    for (let week = weekStart - MINUTES_PER_WEEK * MS_PER_MINUTE; week <= toWall; week += MINUTES_PER_WEEK * MS_PER_MINUTE) {
+        for (const period of hours.periods) {
+            const start = week + period.start * MS_PER_MINUTE;
+            const end = week + period.end * MS_PER_MINUTE;
+            if (end > fromWall && start < toWall) {
+                intervals.push({ start, end });
+            }
+        }
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const interval of intervals) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+
+    return merged.map(interval => ({
+        start: wallClockToUtc(interval.start, timeZone),
+        end: wallClockToUtc(interval.end, timeZone)
+    }));
+}
+
+function formatMinuteOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check a visit against the opening hours
+ * @param {Object} hours - parseOpeningHours result
+ * @param {Date} start - Planned arrival
+ * @param {Date} end - Planned departure
+ * @param {string} timeZone - The stop's zone
+ * @returns {{type: 'closed'|'outside', message: string}|null} null if open for the whole visit
+ */
+export function checkVisit(hours, start, end, timeZone) {
+    if (hours.alwaysOpen) return null;
+
+    const open = getOpenIntervals(hours, start, end, timeZone);
+    if (open.some(interval => interval.start <= start && interval.end >= end)) return null;
+
+    const weekday = new Date(toWallClockMs(start, timeZone)).getUTCDay();
+    const periodsThatDay = hours.periods.filter(p => Math.floor((p.start % MINUTES_PER_WEEK) / MINUTES_PER_DAY) === weekday);
+
+    if (periodsThatDay.length === 0) {
+        return { type: 'closed', message: `Closed on ${DAY_NAMES[weekday]}s` };
+    }
+
+    const times = periodsThatDay.map(p => {
+        const dayStart = p.start - (p.start % MINUTES_PER_DAY);
+        const closeMinute = p.end - dayStart;
+        // Past midnight is shown as the next day's time
+        return `${formatMinuteOfDay(p.start - dayStart)}–${formatMinuteOfDay(closeMinute === MINUTES_PER_DAY ? closeMinute : closeMinute % MINUTES_PER_DAY)}`;
+    });
+    return { type: 'outside', message: `Outside opening hours (${DAY_NAMES[weekday]} ${times.join(', ')})` };
+}
+
+/**
+ * Day stops planned outside their opening hours or on closed days
+ * @param {Array} timelineStops - Timeline stops (with openingHours from the itinerary)
+ * @param {string} routeStartUtc - Route start datetime (ISO string)
+ * @param {string} timeZone - Route time zone the timeline coordinates are in
+ * @returns {Array<{index: number, routePlaceId: number, name: string, type: string, message: string}>}
+ */
+export function evaluateOpeningHours(timelineStops, routeStartUtc, timeZone = 'UTC') {
+    if (!routeStartUtc) return [];
+
+    const issues = [];
+    timelineStops.forEach((stop, index) => {
+        if (stop.stopType !== 1) return; // Day stops only - overnight stops and waypoints don't need a place to be open
+
+        const hours = parseOpeningHours(stop.openingHours);
+        if (!hours) return;
+
+        const { startUtc, endUtc } = timelineCoordsToUTC(stop.startT, stop.endT, routeStartUtc, timeZone);
+        const issue = checkVisit(hours, new Date(startUtc), new Date(endUtc), getStopTimeZone(stop, timeZone));
+        if (issue) {
+            issues.push({ index, routePlaceId: stop.routePlaceId, name: stop.name, ...issue });
+        }
+    });
+
+    return issues;
+}
@@ -0,0 +1,64 @@
+/**
+ * Playback - Where the trip is at a point on the timeline
+ *
+ * While a leg is driven the position is interpolated along the leg geometry
+ * by the share of its planned time (plannedStart → plannedEnd) that has
+ * passed. Otherwise the trip is at the stop it last arrived at.
+ */
+
+import { pointAlongLine } from './drivingLimits.js';
+
+/**
+ * Trip position at a timeline coordinate
+ * @param {number} t - Timeline coordinate (days)
+ * @param {Array} timelineStops - With latitude/longitude
+ * @param {Array} timelineLegs
+ * @param {Function} getLegPath - (leg) => [[lat, lng], ...] or null (straight line between the stops)
+ * @returns {{latLng: [number, number], leg: Object|null, stop: Object|null}|null}
+ *          leg while driving, stop otherwise - null without stop coordinates
+ */
+export function getTripPosition(t, timelineStops, timelineLegs, getLegPath) {
+    const stops = timelineStops.filter(s => s.latitude != null && s.longitude != null);
+    if (stops.length === 0) return null;
+
+    const leg = timelineLegs.find(l => l.startT <= t && t < l.endT);
+    if (leg) {
+        const from = stops.find(s => s.routePlaceId === leg.fromRoutePlaceId);
+        const to = stops.find(s => s.routePlaceId === leg.toRoutePlaceId);
+        const path = getLegPath(leg)
+            || (from && to ? [[from.latitude, from.longitude], [to.latitude, to.longitude]] : null);
+        if (path) {
+            return { latLng: pointAlongLine(path, (t - leg.startT) / (leg.endT - leg.startT)), leg, stop: null };
+        }
+    }
+
+    const stop = findStopAt(t, stops, timelineLegs);
+    return { latLng: [stop.latitude, stop.longitude], leg: null, stop };
+}
+
+/**
+ * The stop the trip is at: the one planned at t, else the destination of the
+ * last leg driven before t, else the first stop
+ */
+function findStopAt(t, stops, timelineLegs) {
+    const planned = stops.find(s => s.startT <= t && t <= s.endT);
+    if (planned) return planned;
+
+    const lastLeg = timelineLegs
+        .filter(l => l.endT <= t)
+        .reduce((last, l) => (!last || l.endT > last.endT ? l : last), null);
+    const arrived = lastLeg && stops.find(s => s.routePlaceId === lastLeg.toRoutePlaceId);
+    if (arrived) return arrived;
+
+    return [...stops].sort((a, b) => a.startT - b.startT)[0];
+}
+
+/**
+ * First leg arriving in (fromT, toT]
+ * @returns {Object|null} Timeline leg
+ */
+export function findArrivalBetween(fromT, toT, timelineLegs) {
+    return timelineLegs
+        .filter(l => l.endT > fromT && l.endT <= toT)
+        .reduce((first, l) => (!first || l.endT < first.endT ? l : first), null);
+}
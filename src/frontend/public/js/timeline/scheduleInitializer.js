@@ -1,4 +1,8 @@
 import { ApiService } from '../api.js';
+import { isValidTimeZone, toZonedInputValues, fromZonedInputValues } from '../timeZoneUtils.js';
+import { getRouteTimeZone, getStopTimeZone } from './timelineMapper.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 /**
  * Auto-initialize schedule for routes that don't have schedule data
@@ -19,9 +23,12 @@ export async function initializeScheduleIfNeeded(routeId, route) {
     // Check if route has StartDateTime in schedule settings
     if (!itinerary.scheduleSettings?.startDateTime) {
         console.log('Route has no start date time, initializing...');
-        const startDateTime = calculateDefaultStart(route);
+        const timeZoneId = getInitialRouteTimeZone(itinerary);
+        const startDateTime = calculateDefaultStart(route, timeZoneId);
         await ApiService.updateRouteScheduleSettings(routeId, {
-            timeZoneId: route.timeZoneId || "Europe/Berlin",
+            ...itinerary.scheduleSettings, // Keep driving limits
+            timeZoneId,
+            timeZoneIsDerived: true, // The first stop added later may still set the zone
             startDateTime: startDateTime.toISOString(),
             endDateTime: route.endDateTime || null,
             defaultArrivalTime: route.defaultArrivalTime || null,
@@ -56,23 +63,32 @@ export async function initializeScheduleIfNeeded(routeId, route) {
     console.log('Schedule initialization complete');
 }
 
+/**
+ * Time zone for a route without schedule settings: the zone of its first stop
+ * (detected from coordinates), otherwise the browser's zone
+ * @param {Object} itinerary - Itinerary object with places
+ * @returns {string} IANA zone id
+ */
+function getInitialRouteTimeZone(itinerary) {
+    const firstStop = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex)[0];
+    const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    return getStopTimeZone(firstStop, isValidTimeZone(browserTimeZone) ? browserTimeZone : 'UTC');
+}
+
 /**
  * Calculate default start date/time for a route
  * @param {Object} route - Route object
- * @returns {Date} Default start date/time
+ * @param {string} timeZone - Route time zone
+ * @returns {Date} Default start date/time (today, local time in the route zone)
  */
-function calculateDefaultStart(route) {
-    const now = new Date();
+function calculateDefaultStart(route, timeZone) {
+    const today = toZonedInputValues(new Date(), timeZone).date;
 
     // Use default arrival time if set, otherwise 09:00
-    if (route.defaultArrivalTime) {
-        const [hours, minutes] = route.defaultArrivalTime.split(':').map(Number);
-        now.setHours(hours, minutes, 0, 0);
-    } else {
-        now.setHours(9, 0, 0, 0); // Default to 09:00
-    }
+    const time = route.defaultArrivalTime ? route.defaultArrivalTime.slice(0, 5) : '09:00';
 
-    return now;
+    return fromZonedInputValues(today, time, timeZone);
 }
 
 /**
@@ -90,7 +106,15 @@ async function generateDefaultStopSchedules(routeId, itinerary) {
     const startDateTime = itinerary.scheduleSettings?.startDateTime
         ? new Date(itinerary.scheduleSettings.startDateTime)
         : new Date();
-    console.log(`Generating schedules starting from: ${startDateTime.toISOString()}`);
+    const timeZone = getRouteTimeZone(itinerary);
+    const startDate = toZonedInputValues(startDateTime, timeZone).date;
+    console.log(`Generating schedules starting from: ${startDateTime.toISOString()} (${timeZone})`);
+
+    // Local 09:00 in the route zone, dayOffset days after the start date
+    const localMorning = (dayOffset) => {
+        const date = new Date(Date.parse(`${startDate}T00:00:00Z`) + dayOffset * MS_PER_DAY);
+        return fromZonedInputValues(date.toISOString().slice(0, 10), '09:00', timeZone);
+    };
 
     // Only initialize places that don't have a schedule yet
     const placesWithoutSchedule = itinerary.places.filter(p => !p.plannedStart);
@@ -107,20 +131,14 @@ async function generateDefaultStopSchedules(routeId, itinerary) {
         // Use the place's orderIndex for day offset
         const dayOffset = place.orderIndex;
 
-        const plannedStart = new Date(startDateTime);
-        plannedStart.setDate(plannedStart.getDate() + dayOffset);
-        plannedStart.setHours(9, 0, 0, 0); // 09:00 arrival
-
-        const plannedEnd = new Date(plannedStart);
+        const plannedStart = localMorning(dayOffset); // 09:00 arrival
 
         // Default: Overnight = 1 night (next day 09:00), DayStop = 2 hours
         const stopType = 0; // Overnight enum value
 
-        if (stopType === 0) { // Overnight
-            plannedEnd.setDate(plannedEnd.getDate() + 1); // Next day 09:00
-        } else {
-            plannedEnd.setHours(plannedEnd.getHours() + 2); // 2 hours later
-        }
+        const plannedEnd = stopType === 0
+            ? localMorning(dayOffset + 1) // Next day 09:00
+            : new Date(plannedStart.getTime() + 2 * 60 * 60 * 1000); // 2 hours later
 
         console.log(`Setting schedule for place ${place.orderIndex + 1} (${place.placeName}): ${plannedStart.toISOString()} to ${plannedEnd.toISOString()}`);
 
@@ -0,0 +1,175 @@
+/**
+ * Sun Times - Local sunrise/sunset calculation (no network) for night shading
+ *
+ * Uses the sunrise equation (NOAA-style approximation, accurate to about a
+ * minute) with the standard -0.833° altitude for refraction and the sun's
+ * radius. Results are converted to timeline coordinates so night periods can
+ * be drawn on the day grid and compared with leg times.
+ */
+
+import { getTimelineDayDate, utcToTimelineT } from './timelineMapper.js';
+
+const RAD = Math.PI / 180;
+const J1970 = 2440587.5;
+const J2000 = 2451545;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SUN_ALTITUDE = -0.833; // Degrees - sun's upper edge on the horizon, with refraction
+const EARTH_TILT = 23.4397;
+
+function toJulian(ms) {
+    return ms / MS_PER_DAY + J1970;
+}
+
+function fromJulian(julian) {
+    return new Date((julian - J1970) * MS_PER_DAY);
+}
+
+/**
+ * Sunrise and sunset on a calendar date
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @param {number} day - Day of month
+ * @param {number} latitude
+ * @param {number} longitude - East positive
+ * @returns {{sunrise: Date|null, sunset: Date|null, alwaysUp: boolean, alwaysDown: boolean}}
+ *          sunrise/sunset are null during polar day (alwaysUp) or polar night (alwaysDown)
+ */
+export function getSunTimes(year, month, day, latitude, longitude) {
+    // Days since J2000 at noon UTC of the date, shifted to local mean solar noon
+    const n = Math.round(toJulian(Date.UTC(year, month, day, 12)) - J2000);
+    const meanNoon = n - longitude / 360;
+
+    const meanAnomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+    const M = meanAnomaly * RAD;
+    const center = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+    const eclipticLongitude = ((meanAnomaly + center + 180 + 102.9372) % 360) * RAD;
+
+    const transit = J2000 + meanNoon + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(EARTH_TILT * RAD));
+
+    const cosHourAngle = (Math.sin(SUN_ALTITUDE * RAD) - Math.sin(latitude * RAD) * Math.sin(declination))
+        / (Math.cos(latitude * RAD) * Math.cos(declination));
+
+    if (cosHourAngle < -1) return { sunrise: null, sunset: null, alwaysUp: true, alwaysDown: false };
+    if (cosHourAngle > 1) return { sunrise: null, sunset: null, alwaysUp: false, alwaysDown: true };
+
+    const hourAngle = Math.acos(cosHourAngle) / RAD;
+    return {
+        sunrise: fromJulian(transit - hourAngle / 360),
+        sunset: fromJulian(transit + hourAngle / 360),
+        alwaysUp: false,
+        alwaysDown: false
+    };
+}
+
+/**
+ * Daylight of a timeline day, in timeline coordinates
+ * @param {number} dayIndex - 0-based day index
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} routeStartUtc - Route start datetime (ISO string)
+ * @param {string} timeZone - Route time zone the timeline is drawn in
+ * @returns {{sunriseT: number, sunsetT: number}|null} null during polar night
+ *          (polar day returns the whole day)
+ */
+export function getDaylightT(dayIndex, latitude, longitude, routeStartUtc, timeZone = 'UTC') {
+    const date = getTimelineDayDate(dayIndex, routeStartUtc, timeZone);
+    const sun = getSunTimes(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), latitude, longitude);
+
+    if (sun.alwaysDown) return null;
+    if (sun.alwaysUp) return { sunriseT: dayIndex, sunsetT: dayIndex + 1 };
+
+    return {
+        sunriseT: utcToTimelineT(sun.sunrise, routeStartUtc, timeZone),
+        sunsetT: utcToTimelineT(sun.sunset, routeStartUtc, timeZone)
+    };
+}
+
+/**
+ * Night periods at a location between two timeline days
+ * @param {number} fromDay - First day index
+ * @param {number} toDay - Last day index (inclusive)
+ * @returns {Array<{startT: number, endT: number}>}
+ */
+export function getNightIntervalsT(fromDay, toDay, latitude, longitude, routeStartUtc, timeZone = 'UTC') {
+    const daylight = [];
+    for (let day = fromDay; day <= toDay; day++) {
+        const light = getDaylightT(day, latitude, longitude, routeStartUtc, timeZone);
+        if (light) daylight.push(light);
+    }
+
+    // Night is everything between the daylight periods
+    const nights = [];
+    let nightStart = fromDay;
+    for (const { sunriseT, sunsetT } of daylight) {
+        if (sunriseT > nightStart) nights.push({ startT: nightStart, endT: sunriseT });
+        nightStart = Math.max(nightStart, sunsetT);
+    }
+    if (nightStart < toDay + 1) nights.push({ startT: nightStart, endT: toDay + 1 });
+
+    return nights;
+}
+
+/**
+ * Where the trip is around noon of a timeline day: the stop visited then, the
+ * middle of the leg driven then, or else the last stop reached before
+ * @param {number} dayIndex
+ * @param {Array} timelineStops - With latitude/longitude
+ * @param {Array} timelineLegs
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export function getLocationForDay(dayIndex, timelineStops, timelineLegs) {
+    const stops = timelineStops.filter(s => s.latitude != null && s.longitude != null);
+    if (stops.length === 0) return null;
+
+    const noon = dayIndex + 0.5;
+    const stop = stops.find(s => s.startT <= noon && s.endT >= noon);
+    if (stop) return { latitude: stop.latitude, longitude: stop.longitude };
+
+    const leg = timelineLegs.find(l => l.startT <= noon && l.endT >= noon);
+    const legLocation = leg ? getLegLocation(leg, stops) : null;
+    if (legLocation) return legLocation;
+
+    const reached = stops.filter(s => s.startT <= noon).sort((a, b) => b.startT - a.startT)[0] || stops[0];
+    return { latitude: reached.latitude, longitude: reached.longitude };
+}
+
+/**
+ * Middle between a leg's stops
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function getLegLocation(leg, timelineStops) {
+    const from = timelineStops.find(s => s.routePlaceId === leg.fromRoutePlaceId);
+    const to = timelineStops.find(s => s.routePlaceId === leg.toRoutePlaceId);
+    if (from?.latitude == null || to?.latitude == null) return null;
+    return {
+        latitude: (from.latitude + to.latitude) / 2,
+        longitude: (from.longitude + to.longitude) / 2
+    };
+}
+
+/**
+ * How much of a leg's planned time is in darkness (at the middle of the leg)
+ * @param {Object} leg - Timeline leg
+ * @param {Array} timelineStops
+ * @param {string} routeStartUtc - Route start datetime (ISO string)
+ * @param {string} timeZone - Route time zone
+ * @returns {number} Minutes
+ */
+export function getDarkMinutes(leg, timelineStops, routeStartUtc, timeZone = 'UTC') {
+    const location = getLegLocation(leg, timelineStops);
+    if (!location || !routeStartUtc) return 0;
+
+    const nights = getNightIntervalsT(
+        Math.floor(leg.startT),
+        Math.floor(leg.endT),
+        location.latitude,
+        location.longitude,
+        routeStartUtc,
+        timeZone
+    );
+
+    const darkDays = nights.reduce((sum, night) =>
+        sum + Math.max(0, Math.min(night.endT, leg.endT) - Math.max(night.startT, leg.startT)), 0);
+    return Math.round(darkDays * 24 * 60);
+}
@@ -1,9 +1,81 @@
 /**
  * Timeline Mapper - Convert backend itinerary data to timeline coordinates
+ *
+ * Timeline coordinates are float days of wall-clock time in the route's time
+ * zone: t = 0 is local midnight of the first route day, t = 1.5 is noon of the
+ * second day. Days are always 24 hours long on the axis, so DST changes shift
+ * the UTC instants, not the grid. Conversion back to UTC only happens on save.
  */
 
+import {
+    isValidTimeZone,
+    toWallClockMs,
+    wallClockToUtc,
+    getTimeZoneAbbreviation
+} from '../timeZoneUtils.js';
+
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+/**
+ * Time zone the timeline is drawn in
+ * @param {Object} itinerary - Route itinerary from backend
+ * @returns {string} IANA zone id from the route schedule settings, "UTC" if missing or unknown
+ */
+export function getRouteTimeZone(itinerary) {
+    const timeZone = itinerary?.scheduleSettings?.timeZoneId;
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Local time zone of a stop: the manual override, else the zone detected from its coordinates
+ * @param {Object} stop - Itinerary place or timeline stop (timeZoneId, detectedTimeZoneId)
+ * @param {string|null} fallback - Returned if the stop has no valid zone (e.g. the route zone)
+ * @returns {string|null} IANA zone id
+ */
+export function getStopTimeZone(stop, fallback = null) {
+    if (isValidTimeZone(stop?.timeZoneId)) return stop.timeZoneId;
+    if (isValidTimeZone(stop?.detectedTimeZoneId)) return stop.detectedTimeZoneId;
+    return fallback;
+}
+
+/**
+ * Wall-clock milliseconds of t = 0 (local midnight of the route start day)
+ * @param {string|Date} routeStartUtc - Route start datetime
+ * @param {string} timeZone - Route time zone
+ * @returns {number}
+ */
+function getTimelineOrigin(routeStartUtc, timeZone) {
+    const wallClock = toWallClockMs(new Date(routeStartUtc), timeZone);
+    return Math.floor(wallClock / MS_PER_DAY) * MS_PER_DAY;
+}
+
+/**
+ * Timeline coordinate of an instant
+ */
+function instantToT(date, origin, timeZone) {
+    return (toWallClockMs(date, timeZone) - origin) / MS_PER_DAY;
+}
+
+/**
+ * Instant of a timeline coordinate
+ */
+function tToInstant(t, origin, timeZone) {
+    // Round to the minute so float days don't turn 09:00 into 08:59:59.999
+    const wallClock = Math.round((origin + t * MS_PER_DAY) / 60000) * 60000;
+    return wallClockToUtc(wallClock, timeZone);
+}
+
+/**
+ * Calendar date of a timeline day
+ * @param {number} dayIndex - 0-based day index
+ * @param {string} routeStartUtc - Route start datetime (ISO string)
+ * @param {string} timeZone - Route time zone
+ * @returns {Date} Local midnight of that day as wall-clock time - read it with getUTC* methods
+ */
+export function getTimelineDayDate(dayIndex, routeStartUtc, timeZone = 'UTC') {
+    return new Date(getTimelineOrigin(routeStartUtc, timeZone) + dayIndex * MS_PER_DAY);
+}
+
 /**
  * Map itinerary data from backend to timeline stops with calendar-date-based coordinates
  * @param {Object} itinerary - Route itinerary from backend
@@ -19,41 +91,36 @@ export function mapItineraryToTimelineStops(itinerary) {
         ? new Date(itinerary.scheduleSettings.startDateTime)
         : new Date(); // Fallback (shouldn't happen with auto-init)
 
-    // Get the calendar date of route start (at midnight UTC)
-    const routeStartDate = new Date(Date.UTC(
-        routeStart.getUTCFullYear(),
-        routeStart.getUTCMonth(),
-        routeStart.getUTCDate(),
-        0, 0, 0, 0
-    ));
+    const timeZone = getRouteTimeZone(itinerary);
+    const origin = getTimelineOrigin(routeStart, timeZone);
 
-    console.log(`Mapping ${itinerary.places.length} stops, route start: ${routeStart.toISOString()}, route start date (midnight): ${routeStartDate.toISOString()}`);
+    console.log(`Mapping ${itinerary.places.length} stops, route start: ${routeStart.toISOString()}, time zone: ${timeZone}`);
 
     return itinerary.places.map((stop, idx) => {
         const start = stop.plannedStart ? new Date(stop.plannedStart) : null;
-        let end = stop.plannedEnd ? new Date(stop.plannedEnd) : null;
+        const end = stop.plannedEnd ? new Date(stop.plannedEnd) : null;
+
+        // Calculate calendar-date-based coordinates
+        // startT = day index (0-based) + fraction of day (local time-of-day as 0.0-1.0)
+        // Day 0 = first calendar date, Day 1 = second calendar date, etc.
+        const startT = start
+            ? instantToT(start, origin, timeZone)
+            : idx; // Fallback to sequential
+        let endT = end
+            ? instantToT(end, origin, timeZone)
+            : (idx + 1);
 
         // Fallback calculation if plannedEnd missing
         if (start && !end) {
-            if (stop.stopType === 0 && stop.stayNights != null) { // Overnight
-                end = new Date(start.getTime() + stop.stayNights * MS_PER_DAY);
+            if (stop.stopType === 0 && stop.stayNights != null) { // Overnight - same local time N days later
+                endT = startT + stop.stayNights;
             } else if (stop.stayDurationMinutes != null) {
-                end = new Date(start.getTime() + stop.stayDurationMinutes * 60 * 1000);
+                endT = instantToT(new Date(start.getTime() + stop.stayDurationMinutes * 60 * 1000), origin, timeZone);
             } else {
-                end = new Date(start.getTime() + 2 * 60 * 60 * 1000); // 2h default
+                endT = instantToT(new Date(start.getTime() + 2 * 60 * 60 * 1000), origin, timeZone); // 2h default
             }
         }
 
-        // Calculate calendar-date-based coordinates
-        // startT = day index (0-based) + fraction of day (time-of-day as 0.0-1.0)
-        // Day 0 = first calendar date, Day 1 = second calendar date, etc.
-        const startT = start
-            ? (start.getTime() - routeStartDate.getTime()) / MS_PER_DAY
-            : idx; // Fallback to sequential
-        const endT = end
-            ? (end.getTime() - routeStartDate.getTime()) / MS_PER_DAY
-            : (idx + 1);
-
         const timelineStop = {
             routePlaceId: stop.id,
             placeId: stop.placeId,
@@ -65,6 +132,9 @@ export function mapItineraryToTimelineStops(itinerary) {
             color: 'color-2',
             startT: Math.max(0, startT), // Clamp to valid range
             endT: Math.max(startT + 0.05, endT), // Ensure minimum duration (~1.2 hours)
+            timeZoneId: stop.timeZoneId || null, // Manual override, saved back as-is
+            detectedTimeZoneId: stop.detectedTimeZoneId || null, // From the stop's coordinates
+            openingHours: stop.openingHours || null, // Google opening hours JSON (see openingHours.js)
 
             // Store original times for saving back
             originalStart: stop.plannedStart,
@@ -95,13 +165,8 @@ export function mapItineraryToTimelineLegs(itinerary, timelineStops) {
         ? new Date(itinerary.scheduleSettings.startDateTime)
         : new Date();
 
-    // Get the calendar date of route start (at midnight UTC)
-    const routeStartDate = new Date(Date.UTC(
-        routeStart.getUTCFullYear(),
-        routeStart.getUTCMonth(),
-        routeStart.getUTCDate(),
-        0, 0, 0, 0
-    ));
+    const timeZone = getRouteTimeZone(itinerary);
+    const origin = getTimelineOrigin(routeStart, timeZone);
 
     console.log(`Mapping ${itinerary.legs.length} legs`);
 
@@ -119,8 +184,8 @@ export function mapItineraryToTimelineLegs(itinerary, timelineStops) {
             // Use saved schedule times
             const start = new Date(leg.plannedStart);
             const end = new Date(leg.plannedEnd);
-            startT = (start.getTime() - routeStartDate.getTime()) / MS_PER_DAY;
-            endT = (end.getTime() - routeStartDate.getTime()) / MS_PER_DAY;
+            startT = instantToT(start, origin, timeZone);
+            endT = instantToT(end, origin, timeZone);
         } else {
             // Derive from adjacent places: leg starts when fromPlace ends
             // Duration is FIXED based on driving time, not the gap between places
@@ -137,6 +202,7 @@ export function mapItineraryToTimelineLegs(itinerary, timelineStops) {
             toPlaceName: toStop?.name || 'Unknown',
             distanceMeters: leg.distanceMeters,
             durationSeconds: leg.durationSeconds,
+            mode: leg.mode ?? 0,
             startT: Math.max(0, startT),
             endT: Math.max(startT + 0.01, endT), // Ensure minimum duration
             originalStart: leg.plannedStart,
@@ -175,59 +241,57 @@ export function calculateTotalDays(timelineStops) {
  * @param {number} startT - Start time in float days (from first calendar date midnight)
  * @param {number} endT - End time in float days (from first calendar date midnight)
  * @param {string} routeStartUtc - Route start datetime (ISO string)
+ * @param {string} timeZone - Route time zone the coordinates are in
  * @returns {Object} {startUtc, endUtc} ISO timestamp strings
  */
-export function timelineCoordsToUTC(startT, endT, routeStartUtc) {
-    const routeStart = new Date(routeStartUtc);
-
-    // Get the calendar date of route start (at midnight UTC)
-    const routeStartDate = new Date(Date.UTC(
-        routeStart.getUTCFullYear(),
-        routeStart.getUTCMonth(),
-        routeStart.getUTCDate(),
-        0, 0, 0, 0
-    ));
-
-    const startUtc = new Date(routeStartDate.getTime() + startT * MS_PER_DAY);
-    const endUtc = new Date(routeStartDate.getTime() + endT * MS_PER_DAY);
+export function timelineCoordsToUTC(startT, endT, routeStartUtc, timeZone = 'UTC') {
+    const origin = getTimelineOrigin(routeStartUtc, timeZone);
 
     return {
-        startUtc: startUtc.toISOString(),
-        endUtc: endUtc.toISOString()
+        startUtc: tToInstant(startT, origin, timeZone).toISOString(),
+        endUtc: tToInstant(endT, origin, timeZone).toISOString()
     };
 }
 
+/**
+ * Timeline coordinate of a UTC instant
+ * @param {string|Date} date - Instant
+ * @param {string} routeStartUtc - Route start datetime (ISO string)
+ * @param {string} timeZone - Route time zone the coordinates are in
+ * @returns {number} Float days from the first calendar date midnight
+ */
+export function utcToTimelineT(date, routeStartUtc, timeZone = 'UTC') {
+    return instantToT(new Date(date), getTimelineOrigin(routeStartUtc, timeZone), timeZone);
+}
+
 /**
  * Format a float day value to a human-readable string with calendar date and time
  * @param {number} t - Time in float days (from first calendar date midnight)
  * @param {number} totalDays - Total days in timeline
  * @param {string} routeStartUtc - Route start datetime (ISO string)
- * @returns {string} Formatted string like "Dec 26 · 09:00"
+ * @param {string} timeZone - Route time zone the coordinates are in
+ * @param {string|null} displayTimeZone - Show the time in this zone instead (e.g. the stop's), with its abbreviation
+ * @returns {string} Formatted string like "Dec 26 · 09:00" or "Dec 26 · 21:00 GMT+13"
  */
-export function formatDayTime(t, totalDays, routeStartUtc) {
+export function formatDayTime(t, totalDays, routeStartUtc, timeZone = 'UTC', displayTimeZone = null) {
     // Calculate absolute time
     if (routeStartUtc) {
-        const routeStart = new Date(routeStartUtc);
-
-        // Get the calendar date of route start (at midnight UTC)
-        const routeStartDate = new Date(Date.UTC(
-            routeStart.getUTCFullYear(),
-            routeStart.getUTCMonth(),
-            routeStart.getUTCDate(),
-            0, 0, 0, 0
-        ));
+        const instant = tToInstant(t, getTimelineOrigin(routeStartUtc, timeZone), timeZone);
+        const zone = isValidTimeZone(displayTimeZone) ? displayTimeZone : timeZone;
 
-        const absoluteTime = new Date(routeStartDate.getTime() + t * MS_PER_DAY);
+        // Wall-clock time in the display zone, read with getUTC*
+        const localTime = new Date(toWallClockMs(instant, zone));
 
         // Format as "Month Day · HH:MM"
         const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
                            'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const month = monthNames[absoluteTime.getUTCMonth()];
-        const day = absoluteTime.getUTCDate();
-        const hh = String(absoluteTime.getUTCHours()).padStart(2, '0');
-        const mm = String(absoluteTime.getUTCMinutes()).padStart(2, '0');
+        const month = monthNames[localTime.getUTCMonth()];
+        const day = localTime.getUTCDate();
+        const hh = String(localTime.getUTCHours()).padStart(2, '0');
+        const mm = String(localTime.getUTCMinutes()).padStart(2, '0');
+        const suffix = zone !== timeZone ? ` ${getTimeZoneAbbreviation(instant, zone)}` : '';
 
-        return `${month} ${day} · ${hh}:${mm}`;
+        return `${month} ${day} · ${hh}:${mm}${suffix}`;
     } else {
         // Fallback to Day N format if no route start provided
         const dayIndex = Math.floor(t) + 1;
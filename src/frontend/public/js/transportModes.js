@@ -0,0 +1,36 @@
+/**
+ * Transport Modes
+ * How a leg is travelled (TransportMode enum of the backend). Only drive legs
+ * are routed with OSRM and count towards driving totals and limits; the others
+ * have manually entered (or estimated) metrics and are drawn as a straight
+ * line between their stops.
+ */
+
+export const TRANSPORT_MODE = { DRIVE: 0, FERRY: 1, FLIGHT: 2, WALK: 3, BIKE: 4, MANUAL: 5 };
+
+export const TRANSPORT_MODES = [
+    { value: TRANSPORT_MODE.DRIVE, label: 'Drive', icon: 'fa-car' },
+    { value: TRANSPORT_MODE.FERRY, label: 'Ferry', icon: 'fa-ship', color: '#2A9D8F', dashArray: '12, 8' },
+    { value: TRANSPORT_MODE.FLIGHT, label: 'Flight', icon: 'fa-plane', color: '#6C757D', dashArray: '2, 10' },
+    { value: TRANSPORT_MODE.WALK, label: 'Walk', icon: 'fa-person-walking', color: '#8D6E63', dashArray: '4, 8' },
+    { value: TRANSPORT_MODE.BIKE, label: 'Bike', icon: 'fa-bicycle', color: '#588157', dashArray: '8, 8' },
+    { value: TRANSPORT_MODE.MANUAL, label: 'Manual', icon: 'fa-route', color: '#7B2CBF', dashArray: '12, 8' }
+];
+
+/**
+ * Mode entry of a leg (drive for legs from before transport modes)
+ * @param {number|null|undefined} mode
+ * @returns {Object} { value, label, icon, color, dashArray }
+ */
+export function getTransportMode(mode) {
+    return TRANSPORT_MODES.find(m => m.value === mode) || TRANSPORT_MODES[0];
+}
+
+/**
+ * Whether a leg is driven (route leg or timeline leg)
+ * @param {Object} leg - With mode
+ * @returns {boolean}
+ */
+export function isDrivingLeg(leg) {
+    return (leg.mode ?? TRANSPORT_MODE.DRIVE) === TRANSPORT_MODE.DRIVE;
+}
@@ -0,0 +1,326 @@
+/**
+ * Undo Manager
+ * Undo/redo history for route and schedule edits (timeline drags, reorders,
+ * removing places, conflict reorders, leg transport modes).
+ *
+ * An edit is wrapped in track(): the route state is read before and after it,
+ * and the API operations that turn one state into the other are recorded as
+ * the undo and redo steps. Operations reference stops by placeId and legs by
+ * their from/to places, because removing and re-adding a place or reordering
+ * creates new RoutePlace and leg ids; the ids are resolved when replaying.
+ *
+ * History is kept per route and cleared on reload.
+ */
+
+import { ApiService } from './api.js';
+import { CONFIG } from './config.js';
+import { showError, showInfo } from './utils.js';
+import { notificationManager } from './notificationManager.js';
+
+const SCHEDULE_FIELDS = [
+    'stopType',
+    'timeZoneId',
+    'plannedStart',
+    'plannedEnd',
+    'stayNights',
+    'stayDurationMinutes',
+    'isStartLocked',
+    'isEndLocked'
+];
+
+/**
+ * Compare two values of a schedule field (timestamps by instant, not by string format)
+ */
+function sameValue(a, b) {
+    if (a == null || b == null) return a == null && b == null;
+    if (typeof a === 'string' && typeof b === 'string' && !isNaN(Date.parse(a)) && !isNaN(Date.parse(b))) {
+        return Date.parse(a) === Date.parse(b);
+    }
+    return a === b;
+}
+
+/**
+ * Editable state of a route, taken from its itinerary
+ * @param {Object} itinerary - Route itinerary
+ * @returns {{order: number[], schedules: Map<number, Object>, legs: Map<string, Object>}}
+ *          Stop order as placeIds, schedules by placeId, leg times and transport modes by "fromPlaceId>toPlaceId"
+ */
+export function captureRouteState(itinerary) {
+    const places = [...(itinerary.places || [])].sort((a, b) => a.orderIndex - b.orderIndex);
+    const placeIdByRoutePlaceId = new Map(places.map(p => [p.id, p.placeId]));
+
+    const schedules = new Map(places.map(p => [
+        p.placeId,
+        Object.fromEntries(SCHEDULE_FIELDS.map(field => [field, p[field] ?? null]))
+    ]));
+
+    const legs = new Map();
+    for (const leg of itinerary.legs || []) {
+        const key = `${placeIdByRoutePlaceId.get(leg.fromRoutePlaceId)}>${placeIdByRoutePlaceId.get(leg.toRoutePlaceId)}`;
+        legs.set(key, {
+            plannedStart: leg.plannedStart ?? null,
+            plannedEnd: leg.plannedEnd ?? null,
+            mode: leg.mode ?? 0,
+            // Metrics of legs that aren't driven are entered by hand, driven ones come from OSRM
+            distanceMeters: leg.mode ? leg.distanceMeters : null,
+            durationSeconds: leg.mode ? leg.durationSeconds : null
+        });
+    }
+
+    return { order: places.map(p => p.placeId), schedules, legs };
+}
+
+/**
+ * API operations that turn route state `from` into route state `to`
+ * @param {number} routeId
+ * @param {Object} from - captureRouteState result
+ * @param {Object} to - captureRouteState result
+ * @returns {Array<Object>} Operations in execution order
+ */
+export function diffRouteStates(routeId, from, to) {
+    const operations = [];
+    const fromIds = new Set(from.order);
+    const toIds = new Set(to.order);
+
+    // Places first - stop and leg operations below need the final set of stops
+    for (const placeId of from.order) {
+        if (!toIds.has(placeId)) operations.push({ method: 'removePlaceFromRoute', routeId, placeId });
+    }
+    const added = to.order.filter(placeId => !fromIds.has(placeId));
+    for (const placeId of added) {
+        operations.push({ method: 'addPlaceToRoute', routeId, placeId });
+    }
+
+    // Added places are appended, so the order needs fixing whenever something was added
+    const remaining = from.order.filter(placeId => toIds.has(placeId));
+    const orderChanged = added.length > 0 || remaining.some((placeId, i) => placeId !== to.order[i]);
+    if (orderChanged && to.order.length > 1) {
+        operations.push({ method: 'reorderPlaces', routeId, placeIds: [...to.order] });
+    }
+
+    for (const [placeId, schedule] of to.schedules) {
+        const previous = from.schedules.get(placeId);
+        if (!previous || SCHEDULE_FIELDS.some(field => !sameValue(previous[field], schedule[field]))) {
+            operations.push({ method: 'updateStopSchedule', routeId, placeId, dto: { ...schedule } });
+        }
+    }
+
+    // Transport modes before leg times - driving a leg again recalculates the legs
+    for (const [key, leg] of to.legs) {
+        const previous = from.legs.get(key);
+        const modeChanged = previous
+            ? previous.mode !== leg.mode || previous.distanceMeters !== leg.distanceMeters || previous.durationSeconds !== leg.durationSeconds
+            : leg.mode !== 0;
+        if (modeChanged) {
+            const [fromPlaceId, toPlaceId] = key.split('>').map(Number);
+            const { mode, distanceMeters, durationSeconds } = leg;
+            operations.push({ method: 'updateLegMode', routeId, fromPlaceId, toPlaceId, dto: { mode, distanceMeters, durationSeconds } });
+        }
+    }
+
+    for (const [key, leg] of to.legs) {
+        if (!leg.plannedStart || !leg.plannedEnd) continue;
+        const previous = from.legs.get(key);
+        if (!previous || !sameValue(previous.plannedStart, leg.plannedStart) || !sameValue(previous.plannedEnd, leg.plannedEnd)) {
+            const [fromPlaceId, toPlaceId] = key.split('>').map(Number);
+            operations.push({ method: 'updateLegSchedule', routeId, fromPlaceId, toPlaceId, dto: { plannedStart: leg.plannedStart, plannedEnd: leg.plannedEnd } });
+        }
+    }
+
+    return operations;
+}
+
+export class UndoManager {
+    constructor(getRouteId, onChanged) {
+        this.getRouteId = getRouteId;
+        this.onChanged = onChanged; // Reload places, map and timeline after undo/redo
+        this.histories = new Map(); // routeId -> { undo: [], redo: [] }
+        this.trackingDepth = 0;
+        this.isReplaying = false;
+    }
+
+    getHistory(routeId) {
+        if (!this.histories.has(routeId)) {
+            this.histories.set(routeId, { undo: [], redo: [] });
+        }
+        return this.histories.get(routeId);
+    }
+
+    canUndo() {
+        const routeId = this.getRouteId();
+        return !!routeId && this.getHistory(routeId).undo.length > 0;
+    }
+
+    canRedo() {
+        const routeId = this.getRouteId();
+        return !!routeId && this.getHistory(routeId).redo.length > 0;
+    }
+
+    /**
+     * Forget undo/redo steps - of one route (e.g. after restoring an older version), else of all routes
+     * @param {number|null} routeId
+     */
+    clear(routeId = null) {
+        if (routeId) {
+            this.histories.delete(routeId);
+        } else {
+            this.histories.clear();
+        }
+    }
+
+    /**
+     * Run an edit of the current route and record it in the history.
+     * Nested calls (e.g. a conflict reorder triggered by a timeline drag) become part of the outer edit.
+     * @param {string} label - Shown in toasts ("Undo: <label>")
+     * @param {Function} edit - Async function performing the edit
+     * @param {Object} options
+     * @param {string} [options.successMessage] - Success toast with an "Undo" action after the edit
+     * @returns {Promise<*>} Result of edit
+     */
+    async track(label, edit, { successMessage = null } = {}) {
+        const routeId = this.getRouteId();
+        if (!routeId || this.trackingDepth > 0 || this.isReplaying) {
+            return edit();
+        }
+
+        this.trackingDepth++;
+        try {
+            let before = null;
+            try {
+                before = captureRouteState(await ApiService.getItinerary(routeId));
+            } catch (error) {
+                console.warn('Undo: could not read route state, edit will not be undoable', error);
+            }
+
+            const result = await edit();
+
+            // Edits report cancellation or failure by returning false
+            if (before && result !== false) {
+                try {
+                    const after = captureRouteState(await ApiService.getItinerary(routeId));
+                    this.record(routeId, {
+                        label,
+                        undo: diffRouteStates(routeId, after, before),
+                        redo: diffRouteStates(routeId, before, after)
+                    }, successMessage);
+                } catch (error) {
+                    console.warn(`Undo: could not record "${label}"`, error);
+                }
+            }
+
+            return result;
+        } finally {
+            this.trackingDepth--;
+        }
+    }
+
+    record(routeId, entry, successMessage) {
+        if (entry.undo.length === 0) return; // Nothing actually changed
+
+        const history = this.getHistory(routeId);
+        history.undo.push(entry);
+        if (history.undo.length > CONFIG.UNDO_HISTORY_LIMIT) {
+            history.undo.shift();
+        }
+        history.redo = [];
+
+        if (successMessage) {
+            notificationManager.success(successMessage, 6000, {
+                label: 'Undo',
+                onClick: () => this.undo()
+            });
+        }
+    }
+
+    async undo() {
+        return this.step('undo', 'redo', 'Undid', 'Nothing to undo');
+    }
+
+    async redo() {
+        return this.step('redo', 'undo', 'Redid', 'Nothing to redo');
+    }
+
+    async step(from, to, verb, emptyMessage) {
+        const routeId = this.getRouteId();
+        if (!routeId || this.isReplaying || this.trackingDepth > 0) return false;
+
+        const history = this.getHistory(routeId);
+        const entry = history[from].pop();
+        if (!entry) {
+            showInfo(emptyMessage);
+            return false;
+        }
+
+        this.isReplaying = true;
+        try {
+            await this.replay(entry[from]);
+            history[to].push(entry);
+            notificationManager.success(`${verb}: ${entry.label}`);
+            return true;
+        } catch (error) {
+            // The route changed in a way the recorded steps can't be applied to - drop its history
+            console.error(`Failed to ${from} "${entry.label}":`, error);
+            history.undo = [];
+            history.redo = [];
+            showError(`Could not ${from} "${entry.label}" – the route has changed since`);
+            return false;
+        } finally {
+            this.isReplaying = false;
+            if (this.onChanged) {
+                await this.onChanged();
+            }
+        }
+    }
+
+    /**
+     * Execute recorded operations against ApiService, resolving RoutePlace and leg ids on the way
+     */
+    async replay(operations) {
+        let itinerary = null;
+        const currentItinerary = async (routeId) => {
+            if (!itinerary) itinerary = await ApiService.getItinerary(routeId);
+            return itinerary;
+        };
+        const routePlaceIdFor = (placeId) => {
+            const stop = itinerary.places.find(p => p.placeId === placeId);
+            if (!stop) throw new Error(`Place ${placeId} is no longer in the route`);
+            return stop.id;
+        };
+
+        for (const op of operations) {
+            switch (op.method) {
+                case 'removePlaceFromRoute':
+                    await ApiService.removePlaceFromRoute(op.routeId, op.placeId);
+                    itinerary = null;
+                    break;
+                case 'addPlaceToRoute':
+                    await ApiService.addPlaceToRoute(op.routeId, op.placeId);
+                    itinerary = null;
+                    break;
+                case 'reorderPlaces':
+                    // Schedules are restored explicitly below, so don't let the backend recalculate them
+                    await ApiService.reorderPlacesWithSchedule(op.routeId, op.placeIds, false, false);
+                    itinerary = null;
+                    break;
+                case 'updateStopSchedule':
+                    await currentItinerary(op.routeId);
+                    await ApiService.updateStopSchedule(op.routeId, routePlaceIdFor(op.placeId), op.dto);
+                    break;
+                case 'updateLegMode':
+                case 'updateLegSchedule': {
+                    await currentItinerary(op.routeId);
+                    const fromId = routePlaceIdFor(op.fromPlaceId);
+                    const toId = routePlaceIdFor(op.toPlaceId);
+                    const leg = (itinerary.legs || []).find(l => l.fromRoutePlaceId === fromId && l.toRoutePlaceId === toId);
+                    // Legs are recalculated from OSRM after structural changes - skip if not there yet
+                    if (leg) await ApiService[op.method](op.routeId, leg.id, op.dto);
+                    // Driving a leg again recreates all legs with new ids
+                    if (op.method === 'updateLegMode') itinerary = null;
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown history operation: ${op.method}`);
+            }
+        }
+    }
+}
@@ -89,4 +89,64 @@ export function formatPlaceName(lat, lng) {
 
 export function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
-}
\ No newline at end of file
+}
+
+/**
+ * Turn a route name into a safe download file name (without extension)
+ * @param {string} name - Route or file name
+ * @returns {string}
+ */
+export function toSafeFileName(name) {
+    return (name || 'route').replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Download file name including extension
+ * @param {string} mimeType - MIME type used when content is a string
+ */
+export function downloadFile(content, fileName, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Escape text for use in XML documents (GPX, KML)
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Great-circle distance between two coordinates (Haversine formula)
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in meters
+ */
+export function haversineDistanceMeters(lat1, lng1, lat2, lng2) {
+    const R = 6371000; // Earth radius in meters
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(a));
+}
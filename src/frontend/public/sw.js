@@ -1,19 +1,314 @@
 // Service Worker for Roadtrip Route Planner PWA
-// Minimal implementation for PWA eligibility and share target support
+// - Precaches the app shell (HTML, JS modules, CSS, icons) for offline start
+// - Stale-while-revalidate for read-only API data (routes, itineraries, places, campsites)
+// - Tells open pages when cached data is shown because the network is unavailable
+// - Downloads map tiles for offline route corridors into an unversioned tile cache
 
-const CACHE_NAME = 'roadtrip-planner-v1';
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `roadtrip-shell-${CACHE_VERSION}`;
+const API_CACHE = `roadtrip-api-${CACHE_VERSION}`;
+const CDN_CACHE = `roadtrip-cdn-${CACHE_VERSION}`;
+// Offline map areas - not versioned so downloads survive app updates (see js/offlineTiles.js)
+const TILE_CACHE = 'roadtrip-tiles';
 
-// Install event - skip waiting to activate immediately
+// Tile server usage policies ask for few parallel connections when bulk downloading
+const TILE_DOWNLOAD_CONCURRENCY = 2;
+const TILE_PROGRESS_INTERVAL = 20;
+
+// Bumped whenever cached API reads are dropped - revalidations started before must not put old data back
+let apiCacheGeneration = 0;
+
+// App shell - keep in sync when adding modules or stylesheets
+const SHELL_ASSETS = [
+    './',
+    './index.html',
+    './itinerary.html',
+    './share.html',
+    './manifest.json',
+    './styles.css',
+    './styles/timeline.css',
+    './css/google-maps-ui.css',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-192.png',
+    './icons/icon-maskable-512.png',
+    './js/app.js',
+    './js/allPlacesManager.js',
+    './js/api.js',
+    './js/authManager.js',
+    './js/backupManager.js',
+    './js/campsiteManager.js',
+    './js/config.js',
+    './js/drivingLimitsManager.js',
+    './js/filterManager.js',
+    './js/google-maps-backend-client.js',
+    './js/importManager.js',
+    './js/itineraryPrint.js',
+    './js/legModeManager.js',
+    './js/loginModal.js',
+    './js/map.js',
+    './js/notificationManager.js',
+    './js/offlineMapManager.js',
+    './js/offlineOutbox.js',
+    './js/offlineStatus.js',
+    './js/offlineTiles.js',
+    './js/placeManager.js',
+    './js/playbackManager.js',
+    './js/routeCollaboratorManager.js',
+    './js/routeCompareManager.js',
+    './js/routeHistoryManager.js',
+    './js/routeManager.js',
+    './js/routeOptimizer.js',
+    './js/routeShareManager.js',
+    './js/routeSyncManager.js',
+    './js/searchManager.js',
+    './js/sharedTrip.js',
+    './js/swipeHandler.js',
+    './js/tagManager.js',
+    './js/timeZoneUtils.js',
+    './js/transportModes.js',
+    './js/undoManager.js',
+    './js/utils.js',
+    './js/io/geoFileParser.js',
+    './js/io/gpxExporter.js',
+    './js/io/icsExporter.js',
+    './js/timeline/AgendaView.js',
+    './js/timeline/TimelineService.js',
+    './js/timeline/conflictUI.js',
+    './js/timeline/drivingLimits.js',
+    './js/timeline/openingHours.js',
+    './js/timeline/playback.js',
+    './js/timeline/scheduleInitializer.js',
+    './js/timeline/sunTimes.js',
+    './js/timeline/timelineMapper.js'
+];
+
+// Third-party libraries loaded from CDNs (Leaflet, Font Awesome, SortableJS)
+const CDN_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+// Read-only API endpoints served stale-while-revalidate
+const CACHED_API_PATTERNS = [
+    /\/api\/routes$/,
+    /\/api\/routes\/\d+$/,
+    /\/api\/routes\/\d+\/itinerary$/,
+    /\/api\/places$/,
+    /\/api\/campsites$/,
+    /\/api\/campsites\/all$/
+];
+
+// Install - precache app shell
 self.addEventListener('install', (event) => {
-    self.skipWaiting();
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
 });
 
-// Activate event - claim all clients immediately
+// Activate - remove caches from older versions and take control immediately
 self.addEventListener('activate', (event) => {
-    event.waitUntil(clients.claim());
+    const currentCaches = [SHELL_CACHE, API_CACHE, CDN_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !currentCaches.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => clients.claim())
+    );
+});
+
+// Messages from the page
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'CLEAR_API_CACHE') {
+        // Logout - cached API data belongs to the previous user
+        apiCacheGeneration++;
+        event.waitUntil(caches.delete(API_CACHE));
+    } else if (event.data?.type === 'INVALIDATE_ROUTE_CACHE') {
+        // Another member changed a route - the page waits for the answer before reading it again
+        event.waitUntil(invalidateRouteCache(event.data.routeId, event.data.includeList).then(() => {
+            event.ports[0]?.postMessage({ type: 'ROUTE_CACHE_INVALIDATED' });
+        }));
+    } else if (event.data?.type === 'DOWNLOAD_TILES') {
+        event.waitUntil(downloadTiles(event.data.areaId, event.data.urls));
+    } else if (event.data?.type === 'CANCEL_TILE_DOWNLOAD') {
+        cancelledTileDownloads.add(event.data.areaId);
+    }
 });
 
-// Fetch event - network-first strategy (no offline caching for now)
+const cancelledTileDownloads = new Set();
+
+/**
+ * Download tiles for an offline area into TILE_CACHE, reporting progress to open pages.
+ * Tiles that are already cached (shared with another area) are not fetched again.
+ * @param {string} areaId
+ * @param {string[]} urls
+ */
+async function downloadTiles(areaId, urls) {
+    const cache = await caches.open(TILE_CACHE);
+    const queue = [...urls];
+    let done = 0;
+    let failed = 0;
+    let bytes = 0;
+
+    const worker = async () => {
+        while (queue.length > 0 && !cancelledTileDownloads.has(areaId)) {
+            const url = queue.shift();
+            try {
+                let response = await cache.match(url);
+                if (!response) {
+                    response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response.clone());
+                }
+                bytes += (await response.blob()).size;
+            } catch (error) {
+                failed++;
+            }
+
+            done++;
+            if (done % TILE_PROGRESS_INTERVAL === 0) {
+                notifyClients({ type: 'TILE_DOWNLOAD_PROGRESS', areaId, done, total: urls.length, failed, bytes });
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: TILE_DOWNLOAD_CONCURRENCY }, worker));
+
+    const cancelled = cancelledTileDownloads.delete(areaId);
+    notifyClients({ type: 'TILE_DOWNLOAD_COMPLETE', areaId, done, total: urls.length, failed, bytes, cancelled });
+}
+
 self.addEventListener('fetch', (event) => {
-    event.respondWith(fetch(event.request));
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Live sync hub (negotiate, long polling) - neither cached nor a write
+    if (url.origin === self.location.origin && url.pathname.includes('/api/hubs/')) return;
+
+    // API requests
+    if (url.origin === self.location.origin && url.pathname.includes('/api/')) {
+        if (request.method !== 'GET') {
+            // Writes make cached reads stale - drop them so the next read hits the network.
+            // Failed writes (offline) keep the cache, the page queues them in its outbox.
+            event.respondWith(fetch(request).then(async (response) => {
+                await invalidateApiCache();
+                return response;
+            }));
+            return;
+        }
+        // Explicitly uncached reads (e.g. version checks before replaying offline changes)
+        if (request.cache === 'no-store') return;
+        if (CACHED_API_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+            event.respondWith(staleWhileRevalidate(event, request, API_CACHE, true));
+        }
+        // Other API calls go straight to the network
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    // Page navigations - network first, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(async () => {
+                const cache = await caches.open(SHELL_CACHE);
+                // Share target and other query strings should still get the shell
+                return (await cache.match(request, { ignoreSearch: true })) ||
+                    (await cache.match('./index.html'));
+            })
+        );
+        return;
+    }
+
+    // Same-origin static assets
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, request, SHELL_CACHE, false));
+        return;
+    }
+
+    // CDN libraries - versioned URLs, so cache first is safe
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CDN_CACHE));
+    }
 });
+
+/**
+ * Serve from cache immediately (if available) and refresh the cache in the background
+ * @param {FetchEvent} event
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {boolean} notifyOffline - Tell pages when only cached data could be served
+ */
+async function staleWhileRevalidate(event, request, cacheName, notifyOffline) {
+    const generation = apiCacheGeneration;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const networkFetch = fetch(request)
+        .then(response => {
+            // A write invalidated the cache meanwhile - this response may predate it
+            if (response.ok && generation === apiCacheGeneration) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Keep the worker alive until revalidation finished
+        event.waitUntil(networkFetch.catch(() => {
+            if (notifyOffline) notifyClients({ type: 'OFFLINE_CACHED_DATA', url: request.url });
+        }));
+        return cached;
+    }
+
+    try {
+        return await networkFetch;
+    } catch (error) {
+        return new Response(JSON.stringify({ message: 'Offline and no cached data available' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque (no-cors) responses have status 0 but are still usable for scripts/styles
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function invalidateApiCache() {
+    apiCacheGeneration++;
+    const cache = await caches.open(API_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.map(key => cache.delete(key)));
+}
+
+/**
+ * Drop the cached reads of one route (and the route list) - other routes stay available offline
+ */
+async function invalidateRouteCache(routeId, includeList) {
+    apiCacheGeneration++;
+    const routePattern = new RegExp(`/api/routes/${Number(routeId)}(/itinerary)?$`);
+    const cache = await caches.open(API_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys
+        .filter(key => {
+            const pathname = new URL(key.url).pathname;
+            return routePattern.test(pathname) || (includeList && /\/api\/routes$/.test(pathname));
+        })
+        .map(key => cache.delete(key)));
+}
+
+async function notifyClients(message) {
+    const windows = await clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,38 @@
+/**
+ * DST transitions of known dates - calendar exports rely on them being exact.
+ * Run with: node --experimental-default-type=module --test src/frontend/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findOffsetTransitions } from '../public/js/timeZoneUtils.js';
+
+test('finds the spring and autumn changes of Europe/Berlin on the exact minute', () => {
+    // Start at an odd instant - the result must not inherit its seconds
+    const transitions = findOffsetTransitions(
+        new Date('2026-01-10T13:37:42.123Z'),
+        new Date('2026-12-20T00:00:00Z'),
+        'Europe/Berlin'
+    );
+
+    assert.deepEqual(
+        transitions.map(t => ({ at: t.at.toISOString(), offsetFrom: t.offsetFrom, offsetTo: t.offsetTo })),
+        [
+            { at: '2026-03-29T01:00:00.000Z', offsetFrom: 60, offsetTo: 120 },
+            { at: '2026-10-25T01:00:00.000Z', offsetFrom: 120, offsetTo: 60 }
+        ]
+    );
+});
+
+test('finds the half-hour change of Australia/Lord_Howe', () => {
+    const [transition] = findOffsetTransitions(
+        new Date('2026-03-01T08:15:09Z'),
+        new Date('2026-05-01T00:00:00Z'),
+        'Australia/Lord_Howe'
+    );
+
+    // 2:00 local (+11:00) falls back to 1:30 (+10:30) on the first Sunday of April
+    assert.equal(transition.at.toISOString(), '2026-04-04T15:00:00.000Z');
+    assert.equal(transition.offsetFrom, 660);
+    assert.equal(transition.offsetTo, 630);
+});